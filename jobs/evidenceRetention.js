@@ -0,0 +1,170 @@
+const cron = require("node-cron");
+const Appeal = require("../models/Appeal");
+const { removeEvidenceFile } = require("../utils/evidence");
+
+const retentionMonths = () => {
+  const months = parseInt(process.env.EVIDENCE_RETENTION_MONTHS, 10);
+  return months > 0 ? months : null;
+};
+
+const retentionCutoff = (months, now = new Date()) => {
+  const cutoff = new Date(now);
+  cutoff.setMonth(cutoff.getMonth() - months);
+  return cutoff;
+};
+
+// Appeals closed before the cutoff that still hold evidence. Appeals closed
+// before closedAt was recorded fall back to their last update.
+const closedBefore = (cutoff) => ({
+  status: { $in: Appeal.CLOSED_STATUSES },
+  "evidence.0": { $exists: true },
+  $or: [
+    { closedAt: { $lt: cutoff } },
+    { closedAt: { $exists: false }, updatedAt: { $lt: cutoff } },
+  ],
+});
+
+const summarise = (appeal) => ({
+  appeal: appeal._id,
+  appealId: appeal.appealId,
+  status: appeal.status,
+  closedAt: appeal.closedAt || appeal.updatedAt,
+  files: appeal.evidence.length,
+  bytes: appeal.evidence.reduce((sum, file) => sum + (file.fileSize || 0), 0),
+});
+
+const purgeAppealEvidence = async (appeal, months, now) => {
+  const entries = appeal.evidence.map((entry) => entry.toObject());
+
+  const result = await Appeal.updateOne(
+    { _id: appeal._id, "legalHold.active": { $ne: true } },
+    {
+      $pull: { evidence: { _id: { $in: entries.map((entry) => entry._id) } } },
+      $push: {
+        evidenceTombstones: {
+          $each: entries.map((entry) => ({
+            originalName: entry.originalName || entry.filename,
+            fileSize: entry.fileSize,
+            category: entry.category,
+            uploadedAt: entry.uploadedAt,
+            purgedAt: now,
+          })),
+        },
+        timeline: {
+          action: "Evidence purged",
+          description: `${entries.length} evidence file(s) deleted under the ${months}-month retention policy`,
+          timestamp: now,
+        },
+      },
+    }
+  );
+
+  if (result.modifiedCount === 0) return { purged: false, failedFiles: [] };
+
+  const failedFiles = [];
+  for (const entry of entries) {
+    try {
+      await removeEvidenceFile(entry);
+    } catch (error) {
+      failedFiles.push({
+        appealId: appeal.appealId,
+        filename: entry.filename,
+        error: error.message,
+      });
+    }
+  }
+
+  return { purged: true, failedFiles };
+};
+
+// Deletes the evidence of appeals closed longer than the retention period,
+// leaving a tombstone for each file. With dryRun nothing is changed and the
+// report lists what would be purged.
+const purgeExpiredEvidence = async ({
+  months = retentionMonths(),
+  dryRun = false,
+  now = new Date(),
+} = {}) => {
+  if (!months) {
+    throw new Error("EVIDENCE_RETENTION_MONTHS is not configured");
+  }
+
+  const cutoff = retentionCutoff(months, now);
+  const appeals = await Appeal.find(closedBefore(cutoff)).sort({
+    closedAt: 1,
+  });
+
+  const report = {
+    dryRun,
+    retentionMonths: months,
+    cutoff,
+    purged: [],
+    held: [],
+    failedFiles: [],
+    totals: { appeals: 0, files: 0, bytes: 0 },
+  };
+
+  for (const appeal of appeals) {
+    const summary = summarise(appeal);
+
+    if (appeal.legalHold && appeal.legalHold.active) {
+      report.held.push({ ...summary, reason: appeal.legalHold.reason });
+      continue;
+    }
+
+    if (!dryRun) {
+      const result = await purgeAppealEvidence(appeal, months, now);
+      report.failedFiles.push(...result.failedFiles);
+      if (!result.purged) {
+        report.held.push({
+          ...summary,
+          reason: "Legal hold placed during purge",
+        });
+        continue;
+      }
+    }
+
+    report.purged.push(summary);
+    report.totals.appeals += 1;
+    report.totals.files += summary.files;
+    report.totals.bytes += summary.bytes;
+  }
+
+  return report;
+};
+
+const startEvidenceRetentionJob = () => {
+  const months = retentionMonths();
+
+  if (!months) {
+    console.log(
+      "Evidence retention job disabled: EVIDENCE_RETENTION_MONTHS not set"
+    );
+    return;
+  }
+
+  const schedule = process.env.EVIDENCE_RETENTION_CRON || "0 3 * * *";
+
+  cron.schedule(schedule, async () => {
+    try {
+      const report = await purgeExpiredEvidence({ months });
+      if (report.totals.appeals > 0 || report.failedFiles.length > 0) {
+        console.log(
+          `Evidence retention: purged ${report.totals.files} file(s) from ${report.totals.appeals} appeal(s), ${report.held.length} on legal hold, ${report.failedFiles.length} failed`
+        );
+      }
+    } catch (error) {
+      console.error("Evidence retention job error:", error);
+    }
+  });
+
+  console.log(
+    `Evidence retention job scheduled: ${schedule} (${months} months)`
+  );
+};
+
+module.exports = {
+  retentionMonths,
+  purgeExpiredEvidence,
+  startEvidenceRetentionJob,
+};
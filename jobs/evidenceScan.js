@@ -0,0 +1,23 @@
+const cron = require("node-cron");
+const { scanPendingEvidence } = require("../utils/evidenceScan");
+
+const startEvidenceScanJob = () => {
+  const schedule = process.env.EVIDENCE_SCAN_CRON || "*/5 * * * *";
+
+  cron.schedule(schedule, async () => {
+    try {
+      const report = await scanPendingEvidence();
+      if (report.scanned > 0 || report.failed > 0) {
+        console.log(
+          `Evidence scan: ${report.scanned} scanned, ${report.infected} infected, ${report.failed} failed`
+        );
+      }
+    } catch (error) {
+      console.error("Evidence scan job error:", error);
+    }
+  });
+
+  console.log(`Evidence scan job scheduled: ${schedule}`);
+};
+
+module.exports = { startEvidenceScanJob };
@@ -0,0 +1,61 @@
+const cron = require("node-cron");
+const Appeal = require("../models/Appeal");
+const Notification = require("../models/Notification");
+
+const expireOverdueInformationRequests = async (now = new Date()) => {
+  const appeals = await Appeal.find({
+    informationRequests: {
+      $elemMatch: { status: "open", dueDate: { $lt: now } },
+    },
+  });
+
+  for (const appeal of appeals) {
+    const overdue = appeal
+      .openInformationRequests()
+      .filter((request) => request.dueDate < now);
+
+    overdue.forEach((request) =>
+      appeal.closeInformationRequest(request, "expired")
+    );
+
+    await appeal.save();
+
+    await Notification.notifyUsers(
+      [
+        appeal.student,
+        ...appeal.reviewers(),
+        appeal.assignedAdmin,
+        ...overdue.map((request) => request.requestedBy),
+      ],
+      {
+        appeal: appeal._id,
+        type: "information_request_expired",
+        message: `A request for further information on appeal ${appeal.appealId} has passed its due date`,
+      }
+    );
+  }
+
+  return appeals.length;
+};
+
+const startInformationRequestJob = () => {
+  const schedule = process.env.INFORMATION_REQUEST_CRON || "*/15 * * * *";
+
+  cron.schedule(schedule, async () => {
+    try {
+      const expired = await expireOverdueInformationRequests();
+      if (expired > 0) {
+        console.log(`Expired information requests on ${expired} appeal(s)`);
+      }
+    } catch (error) {
+      console.error("Information request job error:", error);
+    }
+  });
+
+  console.log(`Information request job scheduled: ${schedule}`);
+};
+
+module.exports = {
+  expireOverdueInformationRequests,
+  startInformationRequestJob,
+};
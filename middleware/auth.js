@@ -1,7 +1,14 @@
 const jwt = require("jsonwebtoken");
 const User = require("../models/User");
+const Session = require("../models/Session");
+const {
+  twoFactorEnrolmentRequired,
+  TWO_FACTOR_ENROLMENT_MESSAGE,
+} = require("../utils/securitySettings");
+const { permissionsForRole } = require("../utils/permissions");
 
-const auth = async (req, res, next) => {
+// Checks the bearer token and its login session, and sets req.user.
+const authenticate = async (req, res, next) => {
   try {
     const raw = req.header("Authorization") || "";
     const token = raw.startsWith("Bearer ") ? raw.slice(7) : null;
@@ -17,16 +24,33 @@ const auth = async (req, res, next) => {
     if (!userId)
       return res.status(401).json({ message: "Invalid token payload." });
 
-    const user = await User.findById(userId).select(
-      "_id role isActive firstName lastName email studentId"
-    );
+    // Every access token belongs to a login session; once the session is
+    // revoked (logout, session list, deactivation) its tokens stop working.
+    if (!decoded.sid)
+      return res
+        .status(401)
+        .json({ message: "Session expired. Please log in again." });
+
+    const [user, session] = await Promise.all([
+      User.findById(userId).select(
+        "_id role isActive firstName lastName email studentId department institutionWide emailVerified twoFactor.enabled"
+      ),
+      Session.findOne({ _id: decoded.sid, user: userId, revokedAt: null })
+        .select("_id")
+        .lean(),
+    ]);
     if (!user || !user.isActive) {
       return res
         .status(401)
         .json({ message: "Invalid token or user not found." });
     }
 
+    if (!session) {
+      return res.status(401).json({ message: "Session has been revoked." });
+    }
+
     req.user = user;
+    req.sessionId = session._id;
     next();
   } catch (error) {
     if (error.name === "JsonWebTokenError")
@@ -37,26 +61,84 @@ const auth = async (req, res, next) => {
   }
 };
 
-const requireRole = (roles) => (req, res, next) => {
+// Staff must finish two-factor enrolment first when the security policy
+// requires it.
+const checkTwoFactorEnrolment = async (req, res, next) => {
+  try {
+    if (await twoFactorEnrolmentRequired(req.user))
+      return res.status(403).json({
+        message: TWO_FACTOR_ENROLMENT_MESSAGE,
+        twoFactorEnrolmentRequired: true,
+      });
+  } catch (error) {
+    return res.status(500).json({ message: "Server error." });
+  }
+  next();
+};
+
+const auth = (req, res, next) =>
+  authenticate(req, res, () => checkTwoFactorEnrolment(req, res, next));
+
+// For the account routes under /api/auth (profile, sessions, two-factor
+// enrolment), which staff must be able to reach before they enrol.
+const accountAuth = authenticate;
+
+const requireRole = (roles) => async (req, res, next) => {
   if (!req.user)
     return res.status(401).json({ message: "Authentication required." });
   if (!roles.includes(req.user.role))
     return res
       .status(403)
       .json({ message: "Access denied. Insufficient permissions." });
+
+  next();
+};
+
+// Passes when the user's role grants every listed permission (see
+// utils/permissions.js). The role's permissions are kept on
+// req.permissions for finer checks inside the route.
+const requirePermission =
+  (...permissions) =>
+  async (req, res, next) => {
+    if (!req.user)
+      return res.status(401).json({ message: "Authentication required." });
+
+    try {
+      req.permissions = await permissionsForRole(req.user.role);
+    } catch (error) {
+      return res.status(500).json({ message: "Server error." });
+    }
+
+    const missing = permissions.filter(
+      (permission) => !req.permissions.includes(permission)
+    );
+    if (missing.length > 0)
+      return res.status(403).json({
+        message: "Access denied. Insufficient permissions.",
+        missingPermissions: missing,
+      });
+
+    next();
+  };
+
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user)
+    return res.status(401).json({ message: "Authentication required." });
+  if (!req.user.emailVerified)
+    return res.status(403).json({
+      message: "Please verify your email address first.",
+      emailVerified: false,
+    });
   next();
 };
 
 const requireStudent = requireRole(["student"]);
-const requireAdmin = requireRole(["admin"]);
-const requireReviewer = requireRole(["reviewer"]);
-const requireAdminOrReviewer = requireRole(["admin", "reviewer"]);
 
 module.exports = {
   auth,
+  accountAuth,
   requireRole,
+  requirePermission,
+  requireVerifiedEmail,
   requireStudent,
-  requireAdmin,
-  requireReviewer,
-  requireAdminOrReviewer,
 };
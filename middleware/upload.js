@@ -0,0 +1,131 @@
+const os = require("os");
+const path = require("path");
+const fs = require("fs-extra");
+const multer = require("multer");
+const { ALLOWED_FILE_TYPES, verifyUploadedFile } = require("../utils/fileType");
+const {
+  PROCESSED_IMAGE_TYPES,
+  stripImageMetadata,
+} = require("../utils/images");
+
+const TEMP_UPLOAD_DIR =
+  process.env.UPLOAD_TEMP_DIR || path.join(os.tmpdir(), "sam-uploads");
+
+const storage = multer.diskStorage({
+  destination: function (req, file, cb) {
+    fs.ensureDirSync(TEMP_UPLOAD_DIR);
+    cb(null, TEMP_UPLOAD_DIR);
+  },
+  filename: function (req, file, cb) {
+    const uniqueSuffix = Date.now() + "-" + Math.round(Math.random() * 1e9);
+    const ext = path.extname(file.originalname);
+    cb(null, uniqueSuffix + ext);
+  },
+});
+
+const upload = multer({
+  storage: storage,
+  limits: {
+    fileSize: 10 * 1024 * 1024,
+  },
+  fileFilter: function (req, file, cb) {
+    if (ALLOWED_FILE_TYPES[file.mimetype]) {
+      cb(null, true);
+    } else {
+      cb(
+        new Error(
+          "Invalid file type. Only images, PDFs, Word docs, and text files are allowed."
+        )
+      );
+    }
+  },
+});
+
+const discardUploads = (files = []) =>
+  Promise.all(files.map((file) => fs.remove(file.path)));
+
+// The fileFilter above only sees the client-declared type; once the files
+// are on disk their content is checked before any route handler runs.
+const verifyUploads = async (req, res, next) => {
+  const files = req.files || [];
+
+  try {
+    const rejected = [];
+
+    for (const file of files) {
+      const result = await verifyUploadedFile(file);
+      if (result.error) {
+        rejected.push({ file: file.originalname, message: result.error });
+      } else {
+        file.detectedMimeType = result.mimeType;
+      }
+    }
+
+    if (rejected.length > 0) {
+      await discardUploads(files);
+      return res.status(400).json({
+        message: "File type verification failed",
+        errors: rejected,
+      });
+    }
+
+    next();
+  } catch (error) {
+    await discardUploads(files);
+    console.error("Upload verification error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+// Photos often carry EXIF data such as GPS coordinates, which we should not
+// keep. Images that cannot be re-encoded are rejected rather than stored
+// with their metadata.
+const sanitizeImages = async (req, res, next) => {
+  const files = req.files || [];
+
+  try {
+    const rejected = [];
+
+    for (const file of files) {
+      if (!PROCESSED_IMAGE_TYPES.includes(file.detectedMimeType)) continue;
+
+      try {
+        await stripImageMetadata(file.path, file.detectedMimeType);
+        file.size = (await fs.stat(file.path)).size;
+      } catch (error) {
+        rejected.push({
+          file: file.originalname,
+          message: "Image could not be processed",
+        });
+      }
+    }
+
+    if (rejected.length > 0) {
+      await discardUploads(files);
+      return res.status(400).json({
+        message: "Image processing failed",
+        errors: rejected,
+      });
+    }
+
+    next();
+  } catch (error) {
+    await discardUploads(files);
+    console.error("Image processing error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+const uploadEvidence = (fieldName = "evidence", maxCount = 10) => [
+  upload.array(fieldName, maxCount),
+  verifyUploads,
+  sanitizeImages,
+];
+
+module.exports = {
+  upload,
+  uploadEvidence,
+  verifyUploads,
+  sanitizeImages,
+  discardUploads,
+};
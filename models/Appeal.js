@@ -1,12 +1,30 @@
 const mongoose = require("mongoose");
 const { customAlphabet } = require("nanoid");
+const { departmentScopePlugin } = require("../utils/departmentScope");
 const nano = customAlphabet("0123456789", 6);
+
+const EVIDENCE_CATEGORIES = [
+  "medical certificate",
+  "supporting letter",
+  "personal statement",
+  "academic record",
+  "correspondence",
+  "other",
+];
+
+const RECOMMENDATION_OUTCOMES = ["upheld", "partially upheld", "rejected"];
+
+const requiredUnlessDraft = function () {
+  return this.status !== "draft";
+};
+
 const appealSchema = new mongoose.Schema(
   {
     appealId: {
       type: String,
       required: false,
       unique: true,
+      sparse: true,
     },
     student: {
       type: mongoose.Schema.Types.ObjectId,
@@ -27,22 +45,22 @@ const appealSchema = new mongoose.Schema(
 
     firstName: {
       type: String,
-      required: true,
+      required: requiredUnlessDraft,
       trim: true,
     },
     lastName: {
       type: String,
-      required: true,
+      required: requiredUnlessDraft,
       trim: true,
     },
     studentId: {
       type: String,
-      required: true,
+      required: requiredUnlessDraft,
       trim: true,
     },
     email: {
       type: String,
-      required: true,
+      required: requiredUnlessDraft,
       trim: true,
     },
     phone: {
@@ -51,12 +69,12 @@ const appealSchema = new mongoose.Schema(
     },
     course: {
       type: String,
-      required: true,
+      required: requiredUnlessDraft,
       trim: true,
     },
     department: {
       type: String,
-      required: true,
+      required: requiredUnlessDraft,
       trim: true,
     },
 
@@ -79,7 +97,7 @@ const appealSchema = new mongoose.Schema(
 
     appealType: {
       type: String,
-      required: true,
+      required: requiredUnlessDraft,
       enum: [
         "Academic Judgment",
         "Procedural Irregularity",
@@ -104,7 +122,7 @@ const appealSchema = new mongoose.Schema(
     ],
     statement: {
       type: String,
-      required: true,
+      required: requiredUnlessDraft,
     },
 
     moduleCode: {
@@ -113,7 +131,7 @@ const appealSchema = new mongoose.Schema(
     },
     academicYear: {
       type: String,
-      required: true,
+      required: requiredUnlessDraft,
     },
     semester: {
       type: String,
@@ -123,12 +141,14 @@ const appealSchema = new mongoose.Schema(
     status: {
       type: String,
       enum: [
+        "draft",
         "submitted",
         "under review",
         "awaiting information",
         "decision made",
         "resolved",
         "rejected",
+        "withdrawn",
       ],
       default: "submitted",
     },
@@ -146,6 +166,47 @@ const appealSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
     },
+    // A panel of reviewers that decides the appeal together, see
+    // utils/panels.js. The chair is also the assignedReviewer.
+    panel: {
+      members: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+      ],
+      chair: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      assignedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      assignedAt: Date,
+      recommendations: [
+        {
+          reviewer: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+          },
+          outcome: {
+            type: String,
+            enum: RECOMMENDATION_OUTCOMES,
+            required: true,
+          },
+          rationale: {
+            type: String,
+            required: true,
+          },
+          recordedAt: {
+            type: Date,
+            default: Date.now,
+          },
+        },
+      ],
+    },
 
     evidence: [
       {
@@ -153,10 +214,43 @@ const appealSchema = new mongoose.Schema(
         originalName: String,
         path: String,
         fileSize: Number,
+        mimeType: String,
+        checksum: String,
+        thumbnail: String,
+        category: {
+          type: String,
+          enum: EVIDENCE_CATEGORIES,
+          default: "other",
+        },
+        description: {
+          type: String,
+          trim: true,
+        },
+        visibility: {
+          type: String,
+          enum: ["shared", "internal"],
+          default: "shared",
+        },
+        uploadedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        uploadedByRole: {
+          type: String,
+          enum: ["student", "admin", "reviewer"],
+        },
         uploadedAt: {
           type: Date,
           default: Date.now,
         },
+        scanStatus: {
+          type: String,
+          enum: ["pending", "clean", "infected"],
+          default: "pending",
+        },
+        scanSignature: String,
+        scanError: String,
+        scannedAt: Date,
       },
     ],
 
@@ -192,6 +286,40 @@ const appealSchema = new mongoose.Schema(
       },
     ],
 
+    informationRequests: [
+      {
+        items: [
+          {
+            question: {
+              type: String,
+              required: true,
+            },
+            response: String,
+            files: [String],
+            respondedAt: Date,
+          },
+        ],
+        dueDate: {
+          type: Date,
+          required: true,
+        },
+        status: {
+          type: String,
+          enum: ["open", "completed", "expired", "cancelled"],
+          default: "open",
+        },
+        requestedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        requestedAt: {
+          type: Date,
+          default: Date.now,
+        },
+        closedAt: Date,
+      },
+    ],
+
     decision: {
       outcome: {
         type: String,
@@ -213,19 +341,238 @@ const appealSchema = new mongoose.Schema(
 
     submittedDate: {
       type: Date,
-      default: Date.now,
+      default: function () {
+        return this.status === "draft" ? undefined : Date.now();
+      },
     },
     deadline: {
       type: Date,
     },
+    closedAt: {
+      type: Date,
+    },
+    legalHold: {
+      active: {
+        type: Boolean,
+        default: false,
+      },
+      reason: String,
+      placedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      placedAt: Date,
+    },
+    evidenceTombstones: [
+      {
+        originalName: String,
+        fileSize: Number,
+        category: String,
+        uploadedAt: Date,
+        purgedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
   },
   {
     timestamps: true,
   }
 );
 
+const STAFF_ROLES = ["admin", "reviewer"];
+const CLOSED_STATUSES = ["resolved", "rejected", "withdrawn"];
+
+const hasDecision = {
+  check: (appeal) => Boolean(appeal.decision && appeal.decision.outcome),
+  message: "A decision outcome must be recorded before this transition",
+};
+
+const hasConfirmations = {
+  check: (appeal) =>
+    Boolean(appeal.declaration && appeal.deadlineCheck && appeal.confirmAll),
+  message: "All required confirmations must be accepted",
+};
+
+const isWithdrawal = {
+  check: (appeal) =>
+    Boolean(appeal.decision && appeal.decision.outcome === "withdrawn"),
+  message: "A withdrawal must be recorded before this transition",
+};
+
+const STATUS_TRANSITIONS = {
+  draft: {
+    submitted: { roles: ["student"], preconditions: [hasConfirmations] },
+  },
+  submitted: {
+    "under review": { roles: STAFF_ROLES },
+    "awaiting information": { roles: STAFF_ROLES },
+    rejected: { roles: ["admin"] },
+    withdrawn: { roles: ["student"], preconditions: [isWithdrawal] },
+  },
+  "under review": {
+    "awaiting information": { roles: STAFF_ROLES },
+    "decision made": { roles: STAFF_ROLES, preconditions: [hasDecision] },
+    rejected: { roles: STAFF_ROLES },
+    withdrawn: { roles: ["student"], preconditions: [isWithdrawal] },
+  },
+  "awaiting information": {
+    "under review": { roles: [...STAFF_ROLES, "system"] },
+    "decision made": { roles: STAFF_ROLES, preconditions: [hasDecision] },
+    rejected: { roles: STAFF_ROLES },
+    withdrawn: { roles: ["student"], preconditions: [isWithdrawal] },
+  },
+  "decision made": {
+    "under review": { roles: ["admin"] },
+    resolved: { roles: STAFF_ROLES, preconditions: [hasDecision] },
+  },
+  resolved: {},
+  rejected: {},
+  withdrawn: {},
+};
+
+appealSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+appealSchema.statics.EVIDENCE_CATEGORIES = EVIDENCE_CATEGORIES;
+appealSchema.statics.CLOSED_STATUSES = CLOSED_STATUSES;
+appealSchema.statics.RECOMMENDATION_OUTCOMES = RECOMMENDATION_OUTCOMES;
+
+appealSchema.methods.allowedTransitions = function (role) {
+  const targets = STATUS_TRANSITIONS[this.status] || {};
+  return Object.keys(targets).filter((to) => targets[to].roles.includes(role));
+};
+
+appealSchema.methods.checkTransition = function (to, role) {
+  const from = this.status;
+  const result = {
+    allowed: false,
+    from,
+    to,
+    role,
+    allowedTransitions: this.allowedTransitions(role),
+  };
+
+  const rule = (STATUS_TRANSITIONS[from] || {})[to];
+  if (!rule) {
+    return {
+      ...result,
+      code: "INVALID_TRANSITION",
+      reason: `Appeal cannot move from "${from}" to "${to}"`,
+    };
+  }
+
+  if (!rule.roles.includes(role)) {
+    return {
+      ...result,
+      code: "ROLE_NOT_PERMITTED",
+      reason: `Role "${role}" cannot move an appeal from "${from}" to "${to}"`,
+    };
+  }
+
+  const failed = (rule.preconditions || []).find(
+    (precondition) => !precondition.check(this)
+  );
+  if (failed) {
+    return {
+      ...result,
+      code: "PRECONDITION_FAILED",
+      reason: failed.message,
+    };
+  }
+
+  return { ...result, allowed: true };
+};
+
+appealSchema.methods.transitionTo = function (to, role) {
+  const transition = this.checkTransition(to, role);
+  if (transition.allowed) {
+    this.status = to;
+    if (CLOSED_STATUSES.includes(to)) {
+      this.closedAt = new Date();
+    }
+  }
+  return transition;
+};
+
+appealSchema.methods.openInformationRequests = function () {
+  return this.informationRequests.filter(
+    (request) => request.status === "open"
+  );
+};
+
+appealSchema.methods.requestInformation = function ({
+  items,
+  dueDate,
+  requestedBy,
+  role,
+}) {
+  let transition = null;
+  if (this.status !== "awaiting information") {
+    transition = this.transitionTo("awaiting information", role);
+    if (!transition.allowed) return { transition };
+  }
+
+  this.informationRequests.push({
+    items: items.map((question) => ({ question })),
+    dueDate,
+    requestedBy,
+  });
+
+  return {
+    transition,
+    request: this.informationRequests[this.informationRequests.length - 1],
+  };
+};
+
+appealSchema.methods.closeInformationRequest = function (
+  request,
+  status,
+  performedBy
+) {
+  request.status = status;
+  request.closedAt = new Date();
+
+  this.timeline.push({
+    action: `Information request ${status}`,
+    description: `Request for further information (${request.items.length} item(s)) ${status}`,
+    performedBy,
+  });
+
+  if (
+    this.status === "awaiting information" &&
+    this.openInformationRequests().length === 0
+  ) {
+    const transition = this.transitionTo("under review", "system");
+    if (transition.allowed) {
+      this.timeline.push({
+        action: "Status updated",
+        description:
+          "Status changed to: under review - no outstanding information requests",
+      });
+    }
+  }
+};
+
+appealSchema.statics.excludeDrafts = function (query = {}) {
+  return { $and: [query, { status: { $ne: "draft" } }] };
+};
+
+// Appeals a reviewer works on, alone or as a panel member.
+appealSchema.statics.reviewedBy = function (userId) {
+  return { $or: [{ assignedReviewer: userId }, { "panel.members": userId }] };
+};
+
+appealSchema.methods.hasPanel = function () {
+  return Boolean(this.panel && this.panel.members.length > 0);
+};
+
+// Everyone reviewing the appeal, for notifications.
+appealSchema.methods.reviewers = function () {
+  return [this.assignedReviewer, ...(this.panel ? this.panel.members : [])];
+};
+
 appealSchema.pre("save", async function (next) {
-  if (this.appealId) return next();
+  if (this.appealId || this.status === "draft") return next();
 
   try {
     console.log("Generating appeal ID...");
@@ -260,14 +607,22 @@ appealSchema.pre("save", async function (next) {
 });
 
 appealSchema.post("save", function (doc) {
-  if (!doc.appealId) {
+  if (!doc.appealId && doc.status !== "draft") {
     console.error("Warning: Appeal saved without appealId:", doc._id);
   }
 });
 
+appealSchema.plugin(departmentScopePlugin);
+
 appealSchema.index({ student: 1, status: 1 });
 appealSchema.index({ status: 1, priority: 1 });
+appealSchema.index({ "panel.members": 1 });
 appealSchema.index({ appealType: 1 });
 appealSchema.index({ submittedDate: 1 });
+appealSchema.index({ status: 1, closedAt: 1 });
+appealSchema.index({
+  "informationRequests.status": 1,
+  "informationRequests.dueDate": 1,
+});
 
 module.exports = mongoose.model("Appeal", appealSchema);
@@ -0,0 +1,31 @@
+const mongoose = require("mongoose");
+
+// Records redeemed one-time download links. The unique nonce makes
+// redemption atomic, and entries are removed once the link has expired.
+const downloadLinkUseSchema = new mongoose.Schema({
+  nonce: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  appeal: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Appeal",
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  usedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+downloadLinkUseSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("DownloadLinkUse", downloadLinkUseSchema);
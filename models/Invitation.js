@@ -0,0 +1,106 @@
+const mongoose = require("mongoose");
+const { randomToken, hashToken } = require("../utils/tokens");
+
+const INVITATION_TTL_DAYS = parseInt(process.env.INVITATION_TTL_DAYS, 10) || 7;
+
+const invitationSchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+    },
+    // Any role except student, see models/Role.js.
+    role: {
+      type: String,
+      required: true,
+    },
+    firstName: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    lastName: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    department: {
+      type: String,
+      trim: true,
+      required: function () {
+        return this.role === "admin";
+      },
+    },
+    institutionWide: {
+      type: Boolean,
+      default: false,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    // Empty for invitations created with the invite-admin script.
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    acceptedAt: Date,
+    acceptedUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    revokedAt: Date,
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Pending means neither accepted nor revoked; it may still have expired.
+invitationSchema.statics.pending = function (query = {}) {
+  return { ...query, acceptedAt: null, revokedAt: null };
+};
+
+invitationSchema.methods.createToken = function () {
+  const token = randomToken();
+  this.tokenHash = hashToken(token);
+  this.expiresAt = new Date(
+    Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000
+  );
+  return token;
+};
+
+// Claims an invitation atomically so the link can be used only once.
+invitationSchema.statics.claim = function (token) {
+  return this.findOneAndUpdate(
+    this.pending({
+      tokenHash: hashToken(token),
+      expiresAt: { $gt: new Date() },
+    }),
+    { acceptedAt: new Date() },
+    { new: true }
+  );
+};
+
+invitationSchema.methods.toJSON = function () {
+  const invitation = this.toObject();
+  delete invitation.tokenHash;
+  invitation.expired = invitation.expiresAt < new Date();
+  return invitation;
+};
+
+invitationSchema.index({ tokenHash: 1 });
+invitationSchema.index({ email: 1, acceptedAt: 1, revokedAt: 1 });
+
+module.exports = mongoose.model("Invitation", invitationSchema);
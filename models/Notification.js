@@ -0,0 +1,67 @@
+const mongoose = require("mongoose");
+
+const notificationSchema = new mongoose.Schema(
+  {
+    recipient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    appeal: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Appeal",
+    },
+    type: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    message: {
+      type: String,
+      required: true,
+    },
+    isRead: {
+      type: Boolean,
+      default: false,
+    },
+    readAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Notifications are a side effect of the action that triggers them, so a
+// failure here is logged rather than failing the caller's request.
+notificationSchema.statics.notifyUsers = async function (
+  recipients,
+  { appeal, type, message }
+) {
+  const uniqueRecipients = [
+    ...new Set(
+      recipients.filter(Boolean).map((recipient) => recipient.toString())
+    ),
+  ];
+
+  if (uniqueRecipients.length === 0) return [];
+
+  try {
+    return await this.insertMany(
+      uniqueRecipients.map((recipient) => ({
+        recipient,
+        appeal,
+        type,
+        message,
+      }))
+    );
+  } catch (error) {
+    console.error("Notification error:", error);
+    return [];
+  }
+};
+
+notificationSchema.index({ recipient: 1, isRead: 1, createdAt: -1 });
+
+module.exports = mongoose.model("Notification", notificationSchema);
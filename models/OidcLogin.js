@@ -0,0 +1,42 @@
+const mongoose = require("mongoose");
+
+// State for one single sign-on attempt. Created when the browser is sent to
+// the identity provider; after the callback it holds the hash of a one-time
+// login code that the web client exchanges for tokens.
+const oidcLoginSchema = new mongoose.Schema(
+  {
+    state: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    nonce: {
+      type: String,
+      required: true,
+    },
+    codeVerifier: {
+      type: String,
+      required: true,
+    },
+    // Set when the identity provider redirects back, so each state value
+    // is accepted once.
+    usedAt: Date,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    loginCodeHash: String,
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+oidcLoginSchema.index({ loginCodeHash: 1 }, { sparse: true });
+oidcLoginSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("OidcLogin", oidcLoginSchema);
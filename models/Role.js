@@ -0,0 +1,61 @@
+const mongoose = require("mongoose");
+const { PERMISSIONS, BUILT_IN_ROLES } = require("../utils/permissions");
+
+const roleSchema = new mongoose.Schema(
+  {
+    // Stored on User.role, so it cannot be changed once created.
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+      match: /^[a-z][a-z0-9-]{1,39}$/,
+      immutable: true,
+    },
+    label: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    permissions: {
+      type: [String],
+      validate: {
+        validator: (permissions) =>
+          permissions.every((permission) => permission in PERMISSIONS),
+        message: "Unknown permission",
+      },
+    },
+    builtIn: {
+      type: Boolean,
+      default: false,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Writes the built-in roles from utils/permissions.js, so the collection
+// always lists every role users can have. Run at startup.
+roleSchema.statics.syncBuiltIns = function () {
+  return this.bulkWrite(
+    Object.entries(BUILT_IN_ROLES).map(([name, role]) => ({
+      updateOne: {
+        filter: { name },
+        update: { $set: { ...role, builtIn: true } },
+        upsert: true,
+      },
+    }))
+  );
+};
+
+module.exports = mongoose.model("Role", roleSchema);
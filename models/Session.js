@@ -0,0 +1,58 @@
+const mongoose = require("mongoose");
+
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    refreshTokenHash: {
+      type: String,
+      required: true,
+    },
+    previousRefreshTokenHash: String,
+    rotatedAt: Date,
+    userAgent: String,
+    ipAddress: String,
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: Date,
+    revokedReason: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+sessionSchema.statics.revokeForUser = function (
+  userId,
+  reason,
+  { except } = {}
+) {
+  const query = { user: userId, revokedAt: null };
+  if (except) query._id = { $ne: except };
+
+  return this.updateMany(query, {
+    revokedAt: new Date(),
+    revokedReason: reason,
+  });
+};
+
+sessionSchema.methods.toJSON = function () {
+  const session = this.toObject();
+  delete session.refreshTokenHash;
+  delete session.previousRefreshTokenHash;
+  return session;
+};
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("Session", sessionSchema);
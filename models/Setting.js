@@ -0,0 +1,35 @@
+const mongoose = require("mongoose");
+
+// System-wide settings changed by admins at runtime, one document per key.
+const settingSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    value: mongoose.Schema.Types.Mixed,
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+settingSchema.statics.getValue = async function (key, defaultValue) {
+  const setting = await this.findOne({ key }).lean();
+  return setting ? setting.value : defaultValue;
+};
+
+settingSchema.statics.setValue = function (key, value, userId) {
+  return this.findOneAndUpdate(
+    { key },
+    { value, updatedBy: userId },
+    { upsert: true, new: true }
+  );
+};
+
+module.exports = mongoose.model("Setting", settingSchema);
@@ -1,5 +1,12 @@
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
+const { randomToken, hashToken } = require("../utils/tokens");
+
+const PASSWORD_RESET_TTL_MINUTES =
+  parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60;
+const LOGIN_HISTORY_LIMIT = 50;
+const EMAIL_VERIFICATION_TTL_HOURS =
+  parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS, 10) || 48;
 
 const userSchema = new mongoose.Schema(
   {
@@ -25,10 +32,12 @@ const userSchema = new mongoose.Schema(
       required: true,
       trim: true,
     },
+    // Name of a Role: student, reviewer, admin or an admin-defined role.
     role: {
       type: String,
-      enum: ["student", "admin", "reviewer"],
       required: true,
+      lowercase: true,
+      trim: true,
     },
     studentId: {
       type: String,
@@ -46,6 +55,12 @@ const userSchema = new mongoose.Schema(
         return this.role === "admin";
       },
     },
+    // Staff who can view any appeal only see their department's appeals
+    // unless this is set, see utils/departmentScope.js.
+    institutionWide: {
+      type: Boolean,
+      default: false,
+    },
     isActive: {
       type: Boolean,
       default: true,
@@ -53,6 +68,78 @@ const userSchema = new mongoose.Schema(
     lastLogin: {
       type: Date,
     },
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      enabledAt: Date,
+      // Encrypted TOTP secrets, see utils/totp.js.
+      secret: {
+        type: String,
+        select: false,
+      },
+      pendingSecret: {
+        type: String,
+        select: false,
+      },
+      recoveryCodes: {
+        type: [String],
+        select: false,
+      },
+      lastUsedStep: {
+        type: Number,
+        select: false,
+      },
+    },
+    // Identity provider account this user signs in with, see utils/oidc.js.
+    oidc: {
+      issuer: String,
+      subject: String,
+      linkedAt: Date,
+      // Set by an admin to let an existing staff account be linked on its
+      // next single sign-on.
+      linkAllowedAt: Date,
+    },
+    loginHistory: {
+      type: [
+        {
+          at: { type: Date, default: Date.now },
+          success: { type: Boolean, required: true },
+          method: String,
+          reason: String,
+          ipAddress: String,
+          userAgent: String,
+        },
+      ],
+      select: false,
+    },
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerifiedAt: Date,
+    emailVerificationTokenHash: {
+      type: String,
+      select: false,
+    },
+    emailVerificationExpires: {
+      type: Date,
+      select: false,
+    },
+    emailVerificationSentAt: {
+      type: Date,
+      select: false,
+    },
+    passwordChangedAt: Date,
+    passwordResetTokenHash: {
+      type: String,
+      select: false,
+    },
+    passwordResetExpires: {
+      type: Date,
+      select: false,
+    },
   },
   {
     timestamps: true,
@@ -75,10 +162,124 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
+// Only the hash of a reset token is stored; the returned token is emailed.
+// A new request replaces any earlier token.
+userSchema.methods.createPasswordResetToken = function () {
+  const token = randomToken();
+  this.passwordResetTokenHash = hashToken(token);
+  this.passwordResetExpires = new Date(
+    Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000
+  );
+  return token;
+};
+
+const passwordResetFilter = (token) => ({
+  passwordResetTokenHash: hashToken(token),
+  passwordResetExpires: { $gt: new Date() },
+  isActive: true,
+});
+
+// Looks up the user a reset token belongs to without using it up, e.g. to
+// check whether they may still use a password at all.
+userSchema.statics.findByPasswordResetToken = function (token) {
+  return this.findOne(passwordResetFilter(token));
+};
+
+// Claims a reset token atomically, so it can be used only once. Returns the
+// user, or null when the token is unknown or expired.
+userSchema.statics.consumePasswordResetToken = function (token) {
+  return this.findOneAndUpdate(
+    passwordResetFilter(token),
+    { $unset: { passwordResetTokenHash: 1, passwordResetExpires: 1 } },
+    { new: true }
+  );
+};
+
+// Verification tokens work like reset tokens: hashed, expiring, single-use.
+userSchema.methods.createEmailVerificationToken = function () {
+  const token = randomToken();
+  this.emailVerificationTokenHash = hashToken(token);
+  this.emailVerificationExpires = new Date(
+    Date.now() + EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000
+  );
+  this.emailVerificationSentAt = new Date();
+  return token;
+};
+
+userSchema.statics.consumeEmailVerificationToken = function (token) {
+  return this.findOneAndUpdate(
+    {
+      emailVerificationTokenHash: hashToken(token),
+      emailVerificationExpires: { $gt: new Date() },
+    },
+    {
+      emailVerified: true,
+      emailVerifiedAt: new Date(),
+      $unset: {
+        emailVerificationTokenHash: 1,
+        emailVerificationExpires: 1,
+      },
+    },
+    { new: true }
+  );
+};
+
+// Keeps the most recent LOGIN_HISTORY_LIMIT attempts.
+userSchema.statics.recordLogin = function (userId, entry) {
+  return this.updateOne(
+    { _id: userId },
+    {
+      $push: {
+        loginHistory: { $each: [entry], $slice: -LOGIN_HISTORY_LIMIT },
+      },
+    }
+  );
+};
+
+// Records the time step of an accepted TOTP code. Returns false if that code
+// (or a later one) was already used, so codes cannot be replayed.
+userSchema.statics.useTotpStep = async function (userId, step) {
+  const result = await this.updateOne(
+    {
+      _id: userId,
+      $or: [
+        { "twoFactor.lastUsedStep": { $lt: step } },
+        { "twoFactor.lastUsedStep": { $exists: false } },
+      ],
+    },
+    { "twoFactor.lastUsedStep": step }
+  );
+  return result.modifiedCount === 1;
+};
+
+userSchema.statics.useRecoveryCode = async function (userId, codeHash) {
+  const result = await this.updateOne(
+    { _id: userId, "twoFactor.recoveryCodes": codeHash },
+    { $pull: { "twoFactor.recoveryCodes": codeHash } }
+  );
+  return result.modifiedCount === 1;
+};
+
 userSchema.methods.toJSON = function () {
   const user = this.toObject();
   delete user.password;
+  delete user.passwordResetTokenHash;
+  delete user.passwordResetExpires;
+  delete user.emailVerificationTokenHash;
+  delete user.emailVerificationExpires;
+  delete user.emailVerificationSentAt;
+  delete user.loginHistory;
+  if (user.twoFactor) {
+    user.twoFactor = {
+      enabled: user.twoFactor.enabled,
+      enabledAt: user.twoFactor.enabledAt,
+    };
+  }
   return user;
 };
 
+userSchema.index({ passwordResetTokenHash: 1 }, { sparse: true });
+userSchema.index({ emailVerificationTokenHash: 1 }, { sparse: true });
+userSchema.index({ "oidc.issuer": 1, "oidc.subject": 1 }, { sparse: true });
+
 module.exports = mongoose.model("User", userSchema);
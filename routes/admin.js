@@ -2,376 +2,581 @@ const express = require("express");
 const { body, validationResult } = require("express-validator");
 const Appeal = require("../models/Appeal");
 const User = require("../models/User");
-const { auth, requireAdmin } = require("../middleware/auth");
-const path = require("path");
-const fs = require("fs-extra");
+const Notification = require("../models/Notification");
+const Session = require("../models/Session");
+const Invitation = require("../models/Invitation");
+const Role = require("../models/Role");
+const LoginThrottle = require("../models/LoginThrottle");
+const { auth, requirePermission } = require("../middleware/auth");
+const { scanBlockMessage } = require("../utils/evidenceScan");
+const {
+  sendEvidenceFile,
+  sendEvidenceThumbnail,
+} = require("../utils/download");
+const {
+  retentionMonths,
+  purgeExpiredEvidence,
+} = require("../jobs/evidenceRetention");
+const {
+  selectBundleEntries,
+  streamEvidenceBundle,
+} = require("../utils/evidenceBundle");
+const { sendMail, appUrl } = require("../utils/mailer");
+const { csvRow } = require("../utils/csv");
+const { describeThrottle } = require("../utils/loginThrottle");
+const {
+  getSecuritySettings,
+  updateSecuritySettings,
+} = require("../utils/securitySettings");
+const { oidcConfig } = require("../utils/oidc");
+const { scopeToDepartment } = require("../utils/departmentScope");
+const {
+  canViewAppeal,
+  canEditAppeal,
+  canDownloadEvidence,
+  canDeleteNote,
+} = require("../utils/policy");
+const {
+  informationRequestValidators,
+  createInformationRequest,
+  cancelInformationRequest,
+} = require("../utils/informationRequests");
+const {
+  MAJORITY_RULES,
+  getPanelSettings,
+  updatePanelSettings,
+  panelOutcome,
+} = require("../utils/panels");
+const {
+  PERMISSIONS,
+  BUILT_IN_ROLES,
+  rolesWithPermission,
+  clearRoleCache,
+} = require("../utils/permissions");
 
 const router = express.Router();
 
-router.use(auth, requireAdmin);
+router.use(auth, scopeToDepartment);
 
-router.get("/appeals/:id/evidence/:filename/download", async (req, res) => {
-  try {
-    const { id, filename } = req.params;
+// Custom roles follow the admin's workflow rules on these routes.
+const WORKFLOW_ROLE = "admin";
+
+router.get(
+  "/appeals/:id/evidence/bundle",
+  requirePermission("appeal.view.any"),
+  async (req, res) => {
+    try {
+      const appeal = await Appeal.findOne(
+        Appeal.excludeDrafts({ _id: req.params.id })
+      ).populate("evidence.uploadedBy", "firstName lastName email");
+
+      if (!appeal || !(await canViewAppeal(req.user, appeal))) {
+        return res.status(404).json({ message: "Appeal not found" });
+      }
+
+      const { entries, missing } = selectBundleEntries(
+        appeal.evidence,
+        req.query.files
+      );
 
-    console.log("Admin download request:", { id, filename });
+      if (missing.length > 0) {
+        return res
+          .status(404)
+          .json({ message: "Evidence file not found", files: missing });
+      }
 
-    const appeal = await Appeal.findById(id);
+      if (!entries.some((file) => file.scanStatus === "clean")) {
+        return res.status(409).json({
+          message: "None of the selected evidence can be downloaded yet",
+        });
+      }
 
-    if (!appeal) {
-      console.log("Appeal not found for admin:", id);
-      return res.status(404).json({ message: "Appeal not found" });
+      await streamEvidenceBundle(res, appeal, entries);
+    } catch (error) {
+      console.error("Admin evidence bundle error:", error);
+      if (res.headersSent) {
+        return res.destroy(error);
+      }
+      res
+        .status(500)
+        .json({ message: "Server error while preparing evidence bundle" });
     }
+  }
+);
 
-    console.log("Appeal found:", appeal._id);
-    console.log("Appeal evidence:", appeal.evidence);
+router.get(
+  "/appeals/:id/evidence/:filename/:variant(download|thumbnail)",
+  requirePermission("appeal.view.any"),
+  async (req, res) => {
+    try {
+      const { id, filename } = req.params;
 
-    const evidenceFile = appeal.evidence.find(
-      (file) => file.filename === filename || file.originalName === filename
-    );
+      console.log("Admin download request:", { id, filename });
 
-    console.log("Evidence file found:", evidenceFile);
+      const appeal = await Appeal.findOne(Appeal.excludeDrafts({ _id: id }));
 
-    if (!evidenceFile) {
-      console.log("Evidence file not found for filename:", filename);
-      return res.status(404).json({ message: "Evidence file not found" });
-    }
+      if (!appeal) {
+        console.log("Appeal not found for admin:", id);
+        return res.status(404).json({ message: "Appeal not found" });
+      }
 
-    const filePath = path.join(
-      __dirname,
-      "..",
-      "uploads",
-      evidenceFile.filename
-    );
+      console.log("Appeal found:", appeal._id);
+      console.log("Appeal evidence:", appeal.evidence);
 
-    if (!(await fs.pathExists(filePath))) {
-      console.log("File not found on server:", filePath);
-      return res.status(404).json({ message: "File not found on server" });
-    }
+      const evidenceFile = appeal.evidence.find(
+        (file) => file.filename === filename || file.originalName === filename
+      );
 
-    res.setHeader(
-      "Content-Type",
-      evidenceFile.mimeType || "application/octet-stream"
-    );
-    res.setHeader(
-      "Content-Disposition",
-      `attachment; filename="${
-        evidenceFile.originalName || evidenceFile.filename
-      }"`
-    );
-
-    const fileStream = fs.createReadStream(filePath);
-    fileStream.pipe(res);
-  } catch (error) {
-    console.error("Admin download evidence error:", error);
-    res.status(500).json({ message: "Server error while downloading file" });
-  }
-});
+      console.log("Evidence file found:", evidenceFile);
 
-router.get("/appeals", async (req, res) => {
-  try {
-    const {
-      page = 1,
-      limit = 10,
-      status,
-      appealType,
-      department,
-      assignedReviewer,
-      assignedAdmin,
-    } = req.query;
-    let query = {};
+      if (
+        !evidenceFile ||
+        !(await canDownloadEvidence(req.user, appeal, evidenceFile))
+      ) {
+        console.log("Evidence file not found for filename:", filename);
+        return res.status(404).json({ message: "Evidence file not found" });
+      }
 
-    if (status) query.status = status;
-    if (appealType) query.appealType = appealType;
-    if (department) {
-      const students = await User.find({ role: "student", department });
-      const studentIds = students.map((student) => student._id);
-      query.student = { $in: studentIds };
-    }
-    if (assignedReviewer) {
-      if (assignedReviewer === "unassigned") {
-        query.assignedReviewer = { $exists: false };
-      } else {
-        query.assignedReviewer = assignedReviewer;
+      if (evidenceFile.scanStatus !== "clean") {
+        return res.status(409).json({
+          message: scanBlockMessage(evidenceFile),
+          scanStatus: evidenceFile.scanStatus,
+        });
       }
-    }
-    if (assignedAdmin) {
-      if (assignedAdmin === "unassigned") {
-        query.assignedAdmin = { $exists: false };
-      } else {
-        query.assignedAdmin = assignedAdmin;
+
+      if (req.params.variant === "thumbnail") {
+        return await sendEvidenceThumbnail(req, res, evidenceFile);
       }
+
+      await sendEvidenceFile(req, res, evidenceFile);
+    } catch (error) {
+      console.error("Admin download evidence error:", error);
+      res.status(500).json({ message: "Server error while downloading file" });
     }
+  }
+);
 
-    const skip = (page - 1) * limit;
+router.get(
+  "/appeals",
+  requirePermission("appeal.view.any"),
+  async (req, res) => {
+    try {
+      const {
+        page = 1,
+        limit = 10,
+        status,
+        appealType,
+        department,
+        assignedReviewer,
+        assignedAdmin,
+      } = req.query;
+      let query = {};
+
+      if (status) query.status = status;
+      if (appealType) query.appealType = appealType;
+      if (department) {
+        const students = await User.find({ role: "student", department });
+        const studentIds = students.map((student) => student._id);
+        query.student = { $in: studentIds };
+      }
+      if (assignedReviewer) {
+        if (assignedReviewer === "unassigned") {
+          query.assignedReviewer = { $exists: false };
+        } else {
+          query.assignedReviewer = assignedReviewer;
+        }
+      }
+      if (assignedAdmin) {
+        if (assignedAdmin === "unassigned") {
+          query.assignedAdmin = { $exists: false };
+        } else {
+          query.assignedAdmin = assignedAdmin;
+        }
+      }
 
-    const appeals = await Appeal.find(query)
-      .populate("student", "firstName lastName email studentId department")
-      .populate("assignedReviewer", "firstName lastName")
-      .populate("assignedAdmin", "firstName lastName")
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit));
+      const skip = (page - 1) * limit;
 
-    const total = await Appeal.countDocuments(query);
+      const appeals = await Appeal.find(Appeal.excludeDrafts(query))
+        .populate("student", "firstName lastName email studentId department")
+        .populate("assignedReviewer", "firstName lastName")
+        .populate("assignedAdmin", "firstName lastName")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit));
 
-    res.json({
-      appeals,
-      pagination: {
-        current: parseInt(page),
-        total: Math.ceil(total / limit),
-        hasNext: page * limit < total,
-        hasPrev: page > 1,
-      },
-    });
-  } catch (error) {
-    console.error("Get appeals error:", error);
-    res.status(500).json({ message: "Server error while fetching appeals" });
+      const total = await Appeal.countDocuments(Appeal.excludeDrafts(query));
+
+      res.json({
+        appeals,
+        pagination: {
+          current: parseInt(page),
+          total: Math.ceil(total / limit),
+          hasNext: page * limit < total,
+          hasPrev: page > 1,
+        },
+      });
+    } catch (error) {
+      console.error("Get appeals error:", error);
+      res.status(500).json({ message: "Server error while fetching appeals" });
+    }
   }
-});
+);
 
-router.get("/appeals/dashboard", async (req, res) => {
-  try {
-    const statusCounts = await Appeal.aggregate([
-      {
-        $group: {
-          _id: "$status",
-          count: { $sum: 1 },
+router.get(
+  "/appeals/dashboard",
+  requirePermission("appeal.view.any"),
+  async (req, res) => {
+    try {
+      const statusCounts = await Appeal.aggregate([
+        { $match: Appeal.excludeDrafts() },
+        {
+          $group: {
+            _id: "$status",
+            count: { $sum: 1 },
+          },
         },
-      },
-    ]);
+      ]);
 
-    const typeCounts = await Appeal.aggregate([
-      {
-        $group: {
-          _id: "$appealType",
-          count: { $sum: 1 },
+      const typeCounts = await Appeal.aggregate([
+        { $match: Appeal.excludeDrafts() },
+        {
+          $group: {
+            _id: "$appealType",
+            count: { $sum: 1 },
+          },
         },
-      },
-    ]);
+      ]);
 
-    const departmentCounts = await Appeal.aggregate([
-      {
-        $lookup: {
-          from: "users",
-          localField: "student",
-          foreignField: "_id",
-          as: "studentInfo",
+      const departmentCounts = await Appeal.aggregate([
+        { $match: Appeal.excludeDrafts() },
+        {
+          $lookup: {
+            from: "users",
+            localField: "student",
+            foreignField: "_id",
+            as: "studentInfo",
+          },
         },
-      },
-      {
-        $unwind: "$studentInfo",
-      },
-      {
-        $group: {
-          _id: "$studentInfo.department",
-          count: { $sum: 1 },
+        {
+          $unwind: "$studentInfo",
         },
-      },
-    ]);
+        {
+          $group: {
+            _id: "$studentInfo.department",
+            count: { $sum: 1 },
+          },
+        },
+      ]);
 
-    const recentAppeals = await Appeal.find()
-      .populate("student", "firstName lastName email studentId department")
-      .sort({ createdAt: -1 })
-      .limit(10);
-
-    const deadlineStats = await Appeal.aggregate([
-      {
-        $facet: {
-          totalWithDeadlines: [
-            { $match: { deadline: { $exists: true, $ne: null } } },
-            { $count: "count" },
-          ],
-          overdue: [
-            { $match: { deadline: { $lt: new Date() } } },
-            { $count: "count" },
-          ],
-          dueToday: [
-            {
-              $match: {
-                deadline: {
-                  $gte: new Date(new Date().setHours(0, 0, 0, 0)),
-                  $lt: new Date(new Date().setHours(23, 59, 59, 999)),
+      const recentAppeals = await Appeal.find(Appeal.excludeDrafts())
+        .populate("student", "firstName lastName email studentId department")
+        .sort({ createdAt: -1 })
+        .limit(10);
+
+      const deadlineStats = await Appeal.aggregate([
+        { $match: Appeal.excludeDrafts() },
+        {
+          $facet: {
+            totalWithDeadlines: [
+              { $match: { deadline: { $exists: true, $ne: null } } },
+              { $count: "count" },
+            ],
+            overdue: [
+              { $match: { deadline: { $lt: new Date() } } },
+              { $count: "count" },
+            ],
+            dueToday: [
+              {
+                $match: {
+                  deadline: {
+                    $gte: new Date(new Date().setHours(0, 0, 0, 0)),
+                    $lt: new Date(new Date().setHours(23, 59, 59, 999)),
+                  },
                 },
               },
-            },
-            { $count: "count" },
-          ],
-          dueThisWeek: [
-            {
-              $match: {
-                deadline: {
-                  $gte: new Date(),
-                  $lte: new Date(new Date().setDate(new Date().getDate() + 7)),
+              { $count: "count" },
+            ],
+            dueThisWeek: [
+              {
+                $match: {
+                  deadline: {
+                    $gte: new Date(),
+                    $lte: new Date(
+                      new Date().setDate(new Date().getDate() + 7)
+                    ),
+                  },
                 },
               },
-            },
-            { $count: "count" },
-          ],
+              { $count: "count" },
+            ],
+          },
         },
-      },
-    ]);
-
-    const totalAppeals = await Appeal.countDocuments({});
+      ]);
+
+      const totalAppeals = await Appeal.countDocuments(Appeal.excludeDrafts());
+
+      const statusSummary = {
+        submitted: 0,
+        "under review": 0,
+        "awaiting information": 0,
+        "decision made": 0,
+        resolved: 0,
+        rejected: 0,
+        withdrawn: 0,
+      };
 
-    const statusSummary = {
-      submitted: 0,
-      "under review": 0,
-      "awaiting information": 0,
-      "decision made": 0,
-      resolved: 0,
-      rejected: 0,
-    };
+      statusCounts.forEach((item) => {
+        statusSummary[item._id] = item.count;
+      });
 
-    statusCounts.forEach((item) => {
-      statusSummary[item._id] = item.count;
-    });
+      const deadlineSummary = {
+        totalWithDeadlines: deadlineStats[0]?.totalWithDeadlines[0]?.count || 0,
+        overdue: deadlineStats[0]?.overdue[0]?.count || 0,
+        dueToday: deadlineStats[0]?.dueToday[0]?.count || 0,
+        dueThisWeek: deadlineStats[0]?.dueThisWeek[0]?.count || 0,
+      };
 
-    const deadlineSummary = {
-      totalWithDeadlines: deadlineStats[0]?.totalWithDeadlines[0]?.count || 0,
-      overdue: deadlineStats[0]?.overdue[0]?.count || 0,
-      dueToday: deadlineStats[0]?.dueToday[0]?.count || 0,
-      dueThisWeek: deadlineStats[0]?.dueThisWeek[0]?.count || 0,
-    };
-
-    const assignmentStats = await Appeal.aggregate([
-      {
-        $facet: {
-          assignedToReviewer: [
-            { $match: { assignedReviewer: { $exists: true, $ne: null } } },
-            { $count: "count" },
-          ],
-          assignedToAdmin: [
-            { $match: { assignedAdmin: { $exists: true, $ne: null } } },
-            { $count: "count" },
-          ],
-          unassigned: [
-            {
-              $match: {
-                assignedReviewer: { $exists: false },
-                assignedAdmin: { $exists: false },
+      const assignmentStats = await Appeal.aggregate([
+        { $match: Appeal.excludeDrafts() },
+        {
+          $facet: {
+            assignedToReviewer: [
+              { $match: { assignedReviewer: { $exists: true, $ne: null } } },
+              { $count: "count" },
+            ],
+            assignedToAdmin: [
+              { $match: { assignedAdmin: { $exists: true, $ne: null } } },
+              { $count: "count" },
+            ],
+            unassigned: [
+              {
+                $match: {
+                  assignedReviewer: { $exists: false },
+                  assignedAdmin: { $exists: false },
+                },
               },
-            },
-            { $count: "count" },
-          ],
+              { $count: "count" },
+            ],
+          },
         },
-      },
-    ]);
+      ]);
 
-    const assignmentSummary = {
-      assignedToReviewer: assignmentStats[0]?.assignedToReviewer[0]?.count || 0,
-      assignedToAdmin: assignmentStats[0]?.assignedToAdmin[0]?.count || 0,
-      unassigned: assignmentStats[0]?.unassigned[0]?.count || 0,
-    };
+      const assignmentSummary = {
+        assignedToReviewer:
+          assignmentStats[0]?.assignedToReviewer[0]?.count || 0,
+        assignedToAdmin: assignmentStats[0]?.assignedToAdmin[0]?.count || 0,
+        unassigned: assignmentStats[0]?.unassigned[0]?.count || 0,
+      };
 
-    res.json({
-      statusSummary,
-      typeCounts,
-      departmentCounts,
-      recentAppeals,
-      deadlineSummary,
-      assignmentSummary,
-      total: totalAppeals,
-    });
-  } catch (error) {
-    console.error("Dashboard error:", error);
-    res
-      .status(500)
-      .json({ message: "Server error while fetching dashboard data" });
+      res.json({
+        statusSummary,
+        typeCounts,
+        departmentCounts,
+        recentAppeals,
+        deadlineSummary,
+        assignmentSummary,
+        total: totalAppeals,
+      });
+    } catch (error) {
+      console.error("Dashboard error:", error);
+      res
+        .status(500)
+        .json({ message: "Server error while fetching dashboard data" });
+    }
   }
-});
+);
 
-router.get("/appeals/search", async (req, res) => {
-  try {
-    const {
-      status,
-      appealType,
-      grounds,
-      academicYear,
-      semester,
-      department,
-      assignedReviewer,
-      assignedAdmin,
-      page = 1,
-      limit = 10,
-    } = req.query;
+router.get(
+  "/appeals/search",
+  requirePermission("appeal.view.any"),
+  async (req, res) => {
+    try {
+      const {
+        status,
+        appealType,
+        grounds,
+        academicYear,
+        semester,
+        department,
+        assignedReviewer,
+        assignedAdmin,
+        page = 1,
+        limit = 10,
+      } = req.query;
+
+      let query = {};
+
+      if (status) query.status = status;
+      if (appealType) query.appealType = appealType;
+      if (grounds) query.grounds = { $in: [grounds] };
+      if (academicYear) query.academicYear = academicYear;
+      if (semester) query.semester = semester;
+      if (department) {
+        const students = await User.find({ role: "student", department });
+        const studentIds = students.map((student) => student._id);
+        query.student = { $in: studentIds };
+      }
+      if (assignedReviewer) {
+        if (assignedReviewer === "unassigned") {
+          query.assignedReviewer = { $exists: false };
+        } else {
+          query.assignedReviewer = assignedReviewer;
+        }
+      }
+      if (assignedAdmin) {
+        if (assignedAdmin === "unassigned") {
+          query.assignedAdmin = { $exists: false };
+        } else {
+          query.assignedAdmin = assignedAdmin;
+        }
+      }
 
-    let query = {};
+      const skip = (page - 1) * limit;
 
-    if (status) query.status = status;
-    if (appealType) query.appealType = appealType;
-    if (grounds) query.grounds = { $in: [grounds] };
-    if (academicYear) query.academicYear = academicYear;
-    if (semester) query.semester = semester;
-    if (department) {
-      const students = await User.find({ role: "student", department });
-      const studentIds = students.map((student) => student._id);
-      query.student = { $in: studentIds };
-    }
-    if (assignedReviewer) {
-      if (assignedReviewer === "unassigned") {
-        query.assignedReviewer = { $exists: false };
-      } else {
-        query.assignedReviewer = assignedReviewer;
-      }
+      const appeals = await Appeal.find(Appeal.excludeDrafts(query))
+        .populate("student", "firstName lastName email studentId department")
+        .populate("assignedReviewer", "firstName lastName")
+        .populate("assignedAdmin", "firstName lastName")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit));
+
+      const total = await Appeal.countDocuments(Appeal.excludeDrafts(query));
+
+      res.json({
+        appeals,
+        pagination: {
+          current: parseInt(page),
+          total: Math.ceil(total / limit),
+          hasNext: page * limit < total,
+          hasPrev: page > 1,
+        },
+      });
+    } catch (error) {
+      console.error("Search error:", error);
+      res.status(500).json({ message: "Server error while searching appeals" });
     }
-    if (assignedAdmin) {
-      if (assignedAdmin === "unassigned") {
-        query.assignedAdmin = { $exists: false };
-      } else {
-        query.assignedAdmin = assignedAdmin;
+  }
+);
+
+router.get(
+  "/appeals/deadlines",
+  requirePermission("appeal.view.any"),
+  async (req, res) => {
+    try {
+      const { days = 7, status, department } = req.query;
+
+      const now = new Date();
+      const futureDate = new Date();
+      futureDate.setDate(futureDate.getDate() + parseInt(days));
+
+      let query = {
+        deadline: { $exists: true, $ne: null },
+        deadline: { $gte: now, $lte: futureDate },
+      };
+
+      if (status) query.status = status;
+      if (department) {
+        const students = await User.find({ role: "student", department });
+        const studentIds = students.map((student) => student._id);
+        query.student = { $in: studentIds };
       }
-    }
 
-    const skip = (page - 1) * limit;
+      const appeals = await Appeal.find(Appeal.excludeDrafts(query))
+        .populate("student", "firstName lastName email studentId department")
+        .populate("assignedReviewer", "firstName lastName")
+        .populate("assignedAdmin", "firstName lastName");
 
-    const appeals = await Appeal.find(query)
-      .populate("student", "firstName lastName email studentId department")
-      .populate("assignedReviewer", "firstName lastName")
-      .populate("assignedAdmin", "firstName lastName")
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit));
+      const today = new Date();
+      today.setHours(0, 0, 0, 0);
 
-    const total = await Appeal.countDocuments(query);
+      const tomorrow = new Date(today);
+      tomorrow.setDate(tomorrow.getDate() + 1);
 
-    res.json({
-      appeals,
-      pagination: {
-        current: parseInt(page),
-        total: Math.ceil(total / limit),
-        hasNext: page * limit < total,
-        hasPrev: page > 1,
-      },
-    });
-  } catch (error) {
-    console.error("Search error:", error);
-    res.status(500).json({ message: "Server error while searching appeals" });
-  }
-});
+      const nextWeek = new Date(today);
+      nextWeek.setDate(nextWeek.getDate() + 7);
 
-router.get("/appeals/:id", async (req, res) => {
-  try {
-    const appeal = await Appeal.findById(req.params.id)
-      .populate("student", "firstName lastName email studentId department")
-      .populate("assignedReviewer", "firstName lastName")
-      .populate("assignedAdmin", "firstName lastName")
-      .populate("timeline.performedBy", "firstName lastName role")
-      .populate("notes.author", "firstName lastName role");
-
-    if (!appeal) {
-      return res.status(404).json({ message: "Appeal not found" });
+      const groupedAppeals = {
+        overdue: [],
+        today: [],
+        tomorrow: [],
+        thisWeek: [],
+        upcoming: [],
+      };
+
+      appeals.forEach((appeal) => {
+        const deadlineDate = new Date(appeal.deadline);
+        deadlineDate.setHours(0, 0, 0, 0);
+
+        if (deadlineDate < today) {
+          groupedAppeals.overdue.push(appeal);
+        } else if (deadlineDate.getTime() === today.getTime()) {
+          groupedAppeals.today.push(appeal);
+        } else if (deadlineDate.getTime() === tomorrow.getTime()) {
+          groupedAppeals.tomorrow.push(appeal);
+        } else if (deadlineDate <= nextWeek) {
+          groupedAppeals.thisWeek.push(appeal);
+        } else {
+          groupedAppeals.upcoming.push(appeal);
+        }
+      });
+
+      res.json({
+        days: parseInt(days),
+        total: appeals.length,
+        grouped: groupedAppeals,
+        summary: {
+          overdue: groupedAppeals.overdue.length,
+          today: groupedAppeals.today.length,
+          tomorrow: groupedAppeals.tomorrow.length,
+          thisWeek: groupedAppeals.thisWeek.length,
+          upcoming: groupedAppeals.upcoming.length,
+        },
+      });
+    } catch (error) {
+      console.error("Get deadlines error:", error);
+      res
+        .status(500)
+        .json({ message: "Server error while fetching deadlines" });
     }
+  }
+);
 
-    res.json({ appeal });
-  } catch (error) {
-    console.error("Get appeal error:", error);
-    res.status(500).json({ message: "Server error while fetching appeal" });
+router.get(
+  "/appeals/:id",
+  requirePermission("appeal.view.any"),
+  async (req, res) => {
+    try {
+      const appeal = await Appeal.findOne(
+        Appeal.excludeDrafts({ _id: req.params.id })
+      )
+        .populate("student", "firstName lastName email studentId department")
+        .populate("assignedReviewer", "firstName lastName")
+        .populate("assignedAdmin", "firstName lastName")
+        .populate("timeline.performedBy", "firstName lastName role")
+        .populate("notes.author", "firstName lastName role")
+        .populate("panel.members", "firstName lastName")
+        .populate("panel.chair", "firstName lastName")
+        .populate("panel.recommendations.reviewer", "firstName lastName");
+
+      if (!appeal || !(await canViewAppeal(req.user, appeal))) {
+        return res.status(404).json({ message: "Appeal not found" });
+      }
+
+      res.json({
+        appeal,
+        panelOutcome: panelOutcome(appeal, await getPanelSettings()),
+      });
+    } catch (error) {
+      console.error("Get appeal error:", error);
+      res.status(500).json({ message: "Server error while fetching appeal" });
+    }
   }
-});
+);
 
 router.put(
   "/appeals/:id/assign",
+  requirePermission("appeal.view.any", "appeal.assign"),
   [
     body("assignedReviewer")
       .optional()
@@ -400,14 +605,26 @@ router.put(
         return res.status(400).json({ errors: errors.array() });
       }
 
-      const appeal = await Appeal.findById(req.params.id);
-      if (!appeal) {
+      const appeal = await Appeal.findOne(
+        Appeal.excludeDrafts({ _id: req.params.id })
+      );
+      if (
+        !appeal ||
+        !(await canEditAppeal(req.user, appeal, "appeal.assign"))
+      ) {
         return res.status(404).json({ message: "Appeal not found" });
       }
 
       const { assignedReviewer, assignedAdmin, priority } = req.body;
       const updates = {};
 
+      if (assignedReviewer !== undefined && appeal.hasPanel()) {
+        return res.status(409).json({
+          message:
+            "This appeal has a review panel; change the panel chair instead",
+        });
+      }
+
       if (assignedReviewer !== undefined)
         updates.assignedReviewer = assignedReviewer;
       if (assignedAdmin !== undefined) updates.assignedAdmin = assignedAdmin;
@@ -437,11 +654,9 @@ router.put(
         timelineEntry.description += ` - Priority set to ${priority}`;
       }
 
-      updates.timeline = [...appeal.timeline, timelineEntry];
-
       const updatedAppeal = await Appeal.findByIdAndUpdate(
         req.params.id,
-        updates,
+        { $set: updates, $push: { timeline: timelineEntry } },
         { new: true, runValidators: true }
       )
         .populate("student", "firstName lastName email studentId")
@@ -461,20 +676,186 @@ router.put(
   }
 );
 
-router.get("/users", async (req, res) => {
-  try {
-    const { role, department, page = 1, limit = 10 } = req.query;
-    let query = {};
+router.put(
+  "/appeals/:id/panel",
+  requirePermission("appeal.view.any", "appeal.assign"),
+  [
+    body("members")
+      .isArray({ min: 1 })
+      .withMessage("At least one panel member is required"),
+    body("members.*").isMongoId().withMessage("Invalid panel member ID"),
+    body("chair").isMongoId().withMessage("Valid panel chair is required"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
 
-    if (role) query.role = role;
-    if (department) query.department = department;
+      const appeal = await Appeal.findOne(
+        Appeal.excludeDrafts({ _id: req.params.id })
+      );
+      if (
+        !appeal ||
+        !(await canEditAppeal(req.user, appeal, "appeal.assign"))
+      ) {
+        return res.status(404).json({ message: "Appeal not found" });
+      }
 
-    const skip = (page - 1) * limit;
+      if (
+        Appeal.CLOSED_STATUSES.includes(appeal.status) ||
+        (appeal.decision && appeal.decision.outcome)
+      ) {
+        return res.status(409).json({
+          message: "The panel cannot be changed after the appeal is decided",
+        });
+      }
 
-    const users = await User.find(query)
-      .select("-password")
-      .sort({ createdAt: -1 })
-      .skip(skip)
+      const members = [...new Set(req.body.members)];
+      const { chair } = req.body;
+      const settings = await getPanelSettings();
+
+      if (members.length < settings.minimumSize) {
+        return res.status(400).json({
+          message: `A review panel needs at least ${settings.minimumSize} members`,
+        });
+      }
+
+      if (!members.includes(chair)) {
+        return res
+          .status(400)
+          .json({ message: "The panel chair must be a panel member" });
+      }
+
+      // Members record recommendations, so they need to decide appeals.
+      const decidingRoles = await rolesWithPermission("appeal.decide");
+      const reviewerRoles = (
+        await rolesWithPermission("appeal.view.assigned")
+      ).filter((role) => decidingRoles.includes(role));
+
+      const eligible = await User.countDocuments({
+        _id: { $in: members },
+        role: { $in: reviewerRoles },
+        isActive: true,
+      });
+      if (eligible !== members.length) {
+        return res.status(400).json({
+          message: "Panel members must be active reviewers",
+        });
+      }
+
+      const previousMembers = appeal.panel.members.map((member) =>
+        member.toString()
+      );
+
+      appeal.panel.members = members;
+      appeal.panel.chair = chair;
+      appeal.panel.assignedBy = req.user._id;
+      appeal.panel.assignedAt = new Date();
+      // Recommendations of members who leave the panel no longer count.
+      appeal.panel.recommendations = appeal.panel.recommendations.filter(
+        (recommendation) => members.includes(recommendation.reviewer.toString())
+      );
+      appeal.assignedReviewer = chair;
+
+      appeal.timeline.push({
+        action: previousMembers.length > 0 ? "Panel updated" : "Panel assigned",
+        description: `Review panel of ${members.length} assigned by admin: ${req.user.firstName} ${req.user.lastName}`,
+        performedBy: req.user._id,
+      });
+
+      await appeal.save();
+
+      await Notification.notifyUsers(
+        members.filter((member) => !previousMembers.includes(member)),
+        {
+          appeal: appeal._id,
+          type: "panel_assigned",
+          message: `You have been added to the review panel for appeal ${appeal.appealId}`,
+        }
+      );
+
+      await appeal.populate([
+        { path: "student", select: "firstName lastName email studentId" },
+        { path: "assignedReviewer", select: "firstName lastName" },
+        { path: "assignedAdmin", select: "firstName lastName" },
+        { path: "panel.members", select: "firstName lastName" },
+        { path: "panel.chair", select: "firstName lastName" },
+      ]);
+
+      res.json({
+        message: "Review panel assigned successfully",
+        appeal,
+        panelOutcome: panelOutcome(appeal, settings),
+      });
+    } catch (error) {
+      console.error("Panel assignment error:", error);
+      res.status(500).json({ message: "Server error during panel assignment" });
+    }
+  }
+);
+
+router.delete(
+  "/appeals/:id/panel",
+  requirePermission("appeal.view.any", "appeal.assign"),
+  async (req, res) => {
+    try {
+      const appeal = await Appeal.findOne(
+        Appeal.excludeDrafts({ _id: req.params.id })
+      );
+      if (
+        !appeal ||
+        !(await canEditAppeal(req.user, appeal, "appeal.assign"))
+      ) {
+        return res.status(404).json({ message: "Appeal not found" });
+      }
+
+      if (!appeal.hasPanel()) {
+        return res
+          .status(404)
+          .json({ message: "This appeal has no review panel" });
+      }
+
+      if (appeal.decision && appeal.decision.outcome) {
+        return res.status(409).json({
+          message: "The panel cannot be removed after the appeal is decided",
+        });
+      }
+
+      // The chair stays on as the appeal's single reviewer.
+      appeal.panel = { members: [], recommendations: [] };
+
+      appeal.timeline.push({
+        action: "Panel removed",
+        description: `Review panel removed by admin: ${req.user.firstName} ${req.user.lastName}`,
+        performedBy: req.user._id,
+      });
+
+      await appeal.save();
+
+      res.json({ message: "Review panel removed successfully" });
+    } catch (error) {
+      console.error("Panel removal error:", error);
+      res.status(500).json({ message: "Server error during panel removal" });
+    }
+  }
+);
+
+router.get("/users", requirePermission("user.manage"), async (req, res) => {
+  try {
+    const { role, department, page = 1, limit = 10 } = req.query;
+    let query = {};
+
+    if (role) query.role = role;
+    if (department) query.department = department;
+
+    const skip = (page - 1) * limit;
+
+    const users = await User.find(query)
+      .select("-password")
+      .sort({ createdAt: -1 })
+      .skip(skip)
       .limit(parseInt(limit));
 
     const total = await User.countDocuments(query);
@@ -494,68 +875,118 @@ router.get("/users", async (req, res) => {
   }
 });
 
-router.get("/users/reviewers", async (req, res) => {
-  try {
-    const reviewers = await User.find({ role: "reviewer", isActive: true })
-      .select("-password")
-      .sort({ firstName: 1, lastName: 1 });
+router.get(
+  "/users/reviewers",
+  requirePermission("appeal.assign"),
+  async (req, res) => {
+    try {
+      const reviewers = await User.find({
+        role: { $in: await rolesWithPermission("appeal.view.assigned") },
+        isActive: true,
+      })
+        .select("-password")
+        .sort({ firstName: 1, lastName: 1 });
 
-    res.json({ reviewers });
-  } catch (error) {
-    console.error("Get reviewers error:", error);
-    res.status(500).json({ message: "Server error while fetching reviewers" });
+      res.json({ reviewers });
+    } catch (error) {
+      console.error("Get reviewers error:", error);
+      res
+        .status(500)
+        .json({ message: "Server error while fetching reviewers" });
+    }
   }
-});
+);
 
-router.get("/users/stats", async (req, res) => {
-  try {
-    const userStats = await User.aggregate([
-      {
-        $group: {
-          _id: "$role",
-          count: { $sum: 1 },
-          active: {
-            $sum: { $cond: ["$isActive", 1, 0] },
+router.get(
+  "/users/stats",
+  requirePermission("report.view"),
+  async (req, res) => {
+    try {
+      const userStats = await User.aggregate([
+        {
+          $group: {
+            _id: "$role",
+            count: { $sum: 1 },
+            active: {
+              $sum: { $cond: ["$isActive", 1, 0] },
+            },
           },
         },
-      },
-    ]);
+      ]);
 
-    const appealStats = await Appeal.aggregate([
-      {
-        $group: {
-          _id: "$status",
-          count: { $sum: 1 },
+      const appealStats = await Appeal.aggregate([
+        { $match: Appeal.excludeDrafts() },
+        {
+          $group: {
+            _id: "$status",
+            count: { $sum: 1 },
+          },
         },
-      },
-    ]);
+      ]);
 
-    const totalUsers = userStats.reduce((sum, stat) => sum + stat.count, 0);
-    const totalAppeals = appealStats.reduce((sum, stat) => sum + stat.count, 0);
+      const totalUsers = userStats.reduce((sum, stat) => sum + stat.count, 0);
+      const totalAppeals = appealStats.reduce(
+        (sum, stat) => sum + stat.count,
+        0
+      );
 
-    res.json({
-      users: {
-        total: totalUsers,
-        byRole: userStats,
-      },
-      appeals: {
-        total: totalAppeals,
-        byStatus: appealStats,
-      },
-    });
-  } catch (error) {
-    console.error("Stats error:", error);
-    res.status(500).json({ message: "Server error while fetching statistics" });
+      res.json({
+        users: {
+          total: totalUsers,
+          byRole: userStats,
+        },
+        appeals: {
+          total: totalAppeals,
+          byStatus: appealStats,
+        },
+      });
+    } catch (error) {
+      console.error("Stats error:", error);
+      res
+        .status(500)
+        .json({ message: "Server error while fetching statistics" });
+    }
   }
-});
+);
 
-router.put(
-  "/users/:id",
+router.get(
+  "/users/invitations",
+  requirePermission("user.manage"),
+  async (req, res) => {
+    try {
+      const invitations = await Invitation.find(Invitation.pending())
+        .populate("invitedBy", "firstName lastName email")
+        .sort({ createdAt: -1 });
+
+      res.json({ invitations });
+    } catch (error) {
+      console.error("Get invitations error:", error);
+      res
+        .status(500)
+        .json({ message: "Server error while fetching invitations" });
+    }
+  }
+);
+
+router.post(
+  "/users/invitations",
+  requirePermission("user.manage"),
   [
-    body("firstName").optional().trim(),
-    body("lastName").optional().trim(),
+    body("email").isEmail().normalizeEmail(),
+    body("role").trim().notEmpty().withMessage("Role is required"),
+    body("firstName").trim().notEmpty().withMessage("First name is required"),
+    body("lastName").trim().notEmpty().withMessage("Last name is required"),
+    body("department")
+      .if(body("role").equals("admin"))
+      .trim()
+      .notEmpty()
+      .withMessage("Department is required for admin accounts"),
     body("department").optional().trim(),
-    body("isActive").optional().isBoolean(),
+    body("institutionWide")
+      .optional()
+      .isBoolean()
+      .withMessage("institutionWide must be true or false")
+      .toBoolean(),
   ],
   async (req, res) => {
     try {
@@ -564,161 +995,487 @@ router.put(
         return res.status(400).json({ errors: errors.array() });
       }
 
-      const user = await User.findById(req.params.id);
-      if (!user) {
-        return res.status(404).json({ message: "User not found" });
+      const { email, role, firstName, lastName, department, institutionWide } =
+        req.body;
+
+      if (institutionWide && !req.user.institutionWide) {
+        return res.status(403).json({
+          message:
+            "Only institution-wide admins can grant institution-wide access",
+        });
       }
 
-      const { firstName, lastName, department, isActive } = req.body;
-      const updates = {};
+      // Students register themselves; any other role can be invited.
+      const invitedRole = await Role.findOne({ name: role });
+      if (!invitedRole || role === "student") {
+        return res.status(400).json({ message: "Invalid role" });
+      }
 
-      if (firstName) updates.firstName = firstName;
-      if (lastName) updates.lastName = lastName;
-      if (department) updates.department = department;
-      if (typeof isActive === "boolean") updates.isActive = isActive;
+      const existingUser = await User.findOne({ email });
+      if (existingUser) {
+        return res
+          .status(409)
+          .json({ message: "User with this email already exists" });
+      }
 
-      const updatedUser = await User.findByIdAndUpdate(req.params.id, updates, {
-        new: true,
-        runValidators: true,
-      }).select("-password");
+      const existingInvitation = await Invitation.findOne(
+        Invitation.pending({ email, expiresAt: { $gt: new Date() } })
+      );
+      if (existingInvitation) {
+        return res.status(409).json({
+          message:
+            "An invitation is already pending for this email. Revoke it to send a new one.",
+          invitation: existingInvitation,
+        });
+      }
 
-      res.json({
-        message: "User updated successfully",
-        user: updatedUser,
+      const invitation = new Invitation({
+        email,
+        role,
+        firstName,
+        lastName,
+        department: department || undefined,
+        institutionWide: Boolean(institutionWide),
+        invitedBy: req.user._id,
+      });
+      const token = invitation.createToken();
+      await invitation.save();
+
+      let emailSent = true;
+      try {
+        await sendMail({
+          to: email,
+          subject: "You have been invited to Student Appeal Manager",
+          text: [
+            `Hello ${firstName},`,
+            `${req.user.firstName} ${req.user.lastName} has invited you to join Student Appeal Manager with the ${invitedRole.label} role. Use the link below to set your password and activate your account:`,
+            appUrl("/accept-invite", { token }),
+            `The invitation expires at ${invitation.expiresAt.toUTCString()}.`,
+          ].join("\n\n"),
+        });
+      } catch (error) {
+        emailSent = false;
+        console.error("Invitation email error:", error);
+      }
+
+      res.status(201).json({
+        message: emailSent
+          ? "Invitation sent successfully"
+          : "Invitation created, but the email could not be sent",
+        emailSent,
+        invitation,
       });
     } catch (error) {
-      console.error("Update user error:", error);
-      res.status(500).json({ message: "Server error while updating user" });
+      console.error("Create invitation error:", error);
+      res
+        .status(500)
+        .json({ message: "Server error while creating invitation" });
     }
   }
 );
 
-router.delete("/users/:id", async (req, res) => {
-  try {
-    const user = await User.findById(req.params.id);
-    if (!user) {
-      return res.status(404).json({ message: "User not found" });
-    }
+router.delete(
+  "/users/invitations/:invitationId",
+  requirePermission("user.manage"),
+  async (req, res) => {
+    try {
+      const invitation = await Invitation.findOneAndUpdate(
+        Invitation.pending({ _id: req.params.invitationId }),
+        { revokedAt: new Date(), revokedBy: req.user._id },
+        { new: true }
+      );
+
+      if (!invitation) {
+        return res
+          .status(404)
+          .json({ message: "Pending invitation not found" });
+      }
 
-    if (user._id.toString() === req.user._id.toString()) {
-      return res
-        .status(400)
-        .json({ message: "Cannot deactivate your own account" });
+      res.json({ message: "Invitation revoked successfully", invitation });
+    } catch (error) {
+      console.error("Revoke invitation error:", error);
+      res
+        .status(500)
+        .json({ message: "Server error while revoking invitation" });
     }
+  }
+);
+
+router.get(
+  "/users/lockouts",
+  requirePermission("user.manage"),
+  async (req, res) => {
+    try {
+      const now = new Date();
+      const query = { expiresAt: { $gt: now } };
+      if (req.query.all !== "true") query.lockedUntil = { $gt: now };
+      if (req.query.kind) query.kind = req.query.kind;
 
-    user.isActive = false;
-    await user.save();
+      const throttles = await LoginThrottle.find(query).sort({
+        lastFailureAt: -1,
+      });
 
-    res.json({ message: "User deactivated successfully" });
-  } catch (error) {
-    console.error("Deactivate user error:", error);
-    res.status(500).json({ message: "Server error while deactivating user" });
+      res.json({
+        lockouts: throttles.map((throttle) => describeThrottle(throttle, now)),
+      });
+    } catch (error) {
+      console.error("Get lockouts error:", error);
+      res.status(500).json({ message: "Server error while fetching lockouts" });
+    }
   }
-});
+);
 
-router.put(
-  "/appeals/:id/priority",
-  [
-    body("priority")
-      .isIn(["low", "medium", "high", "urgent"])
-      .withMessage("Valid priority is required"),
-  ],
+router.delete(
+  "/users/lockouts/:lockoutId",
+  requirePermission("user.manage"),
   async (req, res) => {
     try {
-      const errors = validationResult(req);
-      if (!errors.isEmpty()) {
-        return res.status(400).json({ errors: errors.array() });
-      }
-
-      const appeal = await Appeal.findById(req.params.id);
-      if (!appeal) {
-        return res.status(404).json({ message: "Appeal not found" });
+      const throttle = await LoginThrottle.findByIdAndDelete(
+        req.params.lockoutId
+      );
+      if (!throttle) {
+        return res.status(404).json({ message: "Lockout not found" });
       }
 
-      const { priority } = req.body;
-
-      const timelineEntry = {
-        action: "Priority updated",
-        description: `Priority changed to ${priority} by admin: ${req.user.firstName} ${req.user.lastName}`,
-        performedBy: req.user._id,
-      };
+      res.json({
+        message: "Lockout cleared successfully",
+        lockout: { kind: throttle.kind, identifier: throttle.identifier },
+      });
+    } catch (error) {
+      console.error("Clear lockout error:", error);
+      res.status(500).json({ message: "Server error while clearing lockout" });
+    }
+  }
+);
 
-      const updatedAppeal = await Appeal.findByIdAndUpdate(
-        req.params.id,
-        {
-          priority,
-          timeline: [...appeal.timeline, timelineEntry],
-        },
-        { new: true, runValidators: true }
-      )
-        .populate("student", "firstName lastName email studentId")
-        .populate("assignedReviewer", "firstName lastName")
-        .populate("assignedAdmin", "firstName lastName");
+router.get(
+  "/users/:id/login-history",
+  requirePermission("user.manage"),
+  async (req, res) => {
+    try {
+      const user = await User.findById(req.params.id).select(
+        "email loginHistory"
+      );
+      if (!user) {
+        return res.status(404).json({ message: "User not found" });
+      }
 
       res.json({
-        message: "Appeal priority updated successfully",
-        appeal: updatedAppeal,
+        user: { _id: user._id, email: user.email },
+        loginHistory: [...user.loginHistory].reverse(),
       });
     } catch (error) {
-      console.error("Priority update error:", error);
-      res.status(500).json({ message: "Server error during priority update" });
+      console.error("Get login history error:", error);
+      res
+        .status(500)
+        .json({ message: "Server error while fetching login history" });
     }
   }
 );
 
-router.put(
-  "/appeals/:id/status",
-  [
-    body("status")
-      .isIn([
-        "submitted",
-        "under review",
-        "awaiting information",
-        "decision made",
-        "resolved",
-        "rejected",
-      ])
-      .withMessage("Valid status is required"),
-    body("notes").optional().trim(),
-  ],
+// Staff accounts are not linked to single sign-on by email automatically;
+// this lets the account's next sign-in through the identity provider link it.
+router.post(
+  "/users/:id/oidc-link",
+  requirePermission("user.manage"),
   async (req, res) => {
     try {
-      const errors = validationResult(req);
-      if (!errors.isEmpty()) {
-        return res.status(400).json({ errors: errors.array() });
+      const user = await User.findById(req.params.id);
+      if (!user) {
+        return res.status(404).json({ message: "User not found" });
       }
 
-      const appeal = await Appeal.findById(req.params.id);
-      if (!appeal) {
-        return res.status(404).json({ message: "Appeal not found" });
+      if (user.oidc && user.oidc.subject) {
+        return res
+          .status(400)
+          .json({ message: "Account is already linked to single sign-on" });
       }
 
-      const { status, notes } = req.body;
+      user.oidc = { linkAllowedAt: new Date() };
+      await user.save();
 
-      const timelineEntry = {
+      res.json({
+        message:
+          "The account will be linked on its next single sign-on with a matching email",
+      });
+    } catch (error) {
+      console.error("Allow single sign-on link error:", error);
+      res
+        .status(500)
+        .json({ message: "Server error while allowing single sign-on" });
+    }
+  }
+);
+
+router.put(
+  "/users/:id",
+  requirePermission("user.manage"),
+  [
+    body("firstName").optional().trim(),
+    body("lastName").optional().trim(),
+    body("department").optional().trim(),
+    body("isActive").optional().isBoolean(),
+    body("role").optional().trim().notEmpty().withMessage("Invalid role"),
+    body("institutionWide")
+      .optional()
+      .isBoolean()
+      .withMessage("institutionWide must be true or false")
+      .toBoolean(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const user = await User.findById(req.params.id);
+      if (!user) {
+        return res.status(404).json({ message: "User not found" });
+      }
+
+      const {
+        firstName,
+        lastName,
+        department,
+        isActive,
+        role,
+        institutionWide,
+      } = req.body;
+      const updates = {};
+
+      // Otherwise a department-scoped admin could widen their own or
+      // another admin's access.
+      if (
+        !req.user.institutionWide &&
+        (institutionWide !== undefined ||
+          (department && user.role !== "student"))
+      ) {
+        return res.status(403).json({
+          message:
+            "Only institution-wide admins can change staff departments or institution-wide access",
+        });
+      }
+
+      if (firstName) updates.firstName = firstName;
+      if (lastName) updates.lastName = lastName;
+      if (department) updates.department = department;
+      if (typeof isActive === "boolean") updates.isActive = isActive;
+      if (institutionWide !== undefined) {
+        if (user._id.toString() === req.user._id.toString()) {
+          return res.status(400).json({
+            message: "Cannot change your own institution-wide access",
+          });
+        }
+        updates.institutionWide = institutionWide;
+      }
+
+      if (role !== undefined && role !== user.role) {
+        if (user._id.toString() === req.user._id.toString()) {
+          return res
+            .status(400)
+            .json({ message: "Cannot change your own role" });
+        }
+
+        // Student accounts carry a student ID and own appeals, so they
+        // cannot be moved to staff roles or the other way round.
+        if (role === "student" || user.role === "student") {
+          return res.status(400).json({
+            message: "Only staff accounts can change role, between staff roles",
+          });
+        }
+
+        if (!(await Role.exists({ name: role }))) {
+          return res.status(400).json({ message: "Invalid role" });
+        }
+
+        if (role === "admin" && !(department || user.department)) {
+          return res
+            .status(400)
+            .json({ message: "Department is required for admin accounts" });
+        }
+
+        updates.role = role;
+      }
+
+      const updatedUser = await User.findByIdAndUpdate(req.params.id, updates, {
+        new: true,
+        runValidators: true,
+      }).select("-password");
+
+      if (updates.isActive === false) {
+        await Session.revokeForUser(updatedUser._id, "account deactivated");
+      }
+
+      res.json({
+        message: "User updated successfully",
+        user: updatedUser,
+      });
+    } catch (error) {
+      console.error("Update user error:", error);
+      res.status(500).json({ message: "Server error while updating user" });
+    }
+  }
+);
+
+router.delete(
+  "/users/:id",
+  requirePermission("user.manage"),
+  async (req, res) => {
+    try {
+      const user = await User.findById(req.params.id);
+      if (!user) {
+        return res.status(404).json({ message: "User not found" });
+      }
+
+      if (user._id.toString() === req.user._id.toString()) {
+        return res
+          .status(400)
+          .json({ message: "Cannot deactivate your own account" });
+      }
+
+      user.isActive = false;
+      await user.save();
+      await Session.revokeForUser(user._id, "account deactivated");
+
+      res.json({ message: "User deactivated successfully" });
+    } catch (error) {
+      console.error("Deactivate user error:", error);
+      res.status(500).json({ message: "Server error while deactivating user" });
+    }
+  }
+);
+
+router.put(
+  "/appeals/:id/priority",
+  requirePermission("appeal.view.any", "appeal.assign"),
+  [
+    body("priority")
+      .isIn(["low", "medium", "high", "urgent"])
+      .withMessage("Valid priority is required"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const appeal = await Appeal.findOne(
+        Appeal.excludeDrafts({ _id: req.params.id })
+      );
+      if (
+        !appeal ||
+        !(await canEditAppeal(req.user, appeal, "appeal.assign"))
+      ) {
+        return res.status(404).json({ message: "Appeal not found" });
+      }
+
+      const { priority } = req.body;
+
+      const timelineEntry = {
+        action: "Priority updated",
+        description: `Priority changed to ${priority} by admin: ${req.user.firstName} ${req.user.lastName}`,
+        performedBy: req.user._id,
+      };
+
+      const updatedAppeal = await Appeal.findByIdAndUpdate(
+        req.params.id,
+        { $set: { priority }, $push: { timeline: timelineEntry } },
+        { new: true, runValidators: true }
+      )
+        .populate("student", "firstName lastName email studentId")
+        .populate("assignedReviewer", "firstName lastName")
+        .populate("assignedAdmin", "firstName lastName");
+
+      res.json({
+        message: "Appeal priority updated successfully",
+        appeal: updatedAppeal,
+      });
+    } catch (error) {
+      console.error("Priority update error:", error);
+      res.status(500).json({ message: "Server error during priority update" });
+    }
+  }
+);
+
+router.put(
+  "/appeals/:id/status",
+  requirePermission("appeal.view.any", "appeal.status.update"),
+  [
+    body("status")
+      .isIn([
+        "submitted",
+        "under review",
+        "awaiting information",
+        "decision made",
+        "resolved",
+        "rejected",
+      ])
+      .withMessage("Valid status is required"),
+    body("notes").optional().trim(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const appeal = await Appeal.findOne(
+        Appeal.excludeDrafts({ _id: req.params.id })
+      );
+      if (
+        !appeal ||
+        !(await canEditAppeal(req.user, appeal, "appeal.status.update"))
+      ) {
+        return res.status(404).json({ message: "Appeal not found" });
+      }
+
+      const { status, notes } = req.body;
+
+      const transition = appeal.checkTransition(status, WORKFLOW_ROLE);
+      if (!transition.allowed) {
+        return res
+          .status(409)
+          .json({ message: "Illegal status transition", transition });
+      }
+
+      const timelineEntry = {
         action: "Status updated",
         description: `Status changed to ${status} by admin: ${req.user.firstName} ${req.user.lastName}`,
         performedBy: req.user._id,
       };
 
       const updates = {
-        status,
-        timeline: [...appeal.timeline, timelineEntry],
+        $set: { status },
+        $push: { timeline: timelineEntry },
       };
 
+      if (Appeal.CLOSED_STATUSES.includes(status)) {
+        updates.$set.closedAt = new Date();
+      }
+
+      // Reopening a decided appeal discards the decision, so a new one has
+      // to be recorded before it can be decided again.
+      if (appeal.status === "decision made" && status === "under review") {
+        updates.$unset = { decision: "" };
+      }
+
       if (notes) {
-        const noteEntry = {
+        updates.$push.notes = {
           content: notes,
           author: req.user._id,
           role: "admin",
           isInternal: true,
           createdAt: new Date(),
         };
-        updates.notes = [...appeal.notes, noteEntry];
       }
 
-      const updatedAppeal = await Appeal.findByIdAndUpdate(
-        req.params.id,
+      // The transition was checked against the status read above; the
+      // update only applies if no one has changed it since.
+      const updatedAppeal = await Appeal.findOneAndUpdate(
+        { _id: appeal._id, status: appeal.status },
         updates,
         { new: true, runValidators: true }
       )
@@ -727,6 +1484,13 @@ router.put(
         .populate("assignedAdmin", "firstName lastName")
         .populate("notes.author", "firstName lastName role");
 
+      if (!updatedAppeal) {
+        return res.status(409).json({
+          message:
+            "The appeal's status was changed by someone else; reload it and try again",
+        });
+      }
+
       res.json({
         message: "Appeal status updated successfully",
         appeal: updatedAppeal,
@@ -740,6 +1504,7 @@ router.put(
 
 router.post(
   "/appeals/:id/notes",
+  requirePermission("appeal.view.any", "appeal.note"),
   [
     body("content").trim().notEmpty().withMessage("Note content is required"),
     body("isInternal").optional().isBoolean(),
@@ -751,8 +1516,10 @@ router.post(
         return res.status(400).json({ errors: errors.array() });
       }
 
-      const appeal = await Appeal.findById(req.params.id);
-      if (!appeal) {
+      const appeal = await Appeal.findOne(
+        Appeal.excludeDrafts({ _id: req.params.id })
+      );
+      if (!appeal || !(await canEditAppeal(req.user, appeal, "appeal.note"))) {
         return res.status(404).json({ message: "Appeal not found" });
       }
 
@@ -774,10 +1541,7 @@ router.post(
 
       const updatedAppeal = await Appeal.findByIdAndUpdate(
         req.params.id,
-        {
-          notes: [...appeal.notes, noteEntry],
-          timeline: [...appeal.timeline, timelineEntry],
-        },
+        { $push: { notes: noteEntry, timeline: timelineEntry } },
         { new: true, runValidators: true }
       )
         .populate("student", "firstName lastName email studentId")
@@ -796,63 +1560,98 @@ router.post(
   }
 );
 
-router.delete("/appeals/:id/notes/:noteId", async (req, res) => {
-  try {
-    const { id, noteId } = req.params;
+// Loads the appeal for the admin information request routes.
+const loadAppealForAdmin = async (req, res) => {
+  const appeal = await Appeal.findOne(
+    Appeal.excludeDrafts({ _id: req.params.id })
+  );
+  if (
+    !appeal ||
+    !(await canEditAppeal(req.user, appeal, "appeal.request-information"))
+  ) {
+    res.status(404).json({ message: "Appeal not found" });
+    return null;
+  }
+  return appeal;
+};
 
-    const appeal = await Appeal.findById(id);
-    if (!appeal) {
-      return res.status(404).json({ message: "Appeal not found" });
-    }
+router.post(
+  "/appeals/:id/information-requests",
+  requirePermission("appeal.view.any", "appeal.request-information"),
+  informationRequestValidators,
+  createInformationRequest({
+    role: WORKFLOW_ROLE,
+    loadAppeal: loadAppealForAdmin,
+  })
+);
 
-    const noteIndex = appeal.notes.findIndex(
-      (note) => note._id.toString() === noteId
-    );
+router.put(
+  "/appeals/:id/information-requests/:requestId/cancel",
+  requirePermission("appeal.view.any", "appeal.request-information"),
+  cancelInformationRequest({ loadAppeal: loadAppealForAdmin })
+);
 
-    if (noteIndex === -1) {
-      return res.status(404).json({ message: "Note not found" });
-    }
+router.delete(
+  "/appeals/:id/notes/:noteId",
+  requirePermission("appeal.view.any", "appeal.note"),
+  async (req, res) => {
+    try {
+      const { id, noteId } = req.params;
 
-    const note = appeal.notes[noteIndex];
-    if (
-      note.author.toString() !== req.user._id.toString() &&
-      req.user.role !== "admin"
-    ) {
-      return res
-        .status(403)
-        .json({ message: "Not authorized to delete this note" });
-    }
+      const appeal = await Appeal.findOne(Appeal.excludeDrafts({ _id: id }));
+      if (!appeal) {
+        return res.status(404).json({ message: "Appeal not found" });
+      }
+
+      const noteIndex = appeal.notes.findIndex(
+        (note) => note._id.toString() === noteId
+      );
 
-    appeal.notes.splice(noteIndex, 1);
+      if (noteIndex === -1) {
+        return res.status(404).json({ message: "Note not found" });
+      }
 
-    const timelineEntry = {
-      action: "Admin note deleted",
-      description: `Note deleted by admin: ${req.user.firstName} ${req.user.lastName}`,
-      performedBy: req.user._id,
-    };
+      const note = appeal.notes[noteIndex];
+      if (!(await canDeleteNote(req.user, appeal, note))) {
+        return res
+          .status(403)
+          .json({ message: "Not authorized to delete this note" });
+      }
 
-    appeal.timeline.push(timelineEntry);
+      appeal.notes.splice(noteIndex, 1);
 
-    await appeal.save();
+      const timelineEntry = {
+        action: "Admin note deleted",
+        description: `Note deleted by admin: ${req.user.firstName} ${req.user.lastName}`,
+        performedBy: req.user._id,
+      };
 
-    const updatedAppeal = await Appeal.findById(id)
-      .populate("student", "firstName lastName email studentId")
-      .populate("assignedReviewer", "firstName lastName")
-      .populate("assignedAdmin", "firstName lastName")
-      .populate("notes.author", "firstName lastName role");
+      appeal.timeline.push(timelineEntry);
 
-    res.json({
-      message: "Note deleted successfully",
-      appeal: updatedAppeal,
-    });
-  } catch (error) {
-    console.error("Delete note error:", error);
-    res.status(500).json({ message: "Server error while deleting note" });
+      await appeal.save();
+
+      const updatedAppeal = await Appeal.findOne(
+        Appeal.excludeDrafts({ _id: id })
+      )
+        .populate("student", "firstName lastName email studentId")
+        .populate("assignedReviewer", "firstName lastName")
+        .populate("assignedAdmin", "firstName lastName")
+        .populate("notes.author", "firstName lastName role");
+
+      res.json({
+        message: "Note deleted successfully",
+        appeal: updatedAppeal,
+      });
+    } catch (error) {
+      console.error("Delete note error:", error);
+      res.status(500).json({ message: "Server error while deleting note" });
+    }
   }
-});
+);
 
 router.post(
   "/appeals/bulk-assign",
+  requirePermission("appeal.view.any", "appeal.assign"),
   [
     body("appealIds")
       .isArray({ min: 1 })
@@ -892,12 +1691,26 @@ router.post(
 
       for (const appealId of appealIds) {
         try {
-          const appeal = await Appeal.findById(appealId);
-          if (!appeal) {
+          const appeal = await Appeal.findOne(
+            Appeal.excludeDrafts({ _id: appealId })
+          );
+          if (
+            !appeal ||
+            !(await canEditAppeal(req.user, appeal, "appeal.assign"))
+          ) {
             errorList.push({ appealId, error: "Appeal not found" });
             continue;
           }
 
+          if (assignedReviewer !== undefined && appeal.hasPanel()) {
+            errorList.push({
+              appealId,
+              error:
+                "Appeal has a review panel; change the panel chair instead",
+            });
+            continue;
+          }
+
           const updates = {};
           if (assignedReviewer !== undefined)
             updates.assignedReviewer = assignedReviewer;
@@ -929,11 +1742,9 @@ router.post(
             timelineEntry.description += ` - Priority set to ${priority}`;
           }
 
-          updates.timeline = [...appeal.timeline, timelineEntry];
-
           const updatedAppeal = await Appeal.findByIdAndUpdate(
             appealId,
-            updates,
+            { $set: updates, $push: { timeline: timelineEntry } },
             { new: true, runValidators: true }
           )
             .populate("student", "firstName lastName email studentId")
@@ -958,299 +1769,75 @@ router.post(
   }
 );
 
-router.get("/reports/appeals", async (req, res) => {
-  try {
-    const { dateRange = "30", department, appealType } = req.query;
+router.get(
+  "/reports/appeals",
+  requirePermission("report.view"),
+  async (req, res) => {
+    try {
+      const { dateRange = "30", department, appealType } = req.query;
 
-    const endDate = new Date();
-    const startDate = new Date();
-    startDate.setDate(startDate.getDate() - parseInt(dateRange));
+      const endDate = new Date();
+      const startDate = new Date();
+      startDate.setDate(startDate.getDate() - parseInt(dateRange));
 
-    let matchStage = {
-      createdAt: { $gte: startDate, $lte: endDate },
-    };
+      let matchStage = {
+        createdAt: { $gte: startDate, $lte: endDate },
+      };
 
-    if (department) {
-      const students = await User.find({ role: "student", department });
-      const studentIds = students.map((student) => student._id);
-      matchStage.student = { $in: studentIds };
-    }
+      if (department) {
+        const students = await User.find({ role: "student", department });
+        const studentIds = students.map((student) => student._id);
+        matchStage.student = { $in: studentIds };
+      }
 
-    if (appealType) {
-      matchStage.appealType = appealType;
-    }
+      if (appealType) {
+        matchStage.appealType = appealType;
+      }
 
-    const statusCounts = await Appeal.aggregate([
-      { $match: matchStage },
-      {
-        $group: {
-          _id: "$status",
-          count: { $sum: 1 },
-        },
-      },
-    ]);
+      matchStage = Appeal.excludeDrafts(matchStage);
 
-    const typeCounts = await Appeal.aggregate([
-      { $match: matchStage },
-      {
-        $group: {
-          _id: "$appealType",
-          count: { $sum: 1 },
+      const statusCounts = await Appeal.aggregate([
+        { $match: matchStage },
+        {
+          $group: {
+            _id: "$status",
+            count: { $sum: 1 },
+          },
         },
-      },
-    ]);
+      ]);
 
-    const departmentCounts = await Appeal.aggregate([
-      { $match: matchStage },
-      {
-        $lookup: {
-          from: "users",
-          localField: "student",
-          foreignField: "_id",
-          as: "studentInfo",
-        },
-      },
-      {
-        $unwind: "$studentInfo",
-      },
-      {
-        $group: {
-          _id: "$studentInfo.department",
-          count: { $sum: 1 },
+      const typeCounts = await Appeal.aggregate([
+        { $match: matchStage },
+        {
+          $group: {
+            _id: "$appealType",
+            count: { $sum: 1 },
+          },
         },
-      },
-    ]);
+      ]);
 
-    const resolutionStats = await Appeal.aggregate([
-      {
-        $match: {
-          ...matchStage,
-          status: { $in: ["resolved", "decision made"] },
-        },
-      },
-      {
-        $addFields: {
-          resolutionTime: {
-            $divide: [
-              { $subtract: ["$updatedAt", "$createdAt"] },
-              1000 * 60 * 60 * 24,
-            ],
+      const departmentCounts = await Appeal.aggregate([
+        { $match: matchStage },
+        {
+          $lookup: {
+            from: "users",
+            localField: "student",
+            foreignField: "_id",
+            as: "studentInfo",
           },
         },
-      },
-      {
-        $group: {
-          _id: null,
-          avgResolutionTime: { $avg: "$resolutionTime" },
-          minResolutionTime: { $min: "$resolutionTime" },
-          maxResolutionTime: { $max: "$resolutionTime" },
-          totalResolved: { $sum: 1 },
-        },
-      },
-    ]);
-
-    const resolutionTimeDistribution = await Appeal.aggregate([
-      {
-        $match: {
-          ...matchStage,
-          status: { $in: ["resolved", "decision made"] },
-        },
-      },
-      {
-        $addFields: {
-          resolutionTime: {
-            $divide: [
-              { $subtract: ["$updatedAt", "$createdAt"] },
-              1000 * 60 * 60 * 24,
-            ],
-          },
-        },
-      },
-      {
-        $group: {
-          _id: {
-            $switch: {
-              branches: [
-                { case: { $lt: ["$resolutionTime", 2] }, then: "0-2 days" },
-                { case: { $lt: ["$resolutionTime", 5] }, then: "3-5 days" },
-                { case: { $lt: ["$resolutionTime", 10] }, then: "6-10 days" },
-                { case: { $gte: ["$resolutionTime", 10] }, then: "10+ days" },
-              ],
-              default: "Unknown",
-            },
-          },
-          count: { $sum: 1 },
-        },
-      },
-    ]);
-
-    const monthlyTrends = await Appeal.aggregate([
-      { $match: matchStage },
-      {
-        $group: {
-          _id: {
-            year: { $year: "$createdAt" },
-            month: { $month: "$createdAt" },
-          },
-          appeals: { $sum: 1 },
-          resolved: {
-            $sum: {
-              $cond: [
-                { $in: ["$status", ["resolved", "decision made"]] },
-                1,
-                0,
-              ],
-            },
-          },
-        },
-      },
-      {
-        $sort: { "_id.year": 1, "_id.month": 1 },
-      },
-      {
-        $limit: 12,
-      },
-    ]);
-
-    const groundsStats = await Appeal.aggregate([
-      { $match: matchStage },
-      {
-        $unwind: "$grounds",
-      },
-      {
-        $group: {
-          _id: "$grounds",
-          count: { $sum: 1 },
+        {
+          $unwind: "$studentInfo",
         },
-      },
-      {
-        $sort: { count: -1 },
-      },
-      {
-        $limit: 10,
-      },
-    ]);
-
-    const statusSummary = {
-      submitted: 0,
-      "under review": 0,
-      "awaiting information": 0,
-      "decision made": 0,
-      resolved: 0,
-      rejected: 0,
-    };
-
-    statusCounts.forEach((item) => {
-      statusSummary[item._id] = item.count;
-    });
-
-    const formattedMonthlyTrends = monthlyTrends.map((item) => ({
-      month: `${item._id.year}-${String(item._id.month).padStart(2, "0")}`,
-      appeals: item.appeals,
-      resolved: item.resolved,
-    }));
-
-    const formattedResolutionTimes = {
-      "0-2 days": 0,
-      "3-5 days": 0,
-      "6-10 days": 0,
-      "10+ days": 0,
-    };
-
-    resolutionTimeDistribution.forEach((item) => {
-      if (formattedResolutionTimes.hasOwnProperty(item._id)) {
-        formattedResolutionTimes[item._id] = item.count;
-      }
-    });
-
-    const total = Object.values(statusSummary).reduce((a, b) => a + b, 0);
-
-    res.json({
-      dateRange: parseInt(dateRange),
-      statusSummary,
-      typeCounts,
-      departmentCounts,
-      groundsStats,
-      resolutionStats: resolutionStats[0] || {
-        avgResolutionTime: 0,
-        minResolutionTime: 0,
-        maxResolutionTime: 0,
-        totalResolved: 0,
-      },
-      resolutionTimeDistribution: formattedResolutionTimes,
-      monthlyTrends: formattedMonthlyTrends,
-      total,
-
-      pendingAppeals:
-        statusSummary.submitted +
-        statusSummary["under review"] +
-        statusSummary["awaiting information"],
-      resolvedAppeals: statusSummary["decision made"] + statusSummary.resolved,
-      rejectedAppeals: statusSummary.rejected,
-    });
-  } catch (error) {
-    console.error("Reports error:", error);
-    res.status(500).json({ message: "Server error while generating reports" });
-  }
-});
-
-router.get("/reports/comprehensive", async (req, res) => {
-  try {
-    const { dateRange = "30", department, appealType } = req.query;
-
-    const endDate = new Date();
-    const startDate = new Date();
-    startDate.setDate(startDate.getDate() - parseInt(dateRange));
-
-    let matchStage = {
-      createdAt: { $gte: startDate, $lte: endDate },
-    };
-
-    if (department) {
-      const students = await User.find({ role: "student", department });
-      const studentIds = students.map((student) => student._id);
-      matchStage.student = { $in: studentIds };
-    }
-
-    if (appealType) {
-      matchStage.appealType = appealType;
-    }
-
-    const [
-      statusCounts,
-      typeCounts,
-      departmentCounts,
-      resolutionStats,
-      resolutionTimeDistribution,
-      monthlyTrends,
-      groundsStats,
-      totalCount,
-    ] = await Promise.all([
-      Appeal.aggregate([
-        { $match: matchStage },
-        { $group: { _id: "$status", count: { $sum: 1 } } },
-      ]),
-
-      Appeal.aggregate([
-        { $match: matchStage },
-        { $group: { _id: "$appealType", count: { $sum: 1 } } },
-      ]),
-
-      Appeal.aggregate([
-        { $match: matchStage },
         {
-          $lookup: {
-            from: "users",
-            localField: "student",
-            foreignField: "_id",
-            as: "studentInfo",
+          $group: {
+            _id: "$studentInfo.department",
+            count: { $sum: 1 },
           },
         },
-        { $unwind: "$studentInfo" },
-        { $group: { _id: "$studentInfo.department", count: { $sum: 1 } } },
-      ]),
+      ]);
 
-      Appeal.aggregate([
+      const resolutionStats = await Appeal.aggregate([
         {
           $match: {
             ...matchStage,
@@ -1276,9 +1863,9 @@ router.get("/reports/comprehensive", async (req, res) => {
             totalResolved: { $sum: 1 },
           },
         },
-      ]),
+      ]);
 
-      Appeal.aggregate([
+      const resolutionTimeDistribution = await Appeal.aggregate([
         {
           $match: {
             ...matchStage,
@@ -1311,9 +1898,9 @@ router.get("/reports/comprehensive", async (req, res) => {
             count: { $sum: 1 },
           },
         },
-      ]),
+      ]);
 
-      Appeal.aggregate([
+      const monthlyTrends = await Appeal.aggregate([
         { $match: matchStage },
         {
           $group: {
@@ -1333,483 +1920,1177 @@ router.get("/reports/comprehensive", async (req, res) => {
             },
           },
         },
-        { $sort: { "_id.year": 1, "_id.month": 1 } },
-        { $limit: 12 },
-      ]),
+        {
+          $sort: { "_id.year": 1, "_id.month": 1 },
+        },
+        {
+          $limit: 12,
+        },
+      ]);
 
-      Appeal.aggregate([
+      const groundsStats = await Appeal.aggregate([
         { $match: matchStage },
-        { $unwind: "$grounds" },
-        { $group: { _id: "$grounds", count: { $sum: 1 } } },
-        { $sort: { count: -1 } },
-        { $limit: 10 },
-      ]),
+        {
+          $unwind: "$grounds",
+        },
+        {
+          $group: {
+            _id: "$grounds",
+            count: { $sum: 1 },
+          },
+        },
+        {
+          $sort: { count: -1 },
+        },
+        {
+          $limit: 10,
+        },
+      ]);
+
+      const statusSummary = {
+        submitted: 0,
+        "under review": 0,
+        "awaiting information": 0,
+        "decision made": 0,
+        resolved: 0,
+        rejected: 0,
+        withdrawn: 0,
+      };
 
-      Appeal.countDocuments(matchStage),
-    ]);
+      statusCounts.forEach((item) => {
+        statusSummary[item._id] = item.count;
+      });
 
-    const statusSummary = {
-      submitted: 0,
-      "under review": 0,
-      "awaiting information": 0,
-      "decision made": 0,
-      resolved: 0,
-      rejected: 0,
-    };
-
-    statusCounts.forEach((item) => {
-      statusSummary[item._id] = item.count;
-    });
+      const formattedMonthlyTrends = monthlyTrends.map((item) => ({
+        month: `${item._id.year}-${String(item._id.month).padStart(2, "0")}`,
+        appeals: item.appeals,
+        resolved: item.resolved,
+      }));
+
+      const formattedResolutionTimes = {
+        "0-2 days": 0,
+        "3-5 days": 0,
+        "6-10 days": 0,
+        "10+ days": 0,
+      };
 
-    const formattedResolutionTimes = {
-      "0-2 days": 0,
-      "3-5 days": 0,
-      "6-10 days": 0,
-      "10+ days": 0,
-    };
+      resolutionTimeDistribution.forEach((item) => {
+        if (formattedResolutionTimes.hasOwnProperty(item._id)) {
+          formattedResolutionTimes[item._id] = item.count;
+        }
+      });
 
-    resolutionTimeDistribution.forEach((item) => {
-      if (formattedResolutionTimes.hasOwnProperty(item._id)) {
-        formattedResolutionTimes[item._id] = item.count;
+      const total = Object.values(statusSummary).reduce((a, b) => a + b, 0);
+
+      res.json({
+        dateRange: parseInt(dateRange),
+        statusSummary,
+        typeCounts,
+        departmentCounts,
+        groundsStats,
+        resolutionStats: resolutionStats[0] || {
+          avgResolutionTime: 0,
+          minResolutionTime: 0,
+          maxResolutionTime: 0,
+          totalResolved: 0,
+        },
+        resolutionTimeDistribution: formattedResolutionTimes,
+        monthlyTrends: formattedMonthlyTrends,
+        total,
+
+        pendingAppeals:
+          statusSummary.submitted +
+          statusSummary["under review"] +
+          statusSummary["awaiting information"],
+        resolvedAppeals:
+          statusSummary["decision made"] + statusSummary.resolved,
+        rejectedAppeals: statusSummary.rejected,
+        withdrawnAppeals: statusSummary.withdrawn,
+      });
+    } catch (error) {
+      console.error("Reports error:", error);
+      res
+        .status(500)
+        .json({ message: "Server error while generating reports" });
+    }
+  }
+);
+
+router.get(
+  "/reports/comprehensive",
+  requirePermission("report.view"),
+  async (req, res) => {
+    try {
+      const { dateRange = "30", department, appealType } = req.query;
+
+      const endDate = new Date();
+      const startDate = new Date();
+      startDate.setDate(startDate.getDate() - parseInt(dateRange));
+
+      let matchStage = {
+        createdAt: { $gte: startDate, $lte: endDate },
+      };
+
+      if (department) {
+        const students = await User.find({ role: "student", department });
+        const studentIds = students.map((student) => student._id);
+        matchStage.student = { $in: studentIds };
       }
-    });
 
-    const formattedMonthlyTrends = monthlyTrends.map((item) => ({
-      month: `${item._id.year}-${String(item._id.month).padStart(2, "0")}`,
-      appeals: item.appeals,
-      resolved: item.resolved,
-    }));
-
-    const pendingAppeals =
-      statusSummary.submitted +
-      statusSummary["under review"] +
-      statusSummary["awaiting information"];
-    const resolvedAppeals =
-      statusSummary["decision made"] + statusSummary.resolved;
-    const rejectedAppeals = statusSummary.rejected;
-    const successRate =
-      totalCount > 0 ? Math.round((resolvedAppeals / totalCount) * 100) : 0;
+      if (appealType) {
+        matchStage.appealType = appealType;
+      }
 
-    res.json({
-      dateRange: parseInt(dateRange),
-      total: totalCount,
-      statusSummary,
-      typeCounts,
-      departmentCounts,
-      groundsStats,
-      resolutionStats: resolutionStats[0] || {
-        avgResolutionTime: 0,
-        minResolutionTime: 0,
-        maxResolutionTime: 0,
-        totalResolved: 0,
-      },
-      resolutionTimeDistribution: formattedResolutionTimes,
-      monthlyTrends: formattedMonthlyTrends,
-
-      pendingAppeals,
-      resolvedAppeals,
-      rejectedAppeals,
-      successRate,
-      averageResolutionTime:
-        Math.round((resolutionStats[0]?.avgResolutionTime || 0) * 10) / 10,
-    });
-  } catch (error) {
-    console.error("Comprehensive reports error:", error);
-    res
-      .status(500)
-      .json({ message: "Server error while generating comprehensive reports" });
-  }
-});
+      matchStage = Appeal.excludeDrafts(matchStage);
+
+      const [
+        statusCounts,
+        typeCounts,
+        departmentCounts,
+        resolutionStats,
+        resolutionTimeDistribution,
+        monthlyTrends,
+        groundsStats,
+        totalCount,
+      ] = await Promise.all([
+        Appeal.aggregate([
+          { $match: matchStage },
+          { $group: { _id: "$status", count: { $sum: 1 } } },
+        ]),
+
+        Appeal.aggregate([
+          { $match: matchStage },
+          { $group: { _id: "$appealType", count: { $sum: 1 } } },
+        ]),
+
+        Appeal.aggregate([
+          { $match: matchStage },
+          {
+            $lookup: {
+              from: "users",
+              localField: "student",
+              foreignField: "_id",
+              as: "studentInfo",
+            },
+          },
+          { $unwind: "$studentInfo" },
+          { $group: { _id: "$studentInfo.department", count: { $sum: 1 } } },
+        ]),
+
+        Appeal.aggregate([
+          {
+            $match: {
+              ...matchStage,
+              status: { $in: ["resolved", "decision made"] },
+            },
+          },
+          {
+            $addFields: {
+              resolutionTime: {
+                $divide: [
+                  { $subtract: ["$updatedAt", "$createdAt"] },
+                  1000 * 60 * 60 * 24,
+                ],
+              },
+            },
+          },
+          {
+            $group: {
+              _id: null,
+              avgResolutionTime: { $avg: "$resolutionTime" },
+              minResolutionTime: { $min: "$resolutionTime" },
+              maxResolutionTime: { $max: "$resolutionTime" },
+              totalResolved: { $sum: 1 },
+            },
+          },
+        ]),
 
-router.get("/reports/export-csv", async (req, res) => {
-  try {
-    const { dateRange = "30", department, appealType } = req.query;
+        Appeal.aggregate([
+          {
+            $match: {
+              ...matchStage,
+              status: { $in: ["resolved", "decision made"] },
+            },
+          },
+          {
+            $addFields: {
+              resolutionTime: {
+                $divide: [
+                  { $subtract: ["$updatedAt", "$createdAt"] },
+                  1000 * 60 * 60 * 24,
+                ],
+              },
+            },
+          },
+          {
+            $group: {
+              _id: {
+                $switch: {
+                  branches: [
+                    { case: { $lt: ["$resolutionTime", 2] }, then: "0-2 days" },
+                    { case: { $lt: ["$resolutionTime", 5] }, then: "3-5 days" },
+                    {
+                      case: { $lt: ["$resolutionTime", 10] },
+                      then: "6-10 days",
+                    },
+                    {
+                      case: { $gte: ["$resolutionTime", 10] },
+                      then: "10+ days",
+                    },
+                  ],
+                  default: "Unknown",
+                },
+              },
+              count: { $sum: 1 },
+            },
+          },
+        ]),
+
+        Appeal.aggregate([
+          { $match: matchStage },
+          {
+            $group: {
+              _id: {
+                year: { $year: "$createdAt" },
+                month: { $month: "$createdAt" },
+              },
+              appeals: { $sum: 1 },
+              resolved: {
+                $sum: {
+                  $cond: [
+                    { $in: ["$status", ["resolved", "decision made"]] },
+                    1,
+                    0,
+                  ],
+                },
+              },
+            },
+          },
+          { $sort: { "_id.year": 1, "_id.month": 1 } },
+          { $limit: 12 },
+        ]),
+
+        Appeal.aggregate([
+          { $match: matchStage },
+          { $unwind: "$grounds" },
+          { $group: { _id: "$grounds", count: { $sum: 1 } } },
+          { $sort: { count: -1 } },
+          { $limit: 10 },
+        ]),
+
+        Appeal.countDocuments(matchStage),
+      ]);
+
+      const statusSummary = {
+        submitted: 0,
+        "under review": 0,
+        "awaiting information": 0,
+        "decision made": 0,
+        resolved: 0,
+        rejected: 0,
+        withdrawn: 0,
+      };
 
-    const endDate = new Date();
-    const startDate = new Date();
-    startDate.setDate(startDate.getDate() - parseInt(dateRange));
+      statusCounts.forEach((item) => {
+        statusSummary[item._id] = item.count;
+      });
 
-    let matchStage = {
-      createdAt: { $gte: startDate, $lte: endDate },
-    };
+      const formattedResolutionTimes = {
+        "0-2 days": 0,
+        "3-5 days": 0,
+        "6-10 days": 0,
+        "10+ days": 0,
+      };
 
-    if (department) {
-      const students = await User.find({ role: "student", department });
-      const studentIds = students.map((student) => student._id);
-      matchStage.student = { $in: studentIds };
-    }
+      resolutionTimeDistribution.forEach((item) => {
+        if (formattedResolutionTimes.hasOwnProperty(item._id)) {
+          formattedResolutionTimes[item._id] = item.count;
+        }
+      });
+
+      const formattedMonthlyTrends = monthlyTrends.map((item) => ({
+        month: `${item._id.year}-${String(item._id.month).padStart(2, "0")}`,
+        appeals: item.appeals,
+        resolved: item.resolved,
+      }));
+
+      const pendingAppeals =
+        statusSummary.submitted +
+        statusSummary["under review"] +
+        statusSummary["awaiting information"];
+      const resolvedAppeals =
+        statusSummary["decision made"] + statusSummary.resolved;
+      const rejectedAppeals = statusSummary.rejected;
+      const successRate =
+        totalCount > 0 ? Math.round((resolvedAppeals / totalCount) * 100) : 0;
 
-    if (appealType) {
-      matchStage.appealType = appealType;
+      res.json({
+        dateRange: parseInt(dateRange),
+        total: totalCount,
+        statusSummary,
+        typeCounts,
+        departmentCounts,
+        groundsStats,
+        resolutionStats: resolutionStats[0] || {
+          avgResolutionTime: 0,
+          minResolutionTime: 0,
+          maxResolutionTime: 0,
+          totalResolved: 0,
+        },
+        resolutionTimeDistribution: formattedResolutionTimes,
+        monthlyTrends: formattedMonthlyTrends,
+
+        pendingAppeals,
+        resolvedAppeals,
+        rejectedAppeals,
+        withdrawnAppeals: statusSummary.withdrawn,
+        successRate,
+        averageResolutionTime:
+          Math.round((resolutionStats[0]?.avgResolutionTime || 0) * 10) / 10,
+      });
+    } catch (error) {
+      console.error("Comprehensive reports error:", error);
+      res.status(500).json({
+        message: "Server error while generating comprehensive reports",
+      });
     }
+  }
+);
+
+router.get(
+  "/reports/export-csv",
+  requirePermission("report.export"),
+  async (req, res) => {
+    try {
+      const { dateRange = "30", department, appealType } = req.query;
+
+      const endDate = new Date();
+      const startDate = new Date();
+      startDate.setDate(startDate.getDate() - parseInt(dateRange));
+
+      let matchStage = {
+        createdAt: { $gte: startDate, $lte: endDate },
+      };
+
+      if (department) {
+        const students = await User.find({ role: "student", department });
+        const studentIds = students.map((student) => student._id);
+        matchStage.student = { $in: studentIds };
+      }
+
+      if (appealType) {
+        matchStage.appealType = appealType;
+      }
+
+      matchStage = Appeal.excludeDrafts(matchStage);
 
-    const appeals = await Appeal.find(matchStage)
-      .populate("student", "firstName lastName email studentId department")
-      .populate("assignedReviewer", "firstName lastName")
-      .populate("assignedAdmin", "firstName lastName")
-      .sort({ createdAt: -1 });
-
-    console.log(`Found ${appeals.length} appeals for CSV export`);
-    if (appeals.length > 0) {
-      console.log("First appeal createdAt:", appeals[0].createdAt);
-      console.log(
-        "First appeal formatted date:",
-        new Date(appeals[0].createdAt).toISOString().split("T")[0]
+      const appeals = await Appeal.find(matchStage)
+        .populate("student", "firstName lastName email studentId department")
+        .populate("assignedReviewer", "firstName lastName")
+        .populate("assignedAdmin", "firstName lastName")
+        .sort({ createdAt: -1 });
+
+      console.log(`Found ${appeals.length} appeals for CSV export`);
+      if (appeals.length > 0) {
+        console.log("First appeal createdAt:", appeals[0].createdAt);
+        console.log(
+          "First appeal formatted date:",
+          new Date(appeals[0].createdAt).toISOString().split("T")[0]
+        );
+      }
+
+      const csvHeaders = [
+        "Appeal ID",
+        "Student Name",
+        "Student ID",
+        "Department",
+        "Email",
+        "Appeal Type",
+        "Grounds",
+        "Status",
+        "Priority",
+        "Submitted Date",
+        "Assigned Reviewer",
+        "Assigned Admin",
+        "Resolution Time (days)",
+      ];
+
+      const csvRows = appeals.map((appeal) => {
+        const resolutionTime =
+          appeal.status === "resolved" || appeal.status === "decision made"
+            ? Math.round(
+                (new Date(appeal.updatedAt) - new Date(appeal.createdAt)) /
+                  (1000 * 60 * 60 * 24)
+              )
+            : "";
+
+        const submittedDate = appeal.createdAt
+          ? new Date(appeal.createdAt).toISOString().split("T")[0]
+          : appeal.submittedDate
+          ? new Date(appeal.submittedDate).toISOString().split("T")[0]
+          : "N/A";
+
+        return csvRow([
+          appeal.appealId || appeal._id,
+          `${appeal.student?.firstName || appeal.firstName} ${
+            appeal.student?.lastName || appeal.lastName
+          }`,
+          appeal.student?.studentId || appeal.studentId,
+          appeal.student?.department || appeal.department,
+          appeal.student?.email || appeal.email,
+          appeal.appealType,
+          Array.isArray(appeal.grounds)
+            ? appeal.grounds.join("; ")
+            : appeal.grounds,
+          appeal.status,
+          appeal.priority || "",
+          submittedDate,
+          appeal.assignedReviewer
+            ? `${appeal.assignedReviewer.firstName} ${appeal.assignedReviewer.lastName}`
+            : "",
+          appeal.assignedAdmin
+            ? `${appeal.assignedAdmin.firstName} ${appeal.assignedAdmin.lastName}`
+            : "",
+          resolutionTime,
+        ]);
+      });
+
+      const csvContent = [csvHeaders.join(","), ...csvRows].join("\n");
+
+      console.log("CSV Headers:", csvHeaders.join(","));
+      if (csvRows.length > 0) {
+        console.log("First CSV Row:", csvRows[0]);
+      }
+
+      res.setHeader("Content-Type", "text/csv");
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="appeal-reports-${
+          new Date().toISOString().split("T")[0]
+        }.csv"`
       );
+
+      res.send(csvContent);
+    } catch (error) {
+      console.error("CSV export error:", error);
+      res.status(500).json({ message: "Server error while exporting CSV" });
     }
+  }
+);
 
-    const csvHeaders = [
-      "Appeal ID",
-      "Student Name",
-      "Student ID",
-      "Department",
-      "Email",
-      "Appeal Type",
-      "Grounds",
-      "Status",
-      "Priority",
-      "Submitted Date",
-      "Assigned Reviewer",
-      "Assigned Admin",
-      "Resolution Time (days)",
-    ];
-
-    const csvRows = appeals.map((appeal) => {
-      const resolutionTime =
-        appeal.status === "resolved" || appeal.status === "decision made"
-          ? Math.round(
-              (new Date(appeal.updatedAt) - new Date(appeal.createdAt)) /
-                (1000 * 60 * 60 * 24)
-            )
-          : "";
-
-      const submittedDate = appeal.createdAt
-        ? new Date(appeal.createdAt).toISOString().split("T")[0]
-        : appeal.submittedDate
-        ? new Date(appeal.submittedDate).toISOString().split("T")[0]
-        : "N/A";
-
-      return [
-        appeal.appealId || appeal._id,
-        `${appeal.student?.firstName || appeal.firstName} ${
-          appeal.student?.lastName || appeal.lastName
-        }`,
-        appeal.student?.studentId || appeal.studentId,
-        appeal.student?.department || appeal.department,
-        appeal.student?.email || appeal.email,
-        appeal.appealType,
-        Array.isArray(appeal.grounds)
-          ? appeal.grounds.join("; ")
-          : appeal.grounds,
-        appeal.status,
-        appeal.priority || "",
-        submittedDate,
-        appeal.assignedReviewer
-          ? `${appeal.assignedReviewer.firstName} ${appeal.assignedReviewer.lastName}`
-          : "",
-        appeal.assignedAdmin
-          ? `${appeal.assignedAdmin.firstName} ${appeal.assignedAdmin.lastName}`
-          : "",
-        resolutionTime,
-      ]
-        .map((field) => `"${String(field || "").replace(/"/g, '""')}"`)
-        .join(",");
-    });
+router.put(
+  "/appeals/:id/deadline",
+  requirePermission("appeal.view.any", "appeal.deadline.manage"),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { deadline, reason } = req.body;
 
-    const csvContent = [csvHeaders.join(","), ...csvRows].join("\n");
+      if (!deadline) {
+        return res.status(400).json({ message: "Deadline is required" });
+      }
 
-    console.log("CSV Headers:", csvHeaders.join(","));
-    if (csvRows.length > 0) {
-      console.log("First CSV Row:", csvRows[0]);
-    }
+      const deadlineDate = new Date(deadline);
+      if (isNaN(deadlineDate.getTime())) {
+        return res.status(400).json({ message: "Invalid deadline format" });
+      }
 
-    res.setHeader("Content-Type", "text/csv");
-    res.setHeader(
-      "Content-Disposition",
-      `attachment; filename="appeal-reports-${
-        new Date().toISOString().split("T")[0]
-      }.csv"`
-    );
+      if (deadlineDate <= new Date()) {
+        return res
+          .status(400)
+          .json({ message: "Deadline must be in the future" });
+      }
 
-    res.send(csvContent);
-  } catch (error) {
-    console.error("CSV export error:", error);
-    res.status(500).json({ message: "Server error while exporting CSV" });
-  }
-});
+      const appeal = await Appeal.findOne(Appeal.excludeDrafts({ _id: id }));
+      if (
+        !appeal ||
+        !(await canEditAppeal(req.user, appeal, "appeal.deadline.manage"))
+      ) {
+        return res.status(404).json({ message: "Appeal not found" });
+      }
 
-router.put("/appeals/:id/deadline", async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { deadline, reason } = req.body;
+      appeal.deadline = deadlineDate;
 
-    if (!deadline) {
-      return res.status(400).json({ message: "Deadline is required" });
-    }
+      appeal.timeline.push({
+        action: "deadline_set",
+        description: `Deadline set to ${deadlineDate.toLocaleDateString()}${
+          reason ? ` - Reason: ${reason}` : ""
+        }`,
+        performedBy: req.user._id,
+        timestamp: new Date(),
+      });
 
-    const deadlineDate = new Date(deadline);
-    if (isNaN(deadlineDate.getTime())) {
-      return res.status(400).json({ message: "Invalid deadline format" });
-    }
+      if (reason) {
+        appeal.notes.push({
+          content: `Deadline set: ${deadlineDate.toLocaleDateString()}. Reason: ${reason}`,
+          author: req.user._id,
+          timestamp: new Date(),
+          isInternal: true,
+        });
+      }
 
-    if (deadlineDate <= new Date()) {
-      return res
-        .status(400)
-        .json({ message: "Deadline must be in the future" });
-    }
+      await appeal.save();
+
+      await appeal.populate(
+        "student",
+        "firstName lastName email studentId department"
+      );
+      await appeal.populate("assignedReviewer", "firstName lastName");
+      await appeal.populate("assignedAdmin", "firstName lastName");
 
-    const appeal = await Appeal.findById(id);
-    if (!appeal) {
-      return res.status(404).json({ message: "Appeal not found" });
+      res.json({
+        message: "Deadline set successfully",
+        appeal: {
+          _id: appeal._id,
+          appealId: appeal.appealId,
+          deadline: appeal.deadline,
+          status: appeal.status,
+          student: appeal.student,
+          assignedReviewer: appeal.assignedReviewer,
+          assignedAdmin: appeal.assignedAdmin,
+        },
+      });
+    } catch (error) {
+      console.error("Set deadline error:", error);
+      res.status(500).json({ message: "Server error while setting deadline" });
     }
+  }
+);
 
-    appeal.deadline = deadlineDate;
+router.delete(
+  "/appeals/:id/deadline",
+  requirePermission("appeal.view.any", "appeal.deadline.manage"),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { reason } = req.body;
+
+      const appeal = await Appeal.findOne(Appeal.excludeDrafts({ _id: id }));
+      if (
+        !appeal ||
+        !(await canEditAppeal(req.user, appeal, "appeal.deadline.manage"))
+      ) {
+        return res.status(404).json({ message: "Appeal not found" });
+      }
 
-    appeal.timeline.push({
-      action: "deadline_set",
-      description: `Deadline set to ${deadlineDate.toLocaleDateString()}${
-        reason ? ` - Reason: ${reason}` : ""
-      }`,
-      performedBy: req.user._id,
-      timestamp: new Date(),
-    });
+      appeal.deadline = undefined;
 
-    if (reason) {
-      appeal.notes.push({
-        content: `Deadline set: ${deadlineDate.toLocaleDateString()}. Reason: ${reason}`,
-        author: req.user._id,
+      appeal.timeline.push({
+        action: "deadline_removed",
+        description: `Deadline removed${reason ? ` - Reason: ${reason}` : ""}`,
+        performedBy: req.user._id,
         timestamp: new Date(),
-        isInternal: true,
       });
-    }
 
-    await appeal.save();
+      if (reason) {
+        appeal.notes.push({
+          content: `Deadline removed. Reason: ${reason}`,
+          author: req.user._id,
+          timestamp: new Date(),
+          isInternal: true,
+        });
+      }
 
-    await appeal.populate(
-      "student",
-      "firstName lastName email studentId department"
-    );
-    await appeal.populate("assignedReviewer", "firstName lastName");
-    await appeal.populate("assignedAdmin", "firstName lastName");
+      await appeal.save();
 
-    res.json({
-      message: "Deadline set successfully",
-      appeal: {
-        _id: appeal._id,
-        appealId: appeal.appealId,
-        deadline: appeal.deadline,
-        status: appeal.status,
-        student: appeal.student,
-        assignedReviewer: appeal.assignedReviewer,
-        assignedAdmin: appeal.assignedAdmin,
-      },
-    });
-  } catch (error) {
-    console.error("Set deadline error:", error);
-    res.status(500).json({ message: "Server error while setting deadline" });
+      await appeal.populate(
+        "student",
+        "firstName lastName email studentId department"
+      );
+      await appeal.populate("assignedReviewer", "firstName lastName");
+      await appeal.populate("assignedAdmin", "firstName lastName");
+
+      res.json({
+        message: "Deadline removed successfully",
+        appeal: {
+          _id: appeal._id,
+          appealId: appeal.appealId,
+          deadline: appeal.deadline,
+          status: appeal.status,
+          student: appeal.student,
+          assignedReviewer: appeal.assignedReviewer,
+          assignedAdmin: appeal.assignedAdmin,
+        },
+      });
+    } catch (error) {
+      console.error("Remove deadline error:", error);
+      res.status(500).json({ message: "Server error while removing deadline" });
+    }
   }
-});
+);
 
-router.delete("/appeals/:id/deadline", async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { reason } = req.body;
+router.put(
+  "/appeals/bulk-deadlines",
+  requirePermission("appeal.view.any", "appeal.deadline.manage"),
+  async (req, res) => {
+    try {
+      const { appealIds, deadline, reason } = req.body;
+
+      if (!appealIds || !Array.isArray(appealIds) || appealIds.length === 0) {
+        return res
+          .status(400)
+          .json({ message: "Appeal IDs array is required" });
+      }
+
+      if (!deadline) {
+        return res.status(400).json({ message: "Deadline is required" });
+      }
+
+      const deadlineDate = new Date(deadline);
+      if (isNaN(deadlineDate.getTime())) {
+        return res.status(400).json({ message: "Invalid deadline format" });
+      }
+
+      if (deadlineDate <= new Date()) {
+        return res
+          .status(400)
+          .json({ message: "Deadline must be in the future" });
+      }
+
+      const updatePromises = appealIds.map(async (appealId) => {
+        const appeal = await Appeal.findOne(
+          Appeal.excludeDrafts({ _id: appealId })
+        );
+        if (
+          !appeal ||
+          !(await canEditAppeal(req.user, appeal, "appeal.deadline.manage"))
+        )
+          return null;
+
+        appeal.deadline = deadlineDate;
+
+        appeal.timeline.push({
+          action: "deadline_set_bulk",
+          description: `Deadline set to ${deadlineDate.toLocaleDateString()} via bulk operation${
+            reason ? ` - Reason: ${reason}` : ""
+          }`,
+          performedBy: req.user._id,
+          timestamp: new Date(),
+        });
+
+        if (reason) {
+          appeal.notes.push({
+            content: `Deadline set via bulk operation: ${deadlineDate.toLocaleDateString()}. Reason: ${reason}`,
+            author: req.user._id,
+            timestamp: new Date(),
+            isInternal: true,
+          });
+        }
+
+        return appeal.save();
+      });
 
-    const appeal = await Appeal.findById(id);
-    if (!appeal) {
-      return res.status(404).json({ message: "Appeal not found" });
+      const results = await Promise.all(updatePromises);
+      const successfulUpdates = results.filter((result) => result !== null);
+      const failedUpdates = appealIds.length - successfulUpdates.length;
+
+      res.json({
+        message: `Deadlines set for ${successfulUpdates.length} appeals`,
+        total: appealIds.length,
+        successful: successfulUpdates.length,
+        failed: failedUpdates,
+        deadline: deadlineDate,
+        reason: reason || null,
+      });
+    } catch (error) {
+      console.error("Bulk deadlines error:", error);
+      res
+        .status(500)
+        .json({ message: "Server error while setting bulk deadlines" });
     }
+  }
+);
 
-    appeal.deadline = undefined;
+router.put(
+  "/appeals/:id/legal-hold",
+  requirePermission("appeal.view.any", "appeal.legal-hold"),
+  [body("reason").trim().notEmpty().withMessage("Reason is required")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
 
-    appeal.timeline.push({
-      action: "deadline_removed",
-      description: `Deadline removed${reason ? ` - Reason: ${reason}` : ""}`,
-      performedBy: req.user._id,
-      timestamp: new Date(),
-    });
+      const appeal = await Appeal.findOne(
+        Appeal.excludeDrafts({ _id: req.params.id })
+      );
+      if (
+        !appeal ||
+        !(await canEditAppeal(req.user, appeal, "appeal.legal-hold"))
+      ) {
+        return res.status(404).json({ message: "Appeal not found" });
+      }
 
-    if (reason) {
-      appeal.notes.push({
-        content: `Deadline removed. Reason: ${reason}`,
-        author: req.user._id,
-        timestamp: new Date(),
-        isInternal: true,
+      appeal.legalHold = {
+        active: true,
+        reason: req.body.reason,
+        placedBy: req.user._id,
+        placedAt: new Date(),
+      };
+
+      appeal.timeline.push({
+        action: "Legal hold placed",
+        description: `Evidence retention suspended - Reason: ${req.body.reason}`,
+        performedBy: req.user._id,
+      });
+
+      await appeal.save();
+
+      res.json({
+        message: "Legal hold placed successfully",
+        legalHold: appeal.legalHold,
       });
+    } catch (error) {
+      console.error("Place legal hold error:", error);
+      res
+        .status(500)
+        .json({ message: "Server error while placing legal hold" });
     }
+  }
+);
+
+router.delete(
+  "/appeals/:id/legal-hold",
+  requirePermission("appeal.view.any", "appeal.legal-hold"),
+  async (req, res) => {
+    try {
+      const { reason } = req.body;
+
+      const appeal = await Appeal.findOne(
+        Appeal.excludeDrafts({ _id: req.params.id })
+      );
+      if (
+        !appeal ||
+        !(await canEditAppeal(req.user, appeal, "appeal.legal-hold"))
+      ) {
+        return res.status(404).json({ message: "Appeal not found" });
+      }
+
+      if (!appeal.legalHold || !appeal.legalHold.active) {
+        return res
+          .status(409)
+          .json({ message: "This appeal is not on legal hold" });
+      }
+
+      appeal.legalHold = { active: false };
+
+      appeal.timeline.push({
+        action: "Legal hold released",
+        description: `Evidence retention resumed${
+          reason ? ` - Reason: ${reason}` : ""
+        }`,
+        performedBy: req.user._id,
+      });
+
+      await appeal.save();
 
-    await appeal.save();
+      res.json({
+        message: "Legal hold released successfully",
+        legalHold: appeal.legalHold,
+      });
+    } catch (error) {
+      console.error("Release legal hold error:", error);
+      res
+        .status(500)
+        .json({ message: "Server error while releasing legal hold" });
+    }
+  }
+);
 
-    await appeal.populate(
-      "student",
-      "firstName lastName email studentId department"
-    );
-    await appeal.populate("assignedReviewer", "firstName lastName");
-    await appeal.populate("assignedAdmin", "firstName lastName");
+router.get("/roles", requirePermission("role.manage"), async (req, res) => {
+  try {
+    const [roles, counts] = await Promise.all([
+      Role.find().sort({ builtIn: -1, name: 1 }),
+      User.aggregate([{ $group: { _id: "$role", count: { $sum: 1 } } }]),
+    ]);
+    const userCounts = new Map(counts.map((count) => [count._id, count.count]));
 
     res.json({
-      message: "Deadline removed successfully",
-      appeal: {
-        _id: appeal._id,
-        appealId: appeal.appealId,
-        deadline: appeal.deadline,
-        status: appeal.status,
-        student: appeal.student,
-        assignedReviewer: appeal.assignedReviewer,
-        assignedAdmin: appeal.assignedAdmin,
-      },
+      roles: roles.map((role) => ({
+        ...role.toObject(),
+        userCount: userCounts.get(role.name) || 0,
+      })),
     });
   } catch (error) {
-    console.error("Remove deadline error:", error);
-    res.status(500).json({ message: "Server error while removing deadline" });
+    console.error("Get roles error:", error);
+    res.status(500).json({ message: "Server error while fetching roles" });
   }
 });
 
-router.get("/appeals/deadlines", async (req, res) => {
-  try {
-    const { days = 7, status, department } = req.query;
-
-    const now = new Date();
-    const futureDate = new Date();
-    futureDate.setDate(futureDate.getDate() + parseInt(days));
-
-    let query = {
-      deadline: { $exists: true, $ne: null },
-      deadline: { $gte: now, $lte: futureDate },
-    };
-
-    if (status) query.status = status;
-    if (department) {
-      const students = await User.find({ role: "student", department });
-      const studentIds = students.map((student) => student._id);
-      query.student = { $in: studentIds };
-    }
+router.get(
+  "/roles/permissions",
+  requirePermission("role.manage"),
+  (req, res) => {
+    res.json({
+      permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({
+        name,
+        description,
+      })),
+    });
+  }
+);
+
+const rolePermissionValidators = [
+  body("permissions")
+    .optional()
+    .isArray()
+    .withMessage("permissions must be an array"),
+  body("permissions.*")
+    .isIn(Object.keys(PERMISSIONS))
+    .withMessage("Unknown permission"),
+];
 
-    const appeals = await Appeal.find(query)
-      .populate("student", "firstName lastName email studentId department")
-      .populate("assignedReviewer", "firstName lastName")
-      .populate("assignedAdmin", "firstName lastName");
-
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-
-    const tomorrow = new Date(today);
-    tomorrow.setDate(tomorrow.getDate() + 1);
-
-    const nextWeek = new Date(today);
-    nextWeek.setDate(nextWeek.getDate() + 7);
-
-    const groupedAppeals = {
-      overdue: [],
-      today: [],
-      tomorrow: [],
-      thisWeek: [],
-      upcoming: [],
-    };
-
-    appeals.forEach((appeal) => {
-      const deadlineDate = new Date(appeal.deadline);
-      deadlineDate.setHours(0, 0, 0, 0);
-
-      if (deadlineDate < today) {
-        groupedAppeals.overdue.push(appeal);
-      } else if (deadlineDate.getTime() === today.getTime()) {
-        groupedAppeals.today.push(appeal);
-      } else if (deadlineDate.getTime() === tomorrow.getTime()) {
-        groupedAppeals.tomorrow.push(appeal);
-      } else if (deadlineDate <= nextWeek) {
-        groupedAppeals.thisWeek.push(appeal);
-      } else {
-        groupedAppeals.upcoming.push(appeal);
+router.post(
+  "/roles",
+  requirePermission("role.manage"),
+  [
+    body("name")
+      .trim()
+      .toLowerCase()
+      .matches(/^[a-z][a-z0-9-]{1,39}$/)
+      .withMessage(
+        "Name must be 2-40 lowercase letters, digits or hyphens, starting with a letter"
+      ),
+    body("label").trim().notEmpty().withMessage("Label is required"),
+    body("description").optional().trim(),
+    ...rolePermissionValidators,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
       }
-    });
 
-    res.json({
-      days: parseInt(days),
-      total: appeals.length,
-      grouped: groupedAppeals,
-      summary: {
-        overdue: groupedAppeals.overdue.length,
-        today: groupedAppeals.today.length,
-        tomorrow: groupedAppeals.tomorrow.length,
-        thisWeek: groupedAppeals.thisWeek.length,
-        upcoming: groupedAppeals.upcoming.length,
-      },
-    });
-  } catch (error) {
-    console.error("Get deadlines error:", error);
-    res.status(500).json({ message: "Server error while fetching deadlines" });
+      const { name, label, description, permissions = [] } = req.body;
+
+      if (name in BUILT_IN_ROLES || (await Role.exists({ name }))) {
+        return res
+          .status(409)
+          .json({ message: "A role with this name already exists" });
+      }
+
+      const role = await Role.create({
+        name,
+        label,
+        description,
+        permissions: [...new Set(permissions)],
+        createdBy: req.user._id,
+      });
+      clearRoleCache();
+
+      res.status(201).json({ message: "Role created successfully", role });
+    } catch (error) {
+      console.error("Create role error:", error);
+      res.status(500).json({ message: "Server error while creating role" });
+    }
   }
-});
+);
 
-router.put("/appeals/bulk-deadlines", async (req, res) => {
-  try {
-    const { appealIds, deadline, reason } = req.body;
+router.put(
+  "/roles/:name",
+  requirePermission("role.manage"),
+  [
+    body("label")
+      .optional()
+      .trim()
+      .notEmpty()
+      .withMessage("Label cannot be empty"),
+    body("description").optional().trim(),
+    ...rolePermissionValidators,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
 
-    if (!appealIds || !Array.isArray(appealIds) || appealIds.length === 0) {
-      return res.status(400).json({ message: "Appeal IDs array is required" });
+      const role = await Role.findOne({ name: req.params.name });
+      if (!role) {
+        return res.status(404).json({ message: "Role not found" });
+      }
+      if (role.builtIn) {
+        return res
+          .status(409)
+          .json({ message: "Built-in roles cannot be changed" });
+      }
+
+      const { label, description, permissions } = req.body;
+
+      // Stops an admin from removing their own access to role management.
+      if (
+        permissions &&
+        role.name === req.user.role &&
+        !permissions.includes("role.manage")
+      ) {
+        return res.status(409).json({
+          message: "You cannot remove role.manage from your own role",
+        });
+      }
+
+      if (label) role.label = label;
+      if (description !== undefined) role.description = description;
+      if (permissions) role.permissions = [...new Set(permissions)];
+      await role.save();
+      clearRoleCache();
+
+      res.json({ message: "Role updated successfully", role });
+    } catch (error) {
+      console.error("Update role error:", error);
+      res.status(500).json({ message: "Server error while updating role" });
     }
+  }
+);
+
+router.delete(
+  "/roles/:name",
+  requirePermission("role.manage"),
+  async (req, res) => {
+    try {
+      const role = await Role.findOne({ name: req.params.name });
+      if (!role) {
+        return res.status(404).json({ message: "Role not found" });
+      }
+      if (role.builtIn) {
+        return res
+          .status(409)
+          .json({ message: "Built-in roles cannot be deleted" });
+      }
 
-    if (!deadline) {
-      return res.status(400).json({ message: "Deadline is required" });
+      const [users, invitations] = await Promise.all([
+        User.countDocuments({ role: role.name }),
+        Invitation.countDocuments(Invitation.pending({ role: role.name })),
+      ]);
+      if (users > 0 || invitations > 0) {
+        return res.status(409).json({
+          message:
+            "This role is still assigned. Move its users and revoke its invitations first.",
+          users,
+          invitations,
+        });
+      }
+
+      await role.deleteOne();
+      clearRoleCache();
+
+      res.json({ message: "Role deleted successfully" });
+    } catch (error) {
+      console.error("Delete role error:", error);
+      res.status(500).json({ message: "Server error while deleting role" });
     }
+  }
+);
 
-    const deadlineDate = new Date(deadline);
-    if (isNaN(deadlineDate.getTime())) {
-      return res.status(400).json({ message: "Invalid deadline format" });
+router.get(
+  "/settings/security",
+  requirePermission("settings.manage"),
+  async (req, res) => {
+    try {
+      res.json({ settings: await getSecuritySettings() });
+    } catch (error) {
+      console.error("Get security settings error:", error);
+      res
+        .status(500)
+        .json({ message: "Server error while fetching security settings" });
     }
+  }
+);
 
-    if (deadlineDate <= new Date()) {
-      return res
-        .status(400)
-        .json({ message: "Deadline must be in the future" });
+router.put(
+  "/settings/security",
+  requirePermission("settings.manage"),
+  [
+    body("requireStaffTwoFactor")
+      .optional()
+      .isBoolean()
+      .withMessage("requireStaffTwoFactor must be true or false")
+      .toBoolean(),
+    body("localPasswordDisabledRoles")
+      .optional()
+      .isArray()
+      .withMessage("localPasswordDisabledRoles must be an array of roles"),
+    body("localPasswordDisabledRoles.*").isString().withMessage("Invalid role"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { requireStaffTwoFactor, localPasswordDisabledRoles } = req.body;
+      const changes = {};
+
+      if (requireStaffTwoFactor !== undefined) {
+        // Stops an admin from locking themselves out of the admin routes.
+        if (requireStaffTwoFactor && !req.user.twoFactor.enabled) {
+          return res.status(409).json({
+            message:
+              "Enable two-factor authentication on your own account before requiring it for staff",
+          });
+        }
+        changes.requireStaffTwoFactor = requireStaffTwoFactor;
+      }
+
+      if (localPasswordDisabledRoles !== undefined) {
+        if (localPasswordDisabledRoles.length > 0 && !oidcConfig()) {
+          return res.status(409).json({
+            message:
+              "Single sign-on must be configured before password login can be disabled",
+          });
+        }
+
+        const roles = [...new Set(localPasswordDisabledRoles)];
+        if (
+          (await Role.countDocuments({ name: { $in: roles } })) !== roles.length
+        ) {
+          return res.status(400).json({ message: "Invalid role" });
+        }
+
+        if (roles.includes(req.user.role)) {
+          const admin = await User.findById(req.user._id).select("oidc");
+          if (!admin.oidc || !admin.oidc.subject) {
+            return res.status(409).json({
+              message:
+                "Sign in with single sign-on at least once before disabling password login for your own role",
+            });
+          }
+        }
+
+        changes.localPasswordDisabledRoles = roles;
+      }
+
+      if (Object.keys(changes).length === 0) {
+        return res.status(400).json({ message: "No settings to update" });
+      }
+
+      const settings = await updateSecuritySettings(changes, req.user._id);
+
+      let unenrolledStaff = 0;
+      if (settings.requireStaffTwoFactor) {
+        unenrolledStaff = await User.countDocuments({
+          role: { $ne: "student" },
+          isActive: true,
+          "twoFactor.enabled": { $ne: true },
+        });
+      }
+
+      res.json({
+        message: "Security settings updated successfully",
+        settings,
+        unenrolledStaff,
+      });
+    } catch (error) {
+      console.error("Update security settings error:", error);
+      res
+        .status(500)
+        .json({ message: "Server error while updating security settings" });
     }
+  }
+);
 
-    const updatePromises = appealIds.map(async (appealId) => {
-      const appeal = await Appeal.findById(appealId);
-      if (!appeal) return null;
+router.get(
+  "/settings/panels",
+  requirePermission("settings.manage"),
+  async (req, res) => {
+    try {
+      res.json({ settings: await getPanelSettings() });
+    } catch (error) {
+      console.error("Get panel settings error:", error);
+      res
+        .status(500)
+        .json({ message: "Server error while fetching panel settings" });
+    }
+  }
+);
 
-      appeal.deadline = deadlineDate;
+router.put(
+  "/settings/panels",
+  requirePermission("settings.manage"),
+  [
+    body("minimumSize")
+      .optional()
+      .isInt({ min: 1, max: 15 })
+      .withMessage("minimumSize must be between 1 and 15")
+      .toInt(),
+    body("quorum")
+      .optional()
+      .isInt({ min: 1, max: 15 })
+      .withMessage("quorum must be between 1 and 15")
+      .toInt(),
+    body("majority")
+      .optional()
+      .isIn(Object.keys(MAJORITY_RULES))
+      .withMessage(
+        `majority must be one of: ${Object.keys(MAJORITY_RULES).join(", ")}`
+      ),
+    body("requiredForAppealTypes")
+      .optional()
+      .isArray()
+      .withMessage("requiredForAppealTypes must be an array of appeal types"),
+    body("requiredForAppealTypes.*")
+      .isIn(Appeal.schema.path("appealType").enumValues)
+      .withMessage("Invalid appeal type"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
 
-      appeal.timeline.push({
-        action: "deadline_set_bulk",
-        description: `Deadline set to ${deadlineDate.toLocaleDateString()} via bulk operation${
-          reason ? ` - Reason: ${reason}` : ""
-        }`,
-        performedBy: req.user._id,
-        timestamp: new Date(),
+      const changes = {};
+      ["minimumSize", "quorum", "majority"].forEach((key) => {
+        if (req.body[key] !== undefined) changes[key] = req.body[key];
       });
+      if (req.body.requiredForAppealTypes !== undefined) {
+        changes.requiredForAppealTypes = [
+          ...new Set(req.body.requiredForAppealTypes),
+        ];
+      }
 
-      if (reason) {
-        appeal.notes.push({
-          content: `Deadline set via bulk operation: ${deadlineDate.toLocaleDateString()}. Reason: ${reason}`,
-          author: req.user._id,
-          timestamp: new Date(),
-          isInternal: true,
-        });
+      if (Object.keys(changes).length === 0) {
+        return res.status(400).json({ message: "No settings to update" });
       }
 
-      return appeal.save();
-    });
+      const settings = await updatePanelSettings(changes, req.user._id);
 
-    const results = await Promise.all(updatePromises);
-    const successfulUpdates = results.filter((result) => result !== null);
-    const failedUpdates = appealIds.length - successfulUpdates.length;
+      res.json({ message: "Panel settings updated successfully", settings });
+    } catch (error) {
+      console.error("Update panel settings error:", error);
+      res
+        .status(500)
+        .json({ message: "Server error while updating panel settings" });
+    }
+  }
+);
 
-    res.json({
-      message: `Deadlines set for ${successfulUpdates.length} appeals`,
-      total: appealIds.length,
-      successful: successfulUpdates.length,
-      failed: failedUpdates,
-      deadline: deadlineDate,
-      reason: reason || null,
-    });
-  } catch (error) {
-    console.error("Bulk deadlines error:", error);
-    res
-      .status(500)
-      .json({ message: "Server error while setting bulk deadlines" });
+router.get(
+  "/retention/report",
+  requirePermission("evidence.retention"),
+  async (req, res) => {
+    try {
+      const months = parseInt(req.query.months, 10) || retentionMonths();
+
+      if (!months) {
+        return res.status(400).json({
+          message:
+            "No retention period configured; set EVIDENCE_RETENTION_MONTHS or pass ?months=",
+        });
+      }
+
+      const report = await purgeExpiredEvidence({ months, dryRun: true });
+
+      res.json({ report });
+    } catch (error) {
+      console.error("Retention report error:", error);
+      res
+        .status(500)
+        .json({ message: "Server error while building retention report" });
+    }
   }
-});
+);
 
 module.exports = router;
@@ -1,134 +1,591 @@
 const express = require("express");
+const mongoose = require("mongoose");
 const { body, validationResult } = require("express-validator");
 const Appeal = require("../models/Appeal");
-const { auth, requireStudent } = require("../middleware/auth");
-const path = require("path");
-const fs = require("fs-extra");
-const multer = require("multer");
-
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    const uploadDir = path.join(__dirname, "..", "uploads");
-    fs.ensureDirSync(uploadDir);
-    cb(null, uploadDir);
-  },
-  filename: function (req, file, cb) {
-    const uniqueSuffix = Date.now() + "-" + Math.round(Math.random() * 1e9);
-    const ext = path.extname(file.originalname);
-    cb(null, uniqueSuffix + ext);
-  },
-});
+const Notification = require("../models/Notification");
+const {
+  auth,
+  requireStudent,
+  requireVerifiedEmail,
+} = require("../middleware/auth");
+const { uploadEvidence, discardUploads } = require("../middleware/upload");
+const {
+  storeEvidence,
+  removeEvidence,
+  saveWithEvidence,
+} = require("../utils/evidence");
+const {
+  scanBlockMessage,
+  queueEvidenceScan,
+} = require("../utils/evidenceScan");
+const {
+  sendEvidenceFile,
+  sendEvidenceThumbnail,
+} = require("../utils/download");
+const {
+  canViewAppeal,
+  canEditAppeal,
+  canDownloadEvidence,
+  visibleAppealsQuery,
+} = require("../utils/policy");
+
+const submissionValidators = [
+  body("declaration")
+    .custom((value) => {
+      if (value === "true" || value === true) return true;
+      if (value === "false" || value === false) return false;
+      throw new Error("Declaration must be accepted");
+    })
+    .withMessage("Declaration must be accepted"),
+  body("deadlineCheck")
+    .custom((value) => {
+      if (value === "true" || value === true) return true;
+      if (value === "false" || value === false) return false;
+      throw new Error("Deadline check must be confirmed");
+    })
+    .withMessage("Deadline check must be confirmed"),
+
+  body("firstName").trim().notEmpty().withMessage("First name is required"),
+  body("lastName").trim().notEmpty().withMessage("Last name is required"),
+  body("studentId").trim().notEmpty().withMessage("Student ID is required"),
+  body("email")
+    .isEmail()
+    .normalizeEmail()
+    .withMessage("Valid email is required"),
+  body("phone").optional().trim(),
+  body("course").trim().notEmpty().withMessage("Course is required"),
+  body("department")
+    .trim()
+    .notEmpty()
+    .withMessage("Department selection is required"),
+
+  body("hasAdviser")
+    .optional()
+    .custom((value) => {
+      if (value === undefined || value === null) return true;
+      if (value === "true" || value === true) return true;
+      if (value === "false" || value === false) return true;
+      throw new Error("hasAdviser must be a boolean");
+    }),
+  body("adviserName").optional({ checkFalsy: true }).trim(),
+  body("adviserEmail")
+    .optional({ checkFalsy: true })
+    .isEmail()
+    .normalizeEmail(),
+  body("adviserPhone").optional({ checkFalsy: true }).trim(),
+
+  body("appealType")
+    .isIn([
+      "Academic Judgment",
+      "Procedural Irregularity",
+      "Extenuating Circumstances",
+      "Assessment Irregularity",
+      "Other",
+    ])
+    .withMessage("Valid appeal type is required"),
+  body("statement")
+    .trim()
+    .notEmpty()
+    .withMessage("Appeal statement is required"),
+
+  body("moduleCode").optional().trim(),
+  body("academicYear").notEmpty().withMessage("Academic year is required"),
+  body("semester").optional().isIn(["1", "2", "summer", "full year"]),
+
+  body("confirmAll")
+    .custom((value) => {
+      if (value === "true" || value === true) return true;
+      if (value === "false" || value === false) return false;
+      throw new Error("Final confirmation must be accepted");
+    })
+    .withMessage("Final confirmation must be accepted"),
+];
+
+const draftValidators = [
+  body("firstName").optional().trim(),
+  body("lastName").optional().trim(),
+  body("studentId").optional().trim(),
+  body("email")
+    .optional({ checkFalsy: true })
+    .isEmail()
+    .normalizeEmail()
+    .withMessage("Valid email is required"),
+  body("phone").optional().trim(),
+  body("course").optional().trim(),
+  body("department").optional().trim(),
+  body("hasAdviser")
+    .optional({ nullable: true })
+    .isBoolean()
+    .withMessage("hasAdviser must be a boolean"),
+  body("adviserName").optional({ checkFalsy: true }).trim(),
+  body("adviserEmail")
+    .optional({ checkFalsy: true })
+    .isEmail()
+    .normalizeEmail(),
+  body("adviserPhone").optional({ checkFalsy: true }).trim(),
+  body("appealType")
+    .optional({ checkFalsy: true })
+    .isIn([
+      "Academic Judgment",
+      "Procedural Irregularity",
+      "Extenuating Circumstances",
+      "Assessment Irregularity",
+      "Other",
+    ])
+    .withMessage("Valid appeal type is required"),
+  body("statement").optional(),
+  body("moduleCode").optional().trim(),
+  body("academicYear").optional().trim(),
+  body("semester")
+    .optional({ checkFalsy: true })
+    .isIn(["1", "2", "summer", "full year"]),
+];
+
+const DRAFT_FIELDS = [
+  "firstName",
+  "lastName",
+  "studentId",
+  "email",
+  "phone",
+  "course",
+  "department",
+  "hasAdviser",
+  "adviserName",
+  "adviserEmail",
+  "adviserPhone",
+  "appealType",
+  "grounds",
+  "statement",
+  "moduleCode",
+  "academicYear",
+  "semester",
+];
+
+const evidenceMetadataValidators = [
+  body("category")
+    .optional({ checkFalsy: true })
+    .isIn(Appeal.EVIDENCE_CATEGORIES)
+    .withMessage("Invalid evidence category"),
+  body("description")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Evidence description must be 500 characters or fewer"),
+];
+
+const OPEN_STATUSES = ["submitted", "under review", "awaiting information"];
+
+const MAX_EVIDENCE_FILES = parseInt(process.env.EVIDENCE_MAX_FILES) || 20;
+const MAX_EVIDENCE_BYTES =
+  (parseInt(process.env.EVIDENCE_MAX_TOTAL_MB) || 50) * 1024 * 1024;
+
+const checkEvidenceCaps = (appeal, files = []) => {
+  const count = appeal.evidence.length + files.length;
+  if (count > MAX_EVIDENCE_FILES) {
+    return `An appeal can have at most ${MAX_EVIDENCE_FILES} evidence files`;
+  }
+
+  const totalBytes = [...appeal.evidence, ...files].reduce(
+    (sum, file) => sum + (file.fileSize || file.size || 0),
+    0
+  );
+  if (totalBytes > MAX_EVIDENCE_BYTES) {
+    return `Total evidence for an appeal cannot exceed ${Math.round(
+      MAX_EVIDENCE_BYTES / (1024 * 1024)
+    )}MB`;
+  }
+
+  return null;
+};
+
+// checkEvidenceCaps runs on the appeal as it was read, so concurrent uploads
+// could each pass it. The save is therefore made conditional on the stored
+// evidence still leaving room for `entries`; it returns false when it did
+// not, after removing the stored files.
+const saveWithinEvidenceCaps = async (appeal, entries) => {
+  const bytes = entries.reduce((sum, entry) => sum + entry.fileSize, 0);
+  appeal.$where = {
+    $expr: {
+      $and: [
+        {
+          $lte: [
+            { $size: { $ifNull: ["$evidence", []] } },
+            MAX_EVIDENCE_FILES - entries.length,
+          ],
+        },
+        {
+          $lte: [{ $sum: "$evidence.fileSize" }, MAX_EVIDENCE_BYTES - bytes],
+        },
+      ],
+    },
+  };
+
+  try {
+    await saveWithEvidence(appeal, entries);
+    return true;
+  } catch (error) {
+    // Saves that push to arrays report a missed filter as a VersionError.
+    if (
+      error instanceof mongoose.Error.DocumentNotFoundError ||
+      error instanceof mongoose.Error.VersionError
+    ) {
+      return false;
+    }
+    throw error;
+  } finally {
+    appeal.$where = undefined;
+  }
+};
+
+const EVIDENCE_CAPS_CONFLICT = {
+  message:
+    "Another upload to this appeal used up the remaining evidence allowance",
+};
+
+const parseGrounds = (rawGrounds) => {
+  let grounds = rawGrounds;
+  if (typeof rawGrounds === "string") {
+    try {
+      grounds = JSON.parse(rawGrounds);
+    } catch (e) {
+      grounds = [rawGrounds];
+    }
+  }
+
+  return Array.isArray(grounds) ? grounds : [];
+};
 
-const upload = multer({
-  storage: storage,
-  limits: {
-    fileSize: 10 * 1024 * 1024,
-  },
-  fileFilter: function (req, file, cb) {
-    const allowedTypes = [
-      "image/jpeg",
-      "image/png",
-      "image/gif",
-      "application/pdf",
-      "application/msword",
-      "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
-      "text/plain",
-    ];
-
-    if (allowedTypes.includes(file.mimetype)) {
-      cb(null, true);
+const applyDraftFields = (appeal, fields) => {
+  DRAFT_FIELDS.forEach((field) => {
+    const value = fields[field];
+    if (value === undefined) return;
+
+    if (field === "grounds") {
+      appeal.grounds = parseGrounds(value);
+    } else if (field === "hasAdviser") {
+      appeal.hasAdviser = value === true || value === "true";
     } else {
-      cb(
-        new Error(
-          "Invalid file type. Only images, PDFs, Word docs, and text files are allowed."
-        )
-      );
+      appeal[field] = value === "" || value === null ? undefined : value;
     }
-  },
-});
+  });
+};
+
+const loadDraft = async (req, res, next) => {
+  try {
+    const draft = await Appeal.findOne({
+      _id: req.params.id,
+      status: "draft",
+    });
+
+    if (!draft || !(await canEditAppeal(req.user, draft))) {
+      return res.status(404).json({ message: "Draft not found" });
+    }
+
+    req.draft = draft;
+    next();
+  } catch (error) {
+    console.error("Load draft error:", error);
+    res.status(500).json({ message: "Server error while fetching draft" });
+  }
+};
+
+// Loads and authorises the appeal for routes that accept uploads, so that
+// nothing is written to disk for an appeal the student cannot change.
+const loadStudentAppeal =
+  (filter, notFoundMessage) => async (req, res, next) => {
+    try {
+      const appeal = await Appeal.findOne({
+        $and: [{ _id: req.params.id }, filter],
+      });
+
+      if (!appeal || !(await canEditAppeal(req.user, appeal))) {
+        return res.status(404).json({ message: notFoundMessage });
+      }
+
+      req.appeal = appeal;
+      next();
+    } catch (error) {
+      console.error("Load appeal error:", error);
+      res.status(500).json({ message: "Server error while fetching appeal" });
+    }
+  };
+
+const mergeDraftIntoBody = (req, res, next) => {
+  const saved = req.draft.toObject();
+  const merged = {};
+
+  DRAFT_FIELDS.forEach((field) => {
+    if (saved[field] !== undefined && saved[field] !== null) {
+      merged[field] = saved[field];
+    }
+  });
+
+  req.body = { ...merged, ...req.body };
+  next();
+};
 
 const router = express.Router();
 
+router.get("/drafts", auth, requireStudent, async (req, res) => {
+  try {
+    const drafts = await Appeal.find(
+      await visibleAppealsQuery(req.user, { status: "draft" })
+    ).sort({ updatedAt: -1 });
+
+    res.json({ drafts });
+  } catch (error) {
+    console.error("Get drafts error:", error);
+    res.status(500).json({ message: "Server error while fetching drafts" });
+  }
+});
+
+router.post(
+  "/drafts",
+  [auth, requireStudent, ...draftValidators],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const draft = new Appeal({
+        student: req.user._id,
+        status: "draft",
+        firstName: req.user.firstName,
+        lastName: req.user.lastName,
+        studentId: req.user.studentId,
+        email: req.user.email,
+      });
+
+      applyDraftFields(draft, req.body);
+
+      draft.timeline.push({
+        action: "Draft created",
+        description: "Appeal draft started by student",
+        performedBy: req.user._id,
+      });
+
+      await draft.save();
+
+      res.status(201).json({
+        message: "Draft created successfully",
+        draft,
+      });
+    } catch (error) {
+      console.error("Create draft error:", error);
+      res.status(500).json({ message: "Server error while creating draft" });
+    }
+  }
+);
+
+router.get("/drafts/:id", auth, requireStudent, loadDraft, (req, res) => {
+  res.json({ draft: req.draft });
+});
+
+router.put(
+  "/drafts/:id",
+  [auth, requireStudent, loadDraft, ...draftValidators],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      applyDraftFields(req.draft, req.body);
+      await req.draft.save();
+
+      res.json({
+        message: "Draft saved successfully",
+        draft: req.draft,
+      });
+    } catch (error) {
+      console.error("Autosave draft error:", error);
+      res.status(500).json({ message: "Server error while saving draft" });
+    }
+  }
+);
+
+router.delete(
+  "/drafts/:id",
+  auth,
+  requireStudent,
+  loadDraft,
+  async (req, res) => {
+    try {
+      await removeEvidence(req.draft.evidence);
+      await req.draft.deleteOne();
+
+      res.json({ message: "Draft discarded successfully" });
+    } catch (error) {
+      console.error("Discard draft error:", error);
+      res.status(500).json({ message: "Server error while discarding draft" });
+    }
+  }
+);
+
+router.post(
+  "/drafts/:id/evidence",
+  auth,
+  requireStudent,
+  loadDraft,
+  uploadEvidence("evidence", 10),
+  evidenceMetadataValidators,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        await discardUploads(req.files);
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      if (!req.files || req.files.length === 0) {
+        return res.status(400).json({ message: "No files uploaded" });
+      }
+
+      const capError = checkEvidenceCaps(req.draft, req.files);
+      if (capError) {
+        await discardUploads(req.files);
+        return res.status(400).json({ message: capError });
+      }
+
+      const processedEvidence = await storeEvidence(req.files, {
+        user: req.user,
+        category: req.body.category,
+        description: req.body.description,
+      });
+
+      req.draft.evidence.push(...processedEvidence);
+      if (!(await saveWithinEvidenceCaps(req.draft, processedEvidence))) {
+        return res.status(409).json(EVIDENCE_CAPS_CONFLICT);
+      }
+      queueEvidenceScan(req.draft._id);
+
+      res.json({
+        message: "Evidence attached to draft successfully",
+        evidence: req.draft.evidence,
+      });
+    } catch (error) {
+      console.error("Draft evidence upload error:", error);
+      res
+        .status(500)
+        .json({ message: "Server error while uploading evidence" });
+    }
+  }
+);
+
+router.delete(
+  "/drafts/:id/evidence/:filename",
+  auth,
+  requireStudent,
+  loadDraft,
+  async (req, res) => {
+    try {
+      const evidenceFile = req.draft.evidence.find(
+        (file) => file.filename === req.params.filename
+      );
+
+      if (!evidenceFile) {
+        return res.status(404).json({ message: "Evidence file not found" });
+      }
+
+      await removeEvidence([evidenceFile]);
+      req.draft.evidence.pull(evidenceFile._id);
+      await req.draft.save();
+
+      res.json({
+        message: "Evidence removed from draft successfully",
+        evidence: req.draft.evidence,
+      });
+    } catch (error) {
+      console.error("Draft evidence removal error:", error);
+      res.status(500).json({ message: "Server error while removing evidence" });
+    }
+  }
+);
+
+router.post(
+  "/drafts/:id/submit",
+  [
+    auth,
+    requireStudent,
+    requireVerifiedEmail,
+    loadDraft,
+    mergeDraftIntoBody,
+    ...submissionValidators,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const draft = req.draft;
+      const { declaration, deadlineCheck, confirmAll } = req.body;
+
+      if (req.body.studentId !== req.user.studentId) {
+        return res.status(400).json({
+          message: "Student ID must match your registered student ID",
+        });
+      }
+
+      applyDraftFields(draft, req.body);
+      if (!draft.hasAdviser) {
+        draft.adviserName = undefined;
+        draft.adviserEmail = undefined;
+        draft.adviserPhone = undefined;
+      }
+
+      draft.declaration = declaration;
+      draft.deadlineCheck = deadlineCheck;
+      draft.confirmAll = confirmAll;
+
+      const transition = draft.transitionTo("submitted", req.user.role);
+      if (!transition.allowed) {
+        return res
+          .status(409)
+          .json({ message: "Illegal status transition", transition });
+      }
+
+      draft.submittedDate = new Date();
+      draft.timeline.push({
+        action: "Appeal submitted",
+        description: `Appeal created and submitted for review - Type: ${draft.appealType}`,
+        performedBy: req.user._id,
+      });
+
+      await draft.save();
+
+      await draft.populate("student", "firstName lastName email studentId");
+
+      res.status(201).json({
+        message: "Appeal submitted successfully",
+        appeal: draft,
+      });
+    } catch (error) {
+      console.error("Submit draft error:", error);
+      res.status(500).json({ message: "Server error while submitting draft" });
+    }
+  }
+);
+
 router.post(
   "/",
   [
     auth,
     requireStudent,
-    upload.array("evidence", 10),
-    body("declaration")
-      .custom((value) => {
-        if (value === "true" || value === true) return true;
-        if (value === "false" || value === false) return false;
-        throw new Error("Declaration must be accepted");
-      })
-      .withMessage("Declaration must be accepted"),
-    body("deadlineCheck")
-      .custom((value) => {
-        if (value === "true" || value === true) return true;
-        if (value === "false" || value === false) return false;
-        throw new Error("Deadline check must be confirmed");
-      })
-      .withMessage("Deadline check must be confirmed"),
-
-    body("firstName").trim().notEmpty().withMessage("First name is required"),
-    body("lastName").trim().notEmpty().withMessage("Last name is required"),
-    body("studentId").trim().notEmpty().withMessage("Student ID is required"),
-    body("email")
-      .isEmail()
-      .normalizeEmail()
-      .withMessage("Valid email is required"),
-    body("phone").optional().trim(),
-    body("course").trim().notEmpty().withMessage("Course is required"),
-    body("department")
-      .trim()
-      .notEmpty()
-      .withMessage("Department selection is required"),
-
-    body("hasAdviser")
-      .optional()
-      .custom((value) => {
-        if (value === undefined || value === null) return true;
-        if (value === "true" || value === true) return true;
-        if (value === "false" || value === false) return true;
-        throw new Error("hasAdviser must be a boolean");
-      }),
-    body("adviserName").optional({ checkFalsy: true }).trim(),
-    body("adviserEmail")
-      .optional({ checkFalsy: true })
-      .isEmail()
-      .normalizeEmail(),
-    body("adviserPhone").optional({ checkFalsy: true }).trim(),
-
-    body("appealType")
-      .isIn([
-        "Academic Judgment",
-        "Procedural Irregularity",
-        "Extenuating Circumstances",
-        "Assessment Irregularity",
-        "Other",
-      ])
-      .withMessage("Valid appeal type is required"),
-    body("statement")
-      .trim()
-      .notEmpty()
-      .withMessage("Appeal statement is required"),
-
-    body("moduleCode").optional().trim(),
-    body("academicYear").notEmpty().withMessage("Academic year is required"),
-    body("semester").optional().isIn(["1", "2", "summer", "full year"]),
-
-    body("confirmAll")
-      .custom((value) => {
-        if (value === "true" || value === true) return true;
-        if (value === "false" || value === false) return false;
-        throw new Error("Final confirmation must be accepted");
-      })
-      .withMessage("Final confirmation must be accepted"),
+    requireVerifiedEmail,
+    uploadEvidence("evidence", 10),
+    ...submissionValidators,
+    ...evidenceMetadataValidators,
   ],
   async (req, res) => {
     try {
       const errors = validationResult(req);
       if (!errors.isEmpty()) {
+        await discardUploads(req.files);
         return res.status(400).json({ errors: errors.array() });
       }
 
@@ -163,22 +620,7 @@ router.post(
         confirmAll,
       } = req.body;
 
-      let grounds = rawGrounds;
-      if (Array.isArray(rawGrounds)) {
-        grounds = rawGrounds;
-      } else if (typeof rawGrounds === "string") {
-        try {
-          grounds = JSON.parse(rawGrounds);
-        } catch (e) {
-          grounds = [rawGrounds];
-        }
-      } else {
-        grounds = [];
-      }
-
-      if (!Array.isArray(grounds)) {
-        grounds = [];
-      }
+      const grounds = parseGrounds(rawGrounds);
 
       console.log("Received appeal data:", {
         declaration,
@@ -215,12 +657,14 @@ router.post(
       console.log("User from auth:", req.user);
 
       if (!declaration || !deadlineCheck || !confirmAll) {
+        await discardUploads(req.files);
         return res.status(400).json({
           message: "All required confirmations must be accepted",
         });
       }
 
       if (studentId !== req.user.studentId) {
+        await discardUploads(req.files);
         return res.status(400).json({
           message: "Student ID must match your registered student ID",
         });
@@ -265,16 +709,10 @@ router.post(
 
       if (req.files && req.files.length > 0) {
         console.log("Processing uploaded files...");
-        processedEvidence = req.files.map((file) => {
-          console.log("Processing file:", file);
-          return {
-            filename: file.filename,
-            originalName: file.originalname,
-            path: file.path,
-            fileSize: file.size,
-            mimeType: file.mimetype,
-            uploadedAt: new Date(),
-          };
+        processedEvidence = await storeEvidence(req.files, {
+          user: req.user,
+          category: req.body.category,
+          description: req.body.description,
         });
         console.log("Processed evidence files:", processedEvidence);
       } else {
@@ -325,7 +763,7 @@ router.post(
       console.log("About to save appeal...");
       console.log("Appeal appealId before save:", appeal.appealId);
 
-      await appeal.save();
+      await saveWithEvidence(appeal, processedEvidence);
 
       console.log("Appeal saved successfully");
       console.log("Appeal appealId after save:", appeal.appealId);
@@ -348,6 +786,10 @@ router.post(
 
       await appeal.save();
 
+      if (processedEvidence.length > 0) {
+        queueEvidenceScan(appeal._id);
+      }
+
       console.log(
         "Evidence field after second save (timeline):",
         appeal.evidence
@@ -401,12 +843,21 @@ router.post(
 
 router.get("/", auth, requireStudent, async (req, res) => {
   try {
-    const appeals = await Appeal.find({ student: req.user._id })
+    const appeals = await Appeal.find(
+      await visibleAppealsQuery(req.user, Appeal.excludeDrafts())
+    )
       .populate("student", "firstName lastName email studentId")
       .populate("assignedReviewer", "firstName lastName")
       .populate("assignedAdmin", "firstName lastName")
       .sort({ createdAt: -1 });
 
+    appeals.forEach((appeal) => {
+      appeal.evidence = appeal.evidence.filter(
+        (file) => file.visibility !== "internal"
+      );
+      appeal.panel.recommendations = [];
+    });
+
     res.json({ appeals });
   } catch (error) {
     console.error("Get appeals error:", error);
@@ -414,8 +865,65 @@ router.get("/", auth, requireStudent, async (req, res) => {
   }
 });
 
+router.get("/dashboard", auth, requireStudent, async (req, res) => {
+  try {
+    const query = await visibleAppealsQuery(req.user, Appeal.excludeDrafts());
+
+    const statusCounts = await Appeal.aggregate([
+      { $match: query },
+      {
+        $group: {
+          _id: "$status",
+          count: { $sum: 1 },
+        },
+      },
+    ]);
+
+    const typeCounts = await Appeal.aggregate([
+      { $match: query },
+      {
+        $group: {
+          _id: "$appealType",
+          count: { $sum: 1 },
+        },
+      },
+    ]);
+
+    const recentAppeals = await Appeal.find(query)
+      .populate("student", "firstName lastName email studentId")
+      .sort({ createdAt: -1 })
+      .limit(5);
+
+    const statusSummary = {
+      submitted: 0,
+      "under review": 0,
+      "awaiting information": 0,
+      "decision made": 0,
+      resolved: 0,
+      rejected: 0,
+      withdrawn: 0,
+    };
+
+    statusCounts.forEach((item) => {
+      statusSummary[item._id] = item.count;
+    });
+
+    res.json({
+      statusSummary,
+      typeCounts,
+      recentAppeals,
+      total: Object.values(statusSummary).reduce((a, b) => a + b, 0),
+    });
+  } catch (error) {
+    console.error("Dashboard error:", error);
+    res
+      .status(500)
+      .json({ message: "Server error while fetching dashboard data" });
+  }
+});
+
 router.get(
-  "/:id/evidence/:filename/download",
+  "/:id/evidence/:filename/:variant(download|thumbnail)",
   auth,
   requireStudent,
   async (req, res) => {
@@ -425,12 +933,9 @@ router.get(
       console.log("Download request:", { id, filename });
       console.log("Request params:", req.params);
 
-      const appeal = await Appeal.findOne({
-        _id: id,
-        student: req.user._id,
-      });
+      const appeal = await Appeal.findById(id);
 
-      if (!appeal) {
+      if (!appeal || !(await canViewAppeal(req.user, appeal))) {
         console.log("Appeal not found for user:", req.user._id);
         return res.status(404).json({ message: "Appeal not found" });
       }
@@ -444,35 +949,26 @@ router.get(
 
       console.log("Evidence file found:", evidenceFile);
 
-      if (!evidenceFile) {
+      if (
+        !evidenceFile ||
+        !(await canDownloadEvidence(req.user, appeal, evidenceFile))
+      ) {
         console.log("Evidence file not found for filename:", filename);
         return res.status(404).json({ message: "Evidence file not found" });
       }
 
-      const filePath = path.join(
-        __dirname,
-        "..",
-        "uploads",
-        evidenceFile.filename
-      );
-
-      if (!(await fs.pathExists(filePath))) {
-        return res.status(404).json({ message: "File not found on server" });
+      if (evidenceFile.scanStatus !== "clean") {
+        return res.status(409).json({
+          message: scanBlockMessage(evidenceFile),
+          scanStatus: evidenceFile.scanStatus,
+        });
       }
 
-      res.setHeader(
-        "Content-Type",
-        evidenceFile.mimeType || "application/octet-stream"
-      );
-      res.setHeader(
-        "Content-Disposition",
-        `attachment; filename="${
-          evidenceFile.originalName || evidenceFile.filename
-        }"`
-      );
+      if (req.params.variant === "thumbnail") {
+        return await sendEvidenceThumbnail(req, res, evidenceFile);
+      }
 
-      const fileStream = fs.createReadStream(filePath);
-      fileStream.pipe(res);
+      await sendEvidenceFile(req, res, evidenceFile);
     } catch (error) {
       console.error("Download evidence error:", error);
       res.status(500).json({ message: "Server error while downloading file" });
@@ -482,20 +978,33 @@ router.get(
 
 router.get("/:id", auth, requireStudent, async (req, res) => {
   try {
-    const appeal = await Appeal.findOne({
-      _id: req.params.id,
-      student: req.user._id,
-    })
+    const appeal = await Appeal.findById(req.params.id)
       .populate("student", "firstName lastName email studentId")
       .populate("assignedReviewer", "firstName lastName")
       .populate("assignedAdmin", "firstName lastName")
       .populate("timeline.performedBy", "firstName lastName role")
-      .populate("notes.author", "firstName lastName role");
+      .populate("notes.author", "firstName lastName role")
+      .populate("informationRequests.requestedBy", "firstName lastName role");
+
+    if (!appeal || !(await canViewAppeal(req.user, appeal))) {
+      return res.status(404).json({ message: "Appeal not found" });
+    }
 
     if (appeal && appeal.notes) {
       appeal.notes = appeal.notes.filter((note) => !note.isInternal);
     }
 
+    // Individual panel recommendations are internal to the panel.
+    if (appeal) {
+      appeal.panel.recommendations = [];
+    }
+
+    if (appeal && Array.isArray(appeal.evidence)) {
+      appeal.evidence = appeal.evidence.filter(
+        (file) => file.visibility !== "internal"
+      );
+    }
+
     if (!Array.isArray(appeal.evidence)) {
       appeal.evidence = [];
     }
@@ -508,10 +1017,6 @@ router.get("/:id", auth, requireStudent, async (req, res) => {
       evidenceLength: appeal.evidence ? appeal.evidence.length : 0,
     });
 
-    if (!appeal) {
-      return res.status(404).json({ message: "Appeal not found" });
-    }
-
     console.log("Appeal retrieved from database:", {
       id: appeal._id,
       evidence: appeal.evidence,
@@ -558,12 +1063,9 @@ router.post(
         return res.status(400).json({ errors: errors.array() });
       }
 
-      const appeal = await Appeal.findOne({
-        _id: req.params.id,
-        student: req.user._id,
-      });
+      const appeal = await Appeal.findById(req.params.id);
 
-      if (!appeal) {
+      if (!appeal || !(await canEditAppeal(req.user, appeal))) {
         return res.status(404).json({ message: "Appeal not found" });
       }
 
@@ -599,60 +1101,275 @@ router.post(
   }
 );
 
-router.get("/dashboard", auth, requireStudent, async (req, res) => {
-  try {
-    const query = { student: req.user._id };
+router.post(
+  "/:id/evidence",
+  auth,
+  requireStudent,
+  loadStudentAppeal(
+    { status: { $in: OPEN_STATUSES } },
+    "Open appeal not found"
+  ),
+  uploadEvidence("evidence", 10),
+  evidenceMetadataValidators,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        await discardUploads(req.files);
+        return res.status(400).json({ errors: errors.array() });
+      }
 
-    const statusCounts = await Appeal.aggregate([
-      { $match: query },
-      {
-        $group: {
-          _id: "$status",
-          count: { $sum: 1 },
-        },
-      },
-    ]);
+      if (!req.files || req.files.length === 0) {
+        return res.status(400).json({ message: "No files uploaded" });
+      }
 
-    const typeCounts = await Appeal.aggregate([
-      { $match: query },
-      {
-        $group: {
-          _id: "$appealType",
-          count: { $sum: 1 },
-        },
-      },
-    ]);
+      const { appeal } = req;
 
-    const recentAppeals = await Appeal.find(query)
-      .populate("student", "firstName lastName email studentId")
-      .sort({ createdAt: -1 })
-      .limit(5);
+      const capError = checkEvidenceCaps(appeal, req.files);
+      if (capError) {
+        await discardUploads(req.files);
+        return res.status(400).json({ message: capError });
+      }
 
-    const statusSummary = {
-      submitted: 0,
-      "under review": 0,
-      "awaiting information": 0,
-      "decision made": 0,
-      resolved: 0,
-      rejected: 0,
-    };
+      const processedEvidence = await storeEvidence(req.files, {
+        user: req.user,
+        category: req.body.category,
+        description: req.body.description,
+      });
 
-    statusCounts.forEach((item) => {
-      statusSummary[item._id] = item.count;
-    });
+      appeal.evidence.push(...processedEvidence);
 
-    res.json({
-      statusSummary,
-      typeCounts,
-      recentAppeals,
-      total: Object.values(statusSummary).reduce((a, b) => a + b, 0),
-    });
-  } catch (error) {
-    console.error("Dashboard error:", error);
-    res
-      .status(500)
-      .json({ message: "Server error while fetching dashboard data" });
+      appeal.timeline.push({
+        action: "Additional evidence uploaded",
+        description: `Student uploaded ${processedEvidence.length} additional evidence file(s)`,
+        performedBy: req.user._id,
+      });
+
+      if (!(await saveWithinEvidenceCaps(appeal, processedEvidence))) {
+        return res.status(409).json(EVIDENCE_CAPS_CONFLICT);
+      }
+      queueEvidenceScan(appeal._id);
+
+      await Notification.notifyUsers(appeal.reviewers(), {
+        appeal: appeal._id,
+        type: "evidence_uploaded",
+        message: `The student uploaded ${processedEvidence.length} new evidence file(s) to appeal ${appeal.appealId}`,
+      });
+
+      res.json({
+        message: "Evidence uploaded successfully",
+        evidence: processedEvidence,
+      });
+    } catch (error) {
+      console.error("Student evidence upload error:", error);
+      await discardUploads(req.files);
+      res
+        .status(500)
+        .json({ message: "Server error while uploading evidence" });
+    }
   }
-});
+);
+
+router.post(
+  "/:id/information-requests/:requestId/items/:itemId/respond",
+  auth,
+  requireStudent,
+  loadStudentAppeal(Appeal.excludeDrafts(), "Appeal not found"),
+  uploadEvidence("evidence", 10),
+  body("response").optional().trim(),
+  evidenceMetadataValidators,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        await discardUploads(req.files);
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { response } = req.body;
+      const files = req.files || [];
+
+      if (!response && files.length === 0) {
+        return res
+          .status(400)
+          .json({ message: "A written response or a file is required" });
+      }
+
+      const { appeal } = req;
+
+      if (Appeal.CLOSED_STATUSES.includes(appeal.status)) {
+        await discardUploads(req.files);
+        return res.status(409).json({
+          message: `Responses cannot be added to a ${appeal.status} appeal`,
+        });
+      }
+
+      const request = appeal.informationRequests.id(req.params.requestId);
+      const item = request && request.items.id(req.params.itemId);
+      if (!item) {
+        await discardUploads(req.files);
+        return res
+          .status(404)
+          .json({ message: "Information request item not found" });
+      }
+
+      if (request.status !== "open" || request.dueDate < new Date()) {
+        await discardUploads(req.files);
+        return res.status(409).json({
+          message: "This information request is no longer accepting responses",
+        });
+      }
+
+      const capError = checkEvidenceCaps(appeal, files);
+      if (capError) {
+        await discardUploads(req.files);
+        return res.status(400).json({ message: capError });
+      }
+
+      const processedEvidence = await storeEvidence(files, {
+        user: req.user,
+        category: req.body.category,
+        description: req.body.description,
+      });
+
+      appeal.evidence.push(...processedEvidence);
+
+      item.response = response;
+      item.files = processedEvidence.map((file) => file.filename);
+      item.respondedAt = new Date();
+
+      appeal.timeline.push({
+        action: "Information provided",
+        description: `Student responded to "${item.question}"${
+          files.length ? ` with ${files.length} file(s)` : ""
+        }`,
+        performedBy: req.user._id,
+      });
+
+      const completed = request.items.every((entry) => entry.respondedAt);
+      if (completed) {
+        appeal.closeInformationRequest(request, "completed", req.user._id);
+      }
+
+      if (!(await saveWithinEvidenceCaps(appeal, processedEvidence))) {
+        return res.status(409).json(EVIDENCE_CAPS_CONFLICT);
+      }
+
+      if (processedEvidence.length > 0) {
+        queueEvidenceScan(appeal._id);
+      }
+
+      if (completed) {
+        await Notification.notifyUsers(
+          [request.requestedBy, ...appeal.reviewers(), appeal.assignedAdmin],
+          {
+            appeal: appeal._id,
+            type: "information_provided",
+            message: `The student has answered all requested information for appeal ${appeal.appealId}`,
+          }
+        );
+      }
+
+      res.json({
+        message: "Response recorded successfully",
+        informationRequest: request,
+        status: appeal.status,
+      });
+    } catch (error) {
+      console.error("Information response error:", error);
+      res
+        .status(500)
+        .json({ message: "Server error while recording response" });
+    }
+  }
+);
+
+router.post(
+  "/:id/withdraw",
+  [
+    auth,
+    requireStudent,
+    body("reason")
+      .trim()
+      .notEmpty()
+      .withMessage("Withdrawal reason is required"),
+    body("confirm")
+      .custom((value) => value === true || value === "true")
+      .withMessage("Withdrawal must be confirmed"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const appeal = await Appeal.findOne(
+        Appeal.excludeDrafts({ _id: req.params.id })
+      );
+
+      if (!appeal || !(await canEditAppeal(req.user, appeal))) {
+        return res.status(404).json({ message: "Appeal not found" });
+      }
+
+      const { reason } = req.body;
+
+      appeal.decision = {
+        outcome: "withdrawn",
+        reason,
+        decisionDate: new Date(),
+        decidedBy: req.user._id,
+      };
+
+      const transition = appeal.transitionTo("withdrawn", req.user.role);
+      if (!transition.allowed) {
+        return res
+          .status(409)
+          .json({ message: "Illegal status transition", transition });
+      }
+
+      const hadDeadline = Boolean(appeal.deadline);
+      appeal.deadline = undefined;
+
+      appeal.timeline.push({
+        action: "Appeal withdrawn",
+        description: `Appeal withdrawn by student: ${req.user.firstName} ${
+          req.user.lastName
+        } - Reason: ${reason}${hadDeadline ? " - Deadline removed" : ""}`,
+        performedBy: req.user._id,
+      });
+
+      // Nothing more is needed from the student once the appeal is closed.
+      appeal
+        .openInformationRequests()
+        .forEach((request) =>
+          appeal.closeInformationRequest(request, "cancelled", req.user._id)
+        );
+
+      await appeal.save();
+
+      await Notification.notifyUsers(
+        [...appeal.reviewers(), appeal.assignedAdmin],
+        {
+          appeal: appeal._id,
+          type: "appeal_withdrawn",
+          message: `Appeal ${appeal.appealId} has been withdrawn by the student`,
+        }
+      );
+
+      appeal.panel.recommendations = [];
+
+      res.json({
+        message: "Appeal withdrawn successfully",
+        appeal,
+      });
+    } catch (error) {
+      console.error("Withdraw appeal error:", error);
+      res
+        .status(500)
+        .json({ message: "Server error while withdrawing appeal" });
+    }
+  }
+);
 
 module.exports = router;
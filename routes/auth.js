@@ -1,13 +1,154 @@
 const express = require("express");
+const bcrypt = require("bcryptjs");
 const jwt = require("jsonwebtoken");
-const { body, validationResult } = require("express-validator");
+const { body, param, validationResult } = require("express-validator");
 const User = require("../models/User");
-const { auth } = require("../middleware/auth");
+const Session = require("../models/Session");
+const Invitation = require("../models/Invitation");
+const OidcLogin = require("../models/OidcLogin");
+const { accountAuth } = require("../middleware/auth");
+const {
+  createSession,
+  rotateSession,
+  revokeSession,
+} = require("../utils/sessions");
+const { sendMail, appUrl } = require("../utils/mailer");
+const {
+  beginLoginAttempt,
+  releaseLoginAttempt,
+  recordLoginSuccess,
+} = require("../utils/loginThrottle");
+const {
+  generateSecret,
+  verifyCode,
+  provisioningUri,
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+} = require("../utils/totp");
+const {
+  getSecuritySettings,
+  twoFactorRequired,
+  twoFactorEnrolmentRequired,
+  localPasswordAllowed,
+} = require("../utils/securitySettings");
+const {
+  oidcConfig,
+  getOidcClient,
+  generators,
+  mapClaims,
+  findOrProvisionUser,
+} = require("../utils/oidc");
+const { permissionsForRole } = require("../utils/permissions");
+const { randomToken, hashToken } = require("../utils/tokens");
 
 const router = express.Router();
 
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, { expiresIn: "7d" });
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync("not-a-real-password", 10);
+
+const TWO_FACTOR_CHALLENGE_TTL = "5m";
+const OIDC_LOGIN_TTL_MS = 10 * 60 * 1000;
+const OIDC_LOGIN_CODE_TTL_MS = 2 * 60 * 1000;
+
+const PASSWORD_LOGIN_DISABLED_MESSAGE =
+  "Password login is disabled for this account. Please use single sign-on.";
+
+const loginClient = (req) => ({
+  ipAddress: req.ip,
+  userAgent: (req.get("user-agent") || "").slice(0, 512),
+});
+
+// Issues the session once every login step has passed.
+const completeLogin = async (req, user, email, method) => {
+  await recordLoginSuccess(email);
+
+  const tokens = await createSession(user, req);
+
+  user.lastLogin = new Date();
+  await user.save();
+  await User.recordLogin(user._id, {
+    success: true,
+    method,
+    ...loginClient(req),
+  });
+
+  return {
+    ...tokens,
+    user: user.toJSON(),
+    twoFactorEnrolmentRequired: await twoFactorEnrolmentRequired(user),
+  };
+};
+
+// After the first factor (password or single sign-on): either log in, or,
+// with two-factor enabled, hand out a short-lived challenge token that is
+// exchanged at /login/2fa.
+const sendLoginResponse = async (req, res, user, email, method) => {
+  if (user.twoFactor && user.twoFactor.enabled) {
+    const challengeToken = jwt.sign(
+      { userId: user._id, email, method, purpose: "2fa-login" },
+      process.env.JWT_SECRET,
+      { expiresIn: TWO_FACTOR_CHALLENGE_TTL }
+    );
+    return res.json({
+      message: "Two-factor authentication required",
+      twoFactorRequired: true,
+      challengeToken,
+      challengeExpiresAt: new Date(jwt.decode(challengeToken).exp * 1000),
+    });
+  }
+
+  res.json({
+    message: "Login successful",
+    ...(await completeLogin(req, user, email, method)),
+  });
+};
+
+// Checks a TOTP code or a recovery code against the user's enrolled secret.
+// Each code is accepted only once.
+const verifySecondFactor = async (userId, { code, recoveryCode }) => {
+  const user = await User.findById(userId).select(
+    "+twoFactor.secret +twoFactor.recoveryCodes"
+  );
+  if (!user || !user.twoFactor.enabled) return { valid: false };
+
+  if (recoveryCode) {
+    const used = await User.useRecoveryCode(
+      user._id,
+      hashRecoveryCode(recoveryCode)
+    );
+    return {
+      valid: used,
+      method: "recovery code",
+      recoveryCodesRemaining: user.twoFactor.recoveryCodes.length - 1,
+    };
+  }
+
+  const step = verifyCode(decryptSecret(user.twoFactor.secret), code);
+  return {
+    valid: step !== null && (await User.useTotpStep(user._id, step)),
+    method: "authenticator",
+  };
+};
+
+const EMAIL_VERIFICATION_RESEND_SECONDS =
+  parseInt(process.env.EMAIL_VERIFICATION_RESEND_SECONDS, 10) || 60;
+
+const sendVerificationEmail = async (user, token) => {
+  try {
+    await sendMail({
+      to: user.email,
+      subject: "Verify your email address",
+      text: [
+        `Hello ${user.firstName},`,
+        "Please confirm this email address for your Student Appeal Manager account by opening the link below:",
+        appUrl("/verify-email", { token }),
+        `The link expires at ${user.emailVerificationExpires.toUTCString()}. You need a verified email address to submit appeals.`,
+      ].join("\n\n"),
+    });
+  } catch (error) {
+    console.error("Verification email error:", error);
+  }
 };
 
 router.post(
@@ -17,9 +158,13 @@ router.post(
     body("password").isLength({ min: 6 }),
     body("firstName").trim().notEmpty(),
     body("lastName").trim().notEmpty(),
-    body("role").isIn(["student", "admin", "reviewer"]),
-    body("studentId").optional().trim(),
-    body("department").optional().trim(),
+    body("role")
+      .optional()
+      .equals("student")
+      .withMessage(
+        "Only student accounts can be registered. Staff accounts are created by invitation."
+      ),
+    body("studentId").trim().notEmpty().withMessage("Student ID is required"),
   ],
   async (req, res) => {
     try {
@@ -28,15 +173,7 @@ router.post(
         return res.status(400).json({ errors: errors.array() });
       }
 
-      const {
-        email,
-        password,
-        firstName,
-        lastName,
-        role,
-        studentId,
-        department,
-      } = req.body;
+      const { email, password, firstName, lastName, studentId } = req.body;
 
       const existingUser = await User.findOne({ email });
       if (existingUser) {
@@ -45,11 +182,9 @@ router.post(
           .json({ message: "User with this email already exists" });
       }
 
-      if (role === "student" && studentId) {
-        const existingStudent = await User.findOne({ studentId });
-        if (existingStudent) {
-          return res.status(400).json({ message: "Student ID already exists" });
-        }
+      const existingStudent = await User.findOne({ studentId });
+      if (existingStudent) {
+        return res.status(400).json({ message: "Student ID already exists" });
       }
 
       const user = new User({
@@ -57,21 +192,23 @@ router.post(
         password,
         firstName,
         lastName,
-        role,
-        studentId: role === "student" ? studentId : undefined,
-        department: role === "admin" ? department : undefined,
+        role: "student",
+        studentId,
       });
 
+      const verificationToken = user.createEmailVerificationToken();
       await user.save();
+      await sendVerificationEmail(user, verificationToken);
 
-      const token = generateToken(user._id);
+      const tokens = await createSession(user, req);
 
       user.lastLogin = new Date();
       await user.save();
 
       res.status(201).json({
-        message: "User registered successfully",
-        token,
+        message:
+          "User registered successfully. Check your email to verify your address.",
+        ...tokens,
         user: user.toJSON(),
       });
     } catch (error) {
@@ -81,6 +218,84 @@ router.post(
   }
 );
 
+router.post(
+  "/accept-invite",
+  [
+    body("token").notEmpty().withMessage("Invitation token is required"),
+    body("password")
+      .isLength({ min: 6 })
+      .withMessage("Password must be at least 6 characters"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const invitation = await Invitation.claim(req.body.token);
+      if (!invitation) {
+        return res
+          .status(400)
+          .json({ message: "Invalid or expired invitation" });
+      }
+
+      const existingUser = await User.findOne({ email: invitation.email });
+      if (existingUser) {
+        invitation.acceptedAt = undefined;
+        invitation.revokedAt = new Date();
+        await invitation.save();
+        return res
+          .status(409)
+          .json({ message: "User with this email already exists" });
+      }
+
+      // The invitation link was delivered to this address, so it counts as
+      // verified.
+      const user = new User({
+        email: invitation.email,
+        password: req.body.password,
+        firstName: invitation.firstName,
+        lastName: invitation.lastName,
+        role: invitation.role,
+        department: invitation.department,
+        institutionWide: invitation.institutionWide,
+        emailVerified: true,
+        emailVerifiedAt: new Date(),
+        lastLogin: new Date(),
+      });
+
+      try {
+        await user.save();
+      } catch (error) {
+        // Release the claim so the link can be retried.
+        await Invitation.updateOne(
+          { _id: invitation._id },
+          { $unset: { acceptedAt: 1 } }
+        );
+        throw error;
+      }
+
+      invitation.acceptedUser = user._id;
+      await invitation.save();
+
+      const tokens = await createSession(user, req);
+
+      res.status(201).json({
+        message: "Invitation accepted. Your account is ready.",
+        ...tokens,
+        user: user.toJSON(),
+        twoFactorEnrolmentRequired: await twoFactorEnrolmentRequired(user),
+      });
+    } catch (error) {
+      console.error("Accept invitation error:", error);
+      res
+        .status(500)
+        .json({ message: "Server error while accepting invitation" });
+    }
+  }
+);
+
 router.post(
   "/login",
   [body("email").isEmail().normalizeEmail(), body("password").notEmpty()],
@@ -92,47 +307,506 @@ router.post(
       }
 
       const { email, password, role } = req.body;
+      const client = loginClient(req);
 
-      const user = await User.findOne({ email });
-      if (!user) {
-        return res.status(400).json({ message: "Invalid credentials" });
+      const throttle = await beginLoginAttempt(email, req.ip);
+      if (!throttle.allowed) {
+        const lockedUser = await User.findOne({ email }).select("_id");
+        if (lockedUser) {
+          await User.recordLogin(lockedUser._id, {
+            success: false,
+            reason: "throttled",
+            ...client,
+          });
+        }
+        res.setHeader("Retry-After", throttle.retryAfter);
+        return res.status(429).json({
+          message: "Too many failed login attempts. Please try again later.",
+          retryAfter: throttle.retryAfter,
+        });
       }
 
-      if (!user.isActive) {
-        return res.status(400).json({ message: "Account is deactivated" });
+      // Unknown emails, deactivated accounts and wrong passwords get the same
+      // response, and a hash is always compared so the timing matches too.
+      const user = await User.findOne({ email });
+      const isMatch = await bcrypt.compare(
+        password,
+        user ? user.password : DUMMY_PASSWORD_HASH
+      );
+
+      if (!user || !isMatch || !user.isActive) {
+        if (user) {
+          await User.recordLogin(user._id, {
+            success: false,
+            reason: isMatch ? "account deactivated" : "invalid password",
+            ...client,
+          });
+        }
+        return res.status(400).json({ message: "Invalid credentials" });
       }
+      await releaseLoginAttempt(email, req.ip);
 
       if (role && user.role !== role) {
+        await User.recordLogin(user._id, {
+          success: false,
+          reason: "role mismatch",
+          ...client,
+        });
         return res
           .status(400)
           .json({ message: "Invalid role for this account" });
       }
 
-      const isMatch = await user.comparePassword(password);
-      if (!isMatch) {
-        return res.status(400).json({ message: "Invalid credentials" });
+      if (!(await localPasswordAllowed(user))) {
+        await User.recordLogin(user._id, {
+          success: false,
+          reason: "password login disabled",
+          ...client,
+        });
+        return res
+          .status(400)
+          .json({ message: PASSWORD_LOGIN_DISABLED_MESSAGE, sso: true });
       }
 
-      const token = generateToken(user._id);
+      await sendLoginResponse(req, res, user, email, "password");
+    } catch (error) {
+      console.error("Login error:", error);
+      res.status(500).json({ message: "Server error during login" });
+    }
+  }
+);
 
-      user.lastLogin = new Date();
-      await user.save();
+router.post(
+  "/login/2fa",
+  [
+    body("challengeToken")
+      .notEmpty()
+      .withMessage("Challenge token is required"),
+    body("code")
+      .if(body("recoveryCode").not().exists())
+      .notEmpty()
+      .withMessage("Authentication code or recovery code is required"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      let challenge;
+      try {
+        challenge = jwt.verify(req.body.challengeToken, process.env.JWT_SECRET);
+      } catch (error) {
+        challenge = null;
+      }
+      if (!challenge || challenge.purpose !== "2fa-login") {
+        return res.status(401).json({
+          message:
+            "Login challenge is invalid or has expired. Please log in again.",
+        });
+      }
+
+      const user = await User.findById(challenge.userId);
+      if (!user || !user.isActive) {
+        return res.status(401).json({
+          message:
+            "Login challenge is invalid or has expired. Please log in again.",
+        });
+      }
+
+      const throttle = await beginLoginAttempt(challenge.email, req.ip);
+      if (!throttle.allowed) {
+        res.setHeader("Retry-After", throttle.retryAfter);
+        return res.status(429).json({
+          message: "Too many failed login attempts. Please try again later.",
+          retryAfter: throttle.retryAfter,
+        });
+      }
+
+      const result = await verifySecondFactor(user._id, req.body);
+      if (!result.valid) {
+        await User.recordLogin(user._id, {
+          success: false,
+          reason: `invalid ${result.method || "two-factor"} code`,
+          ...loginClient(req),
+        });
+        return res.status(400).json({ message: "Invalid authentication code" });
+      }
+      await releaseLoginAttempt(challenge.email, req.ip);
 
       res.json({
         message: "Login successful",
-        token,
-        user: user.toJSON(),
+        ...(await completeLogin(req, user, challenge.email, challenge.method)),
+        ...(result.method === "recovery code" && {
+          recoveryCodesRemaining: result.recoveryCodesRemaining,
+        }),
       });
     } catch (error) {
-      console.error("Login error:", error);
+      console.error("Two-factor login error:", error);
       res.status(500).json({ message: "Server error during login" });
     }
   }
 );
 
-router.get("/profile", auth, async (req, res) => {
+router.get("/2fa", accountAuth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(
+      "+twoFactor.recoveryCodes"
+    );
+    const settings = await getSecuritySettings();
+
+    res.json({
+      enabled: user.twoFactor.enabled,
+      enabledAt: user.twoFactor.enabledAt,
+      recoveryCodesRemaining: user.twoFactor.enabled
+        ? user.twoFactor.recoveryCodes.length
+        : 0,
+      required: twoFactorRequired(user, settings),
+    });
+  } catch (error) {
+    console.error("Get two-factor status error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+router.post("/2fa/setup", accountAuth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (user.twoFactor.enabled) {
+      return res
+        .status(409)
+        .json({ message: "Two-factor authentication is already enabled" });
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = encryptSecret(secret);
+    await user.save();
+
+    res.json({
+      message:
+        "Scan the QR code with an authenticator app, then confirm with a code to finish enrolment.",
+      secret,
+      otpauthUrl: provisioningUri(secret, user.email),
+    });
+  } catch (error) {
+    console.error("Two-factor setup error:", error);
+    res.status(500).json({ message: "Server error during two-factor setup" });
+  }
+});
+
+router.post(
+  "/2fa/enable",
+  accountAuth,
+  [body("code").notEmpty().withMessage("Authentication code is required")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const user = await User.findById(req.user._id).select(
+        "+twoFactor.pendingSecret"
+      );
+      if (user.twoFactor.enabled) {
+        return res
+          .status(409)
+          .json({ message: "Two-factor authentication is already enabled" });
+      }
+      if (!user.twoFactor.pendingSecret) {
+        return res
+          .status(400)
+          .json({ message: "Start two-factor setup first" });
+      }
+
+      const step = verifyCode(
+        decryptSecret(user.twoFactor.pendingSecret),
+        req.body.code
+      );
+      if (step === null) {
+        return res.status(400).json({ message: "Invalid authentication code" });
+      }
+
+      const { codes, hashes } = generateRecoveryCodes();
+      user.twoFactor.enabled = true;
+      user.twoFactor.enabledAt = new Date();
+      user.twoFactor.secret = user.twoFactor.pendingSecret;
+      user.twoFactor.pendingSecret = undefined;
+      user.twoFactor.recoveryCodes = hashes;
+      user.twoFactor.lastUsedStep = step;
+      await user.save();
+
+      res.json({
+        message:
+          "Two-factor authentication enabled. Store these recovery codes somewhere safe; they will not be shown again.",
+        recoveryCodes: codes,
+      });
+    } catch (error) {
+      console.error("Enable two-factor error:", error);
+      res
+        .status(500)
+        .json({ message: "Server error while enabling two-factor" });
+    }
+  }
+);
+
+router.post(
+  "/2fa/recovery-codes",
+  accountAuth,
+  [body("code").notEmpty().withMessage("Authentication code is required")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const result = await verifySecondFactor(req.user._id, {
+        code: req.body.code,
+      });
+      if (!result.valid) {
+        return res.status(400).json({ message: "Invalid authentication code" });
+      }
+
+      const { codes, hashes } = generateRecoveryCodes();
+      await User.updateOne(
+        { _id: req.user._id },
+        { "twoFactor.recoveryCodes": hashes }
+      );
+
+      res.json({
+        message:
+          "New recovery codes generated. The previous codes no longer work.",
+        recoveryCodes: codes,
+      });
+    } catch (error) {
+      console.error("Regenerate recovery codes error:", error);
+      res
+        .status(500)
+        .json({ message: "Server error while generating recovery codes" });
+    }
+  }
+);
+
+router.post(
+  "/2fa/disable",
+  accountAuth,
+  [
+    body("password").notEmpty().withMessage("Password is required"),
+    body("code")
+      .if(body("recoveryCode").not().exists())
+      .notEmpty()
+      .withMessage("Authentication code or recovery code is required"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const settings = await getSecuritySettings();
+      if (twoFactorRequired(req.user, settings)) {
+        return res.status(403).json({
+          message:
+            "Two-factor authentication is required for staff accounts and cannot be disabled",
+        });
+      }
+
+      const user = await User.findById(req.user._id);
+      if (!user.twoFactor.enabled) {
+        return res
+          .status(400)
+          .json({ message: "Two-factor authentication is not enabled" });
+      }
+
+      const isMatch = await user.comparePassword(req.body.password);
+      const result = isMatch
+        ? await verifySecondFactor(user._id, req.body)
+        : { valid: false };
+      if (!result.valid) {
+        return res
+          .status(400)
+          .json({ message: "Invalid password or authentication code" });
+      }
+
+      await User.updateOne(
+        { _id: user._id },
+        {
+          "twoFactor.enabled": false,
+          $unset: {
+            "twoFactor.enabledAt": 1,
+            "twoFactor.secret": 1,
+            "twoFactor.pendingSecret": 1,
+            "twoFactor.recoveryCodes": 1,
+            "twoFactor.lastUsedStep": 1,
+          },
+        }
+      );
+
+      res.json({ message: "Two-factor authentication disabled" });
+    } catch (error) {
+      console.error("Disable two-factor error:", error);
+      res
+        .status(500)
+        .json({ message: "Server error while disabling two-factor" });
+    }
+  }
+);
+
+router.get("/oidc", (req, res) => {
+  const config = oidcConfig();
+  res.json({
+    enabled: Boolean(config),
+    providerName: config ? config.providerName : undefined,
+    loginUrl: config ? "/api/auth/oidc/login" : undefined,
+  });
+});
+
+// Starts single sign-on: the browser is sent to the identity provider with
+// an authorization code request protected by state, nonce and PKCE.
+router.get("/oidc/login", async (req, res) => {
   try {
-    res.json({ user: req.user });
+    const client = await getOidcClient();
+    if (!client) {
+      return res.status(404).json({ message: "Single sign-on is not enabled" });
+    }
+
+    const state = generators.state();
+    const nonce = generators.nonce();
+    const codeVerifier = generators.codeVerifier();
+
+    await OidcLogin.create({
+      state,
+      nonce,
+      codeVerifier,
+      expiresAt: new Date(Date.now() + OIDC_LOGIN_TTL_MS),
+    });
+
+    res.redirect(
+      client.authorizationUrl({
+        scope: oidcConfig().scopes,
+        state,
+        nonce,
+        code_challenge: generators.codeChallenge(codeVerifier),
+        code_challenge_method: "S256",
+      })
+    );
+  } catch (error) {
+    console.error("OIDC login error:", error);
+    res
+      .status(502)
+      .json({ message: "Could not contact the identity provider" });
+  }
+});
+
+// The identity provider redirects here. On success the browser is sent back
+// to the web client with a one-time code for POST /oidc/exchange, so tokens
+// never appear in URLs; on failure it gets an error message instead.
+router.get("/oidc/callback", async (req, res) => {
+  const redirectWithError = (message) =>
+    res.redirect(appUrl("/oidc/callback", { error: message }));
+
+  try {
+    const client = await getOidcClient();
+    if (!client) {
+      return res.status(404).json({ message: "Single sign-on is not enabled" });
+    }
+
+    const params = client.callbackParams(req);
+    const login = await OidcLogin.findOneAndUpdate(
+      { state: params.state, usedAt: null, expiresAt: { $gt: new Date() } },
+      { usedAt: new Date() }
+    );
+    if (!login) {
+      return redirectWithError(
+        "Your sign-in attempt has expired. Please try again."
+      );
+    }
+
+    let tokenSet;
+    try {
+      tokenSet = await client.callback(oidcConfig().redirectUri, params, {
+        state: login.state,
+        nonce: login.nonce,
+        code_verifier: login.codeVerifier,
+      });
+    } catch (error) {
+      console.error("OIDC callback error:", error.message);
+      return redirectWithError("Sign-in with the identity provider failed.");
+    }
+
+    let claims = tokenSet.claims();
+    if (client.issuer.userinfo_endpoint && tokenSet.access_token) {
+      try {
+        claims = { ...(await client.userinfo(tokenSet)), ...claims };
+      } catch (error) {
+        console.error("OIDC userinfo error:", error.message);
+      }
+    }
+
+    let user;
+    try {
+      user = await findOrProvisionUser(mapClaims(claims));
+    } catch (error) {
+      if (error.code === "OIDC_PROVISIONING") {
+        return redirectWithError(error.message);
+      }
+      throw error;
+    }
+
+    const loginCode = randomToken();
+    await OidcLogin.updateOne(
+      { _id: login._id },
+      {
+        user: user._id,
+        loginCodeHash: hashToken(loginCode),
+        expiresAt: new Date(Date.now() + OIDC_LOGIN_CODE_TTL_MS),
+      }
+    );
+
+    res.redirect(appUrl("/oidc/callback", { code: loginCode }));
+  } catch (error) {
+    console.error("OIDC callback error:", error);
+    redirectWithError("Server error during single sign-on.");
+  }
+});
+
+router.post(
+  "/oidc/exchange",
+  [body("code").notEmpty().withMessage("Login code is required")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const login = await OidcLogin.findOneAndDelete({
+        loginCodeHash: hashToken(req.body.code),
+        expiresAt: { $gt: new Date() },
+      });
+      const user = login && (await User.findById(login.user));
+      if (!user || !user.isActive) {
+        return res
+          .status(400)
+          .json({ message: "Invalid or expired login code" });
+      }
+
+      await sendLoginResponse(req, res, user, user.email, "oidc");
+    } catch (error) {
+      console.error("OIDC exchange error:", error);
+      res.status(500).json({ message: "Server error during login" });
+    }
+  }
+);
+
+router.get("/profile", accountAuth, async (req, res) => {
+  try {
+    // Lets the web client show only what the user's role allows.
+    const permissions = await permissionsForRole(req.user.role);
+    res.json({ user: req.user, permissions });
   } catch (error) {
     console.error("Profile error:", error);
     res.status(500).json({ message: "Server error" });
@@ -141,7 +815,7 @@ router.get("/profile", auth, async (req, res) => {
 
 router.put(
   "/profile",
-  auth,
+  accountAuth,
   [
     body("firstName").optional().trim().notEmpty(),
     body("lastName").optional().trim().notEmpty(),
@@ -159,7 +833,9 @@ router.put(
 
       if (firstName) updates.firstName = firstName;
       if (lastName) updates.lastName = lastName;
-      if (department && req.user.role === "admin")
+      // Department-scoped admins cannot move themselves to another
+      // department; see utils/departmentScope.js.
+      if (department && req.user.role === "admin" && req.user.institutionWide)
         updates.department = department;
 
       const user = await User.findByIdAndUpdate(req.user._id, updates, {
@@ -178,8 +854,274 @@ router.put(
   }
 );
 
-router.post("/logout", auth, async (req, res) => {
+router.post(
+  "/verify-email",
+  [body("token").notEmpty().withMessage("Verification token is required")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const user = await User.consumeEmailVerificationToken(req.body.token);
+      if (!user) {
+        return res
+          .status(400)
+          .json({ message: "Invalid or expired verification token" });
+      }
+
+      res.json({ message: "Email address verified", user: user.toJSON() });
+    } catch (error) {
+      console.error("Verify email error:", error);
+      res
+        .status(500)
+        .json({ message: "Server error during email verification" });
+    }
+  }
+);
+
+router.post("/resend-verification", accountAuth, async (req, res) => {
   try {
+    const user = await User.findById(req.user._id).select(
+      "+emailVerificationSentAt"
+    );
+
+    if (user.emailVerified) {
+      return res.status(400).json({ message: "Email is already verified" });
+    }
+
+    const nextAllowedAt = user.emailVerificationSentAt
+      ? user.emailVerificationSentAt.getTime() +
+        EMAIL_VERIFICATION_RESEND_SECONDS * 1000
+      : 0;
+    if (nextAllowedAt > Date.now()) {
+      const retryAfter = Math.ceil((nextAllowedAt - Date.now()) / 1000);
+      res.setHeader("Retry-After", retryAfter);
+      return res.status(429).json({
+        message:
+          "A verification email was sent recently. Please wait before requesting another.",
+        retryAfter,
+      });
+    }
+
+    const token = user.createEmailVerificationToken();
+    await user.save();
+    await sendVerificationEmail(user, token);
+
+    res.json({ message: "Verification email sent" });
+  } catch (error) {
+    console.error("Resend verification error:", error);
+    res
+      .status(500)
+      .json({ message: "Server error while sending verification email" });
+  }
+});
+
+router.put(
+  "/password",
+  accountAuth,
+  [
+    body("currentPassword")
+      .notEmpty()
+      .withMessage("Current password is required"),
+    body("newPassword")
+      .isLength({ min: 6 })
+      .withMessage("New password must be at least 6 characters"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { currentPassword, newPassword } = req.body;
+
+      const user = await User.findById(req.user._id);
+      if (!(await localPasswordAllowed(user))) {
+        return res
+          .status(403)
+          .json({ message: PASSWORD_LOGIN_DISABLED_MESSAGE });
+      }
+
+      const isMatch = await user.comparePassword(currentPassword);
+      if (!isMatch) {
+        return res
+          .status(400)
+          .json({ message: "Current password is incorrect" });
+      }
+
+      user.password = newPassword;
+      user.passwordChangedAt = new Date();
+      await user.save();
+
+      await Session.revokeForUser(user._id, "password changed", {
+        except: req.sessionId,
+      });
+
+      res.json({
+        message:
+          "Password changed successfully. Other sessions have been signed out.",
+      });
+    } catch (error) {
+      console.error("Change password error:", error);
+      res.status(500).json({ message: "Server error while changing password" });
+    }
+  }
+);
+
+const FORGOT_PASSWORD_MESSAGE =
+  "If an account exists for that email, a password reset link has been sent.";
+
+router.post(
+  "/forgot-password",
+  [body("email").isEmail().normalizeEmail()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      // The response is the same whether or not the account exists, so the
+      // endpoint cannot be used to discover registered emails.
+      const user = await User.findOne({
+        email: req.body.email,
+        isActive: true,
+      });
+
+      if (user && (await localPasswordAllowed(user))) {
+        const token = user.createPasswordResetToken();
+        await user.save();
+
+        const link = appUrl("/reset-password", { token });
+        try {
+          await sendMail({
+            to: user.email,
+            subject: "Reset your password",
+            text: [
+              `Hello ${user.firstName},`,
+              "A password reset was requested for your Student Appeal Manager account. Use the link below to choose a new password:",
+              link,
+              `The link can be used once and expires at ${user.passwordResetExpires.toUTCString()}. If you did not request this, you can ignore this email.`,
+            ].join("\n\n"),
+          });
+        } catch (error) {
+          console.error("Password reset email error:", error);
+        }
+      }
+
+      res.json({ message: FORGOT_PASSWORD_MESSAGE });
+    } catch (error) {
+      console.error("Forgot password error:", error);
+      res.status(500).json({ message: "Server error during password reset" });
+    }
+  }
+);
+
+router.post(
+  "/reset-password",
+  [
+    body("token").notEmpty().withMessage("Reset token is required"),
+    body("password")
+      .isLength({ min: 6 })
+      .withMessage("Password must be at least 6 characters"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const invalidToken = {
+        message: "Invalid or expired password reset token",
+      };
+
+      // Checked before the token is used up, so an account that may not use
+      // a password keeps its token if the policy changes back.
+      const pending = await User.findByPasswordResetToken(req.body.token);
+      if (!pending) {
+        return res.status(400).json(invalidToken);
+      }
+
+      if (!(await localPasswordAllowed(pending))) {
+        return res
+          .status(403)
+          .json({ message: PASSWORD_LOGIN_DISABLED_MESSAGE });
+      }
+
+      const user = await User.consumePasswordResetToken(req.body.token);
+      if (!user) {
+        return res.status(400).json(invalidToken);
+      }
+
+      user.password = req.body.password;
+      user.passwordChangedAt = new Date();
+      // The reset link was delivered to the address, which proves ownership.
+      if (!user.emailVerified) {
+        user.emailVerified = true;
+        user.emailVerifiedAt = new Date();
+      }
+      await user.save();
+
+      await Session.revokeForUser(user._id, "password reset");
+
+      res.json({
+        message:
+          "Password has been reset. Please log in with your new password.",
+      });
+    } catch (error) {
+      console.error("Reset password error:", error);
+      res.status(500).json({ message: "Server error during password reset" });
+    }
+  }
+);
+
+router.post(
+  "/refresh",
+  [body("refreshToken").notEmpty().withMessage("Refresh token is required")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      let rotated;
+      try {
+        rotated = await rotateSession(req.body.refreshToken, req);
+      } catch (error) {
+        if (error.code === "INVALID_REFRESH_TOKEN") {
+          return res.status(401).json({ message: error.message });
+        }
+        throw error;
+      }
+
+      const user = await User.findById(rotated.session.user);
+      if (!user || !user.isActive) {
+        await revokeSession(rotated.session._id, "account deactivated");
+        return res
+          .status(401)
+          .json({ message: "Invalid token or user not found." });
+      }
+
+      res.json({
+        message: "Token refreshed",
+        ...rotated.tokens,
+        user: user.toJSON(),
+      });
+    } catch (error) {
+      console.error("Token refresh error:", error);
+      res.status(500).json({ message: "Server error during token refresh" });
+    }
+  }
+);
+
+router.post("/logout", accountAuth, async (req, res) => {
+  try {
+    await revokeSession(req.sessionId, "logout");
     res.json({ message: "Logout successful" });
   } catch (error) {
     console.error("Logout error:", error);
@@ -187,4 +1129,77 @@ router.post("/logout", auth, async (req, res) => {
   }
 });
 
+router.get("/sessions", accountAuth, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    }).sort({ lastUsedAt: -1 });
+
+    res.json({
+      sessions: sessions.map((session) => ({
+        _id: session._id,
+        userAgent: session.userAgent,
+        ipAddress: session.ipAddress,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: session._id.equals(req.sessionId),
+      })),
+    });
+  } catch (error) {
+    console.error("Get sessions error:", error);
+    res.status(500).json({ message: "Server error while fetching sessions" });
+  }
+});
+
+router.delete("/sessions", accountAuth, async (req, res) => {
+  try {
+    const result = await Session.revokeForUser(
+      req.user._id,
+      "revoked by user",
+      {
+        except: req.sessionId,
+      }
+    );
+
+    res.json({
+      message: "Other sessions revoked",
+      revoked: result.modifiedCount,
+    });
+  } catch (error) {
+    console.error("Revoke sessions error:", error);
+    res.status(500).json({ message: "Server error while revoking sessions" });
+  }
+});
+
+router.delete(
+  "/sessions/:id",
+  accountAuth,
+  [param("id").isMongoId().withMessage("Invalid session ID")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const result = await Session.updateOne(
+        { _id: req.params.id, user: req.user._id, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: "revoked by user" }
+      );
+
+      if (result.matchedCount === 0) {
+        return res.status(404).json({ message: "Session not found" });
+      }
+
+      res.json({ message: "Session revoked" });
+    } catch (error) {
+      console.error("Revoke session error:", error);
+      res.status(500).json({ message: "Server error while revoking session" });
+    }
+  }
+);
+
 module.exports = router;
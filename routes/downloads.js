@@ -0,0 +1,194 @@
+const express = require("express");
+const { body, validationResult } = require("express-validator");
+const Appeal = require("../models/Appeal");
+const User = require("../models/User");
+const DownloadLinkUse = require("../models/DownloadLinkUse");
+const { auth } = require("../middleware/auth");
+const { sendEvidenceFile } = require("../utils/download");
+const { scanBlockMessage } = require("../utils/evidenceScan");
+const { canDownloadEvidence } = require("../utils/policy");
+const {
+  twoFactorEnrolmentRequired,
+  TWO_FACTOR_ENROLMENT_MESSAGE,
+} = require("../utils/securitySettings");
+const {
+  MAX_TTL_SECONDS,
+  createDownloadToken,
+  verifyDownloadToken,
+} = require("../utils/signedDownloads");
+
+const router = express.Router();
+
+// Range and conditional requests answer with a 206 or 304 rather than the
+// whole file, so one-time links refuse them.
+const CONDITIONAL_HEADERS = [
+  "range",
+  "if-range",
+  "if-none-match",
+  "if-modified-since",
+];
+
+const publicBaseUrl = (req) =>
+  (
+    process.env.API_PUBLIC_URL || `${req.protocol}://${req.get("host")}`
+  ).replace(/\/$/, "");
+
+router.post(
+  "/links",
+  auth,
+  [
+    body("appealId").isMongoId().withMessage("Valid appeal ID is required"),
+    body("filename").trim().notEmpty().withMessage("Filename is required"),
+    body("expiresIn")
+      .optional()
+      .isInt({ min: 1, max: MAX_TTL_SECONDS })
+      .withMessage(
+        `expiresIn must be between 1 and ${MAX_TTL_SECONDS} seconds`
+      ),
+    body("oneTime").optional().isBoolean(),
+    body("inline").optional().isBoolean(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { appealId, filename, expiresIn } = req.body;
+      const oneTime = req.body.oneTime === true || req.body.oneTime === "true";
+      const inline = req.body.inline === true || req.body.inline === "true";
+
+      const appeal = await Appeal.findById(appealId);
+      const evidenceFile =
+        appeal &&
+        appeal.evidence.find(
+          (file) => file.filename === filename || file.originalName === filename
+        );
+
+      if (
+        !evidenceFile ||
+        !(await canDownloadEvidence(req.user, appeal, evidenceFile))
+      ) {
+        return res.status(404).json({ message: "Evidence file not found" });
+      }
+
+      if (evidenceFile.scanStatus !== "clean") {
+        return res.status(409).json({
+          message: scanBlockMessage(evidenceFile),
+          scanStatus: evidenceFile.scanStatus,
+        });
+      }
+
+      const { token, expiresAt } = createDownloadToken({
+        appealId: appeal._id,
+        filename: evidenceFile.filename,
+        userId: req.user._id,
+        expiresIn,
+        oneTime,
+      });
+
+      res.status(201).json({
+        url: `${publicBaseUrl(req)}/api/downloads/evidence/${token}${
+          inline ? "?inline=true" : ""
+        }`,
+        expiresAt,
+        oneTime,
+      });
+    } catch (error) {
+      console.error("Create download link error:", error);
+      res
+        .status(500)
+        .json({ message: "Server error while creating download link" });
+    }
+  }
+);
+
+router.get("/evidence/:token", async (req, res) => {
+  try {
+    let link;
+    try {
+      link = verifyDownloadToken(req.params.token);
+    } catch (error) {
+      if (error.code === "EXPIRED") {
+        return res.status(410).json({ message: error.message });
+      }
+      return res.status(403).json({ message: "Invalid download link" });
+    }
+
+    // Access is checked again so a link stops working as soon as the user
+    // loses access, e.g. when a reviewer is unassigned.
+    const [appeal, user] = await Promise.all([
+      Appeal.findById(link.appealId),
+      User.findById(link.userId).select(
+        "_id role isActive department institutionWide twoFactor.enabled"
+      ),
+    ]);
+    const evidenceFile =
+      appeal && appeal.evidence.find((file) => file.filename === link.filename);
+
+    if (
+      !evidenceFile ||
+      !user ||
+      !user.isActive ||
+      !(await canDownloadEvidence(user, appeal, evidenceFile))
+    ) {
+      return res.status(404).json({ message: "Evidence file not found" });
+    }
+
+    if (await twoFactorEnrolmentRequired(user)) {
+      return res.status(403).json({
+        message: TWO_FACTOR_ENROLMENT_MESSAGE,
+        twoFactorEnrolmentRequired: true,
+      });
+    }
+
+    if (evidenceFile.scanStatus !== "clean") {
+      return res.status(409).json({
+        message: scanBlockMessage(evidenceFile),
+        scanStatus: evidenceFile.scanStatus,
+      });
+    }
+
+    if (link.nonce && CONDITIONAL_HEADERS.some((name) => req.headers[name])) {
+      return res.status(400).json({
+        message:
+          "One-time download links do not support range or conditional requests",
+      });
+    }
+
+    if (link.nonce && req.method !== "HEAD") {
+      try {
+        await DownloadLinkUse.create({
+          nonce: link.nonce,
+          appeal: appeal._id,
+          user: user._id,
+          expiresAt: link.expiresAt,
+        });
+      } catch (error) {
+        if (error.code === 11000) {
+          return res
+            .status(410)
+            .json({ message: "This download link has already been used" });
+        }
+        throw error;
+      }
+
+      // The link is only used up by a complete download. If the file is
+      // missing or the client disconnects part-way, it can be retried.
+      res.on("close", () => {
+        if (res.statusCode === 200 && res.writableFinished) return;
+        DownloadLinkUse.deleteOne({ nonce: link.nonce }).catch((error) =>
+          console.error("Release download link error:", error)
+        );
+      });
+    }
+
+    await sendEvidenceFile(req, res, evidenceFile);
+  } catch (error) {
+    console.error("Signed download error:", error);
+    res.status(500).json({ message: "Server error while downloading file" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,91 @@
+const express = require("express");
+const Notification = require("../models/Notification");
+const { auth } = require("../middleware/auth");
+
+const router = express.Router();
+
+router.use(auth);
+
+router.get("/", async (req, res) => {
+  try {
+    const { page = 1, limit = 20, unread } = req.query;
+    let query = { recipient: req.user._id };
+
+    if (unread === "true") query.isRead = false;
+
+    const skip = (page - 1) * limit;
+
+    const notifications = await Notification.find(query)
+      .populate("appeal", "appealId status")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Notification.countDocuments(query);
+    const unreadCount = await Notification.countDocuments({
+      recipient: req.user._id,
+      isRead: false,
+    });
+
+    res.json({
+      notifications,
+      unreadCount,
+      pagination: {
+        current: parseInt(page),
+        total: Math.ceil(total / limit),
+        hasNext: page * limit < total,
+        hasPrev: page > 1,
+      },
+    });
+  } catch (error) {
+    console.error("Get notifications error:", error);
+    res
+      .status(500)
+      .json({ message: "Server error while fetching notifications" });
+  }
+});
+
+router.put("/read-all", async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { recipient: req.user._id, isRead: false },
+      { isRead: true, readAt: new Date() }
+    );
+
+    res.json({
+      message: "Notifications marked as read",
+      updated: result.modifiedCount,
+    });
+  } catch (error) {
+    console.error("Mark all notifications error:", error);
+    res
+      .status(500)
+      .json({ message: "Server error while updating notifications" });
+  }
+});
+
+router.put("/:id/read", async (req, res) => {
+  try {
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, recipient: req.user._id },
+      { isRead: true, readAt: new Date() },
+      { new: true }
+    );
+
+    if (!notification) {
+      return res.status(404).json({ message: "Notification not found" });
+    }
+
+    res.json({
+      message: "Notification marked as read",
+      notification,
+    });
+  } catch (error) {
+    console.error("Mark notification error:", error);
+    res
+      .status(500)
+      .json({ message: "Server error while updating notification" });
+  }
+});
+
+module.exports = router;
@@ -1,232 +1,392 @@
 const express = require("express");
 const { body, validationResult } = require("express-validator");
 const Appeal = require("../models/Appeal");
-const { auth, requireReviewer } = require("../middleware/auth");
-const path = require("path");
-const fs = require("fs-extra");
-const multer = require("multer");
-
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    const uploadDir = path.join(__dirname, "..", "uploads");
-
-    fs.ensureDirSync(uploadDir);
-    cb(null, uploadDir);
-  },
-  filename: function (req, file, cb) {
-    const uniqueSuffix = Date.now() + "-" + Math.round(Math.random() * 1e9);
-    const ext = path.extname(file.originalname);
-    cb(null, uniqueSuffix + ext);
-  },
-});
-
-const upload = multer({
-  storage: storage,
-  limits: {
-    fileSize: 10 * 1024 * 1024,
-  },
-  fileFilter: function (req, file, cb) {
-    const allowedTypes = [
-      "image/jpeg",
-      "image/png",
-      "image/gif",
-      "application/pdf",
-      "application/msword",
-      "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
-      "text/plain",
-    ];
-
-    if (allowedTypes.includes(file.mimetype)) {
-      cb(null, true);
-    } else {
-      cb(
-        new Error(
-          "Invalid file type. Only images, PDFs, Word docs, and text files are allowed."
-        )
-      );
-    }
-  },
-});
+const Notification = require("../models/Notification");
+const { auth, requirePermission } = require("../middleware/auth");
+const {
+  canReviewAppeal,
+  canRecommend,
+  canChairPanel,
+} = require("../utils/policy");
+const {
+  RECOMMENDATION_STATUSES,
+  getPanelSettings,
+  panelRequired,
+  panelOutcome,
+} = require("../utils/panels");
+const { uploadEvidence, discardUploads } = require("../middleware/upload");
+const {
+  informationRequestValidators,
+  createInformationRequest,
+  cancelInformationRequest,
+} = require("../utils/informationRequests");
+const { storeEvidence, saveWithEvidence } = require("../utils/evidence");
+const {
+  scanBlockMessage,
+  queueEvidenceScan,
+} = require("../utils/evidenceScan");
+const {
+  sendEvidenceFile,
+  sendEvidenceThumbnail,
+} = require("../utils/download");
+const {
+  selectBundleEntries,
+  streamEvidenceBundle,
+} = require("../utils/evidenceBundle");
 
 const router = express.Router();
 
-router.use(auth, requireReviewer);
-
-router.get("/appeals", async (req, res) => {
-  try {
-    const { page = 1, limit = 10, status, appealType } = req.query;
-    let query = {
-      assignedReviewer: req.user._id,
-    };
-
-    if (status) query.status = status;
-    if (appealType) query.appealType = appealType;
-
-    const skip = (page - 1) * limit;
-
-    const appeals = await Appeal.find(query)
-      .populate("student", "firstName lastName email studentId")
-      .populate("assignedReviewer", "firstName lastName")
-      .populate("assignedAdmin", "firstName lastName")
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit));
-
-    const total = await Appeal.countDocuments(query);
-
-    res.json({
-      appeals,
-      pagination: {
-        current: parseInt(page),
-        total: Math.ceil(total / limit),
-        hasNext: page * limit < total,
-        hasPrev: page > 1,
-      },
-    });
-  } catch (error) {
-    console.error("Get appeals error:", error);
-    res.status(500).json({ message: "Server error while fetching appeals" });
-  }
-});
+router.use(auth);
 
-router.get("/appeals/:id/evidence/:filename/download", async (req, res) => {
-  try {
-    const { id, filename } = req.params;
+// Custom roles follow the reviewer's workflow rules on these routes.
+const WORKFLOW_ROLE = "reviewer";
 
-    console.log("Reviewer download request:", { id, filename });
+router.get(
+  "/appeals",
+  requirePermission("appeal.view.assigned"),
+  async (req, res) => {
+    try {
+      const { page = 1, limit = 10, status, appealType } = req.query;
+      let query = Appeal.reviewedBy(req.user._id);
 
-    const appeal = await Appeal.findById(id);
+      if (status) query.status = status;
+      if (appealType) query.appealType = appealType;
 
-    if (!appeal) {
-      console.log("Appeal not found for reviewer:", id);
-      return res.status(404).json({ message: "Appeal not found" });
-    }
+      const skip = (page - 1) * limit;
+
+      const appeals = await Appeal.find(query)
+        .populate("student", "firstName lastName email studentId")
+        .populate("assignedReviewer", "firstName lastName")
+        .populate("assignedAdmin", "firstName lastName")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit));
 
-    if (
-      !appeal.assignedReviewer ||
-      appeal.assignedReviewer.toString() !== req.user._id.toString()
-    ) {
-      console.log("Reviewer not authorized for appeal:", id);
-      return res
-        .status(403)
-        .json({ message: "You are not assigned to review this appeal" });
+      const total = await Appeal.countDocuments(query);
+
+      res.json({
+        appeals,
+        pagination: {
+          current: parseInt(page),
+          total: Math.ceil(total / limit),
+          hasNext: page * limit < total,
+          hasPrev: page > 1,
+        },
+      });
+    } catch (error) {
+      console.error("Get appeals error:", error);
+      res.status(500).json({ message: "Server error while fetching appeals" });
     }
+  }
+);
 
-    console.log("Appeal found:", appeal._id);
-    console.log("Appeal evidence:", appeal.evidence);
+router.get(
+  "/appeals/dashboard",
+  requirePermission("appeal.view.assigned"),
+  async (req, res) => {
+    try {
+      const query = Appeal.reviewedBy(req.user._id);
+
+      const statusCounts = await Appeal.aggregate([
+        { $match: query },
+        {
+          $group: {
+            _id: "$status",
+            count: { $sum: 1 },
+          },
+        },
+      ]);
+
+      const typeCounts = await Appeal.aggregate([
+        { $match: query },
+        {
+          $group: {
+            _id: "$appealType",
+            count: { $sum: 1 },
+          },
+        },
+      ]);
+
+      const recentAppeals = await Appeal.find(query)
+        .populate("student", "firstName lastName email studentId")
+        .sort({ createdAt: -1 })
+        .limit(5);
+
+      const statusSummary = {
+        submitted: 0,
+        "under review": 0,
+        "awaiting information": 0,
+        "decision made": 0,
+        resolved: 0,
+        rejected: 0,
+        withdrawn: 0,
+      };
 
-    const evidenceFile = appeal.evidence.find(
-      (file) => file.filename === filename || file.originalName === filename
-    );
+      statusCounts.forEach((item) => {
+        statusSummary[item._id] = item.count;
+      });
 
-    console.log("Evidence file found:", evidenceFile);
+      const panelSummary = {
+        member: await Appeal.countDocuments({ "panel.members": req.user._id }),
+        chair: await Appeal.countDocuments({ "panel.chair": req.user._id }),
+        awaitingRecommendation: await Appeal.countDocuments({
+          "panel.members": req.user._id,
+          "panel.recommendations.reviewer": { $ne: req.user._id },
+          status: { $in: RECOMMENDATION_STATUSES },
+        }),
+      };
 
-    if (!evidenceFile) {
-      console.log("Evidence file not found for filename:", filename);
-      return res.status(404).json({ message: "Evidence file not found" });
+      res.json({
+        statusSummary,
+        typeCounts,
+        panelSummary,
+        recentAppeals,
+        total: Object.values(statusSummary).reduce((a, b) => a + b, 0),
+      });
+    } catch (error) {
+      console.error("Dashboard error:", error);
+      res
+        .status(500)
+        .json({ message: "Server error while fetching dashboard data" });
     }
+  }
+);
 
-    const filePath = path.join(
-      __dirname,
-      "..",
-      "uploads",
-      evidenceFile.filename
-    );
+router.get(
+  "/appeals/search",
+  requirePermission("appeal.view.assigned"),
+  async (req, res) => {
+    try {
+      const {
+        status,
+        appealType,
+        grounds,
+        academicYear,
+        semester,
+        page = 1,
+        limit = 10,
+      } = req.query;
+
+      let query = Appeal.reviewedBy(req.user._id);
+
+      if (status) query.status = status;
+      if (appealType) query.appealType = appealType;
+      if (grounds) query.grounds = { $in: [grounds] };
+      if (academicYear) query.academicYear = academicYear;
+      if (semester) query.semester = semester;
+
+      const skip = (page - 1) * limit;
+
+      const appeals = await Appeal.find(query)
+        .populate("student", "firstName lastName email studentId")
+        .populate("assignedReviewer", "firstName lastName")
+        .populate("assignedAdmin", "firstName lastName")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit));
+
+      const total = await Appeal.countDocuments(query);
 
-    if (!(await fs.pathExists(filePath))) {
-      console.log("File not found on server:", filePath);
-      return res.status(404).json({ message: "File not found on server" });
+      res.json({
+        appeals,
+        pagination: {
+          current: parseInt(page),
+          total: Math.ceil(total / limit),
+          hasNext: page * limit < total,
+          hasPrev: page > 1,
+        },
+      });
+    } catch (error) {
+      console.error("Search error:", error);
+      res.status(500).json({ message: "Server error while searching appeals" });
     }
-
-    res.setHeader(
-      "Content-Type",
-      evidenceFile.mimeType || "application/octet-stream"
-    );
-    res.setHeader(
-      "Content-Disposition",
-      `attachment; filename="${
-        evidenceFile.originalName || evidenceFile.filename
-      }"`
-    );
-
-    const fileStream = fs.createReadStream(filePath);
-    fileStream.pipe(res);
-  } catch (error) {
-    console.error("Reviewer download evidence error:", error);
-    res.status(500).json({ message: "Server error while downloading file" });
   }
-});
-
-router.get("/appeals/:id", async (req, res) => {
-  try {
-    const appeal = await Appeal.findById(req.params.id)
-      .populate("student", "firstName lastName email studentId")
-      .populate("assignedAdmin", "firstName lastName")
-      .populate("timeline.performedBy", "firstName lastName role")
-      .populate("notes.author", "firstName lastName role");
-
-    if (!Array.isArray(appeal.evidence)) {
-      appeal.evidence = [];
-    }
+);
+
+router.get(
+  "/appeals/:id/evidence/bundle",
+  requirePermission("appeal.view.assigned"),
+  async (req, res) => {
+    try {
+      const appeal = await Appeal.findById(req.params.id).populate(
+        "evidence.uploadedBy",
+        "firstName lastName email"
+      );
 
-    console.log("Appeal after populate operations (reviewer):", {
-      id: appeal._id,
-      evidence: appeal.evidence,
-      evidenceType: typeof appeal.evidence,
-      evidenceIsArray: Array.isArray(appeal.evidence),
-      evidenceLength: appeal.evidence ? appeal.evidence.length : 0,
-    });
+      if (!appeal) {
+        return res.status(404).json({ message: "Appeal not found" });
+      }
 
-    if (!appeal) {
-      return res.status(404).json({ message: "Appeal not found" });
-    }
+      if (!(await canReviewAppeal(req.user, appeal))) {
+        return res
+          .status(403)
+          .json({ message: "You are not assigned to review this appeal" });
+      }
+
+      const { entries, missing } = selectBundleEntries(
+        appeal.evidence,
+        req.query.files
+      );
 
-    console.log("Appeal retrieved from database (reviewer):", {
-      id: appeal._id,
-      evidence: appeal.evidence,
-      evidenceType: typeof appeal.evidence,
-      evidenceIsArray: Array.isArray(appeal.evidence),
-      evidenceLength: appeal.evidence ? appeal.evidence.length : 0,
-    });
-
-    if (
-      !appeal.assignedReviewer ||
-      appeal.assignedReviewer.toString() !== req.user._id.toString()
-    ) {
-      return res
-        .status(403)
-        .json({ message: "You are not assigned to review this appeal" });
+      if (missing.length > 0) {
+        return res
+          .status(404)
+          .json({ message: "Evidence file not found", files: missing });
+      }
+
+      if (!entries.some((file) => file.scanStatus === "clean")) {
+        return res.status(409).json({
+          message: "None of the selected evidence can be downloaded yet",
+        });
+      }
+
+      await streamEvidenceBundle(res, appeal, entries);
+    } catch (error) {
+      console.error("Reviewer evidence bundle error:", error);
+      if (res.headersSent) {
+        return res.destroy(error);
+      }
+      res
+        .status(500)
+        .json({ message: "Server error while preparing evidence bundle" });
     }
+  }
+);
+
+router.get(
+  "/appeals/:id/evidence/:filename/:variant(download|thumbnail)",
+  requirePermission("appeal.view.assigned"),
+  async (req, res) => {
+    try {
+      const { id, filename } = req.params;
+
+      console.log("Reviewer download request:", { id, filename });
+
+      const appeal = await Appeal.findById(id);
+
+      if (!appeal) {
+        console.log("Appeal not found for reviewer:", id);
+        return res.status(404).json({ message: "Appeal not found" });
+      }
+
+      if (!(await canReviewAppeal(req.user, appeal))) {
+        console.log("Reviewer not authorized for appeal:", id);
+        return res
+          .status(403)
+          .json({ message: "You are not assigned to review this appeal" });
+      }
+
+      console.log("Appeal found:", appeal._id);
+      console.log("Appeal evidence:", appeal.evidence);
+
+      const evidenceFile = appeal.evidence.find(
+        (file) => file.filename === filename || file.originalName === filename
+      );
 
-    console.log("Sending appeal to reviewer:", {
-      id: appeal._id,
-      evidence: appeal.evidence,
-      evidenceLength: appeal.evidence ? appeal.evidence.length : 0,
-    });
+      console.log("Evidence file found:", evidenceFile);
 
-    if (!Array.isArray(appeal.evidence)) {
-      appeal.evidence = [];
+      if (!evidenceFile) {
+        console.log("Evidence file not found for filename:", filename);
+        return res.status(404).json({ message: "Evidence file not found" });
+      }
+
+      if (evidenceFile.scanStatus !== "clean") {
+        return res.status(409).json({
+          message: scanBlockMessage(evidenceFile),
+          scanStatus: evidenceFile.scanStatus,
+        });
+      }
+
+      if (req.params.variant === "thumbnail") {
+        return await sendEvidenceThumbnail(req, res, evidenceFile);
+      }
+
+      await sendEvidenceFile(req, res, evidenceFile);
+    } catch (error) {
+      console.error("Reviewer download evidence error:", error);
+      res.status(500).json({ message: "Server error while downloading file" });
     }
+  }
+);
+
+router.get(
+  "/appeals/:id",
+  requirePermission("appeal.view.assigned"),
+  async (req, res) => {
+    try {
+      const appeal = await Appeal.findById(req.params.id)
+        .populate("student", "firstName lastName email studentId")
+        .populate("assignedAdmin", "firstName lastName")
+        .populate("timeline.performedBy", "firstName lastName role")
+        .populate("notes.author", "firstName lastName role")
+        .populate("panel.members", "firstName lastName")
+        .populate("panel.chair", "firstName lastName")
+        .populate("panel.recommendations.reviewer", "firstName lastName");
+
+      if (!Array.isArray(appeal.evidence)) {
+        appeal.evidence = [];
+      }
+
+      console.log("Appeal after populate operations (reviewer):", {
+        id: appeal._id,
+        evidence: appeal.evidence,
+        evidenceType: typeof appeal.evidence,
+        evidenceIsArray: Array.isArray(appeal.evidence),
+        evidenceLength: appeal.evidence ? appeal.evidence.length : 0,
+      });
+
+      if (!appeal) {
+        return res.status(404).json({ message: "Appeal not found" });
+      }
+
+      console.log("Appeal retrieved from database (reviewer):", {
+        id: appeal._id,
+        evidence: appeal.evidence,
+        evidenceType: typeof appeal.evidence,
+        evidenceIsArray: Array.isArray(appeal.evidence),
+        evidenceLength: appeal.evidence ? appeal.evidence.length : 0,
+      });
 
-    console.log("Response appeal evidence (reviewer):", appeal.evidence);
-    console.log(
-      "Response appeal evidence type (reviewer):",
-      typeof appeal.evidence
-    );
-    console.log(
-      "Response appeal evidence isArray (reviewer):",
-      Array.isArray(appeal.evidence)
-    );
-
-    res.json({ appeal });
-  } catch (error) {
-    console.error("Get appeal error:", error);
-    res.status(500).json({ message: "Server error while fetching appeal" });
+      if (!(await canReviewAppeal(req.user, appeal))) {
+        return res
+          .status(403)
+          .json({ message: "You are not assigned to review this appeal" });
+      }
+
+      console.log("Sending appeal to reviewer:", {
+        id: appeal._id,
+        evidence: appeal.evidence,
+        evidenceLength: appeal.evidence ? appeal.evidence.length : 0,
+      });
+
+      if (!Array.isArray(appeal.evidence)) {
+        appeal.evidence = [];
+      }
+
+      console.log("Response appeal evidence (reviewer):", appeal.evidence);
+      console.log(
+        "Response appeal evidence type (reviewer):",
+        typeof appeal.evidence
+      );
+      console.log(
+        "Response appeal evidence isArray (reviewer):",
+        Array.isArray(appeal.evidence)
+      );
+
+      res.json({
+        appeal,
+        panelOutcome: panelOutcome(appeal, await getPanelSettings()),
+      });
+    } catch (error) {
+      console.error("Get appeal error:", error);
+      res.status(500).json({ message: "Server error while fetching appeal" });
+    }
   }
-});
+);
 
 router.put(
   "/appeals/:id/status",
+  requirePermission("appeal.view.assigned", "appeal.status.update"),
   [
     body("status")
       .isIn([
@@ -251,10 +411,7 @@ router.put(
         return res.status(404).json({ message: "Appeal not found" });
       }
 
-      if (
-        !appeal.assignedReviewer ||
-        appeal.assignedReviewer.toString() !== req.user._id.toString()
-      ) {
+      if (!(await canReviewAppeal(req.user, appeal, "appeal.status.update"))) {
         return res
           .status(403)
           .json({ message: "You are not assigned to review this appeal" });
@@ -262,7 +419,12 @@ router.put(
 
       const { status, notes } = req.body;
 
-      appeal.status = status;
+      const transition = appeal.transitionTo(status, WORKFLOW_ROLE);
+      if (!transition.allowed) {
+        return res
+          .status(409)
+          .json({ message: "Illegal status transition", transition });
+      }
 
       appeal.timeline.push({
         action: "Status updated",
@@ -297,6 +459,7 @@ router.put(
 
 router.post(
   "/appeals/:id/notes",
+  requirePermission("appeal.view.assigned", "appeal.note"),
   [
     body("content").trim().notEmpty().withMessage("Note content is required"),
     body("isInternal").optional().isBoolean(),
@@ -313,10 +476,7 @@ router.post(
         return res.status(404).json({ message: "Appeal not found" });
       }
 
-      if (
-        appeal.assignedReviewer &&
-        appeal.assignedReviewer.toString() !== req.user._id.toString()
-      ) {
+      if (!(await canReviewAppeal(req.user, appeal, "appeal.note"))) {
         return res
           .status(403)
           .json({ message: "You are not assigned to review this appeal" });
@@ -354,11 +514,110 @@ router.post(
   }
 );
 
+router.put(
+  "/appeals/:id/recommendation",
+  requirePermission("appeal.view.assigned", "appeal.decide"),
+  [
+    body("outcome")
+      .isIn(Appeal.RECOMMENDATION_OUTCOMES)
+      .withMessage("Invalid recommendation outcome"),
+    body("rationale")
+      .trim()
+      .notEmpty()
+      .withMessage("Recommendation rationale is required"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const appeal = await Appeal.findById(req.params.id);
+      if (!appeal) {
+        return res.status(404).json({ message: "Appeal not found" });
+      }
+
+      if (!(await canRecommend(req.user, appeal))) {
+        return res.status(403).json({
+          message: "You are not a member of this appeal's review panel",
+        });
+      }
+
+      if (
+        !RECOMMENDATION_STATUSES.includes(appeal.status) ||
+        (appeal.decision && appeal.decision.outcome)
+      ) {
+        return res.status(409).json({
+          message: "Recommendations can no longer be recorded on this appeal",
+        });
+      }
+
+      const settings = await getPanelSettings();
+      const before = panelOutcome(appeal, settings);
+
+      const { outcome, rationale } = req.body;
+      const existing = appeal.panel.recommendations.find(
+        (recommendation) =>
+          recommendation.reviewer.toString() === req.user._id.toString()
+      );
+
+      if (existing) {
+        existing.outcome = outcome;
+        existing.rationale = rationale;
+        existing.recordedAt = new Date();
+      } else {
+        appeal.panel.recommendations.push({
+          reviewer: req.user._id,
+          outcome,
+          rationale,
+        });
+      }
+
+      appeal.timeline.push({
+        action: existing
+          ? "Panel recommendation changed"
+          : "Panel recommendation recorded",
+        description: `Recommendation ${
+          existing ? "changed" : "recorded"
+        } by panel member: ${req.user.firstName} ${req.user.lastName}`,
+        performedBy: req.user._id,
+      });
+
+      await appeal.save();
+
+      const panel = panelOutcome(appeal, settings);
+      if (panel.outcome && panel.outcome !== before.outcome) {
+        await Notification.notifyUsers([appeal.panel.chair], {
+          appeal: appeal._id,
+          type: "panel_outcome_reached",
+          message: `The review panel for appeal ${appeal.appealId} has reached an outcome: ${panel.outcome}`,
+        });
+      }
+
+      res.json({
+        message: "Recommendation recorded successfully",
+        recommendation: appeal.panel.recommendations.find(
+          (recommendation) =>
+            recommendation.reviewer.toString() === req.user._id.toString()
+        ),
+        panelOutcome: panel,
+      });
+    } catch (error) {
+      console.error("Record recommendation error:", error);
+      res
+        .status(500)
+        .json({ message: "Server error while recording recommendation" });
+    }
+  }
+);
+
 router.put(
   "/appeals/:id/decision",
+  requirePermission("appeal.view.assigned", "appeal.decide"),
   [
     body("outcome")
-      .isIn(["upheld", "partially upheld", "rejected", "withdrawn"])
+      .isIn(["upheld", "partially upheld", "rejected"])
       .withMessage("Invalid decision outcome"),
     body("reason").trim().notEmpty().withMessage("Decision reason is required"),
   ],
@@ -374,16 +633,42 @@ router.put(
         return res.status(404).json({ message: "Appeal not found" });
       }
 
-      if (
-        !appeal.assignedReviewer ||
-        appeal.assignedReviewer.toString() !== req.user._id.toString()
-      ) {
+      if (!(await canReviewAppeal(req.user, appeal, "appeal.decide"))) {
         return res
           .status(403)
           .json({ message: "You are not assigned to review this appeal" });
       }
 
       const { outcome, reason } = req.body;
+      const settings = await getPanelSettings();
+
+      if (appeal.hasPanel()) {
+        if (!(await canChairPanel(req.user, appeal))) {
+          return res.status(403).json({
+            message: "Only the panel chair can record the decision",
+          });
+        }
+
+        const panel = panelOutcome(appeal, settings);
+        if (!panel.outcome) {
+          return res.status(409).json({
+            message: panel.quorumReached
+              ? "The panel has not reached the required majority"
+              : "The panel has not reached quorum",
+            panelOutcome: panel,
+          });
+        }
+        if (outcome !== panel.outcome) {
+          return res.status(409).json({
+            message: "The decision must match the panel outcome",
+            panelOutcome: panel,
+          });
+        }
+      } else if (panelRequired(appeal, settings)) {
+        return res.status(409).json({
+          message: `${appeal.appealType} appeals must be decided by a review panel`,
+        });
+      }
 
       appeal.decision = {
         outcome,
@@ -392,7 +677,12 @@ router.put(
         decidedBy: req.user._id,
       };
 
-      appeal.status = "decision made";
+      const transition = appeal.transitionTo("decision made", WORKFLOW_ROLE);
+      if (!transition.allowed) {
+        return res
+          .status(409)
+          .json({ message: "Illegal status transition", transition });
+      }
 
       appeal.timeline.push({
         action: "Decision made",
@@ -417,11 +707,70 @@ router.put(
   }
 );
 
+// Loads an appeal the reviewer may request information on.
+const loadAppealForReviewer = async (req, res) => {
+  const appeal = await Appeal.findOne(
+    Appeal.excludeDrafts({ _id: req.params.id })
+  );
+  if (!appeal) {
+    res.status(404).json({ message: "Appeal not found" });
+    return null;
+  }
+
+  if (
+    !(await canReviewAppeal(req.user, appeal, "appeal.request-information"))
+  ) {
+    res
+      .status(403)
+      .json({ message: "You are not assigned to review this appeal" });
+    return null;
+  }
+  return appeal;
+};
+
+router.post(
+  "/appeals/:id/information-requests",
+  requirePermission("appeal.view.assigned", "appeal.request-information"),
+  informationRequestValidators,
+  createInformationRequest({
+    role: WORKFLOW_ROLE,
+    loadAppeal: loadAppealForReviewer,
+  })
+);
+
+router.put(
+  "/appeals/:id/information-requests/:requestId/cancel",
+  requirePermission("appeal.view.assigned", "appeal.request-information"),
+  cancelInformationRequest({ loadAppeal: loadAppealForReviewer })
+);
+
 router.post(
   "/appeals/:id/evidence",
-  upload.array("evidence", 10),
+  requirePermission("appeal.view.assigned", "appeal.evidence.upload"),
+  uploadEvidence("evidence", 10),
+  [
+    body("category")
+      .optional({ checkFalsy: true })
+      .isIn(Appeal.EVIDENCE_CATEGORIES)
+      .withMessage("Invalid evidence category"),
+    body("description")
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage("Evidence description must be 500 characters or fewer"),
+    body("visibility")
+      .optional({ checkFalsy: true })
+      .isIn(["shared", "internal"])
+      .withMessage("Visibility must be shared or internal"),
+  ],
   async (req, res) => {
     try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        await discardUploads(req.files);
+        return res.status(400).json({ errors: errors.array() });
+      }
+
       const { id } = req.params;
 
       console.log("Reviewer evidence upload request:", { id });
@@ -431,14 +780,15 @@ router.post(
 
       if (!appeal) {
         console.log("Appeal not found for reviewer:", id);
+        await discardUploads(req.files);
         return res.status(404).json({ message: "Appeal not found" });
       }
 
       if (
-        !appeal.assignedReviewer ||
-        appeal.assignedReviewer.toString() !== req.user._id.toString()
+        !(await canReviewAppeal(req.user, appeal, "appeal.evidence.upload"))
       ) {
         console.log("Reviewer not authorized for appeal:", id);
+        await discardUploads(req.files);
         return res
           .status(403)
           .json({ message: "You are not assigned to review this appeal" });
@@ -447,17 +797,11 @@ router.post(
       let processedEvidence = [];
       if (req.files && req.files.length > 0) {
         console.log("Processing uploaded files...");
-        processedEvidence = req.files.map((file) => {
-          console.log("Processing file:", file);
-          return {
-            filename: file.filename,
-            originalName: file.originalname,
-            fileSize: file.size,
-            mimeType: file.mimetype,
-            uploadedAt: new Date(),
-            uploadedBy: req.user._id,
-            uploadedByRole: "reviewer",
-          };
+        processedEvidence = await storeEvidence(req.files, {
+          user: req.user,
+          category: req.body.category,
+          description: req.body.description,
+          visibility: req.body.visibility,
         });
         console.log("Processed evidence files:", processedEvidence);
       } else {
@@ -473,7 +817,8 @@ router.post(
         performedBy: req.user._id,
       });
 
-      await appeal.save();
+      await saveWithEvidence(appeal, processedEvidence);
+      queueEvidenceScan(appeal._id);
 
       console.log("Evidence uploaded successfully:", processedEvidence);
 
@@ -490,111 +835,4 @@ router.post(
   }
 );
 
-router.get("/appeals/dashboard", async (req, res) => {
-  try {
-    const query = {
-      assignedReviewer: req.user._id,
-    };
-
-    const statusCounts = await Appeal.aggregate([
-      { $match: query },
-      {
-        $group: {
-          _id: "$status",
-          count: { $sum: 1 },
-        },
-      },
-    ]);
-
-    const typeCounts = await Appeal.aggregate([
-      { $match: query },
-      {
-        $group: {
-          _id: "$appealType",
-          count: { $sum: 1 },
-        },
-      },
-    ]);
-
-    const recentAppeals = await Appeal.find(query)
-      .populate("student", "firstName lastName email studentId")
-      .sort({ createdAt: -1 })
-      .limit(5);
-
-    const statusSummary = {
-      submitted: 0,
-      "under review": 0,
-      "awaiting information": 0,
-      "decision made": 0,
-      resolved: 0,
-      rejected: 0,
-    };
-
-    statusCounts.forEach((item) => {
-      statusSummary[item._id] = item.count;
-    });
-
-    res.json({
-      statusSummary,
-      typeCounts,
-      recentAppeals,
-      total: Object.values(statusSummary).reduce((a, b) => a + b, 0),
-    });
-  } catch (error) {
-    console.error("Dashboard error:", error);
-    res
-      .status(500)
-      .json({ message: "Server error while fetching dashboard data" });
-  }
-});
-
-router.get("/appeals/search", async (req, res) => {
-  try {
-    const {
-      status,
-      appealType,
-      grounds,
-      academicYear,
-      semester,
-      page = 1,
-      limit = 10,
-    } = req.query;
-
-    let query = {
-      assignedReviewer: req.user._id,
-    };
-
-    if (status) query.status = status;
-    if (appealType) query.appealType = appealType;
-    if (grounds) query.grounds = { $in: [grounds] };
-    if (academicYear) query.academicYear = academicYear;
-    if (semester) query.semester = semester;
-
-    const skip = (page - 1) * limit;
-
-    const appeals = await Appeal.find(query)
-      .populate("student", "firstName lastName email studentId")
-      .populate("assignedReviewer", "firstName lastName")
-      .populate("assignedAdmin", "firstName lastName")
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit));
-
-    const total = await Appeal.countDocuments(query);
-
-    res.json({
-      appeals,
-      pagination: {
-        current: parseInt(page),
-        total: Math.ceil(total / limit),
-        hasNext: page * limit < total,
-        hasPrev: page > 1,
-      },
-    });
-  } catch (error) {
-    console.error("Search error:", error);
-    res.status(500).json({ message: "Server error while searching appeals" });
-  }
-});
-
 module.exports = router;
@@ -2,11 +2,15 @@ const express = require("express");
 const { body, validationResult } = require("express-validator");
 const User = require("../models/User");
 const Appeal = require("../models/Appeal");
+const Session = require("../models/Session");
+const { auth, requirePermission } = require("../middleware/auth");
+const { scopeToDepartment } = require("../utils/departmentScope");
 const {
-  auth,
-  requireAdmin,
-  requireAdminOrReviewer,
-} = require("../middleware/auth");
+  canViewUser,
+  canEditUser,
+  visibleAppealsQuery,
+} = require("../utils/policy");
+const { hasPermission, rolesWithPermission } = require("../utils/permissions");
 
 const router = express.Router();
 
@@ -25,7 +29,7 @@ router.get("/profile", auth, async (req, res) => {
   }
 });
 
-router.get("/", auth, requireAdmin, async (req, res) => {
+router.get("/", auth, requirePermission("user.manage"), async (req, res) => {
   try {
     const { role, department, page = 1, limit = 10 } = req.query;
 
@@ -59,39 +63,51 @@ router.get("/", auth, requireAdmin, async (req, res) => {
   }
 });
 
-router.get("/reviewers", auth, requireAdminOrReviewer, async (req, res) => {
-  try {
-    const reviewers = await User.find({
-      role: "reviewer",
-      isActive: true,
-    })
-      .select("firstName lastName email department")
-      .sort({ firstName: 1, lastName: 1 });
-
-    res.json({ reviewers });
-  } catch (error) {
-    console.error("Get reviewers error:", error);
-    res.status(500).json({ message: "Server error while fetching reviewers" });
+router.get(
+  "/reviewers",
+  auth,
+  requirePermission("user.view"),
+  async (req, res) => {
+    try {
+      const reviewers = await User.find({
+        role: { $in: await rolesWithPermission("appeal.view.assigned") },
+        isActive: true,
+      })
+        .select("firstName lastName email department")
+        .sort({ firstName: 1, lastName: 1 });
+
+      res.json({ reviewers });
+    } catch (error) {
+      console.error("Get reviewers error:", error);
+      res
+        .status(500)
+        .json({ message: "Server error while fetching reviewers" });
+    }
   }
-});
+);
 
-router.get("/admins", auth, requireAdmin, async (req, res) => {
-  try {
-    const admins = await User.find({
-      role: "admin",
-      isActive: true,
-    })
-      .select("firstName lastName email department")
-      .sort({ firstName: 1, lastName: 1 });
-
-    res.json({ admins });
-  } catch (error) {
-    console.error("Get admins error:", error);
-    res.status(500).json({ message: "Server error while fetching admins" });
+router.get(
+  "/admins",
+  auth,
+  requirePermission("user.manage"),
+  async (req, res) => {
+    try {
+      const admins = await User.find({
+        role: "admin",
+        isActive: true,
+      })
+        .select("firstName lastName email department")
+        .sort({ firstName: 1, lastName: 1 });
+
+      res.json({ admins });
+    } catch (error) {
+      console.error("Get admins error:", error);
+      res.status(500).json({ message: "Server error while fetching admins" });
+    }
   }
-});
+);
 
-router.get("/:id", auth, async (req, res) => {
+router.get("/:id", auth, scopeToDepartment, async (req, res) => {
   try {
     const user = await User.findById(req.params.id).select("-password");
 
@@ -99,10 +115,7 @@ router.get("/:id", auth, async (req, res) => {
       return res.status(404).json({ message: "User not found" });
     }
 
-    if (
-      req.user.role === "student" &&
-      req.user._id.toString() !== req.params.id
-    ) {
+    if (!(await canViewUser(req.user, user))) {
       return res.status(403).json({ message: "Access denied" });
     }
 
@@ -117,6 +130,7 @@ router.put(
   "/:id",
   [
     auth,
+    scopeToDepartment,
     body("firstName").optional().trim().notEmpty(),
     body("lastName").optional().trim().notEmpty(),
     body("department").optional().trim(),
@@ -132,14 +146,13 @@ router.put(
       const { firstName, lastName, department, isActive } = req.body;
       const updates = {};
 
-      const canUpdate =
-        req.user.role === "admin" || req.user._id.toString() === req.params.id;
+      const canManage = await hasPermission(req.user, "user.manage");
 
-      if (!canUpdate) {
+      if (!(await canEditUser(req.user, { _id: req.params.id }))) {
         return res.status(403).json({ message: "Access denied" });
       }
 
-      if (isActive !== undefined && req.user.role !== "admin") {
+      if (isActive !== undefined && !canManage) {
         return res
           .status(403)
           .json({ message: "Only admins can change account status" });
@@ -147,10 +160,17 @@ router.put(
 
       if (firstName) updates.firstName = firstName;
       if (lastName) updates.lastName = lastName;
-      if (department && req.user.role === "admin")
+      if (department && canManage) {
+        const target = await User.findById(req.params.id).select("role");
+        if (target && target.role !== "student" && !req.user.institutionWide) {
+          return res.status(403).json({
+            message:
+              "Only institution-wide admins can change staff departments or institution-wide access",
+          });
+        }
         updates.department = department;
-      if (isActive !== undefined && req.user.role === "admin")
-        updates.isActive = isActive;
+      }
+      if (isActive !== undefined && canManage) updates.isActive = isActive;
 
       const user = await User.findByIdAndUpdate(req.params.id, updates, {
         new: true,
@@ -161,6 +181,10 @@ router.put(
         return res.status(404).json({ message: "User not found" });
       }
 
+      if (updates.isActive === false) {
+        await Session.revokeForUser(user._id, "account deactivated");
+      }
+
       res.json({
         message: "User updated successfully",
         user,
@@ -172,45 +196,58 @@ router.put(
   }
 );
 
-router.delete("/:id", auth, requireAdmin, async (req, res) => {
-  try {
-    const user = await User.findById(req.params.id);
-
-    if (!user) {
-      return res.status(404).json({ message: "User not found" });
-    }
+router.delete(
+  "/:id",
+  auth,
+  requirePermission("user.manage"),
+  async (req, res) => {
+    try {
+      const user = await User.findById(req.params.id);
 
-    const activeAppeals = await Appeal.countDocuments({
-      student: req.params.id,
-      status: { $in: ["submitted", "under review", "awaiting information"] },
-    });
+      if (!user) {
+        return res.status(404).json({ message: "User not found" });
+      }
 
-    if (activeAppeals > 0) {
-      return res.status(400).json({
-        message: `Cannot deactivate user with ${activeAppeals} active appeals`,
+      const activeAppeals = await Appeal.countDocuments({
+        student: req.params.id,
+        status: { $in: ["submitted", "under review", "awaiting information"] },
       });
-    }
 
-    user.isActive = false;
-    await user.save();
+      if (activeAppeals > 0) {
+        return res.status(400).json({
+          message: `Cannot deactivate user with ${activeAppeals} active appeals`,
+        });
+      }
 
-    res.json({ message: "User deactivated successfully" });
-  } catch (error) {
-    console.error("Deactivate user error:", error);
-    res.status(500).json({ message: "Server error while deactivating user" });
+      user.isActive = false;
+      await user.save();
+      await Session.revokeForUser(user._id, "account deactivated");
+
+      res.json({ message: "User deactivated successfully" });
+    } catch (error) {
+      console.error("Deactivate user error:", error);
+      res.status(500).json({ message: "Server error while deactivating user" });
+    }
   }
-});
+);
 
-router.get("/:id/appeals", auth, async (req, res) => {
+router.get("/:id/appeals", auth, scopeToDepartment, async (req, res) => {
   try {
-    if (
-      req.user.role === "student" &&
-      req.user._id.toString() !== req.params.id
-    ) {
+    const student = await User.findById(req.params.id).select("role");
+
+    if (!student) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const query =
+      (await canViewUser(req.user, student)) &&
+      (await visibleAppealsQuery(req.user, { student: student._id }));
+
+    if (!query) {
       return res.status(403).json({ message: "Access denied" });
     }
 
-    const appeals = await Appeal.find({ student: req.params.id })
+    const appeals = await Appeal.find(query)
       .populate("student", "firstName lastName email studentId")
       .populate("assignedReviewer", "firstName lastName")
       .populate("assignedAdmin", "firstName lastName")
@@ -225,42 +262,53 @@ router.get("/:id/appeals", auth, async (req, res) => {
   }
 });
 
-router.get("/stats/overview", auth, requireAdmin, async (req, res) => {
-  try {
-    const totalUsers = await User.countDocuments();
-    const activeUsers = await User.countDocuments({ isActive: true });
-    const students = await User.countDocuments({
-      role: "student",
-      isActive: true,
-    });
-    const admins = await User.countDocuments({ role: "admin", isActive: true });
-    const reviewers = await User.countDocuments({
-      role: "reviewer",
-      isActive: true,
-    });
+router.get(
+  "/stats/overview",
+  auth,
+  requirePermission("report.view"),
+  scopeToDepartment,
+  async (req, res) => {
+    try {
+      const totalUsers = await User.countDocuments();
+      const activeUsers = await User.countDocuments({ isActive: true });
+      const students = await User.countDocuments({
+        role: "student",
+        isActive: true,
+      });
+      const admins = await User.countDocuments({
+        role: "admin",
+        isActive: true,
+      });
+      const reviewers = await User.countDocuments({
+        role: "reviewer",
+        isActive: true,
+      });
 
-    const totalAppeals = await Appeal.countDocuments();
-    const pendingAppeals = await Appeal.countDocuments({
-      status: { $in: ["submitted", "under review", "awaiting information"] },
-    });
+      const totalAppeals = await Appeal.countDocuments(Appeal.excludeDrafts());
+      const pendingAppeals = await Appeal.countDocuments({
+        status: { $in: ["submitted", "under review", "awaiting information"] },
+      });
 
-    res.json({
-      users: {
-        total: totalUsers,
-        active: activeUsers,
-        students,
-        admins,
-        reviewers,
-      },
-      appeals: {
-        total: totalAppeals,
-        pending: pendingAppeals,
-      },
-    });
-  } catch (error) {
-    console.error("Get stats error:", error);
-    res.status(500).json({ message: "Server error while fetching statistics" });
+      res.json({
+        users: {
+          total: totalUsers,
+          active: activeUsers,
+          students,
+          admins,
+          reviewers,
+        },
+        appeals: {
+          total: totalAppeals,
+          pending: pendingAppeals,
+        },
+      });
+    } catch (error) {
+      console.error("Get stats error:", error);
+      res
+        .status(500)
+        .json({ message: "Server error while fetching statistics" });
+    }
   }
-});
+);
 
 module.exports = router;
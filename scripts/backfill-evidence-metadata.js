@@ -0,0 +1,151 @@
+const path = require("path");
+const mongoose = require("mongoose");
+const dotenv = require("dotenv");
+const Appeal = require("../models/Appeal");
+const User = require("../models/User");
+const { SNIFF_BYTES, detectMimeType } = require("../utils/fileType");
+const { getStorage } = require("../storage");
+const { checksumStream } = require("../utils/evidence");
+
+dotenv.config({ path: path.join(__dirname, "..", ".env") });
+
+const UPLOAD_MATCH_WINDOW_MS = 60 * 1000;
+
+const dryRun = process.argv.includes("--dry-run");
+
+const sniffFile = async (storage, key) => {
+  const chunks = [];
+  const stream = await storage.getStream(key, {
+    start: 0,
+    end: SNIFF_BYTES - 1,
+  });
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return detectMimeType(Buffer.concat(chunks));
+};
+
+// Uploads made after submission were logged in the timeline, so the entry
+// closest in time to the file tells us who uploaded it. Their role is read
+// from their account; the description text is free-form and not reliable.
+const inferUploader = async (appeal, file, roleOf) => {
+  const uploadedAt = new Date(file.uploadedAt).getTime();
+  const distance = (item) =>
+    Math.abs(new Date(item.timestamp).getTime() - uploadedAt);
+
+  const entry = appeal.timeline
+    .filter(
+      (item) =>
+        item.action === "Additional evidence uploaded" &&
+        item.performedBy &&
+        distance(item) <= UPLOAD_MATCH_WINDOW_MS
+    )
+    .sort((a, b) => distance(a) - distance(b))[0];
+
+  if (!entry) {
+    return { uploadedBy: appeal.student, uploadedByRole: "student" };
+  }
+
+  return {
+    uploadedBy: entry.performedBy,
+    uploadedByRole: await roleOf(entry.performedBy),
+  };
+};
+
+// Looks up each uploader's role once per run. Deleted accounts have none.
+const createRoleLookup = () => {
+  const roles = new Map();
+
+  return async (userId) => {
+    const key = userId.toString();
+    if (!roles.has(key)) {
+      const user = await User.findById(userId).select("role").lean();
+      roles.set(key, user ? user.role : undefined);
+    }
+    return roles.get(key);
+  };
+};
+
+const backfillEvidence = async () => {
+  const storage = getStorage();
+  const roleOf = createRoleLookup();
+  const report = { appeals: 0, updated: 0, missingFiles: [] };
+
+  const cursor = Appeal.find({ "evidence.0": { $exists: true } }).cursor();
+
+  for await (const appeal of cursor) {
+    report.appeals += 1;
+    let changed = false;
+
+    for (const file of appeal.evidence) {
+      const storedFile = await storage.stat(file.filename);
+
+      if (!storedFile) {
+        report.missingFiles.push({
+          appealId: appeal.appealId || appeal._id.toString(),
+          filename: file.filename,
+        });
+        continue;
+      }
+
+      if (!file.mimeType) {
+        file.mimeType =
+          (await sniffFile(storage, file.filename)) ||
+          "application/octet-stream";
+        changed = true;
+      }
+
+      if (!file.checksum) {
+        file.checksum = await checksumStream(
+          await storage.getStream(file.filename)
+        );
+        changed = true;
+      }
+
+      if (!file.fileSize) {
+        file.fileSize = storedFile.size;
+        changed = true;
+      }
+
+      if (!file.uploadedBy) {
+        Object.assign(file, await inferUploader(appeal, file, roleOf));
+        changed = true;
+      }
+    }
+
+    if (changed) {
+      report.updated += 1;
+      if (!dryRun) {
+        await appeal.save({ validateBeforeSave: false });
+      }
+    }
+  }
+
+  return report;
+};
+
+const run = async () => {
+  try {
+    await mongoose.connect(
+      process.env.MONGODB_URI || "mongodb://localhost:27017/appeal_system"
+    );
+
+    const report = await backfillEvidence();
+
+    console.log(
+      `${dryRun ? "[dry run] " : ""}Checked ${report.appeals} appeal(s), ${
+        report.updated
+      } updated`
+    );
+    if (report.missingFiles.length > 0) {
+      console.log("Evidence with no stored file:", report.missingFiles);
+    }
+  } catch (error) {
+    console.error("Evidence backfill error:", error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run();
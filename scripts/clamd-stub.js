@@ -0,0 +1,56 @@
+// A stand-in for clamd for local development. It speaks the PING and
+// INSTREAM commands and reports the EICAR test string as infected, so the
+// scanning pipeline can be exercised without installing ClamAV.
+const net = require("net");
+
+const EICAR =
+  "X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!";
+const port = parseInt(process.env.CLAMD_PORT, 10) || 3310;
+const host = process.env.CLAMD_HOST || "127.0.0.1";
+
+const handleConnection = (socket) => {
+  let buffer = Buffer.alloc(0);
+  let command = null;
+  const chunks = [];
+
+  const reply = (text) => {
+    socket.end(`${text}\0`);
+  };
+
+  socket.on("data", (data) => {
+    buffer = Buffer.concat([buffer, data]);
+
+    if (command === null) {
+      const end = buffer.indexOf(0);
+      if (end === -1) return;
+      command = buffer.subarray(0, end).toString().replace(/^z/, "");
+      buffer = buffer.subarray(end + 1);
+
+      if (command === "PING") return reply("PONG");
+      if (command !== "INSTREAM") return reply(`UNKNOWN COMMAND`);
+    }
+
+    while (buffer.length >= 4) {
+      const size = buffer.readUInt32BE(0);
+
+      if (size === 0) {
+        const content = Buffer.concat(chunks).toString("latin1");
+        return reply(
+          content.includes(EICAR)
+            ? "stream: Eicar-Test-Signature FOUND"
+            : "stream: OK"
+        );
+      }
+
+      if (buffer.length < size + 4) return;
+      chunks.push(buffer.subarray(4, size + 4));
+      buffer = buffer.subarray(size + 4);
+    }
+  });
+
+  socket.on("error", (error) => console.error("clamd stub error:", error));
+};
+
+net.createServer(handleConnection).listen(port, host, () => {
+  console.log(`clamd stand-in listening on ${host}:${port}`);
+});
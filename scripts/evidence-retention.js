@@ -0,0 +1,62 @@
+const path = require("path");
+const mongoose = require("mongoose");
+const dotenv = require("dotenv");
+
+dotenv.config({ path: path.join(__dirname, "..", ".env") });
+
+const { purgeExpiredEvidence } = require("../jobs/evidenceRetention");
+
+const argValue = (name) => {
+  const index = process.argv.indexOf(name);
+  return index === -1 ? undefined : process.argv[index + 1];
+};
+
+const dryRun = process.argv.includes("--dry-run");
+const months = parseInt(argValue("--months"), 10) || undefined;
+
+const run = async () => {
+  try {
+    await mongoose.connect(
+      process.env.MONGODB_URI || "mongodb://localhost:27017/appeal_system"
+    );
+
+    const report = await purgeExpiredEvidence({ months, dryRun });
+
+    console.log(
+      `${
+        dryRun ? "[dry run] " : ""
+      }Appeals closed before ${report.cutoff.toISOString()} (${
+        report.retentionMonths
+      } months)`
+    );
+    report.purged.forEach((entry) =>
+      console.log(
+        `  ${entry.appealId}: ${entry.files} file(s), ${
+          entry.bytes
+        } bytes, closed ${new Date(entry.closedAt).toISOString()}`
+      )
+    );
+    console.log(
+      `${dryRun ? "Would purge" : "Purged"} ${report.totals.files} file(s) (${
+        report.totals.bytes
+      } bytes) from ${report.totals.appeals} appeal(s)`
+    );
+    if (report.held.length > 0) {
+      console.log(
+        "On legal hold:",
+        report.held.map((entry) => entry.appealId)
+      );
+    }
+    if (report.failedFiles.length > 0) {
+      console.log("Files that could not be deleted:", report.failedFiles);
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error("Evidence retention error:", error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run();
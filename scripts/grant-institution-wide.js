@@ -0,0 +1,63 @@
+const path = require("path");
+const mongoose = require("mongoose");
+const dotenv = require("dotenv");
+const User = require("../models/User");
+
+dotenv.config({ path: path.join(__dirname, "..", ".env") });
+
+const argValue = (name) => {
+  const index = process.argv.indexOf(name);
+  return index === -1 ? undefined : process.argv[index + 1];
+};
+
+const dryRun = process.argv.includes("--dry-run");
+
+// Admins only see their own department's appeals unless flagged
+// institution-wide, and only an institution-wide admin can flag others. Use
+// --all-admins once after upgrading to keep every existing admin's access,
+// or --email to flag a single account.
+const run = async () => {
+  const email = (argValue("--email") || "").trim().toLowerCase();
+  const allAdmins = process.argv.includes("--all-admins");
+
+  if (!email && !allAdmins) {
+    console.error(
+      "Usage: npm run admin:institution-wide -- (--email <email> | --all-admins) [--dry-run]"
+    );
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    await mongoose.connect(
+      process.env.MONGODB_URI || "mongodb://localhost:27017/appeal_system"
+    );
+
+    const query = email
+      ? { email }
+      : { role: "admin", institutionWide: { $ne: true } };
+
+    if (dryRun) {
+      const count = await User.countDocuments(query);
+      console.log(`[dry run] ${count} user(s) would be made institution-wide`);
+      return;
+    }
+
+    const result = await User.updateMany(query, {
+      $set: { institutionWide: true },
+    });
+    if (email && result.matchedCount === 0) {
+      console.error(`No user with email ${email}`);
+      process.exitCode = 1;
+      return;
+    }
+    console.log(`Made ${result.modifiedCount} user(s) institution-wide`);
+  } catch (error) {
+    console.error("Institution-wide access error:", error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run();
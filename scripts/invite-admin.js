@@ -0,0 +1,67 @@
+const path = require("path");
+const mongoose = require("mongoose");
+const dotenv = require("dotenv");
+
+dotenv.config({ path: path.join(__dirname, "..", ".env") });
+
+const User = require("../models/User");
+const Invitation = require("../models/Invitation");
+const { appUrl } = require("../utils/mailer");
+
+const argValue = (name) => {
+  const index = process.argv.indexOf(name);
+  return index === -1 ? undefined : process.argv[index + 1];
+};
+
+// Public registration only creates students, so the first admin of a new
+// installation is invited from the command line. The link is printed rather
+// than emailed.
+const run = async () => {
+  const email = (argValue("--email") || "").trim().toLowerCase();
+  const firstName = argValue("--first-name");
+  const lastName = argValue("--last-name");
+  const department = argValue("--department");
+  const institutionWide = process.argv.includes("--institution-wide");
+
+  if (!email || !firstName || !lastName || !department) {
+    console.error(
+      "Usage: npm run invite-admin -- --email <email> --first-name <name> --last-name <name> --department <department> [--institution-wide]"
+    );
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    await mongoose.connect(
+      process.env.MONGODB_URI || "mongodb://localhost:27017/appeal_system"
+    );
+
+    if (await User.exists({ email })) {
+      console.error(`User with email ${email} already exists`);
+      process.exitCode = 1;
+      return;
+    }
+
+    const invitation = new Invitation({
+      email,
+      role: "admin",
+      firstName,
+      lastName,
+      department,
+      institutionWide,
+    });
+    const token = invitation.createToken();
+    await invitation.save();
+
+    console.log(`Invitation for ${email} created.`);
+    console.log(`Accept it before ${invitation.expiresAt.toISOString()} at:`);
+    console.log(appUrl("/accept-invite", { token }));
+  } catch (error) {
+    console.error("Invite admin error:", error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run();
@@ -0,0 +1,41 @@
+const path = require("path");
+const mongoose = require("mongoose");
+const dotenv = require("dotenv");
+const User = require("../models/User");
+
+dotenv.config({ path: path.join(__dirname, "..", ".env") });
+
+const dryRun = process.argv.includes("--dry-run");
+
+// Accounts created before email verification existed have no emailVerified
+// field and would otherwise be treated as unverified and blocked from
+// submitting appeals.
+const run = async () => {
+  try {
+    await mongoose.connect(
+      process.env.MONGODB_URI || "mongodb://localhost:27017/appeal_system"
+    );
+
+    const query = { emailVerified: { $exists: false } };
+
+    if (dryRun) {
+      const count = await User.countDocuments(query);
+      console.log(
+        `[dry run] ${count} existing user(s) would be marked verified`
+      );
+      return;
+    }
+
+    const result = await User.updateMany(query, {
+      $set: { emailVerified: true, emailVerifiedAt: new Date() },
+    });
+    console.log(`Marked ${result.modifiedCount} existing user(s) as verified`);
+  } catch (error) {
+    console.error("Email verification migration error:", error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run();
@@ -0,0 +1,93 @@
+const os = require("os");
+const path = require("path");
+const fs = require("fs-extra");
+const dotenv = require("dotenv");
+
+dotenv.config({ path: path.join(__dirname, "..", ".env") });
+
+const { DEFAULT_UPLOAD_DIR, getStorage } = require("../storage");
+const { detectFileType } = require("../utils/fileType");
+
+const argValue = (name) => {
+  const index = process.argv.indexOf(name);
+  return index === -1 ? undefined : process.argv[index + 1];
+};
+
+const sourceDir = path.resolve(argValue("--from") || DEFAULT_UPLOAD_DIR);
+const dryRun = process.argv.includes("--dry-run");
+const deleteSource = process.argv.includes("--delete-source");
+
+const migrateUploads = async () => {
+  const storage = getStorage();
+  const report = { copied: 0, skipped: 0, failed: [] };
+
+  if (
+    storage.driver === "local" &&
+    path.resolve(process.env.UPLOAD_DIR || DEFAULT_UPLOAD_DIR) === sourceDir
+  ) {
+    throw new Error(
+      "The configured store already uses the source directory; nothing to migrate"
+    );
+  }
+
+  const entries = await fs.readdir(sourceDir, { withFileTypes: true });
+  const files = entries.filter((entry) => entry.isFile());
+  const stagingDir = await fs.mkdtemp(path.join(os.tmpdir(), "sam-migrate-"));
+
+  try {
+    for (const { name } of files) {
+      const sourcePath = path.join(sourceDir, name);
+
+      try {
+        const existing = await storage.stat(name);
+        const { size } = await fs.stat(sourcePath);
+
+        if (existing && existing.size === size) {
+          report.skipped += 1;
+          continue;
+        }
+
+        if (dryRun) {
+          console.log(`[dry run] Would copy ${name} (${size} bytes)`);
+          report.copied += 1;
+          continue;
+        }
+
+        const stagingPath = path.join(stagingDir, name);
+        await fs.copy(sourcePath, stagingPath);
+        await storage.storeFile(name, stagingPath, {
+          contentType: (await detectFileType(sourcePath)) || undefined,
+        });
+
+        if (deleteSource) {
+          await fs.remove(sourcePath);
+        }
+
+        report.copied += 1;
+      } catch (error) {
+        report.failed.push({ filename: name, error: error.message });
+      }
+    }
+  } finally {
+    await fs.remove(stagingDir);
+  }
+
+  return report;
+};
+
+migrateUploads()
+  .then((report) => {
+    console.log(
+      `${dryRun ? "[dry run] " : ""}Copied ${report.copied}, skipped ${
+        report.skipped
+      } already stored, ${report.failed.length} failed`
+    );
+    if (report.failed.length > 0) {
+      console.log("Failed files:", report.failed);
+      process.exitCode = 1;
+    }
+  })
+  .catch((error) => {
+    console.error("Upload migration error:", error);
+    process.exitCode = 1;
+  });
@@ -0,0 +1,216 @@
+// A minimal OpenID Connect provider for local development. It supports
+// discovery, the authorization code flow with PKCE (S256), signed ID tokens
+// and userinfo, and lets you pick one of a few test users instead of
+// entering a password. Not for production use.
+//
+// Users can be replaced with a JSON array of claim sets in
+// MOCK_OIDC_USERS_FILE. Adding ?login_hint=<sub> to the authorization
+// request skips the picker, which is handy for scripted tests.
+const crypto = require("crypto");
+const fs = require("fs");
+const express = require("express");
+
+const port = parseInt(process.env.MOCK_OIDC_PORT, 10) || 9400;
+const issuer = (
+  process.env.MOCK_OIDC_ISSUER || `http://localhost:${port}`
+).replace(/\/$/, "");
+const clientId = process.env.OIDC_CLIENT_ID || "student-appeal-manager";
+
+const users = process.env.MOCK_OIDC_USERS_FILE
+  ? JSON.parse(fs.readFileSync(process.env.MOCK_OIDC_USERS_FILE, "utf8"))
+  : [
+      {
+        sub: "student-1",
+        email: "student@example.edu",
+        email_verified: true,
+        given_name: "Sam",
+        family_name: "Student",
+        student_id: "S1234567",
+        roles: ["student"],
+      },
+      {
+        sub: "reviewer-1",
+        email: "reviewer@example.edu",
+        email_verified: true,
+        given_name: "Riley",
+        family_name: "Reviewer",
+        department: "Computer Science",
+        roles: ["staff-reviewer"],
+      },
+      {
+        sub: "admin-1",
+        email: "admin@example.edu",
+        email_verified: true,
+        given_name: "Ada",
+        family_name: "Admin",
+        department: "Computer Science",
+        roles: ["staff-admin"],
+      },
+    ];
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", {
+  modulusLength: 2048,
+});
+const kid = crypto.randomBytes(8).toString("hex");
+
+const codes = new Map();
+const accessTokens = new Map();
+
+const base64url = (value) => Buffer.from(value).toString("base64url");
+
+const signIdToken = (claims) => {
+  const header = base64url(JSON.stringify({ alg: "RS256", typ: "JWT", kid }));
+  const payload = base64url(JSON.stringify(claims));
+  const signature = crypto
+    .sign("sha256", Buffer.from(`${header}.${payload}`), privateKey)
+    .toString("base64url");
+  return `${header}.${payload}.${signature}`;
+};
+
+const escapeHtml = (value) =>
+  String(value).replace(
+    /[&<>"']/g,
+    (char) => `&#${char.charCodeAt(0).toString(10)};`
+  );
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get("/.well-known/openid-configuration", (req, res) => {
+  res.json({
+    issuer,
+    authorization_endpoint: `${issuer}/authorize`,
+    token_endpoint: `${issuer}/token`,
+    userinfo_endpoint: `${issuer}/userinfo`,
+    jwks_uri: `${issuer}/jwks`,
+    response_types_supported: ["code"],
+    subject_types_supported: ["public"],
+    id_token_signing_alg_values_supported: ["RS256"],
+    scopes_supported: ["openid", "email", "profile"],
+    token_endpoint_auth_methods_supported: ["none", "client_secret_basic"],
+    code_challenge_methods_supported: ["S256"],
+  });
+});
+
+app.get("/jwks", (req, res) => {
+  res.json({
+    keys: [
+      { ...publicKey.export({ format: "jwk" }), kid, use: "sig", alg: "RS256" },
+    ],
+  });
+});
+
+const issueCode = (res, request, user) => {
+  const code = crypto.randomBytes(16).toString("hex");
+  codes.set(code, { ...request, user, expiresAt: Date.now() + 60 * 1000 });
+
+  const redirect = new URL(request.redirect_uri);
+  redirect.searchParams.set("code", code);
+  if (request.state) redirect.searchParams.set("state", request.state);
+  res.redirect(redirect.toString());
+};
+
+app.get("/authorize", (req, res) => {
+  const request = req.query;
+
+  if (request.client_id !== clientId || !request.redirect_uri) {
+    return res.status(400).send("Unknown client or missing redirect_uri");
+  }
+  if (request.response_type !== "code") {
+    return res.status(400).send("Only response_type=code is supported");
+  }
+  if (!request.code_challenge || request.code_challenge_method !== "S256") {
+    return res.status(400).send("PKCE with S256 is required");
+  }
+
+  const hinted = users.find((user) => user.sub === request.login_hint);
+  if (hinted) return issueCode(res, request, hinted);
+
+  const hidden = Object.entries(request)
+    .map(
+      ([name, value]) =>
+        `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(
+          value
+        )}">`
+    )
+    .join("");
+  const buttons = users
+    .map(
+      (user) =>
+        `<button name="sub" value="${escapeHtml(user.sub)}">${escapeHtml(
+          `${user.given_name} ${user.family_name} <${user.email}>`
+        )}</button>`
+    )
+    .join("<br>");
+
+  res.send(
+    `<!doctype html><title>Mock identity provider</title><h1>Sign in as</h1><form method="post" action="/authorize">${hidden}${buttons}</form>`
+  );
+});
+
+app.post("/authorize", (req, res) => {
+  const user = users.find((candidate) => candidate.sub === req.body.sub);
+  if (!user) return res.status(400).send("Unknown user");
+  issueCode(res, req.body, user);
+});
+
+app.post("/token", (req, res) => {
+  const { code, redirect_uri: redirectUri, code_verifier: verifier } = req.body;
+  const grant = codes.get(code);
+  codes.delete(code);
+
+  const basic = (req.get("authorization") || "").replace(/^Basic /, "");
+  const requestClientId =
+    req.body.client_id ||
+    decodeURIComponent(Buffer.from(basic, "base64").toString().split(":")[0]);
+
+  if (
+    req.body.grant_type !== "authorization_code" ||
+    !grant ||
+    grant.expiresAt < Date.now() ||
+    grant.redirect_uri !== redirectUri ||
+    requestClientId !== clientId
+  ) {
+    return res.status(400).json({ error: "invalid_grant" });
+  }
+
+  const challenge = crypto
+    .createHash("sha256")
+    .update(String(verifier || ""))
+    .digest("base64url");
+  if (challenge !== grant.code_challenge) {
+    return res
+      .status(400)
+      .json({ error: "invalid_grant", error_description: "PKCE mismatch" });
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const accessToken = crypto.randomBytes(16).toString("hex");
+  accessTokens.set(accessToken, grant.user);
+
+  res.json({
+    access_token: accessToken,
+    token_type: "Bearer",
+    expires_in: 300,
+    id_token: signIdToken({
+      ...grant.user,
+      iss: issuer,
+      aud: clientId,
+      iat: now,
+      exp: now + 300,
+      nonce: grant.nonce,
+    }),
+  });
+});
+
+app.get("/userinfo", (req, res) => {
+  const token = (req.get("authorization") || "").replace(/^Bearer /, "");
+  const user = accessTokens.get(token);
+  if (!user) return res.status(401).json({ error: "invalid_token" });
+  res.json(user);
+});
+
+app.listen(port, () => {
+  console.log(`Mock OIDC provider at ${issuer} (client_id ${clientId})`);
+  users.forEach((user) => console.log(`  ${user.sub}: ${user.email}`));
+});
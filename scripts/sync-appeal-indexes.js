@@ -0,0 +1,51 @@
+const path = require("path");
+const mongoose = require("mongoose");
+const dotenv = require("dotenv");
+const Appeal = require("../models/Appeal");
+
+dotenv.config({ path: path.join(__dirname, "..", ".env") });
+
+const dryRun = process.argv.includes("--dry-run");
+
+// Drafts have no appealId, so the appealId index must be sparse. Databases
+// created before drafts existed still have the old non-sparse unique index,
+// which MongoDB does not replace on startup; the second draft then fails
+// with a duplicate key error on null. This rebuilds the appeal indexes to
+// match the schema.
+const run = async () => {
+  try {
+    await mongoose.connect(
+      process.env.MONGODB_URI || "mongodb://localhost:27017/appeal_system"
+    );
+
+    const { toDrop, toCreate } = await Appeal.diffIndexes();
+
+    if (toDrop.length === 0 && toCreate.length === 0) {
+      console.log("Appeal indexes are up to date");
+      return;
+    }
+
+    toDrop.forEach((name) =>
+      console.log(`${dryRun ? "[dry run] would drop" : "Dropping"} ${name}`)
+    );
+    toCreate.forEach((spec) =>
+      console.log(
+        `${dryRun ? "[dry run] would create" : "Creating"} ${JSON.stringify(
+          spec
+        )}`
+      )
+    );
+
+    if (dryRun) return;
+
+    await Appeal.syncIndexes();
+    console.log("Appeal indexes rebuilt");
+  } catch (error) {
+    console.error("Appeal index migration error:", error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run();
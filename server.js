@@ -5,8 +5,19 @@ const dotenv = require("dotenv");
 
 dotenv.config();
 
+const { startInformationRequestJob } = require("./jobs/informationRequests");
+const { startEvidenceScanJob } = require("./jobs/evidenceScan");
+const { startEvidenceRetentionJob } = require("./jobs/evidenceRetention");
+const Role = require("./models/Role");
+const { verifyMailTransport } = require("./utils/mailer");
+
 const app = express();
 
+// Needed behind a reverse proxy so session IP addresses are the client's.
+if (process.env.TRUST_PROXY) {
+  app.set("trust proxy", process.env.TRUST_PROXY);
+}
+
 app.use(
   cors({
     origin: true, // Allow all origins
@@ -64,6 +75,20 @@ try {
   console.error("Failed to load users routes:", error.message);
 }
 
+try {
+  app.use("/api/notifications", require("./routes/notifications"));
+  console.log("Notifications routes loaded");
+} catch (error) {
+  console.error("Failed to load notifications routes:", error.message);
+}
+
+try {
+  app.use("/api/downloads", require("./routes/downloads"));
+  console.log("Downloads routes loaded");
+} catch (error) {
+  console.error("Failed to load downloads routes:", error.message);
+}
+
 console.log("All routes loaded successfully");
 
 app.get("/", (req, res) => {
@@ -91,7 +116,12 @@ const PORT = process.env.PORT || 5000;
 
 const startServer = async () => {
   try {
+    verifyMailTransport();
     await connectDB();
+    await Role.syncBuiltIns();
+    startInformationRequestJob();
+    startEvidenceScanJob();
+    startEvidenceRetentionJob();
     app.listen(PORT, () => {
       console.log(`Server running on port ${PORT}`);
       console.log(`Environment: ${process.env.NODE_ENV || "development"}`);
@@ -0,0 +1,44 @@
+const path = require("path");
+const createLocalStorage = require("./localStorage");
+const createS3Storage = require("./s3Storage");
+
+const DEFAULT_UPLOAD_DIR = path.join(__dirname, "..", "uploads");
+
+const createStorage = (env = process.env) => {
+  const driver = env.STORAGE_DRIVER || "local";
+
+  if (driver === "local") {
+    return createLocalStorage({
+      directory: env.UPLOAD_DIR
+        ? path.resolve(env.UPLOAD_DIR)
+        : DEFAULT_UPLOAD_DIR,
+    });
+  }
+
+  if (driver === "s3") {
+    return createS3Storage({
+      bucket: env.S3_BUCKET,
+      prefix: env.S3_PREFIX || "",
+      endpoint: env.S3_ENDPOINT || undefined,
+      region: env.S3_REGION || "us-east-1",
+      accessKeyId: env.S3_ACCESS_KEY_ID,
+      secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: env.S3_FORCE_PATH_STYLE === "true",
+    });
+  }
+
+  throw new Error(`Unknown STORAGE_DRIVER: ${driver}`);
+};
+
+let storage;
+
+const getStorage = () => {
+  if (!storage) storage = createStorage();
+  return storage;
+};
+
+module.exports = {
+  DEFAULT_UPLOAD_DIR,
+  createStorage,
+  getStorage,
+};
@@ -0,0 +1,53 @@
+const path = require("path");
+const fs = require("fs-extra");
+
+const createLocalStorage = ({ directory }) => {
+  const resolve = (key) => {
+    const filePath = path.resolve(directory, key);
+    if (!filePath.startsWith(path.resolve(directory) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    driver: "local",
+
+    async storeFile(key, sourcePath) {
+      await fs.ensureDir(directory);
+      await fs.move(sourcePath, resolve(key), { overwrite: true });
+    },
+
+    async stat(key) {
+      try {
+        const stats = await fs.stat(resolve(key));
+        return { size: stats.size, lastModified: stats.mtime };
+      } catch (error) {
+        if (error.code === "ENOENT") return null;
+        throw error;
+      }
+    },
+
+    async getStream(key, { start, end } = {}) {
+      return fs.createReadStream(resolve(key), { start, end });
+    },
+
+    async move(fromKey, toKey) {
+      await fs.move(resolve(fromKey), resolve(toKey), { overwrite: true });
+    },
+
+    async remove(key) {
+      await fs.remove(resolve(key));
+    },
+
+    async list() {
+      if (!(await fs.pathExists(directory))) return [];
+      const entries = await fs.readdir(directory, { withFileTypes: true });
+      return entries
+        .filter((entry) => entry.isFile())
+        .map((entry) => entry.name);
+    },
+  };
+};
+
+module.exports = createLocalStorage;
@@ -0,0 +1,131 @@
+const fs = require("fs-extra");
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  CopyObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command,
+} = require("@aws-sdk/client-s3");
+
+const isNotFound = (error) =>
+  error.name === "NotFound" ||
+  error.name === "NoSuchKey" ||
+  error.$metadata?.httpStatusCode === 404;
+
+const createS3Storage = ({
+  bucket,
+  prefix = "",
+  endpoint,
+  region,
+  accessKeyId,
+  secretAccessKey,
+  forcePathStyle,
+}) => {
+  if (!bucket) {
+    throw new Error("S3_BUCKET is required for the s3 storage driver");
+  }
+
+  const client = new S3Client({
+    endpoint,
+    region,
+    forcePathStyle,
+    credentials:
+      accessKeyId && secretAccessKey
+        ? { accessKeyId, secretAccessKey }
+        : undefined,
+  });
+
+  const objectKey = (key) => `${prefix}${key}`;
+
+  return {
+    driver: "s3",
+
+    async storeFile(key, sourcePath, { contentType } = {}) {
+      const { size } = await fs.stat(sourcePath);
+      await client.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: objectKey(key),
+          Body: fs.createReadStream(sourcePath),
+          ContentLength: size,
+          ContentType: contentType,
+        })
+      );
+      await fs.remove(sourcePath);
+    },
+
+    async stat(key) {
+      try {
+        const head = await client.send(
+          new HeadObjectCommand({ Bucket: bucket, Key: objectKey(key) })
+        );
+        return { size: head.ContentLength, lastModified: head.LastModified };
+      } catch (error) {
+        if (isNotFound(error)) return null;
+        throw error;
+      }
+    },
+
+    async getStream(key, { start, end } = {}) {
+      const range =
+        start !== undefined || end !== undefined
+          ? `bytes=${start || 0}-${end !== undefined ? end : ""}`
+          : undefined;
+
+      const object = await client.send(
+        new GetObjectCommand({
+          Bucket: bucket,
+          Key: objectKey(key),
+          Range: range,
+        })
+      );
+      return object.Body;
+    },
+
+    async move(fromKey, toKey) {
+      await client.send(
+        new CopyObjectCommand({
+          Bucket: bucket,
+          CopySource: encodeURI(`${bucket}/${objectKey(fromKey)}`),
+          Key: objectKey(toKey),
+        })
+      );
+      await client.send(
+        new DeleteObjectCommand({ Bucket: bucket, Key: objectKey(fromKey) })
+      );
+    },
+
+    async remove(key) {
+      await client.send(
+        new DeleteObjectCommand({ Bucket: bucket, Key: objectKey(key) })
+      );
+    },
+
+    async list() {
+      const keys = [];
+      let ContinuationToken;
+
+      do {
+        const page = await client.send(
+          new ListObjectsV2Command({
+            Bucket: bucket,
+            Prefix: prefix || undefined,
+            ContinuationToken,
+          })
+        );
+        (page.Contents || []).forEach((object) =>
+          keys.push(object.Key.slice(prefix.length))
+        );
+        ContinuationToken = page.IsTruncated
+          ? page.NextContinuationToken
+          : undefined;
+      } while (ContinuationToken);
+
+      return keys;
+    },
+  };
+};
+
+module.exports = createS3Storage;
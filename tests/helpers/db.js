@@ -0,0 +1,49 @@
+const mongoose = require("mongoose");
+const { MongoMemoryServer } = require("mongodb-memory-server");
+const { clearRoleCache } = require("../../utils/permissions");
+
+let memoryServer = null;
+
+// Set MONGODB_TEST_URI to run against an existing MongoDB, e.g. a service
+// container in CI. Otherwise an in-memory server is started per test file.
+const connect = async () => {
+  let uri = process.env.MONGODB_TEST_URI;
+  if (!uri) {
+    memoryServer = await MongoMemoryServer.create();
+    uri = memoryServer.getUri();
+  }
+
+  await mongoose.connect(uri, {
+    dbName: `appeal_test_${process.env.JEST_WORKER_ID || 0}`,
+  });
+  // Unique indexes must exist before tests rely on duplicate key errors.
+  await Promise.all(
+    Object.values(mongoose.models).map((model) => model.init())
+  );
+};
+
+const clear = async () => {
+  await Promise.all(
+    Object.values(mongoose.connection.collections).map((collection) =>
+      collection.deleteMany({})
+    )
+  );
+  clearRoleCache();
+};
+
+const disconnect = async () => {
+  await mongoose.connection.dropDatabase();
+  await mongoose.disconnect();
+  if (memoryServer) await memoryServer.stop();
+};
+
+// Registers the hooks for a test file that needs the database.
+const useTestDatabase = () => {
+  beforeAll(connect);
+  afterEach(clear);
+  afterAll(disconnect);
+};
+
+module.exports = {
+  useTestDatabase,
+};
@@ -0,0 +1,103 @@
+const express = require("express");
+const fs = require("fs-extra");
+const path = require("path");
+const User = require("../../models/User");
+const Appeal = require("../../models/Appeal");
+const { createSession } = require("../../utils/sessions");
+
+let sequence = 0;
+
+const createUser = (fields = {}) => {
+  sequence += 1;
+  const role = fields.role || "student";
+
+  return User.create({
+    email: `user${sequence}@example.com`,
+    password: "password123",
+    firstName: "Test",
+    lastName: `User${sequence}`,
+    role,
+    studentId: role === "student" ? `S${sequence}` : undefined,
+    emailVerified: true,
+    ...fields,
+  });
+};
+
+// A bearer token for a fresh login session of `user`.
+const authHeader = async (user) => {
+  const { token } = await createSession(user, {
+    get: () => "jest",
+    ip: "127.0.0.1",
+  });
+  return `Bearer ${token}`;
+};
+
+const createAppeal = (student, fields = {}) =>
+  Appeal.create({
+    student: student._id,
+    declaration: true,
+    deadlineCheck: true,
+    confirmAll: true,
+    firstName: student.firstName,
+    lastName: student.lastName,
+    studentId: student.studentId,
+    email: student.email,
+    course: "LLB Law",
+    department: student.department,
+    appealType: "Extenuating Circumstances",
+    grounds: ["Illness or medical condition"],
+    statement: "I was unwell during the exam period.",
+    academicYear: "2025/26",
+    semester: "1",
+    ...fields,
+  });
+
+// Writes a stored evidence file, and a thumbnail when `thumbnail` is set,
+// and returns its evidence entry.
+const storeEvidenceFixture = async (
+  uploadedBy,
+  { thumbnail = false, ...fields } = {}
+) => {
+  sequence += 1;
+  const filename = `evidence-${sequence}.txt`;
+  await fs.outputFile(
+    path.join(process.env.UPLOAD_DIR, filename),
+    "evidence contents"
+  );
+  if (thumbnail) {
+    await fs.outputFile(
+      path.join(process.env.UPLOAD_DIR, `thumb-${filename}.jpg`),
+      "thumbnail contents"
+    );
+  }
+
+  return {
+    filename,
+    thumbnail: thumbnail ? `thumb-${filename}.jpg` : undefined,
+    originalName: "evidence.txt",
+    fileSize: 17,
+    mimeType: "text/plain",
+    uploadedBy: uploadedBy._id,
+    uploadedByRole: uploadedBy.role,
+    scanStatus: "clean",
+    ...fields,
+  };
+};
+
+// The routers are mounted on the same paths as in server.js.
+const createApp = (routes) => {
+  const app = express();
+  app.use(express.json());
+  Object.entries(routes).forEach(([mountPath, router]) =>
+    app.use(mountPath, router)
+  );
+  return app;
+};
+
+module.exports = {
+  createUser,
+  authHeader,
+  createAppeal,
+  storeEvidenceFixture,
+  createApp,
+};
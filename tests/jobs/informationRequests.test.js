@@ -0,0 +1,43 @@
+const Notification = require("../../models/Notification");
+const {
+  expireOverdueInformationRequests,
+} = require("../../jobs/informationRequests");
+const { useTestDatabase } = require("../helpers/db");
+const { createUser, createAppeal } = require("../helpers/fixtures");
+
+useTestDatabase();
+
+describe("expireOverdueInformationRequests", () => {
+  it("notifies every panel member when a request expires", async () => {
+    const student = await createUser({ department: "Law" });
+    const admin = await createUser({ role: "admin", department: "Law" });
+    const members = [
+      await createUser({ role: "reviewer" }),
+      await createUser({ role: "reviewer" }),
+      await createUser({ role: "reviewer" }),
+    ];
+    const appeal = await createAppeal(student, {
+      assignedReviewer: members[0]._id,
+      panel: {
+        members: members.map((member) => member._id),
+        chair: members[0]._id,
+      },
+    });
+    appeal.requestInformation({
+      items: ["A copy of the medical note"],
+      dueDate: new Date(Date.now() - 60 * 1000),
+      requestedBy: admin._id,
+      role: "admin",
+    });
+    await appeal.save();
+
+    expect(await expireOverdueInformationRequests()).toBe(1);
+
+    const recipients = await Notification.find({
+      type: "information_request_expired",
+    }).distinct("recipient");
+    expect(recipients.map(String).sort()).toEqual(
+      [student, admin, ...members].map((user) => user._id.toString()).sort()
+    );
+  });
+});
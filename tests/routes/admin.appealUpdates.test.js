@@ -0,0 +1,96 @@
+const request = require("supertest");
+const Appeal = require("../../models/Appeal");
+const adminRoutes = require("../../routes/admin");
+const { useTestDatabase } = require("../helpers/db");
+const {
+  createUser,
+  authHeader,
+  createAppeal,
+  createApp,
+} = require("../helpers/fixtures");
+
+useTestDatabase();
+
+const app = createApp({ "/api/admin": adminRoutes });
+
+let admin;
+let appeal;
+
+beforeEach(async () => {
+  const student = await createUser({ department: "Law" });
+  admin = await createUser({ role: "admin", department: "Law" });
+  appeal = await createAppeal(student);
+});
+
+const send = async (method, path, body) =>
+  request(app)
+    [method](`/api/admin/appeals/${appeal._id}${path}`)
+    .set("Authorization", await authHeader(admin))
+    .send(body);
+
+describe("PUT /appeals/:id/status", () => {
+  it("keeps notes and timeline entries added at the same time", async () => {
+    const [status, note, priority] = await Promise.all([
+      send("put", "/status", { status: "under review", notes: "Reviewing" }),
+      send("post", "/notes", { content: "Called the student" }),
+      send("put", "/priority", { priority: "urgent" }),
+    ]);
+    expect([status.status, note.status, priority.status]).toEqual([
+      200, 200, 200,
+    ]);
+
+    const updated = await Appeal.findById(appeal._id);
+    expect(updated.notes.map((entry) => entry.content).sort()).toEqual([
+      "Called the student",
+      "Reviewing",
+    ]);
+    expect(updated.timeline.map((entry) => entry.action)).toEqual(
+      expect.arrayContaining([
+        "Status updated",
+        "Admin note added",
+        "Priority updated",
+      ])
+    );
+  });
+
+  it("refuses an update when the status changed after it was checked", async () => {
+    // Changes the status between the route's read and its write.
+    const original = Appeal.findOne;
+    const spy = jest
+      .spyOn(Appeal, "findOne")
+      .mockImplementationOnce(function (...args) {
+        const query = original.apply(this, args);
+        return query.then(async (found) => {
+          await Appeal.updateOne(
+            { _id: appeal._id },
+            { status: "awaiting information" }
+          );
+          return found;
+        });
+      });
+
+    const res = await send("put", "/status", { status: "rejected" });
+    spy.mockRestore();
+
+    expect(res.status).toBe(409);
+    const updated = await Appeal.findById(appeal._id);
+    expect(updated.status).toBe("awaiting information");
+  });
+
+  it("clears the decision when a decided appeal is reopened", async () => {
+    await Appeal.updateOne(
+      { _id: appeal._id },
+      {
+        status: "decision made",
+        decision: { outcome: "upheld", reason: "Medical evidence" },
+      }
+    );
+
+    const res = await send("put", "/status", { status: "under review" });
+
+    expect(res.status).toBe(200);
+    const updated = await Appeal.findById(appeal._id).lean();
+    expect(updated.status).toBe("under review");
+    expect(updated.decision).toBeUndefined();
+  });
+});
@@ -0,0 +1,357 @@
+const request = require("supertest");
+const Appeal = require("../../models/Appeal");
+const Role = require("../../models/Role");
+const User = require("../../models/User");
+const adminRoutes = require("../../routes/admin");
+const userRoutes = require("../../routes/users");
+const { clearRoleCache } = require("../../utils/permissions");
+const { useTestDatabase } = require("../helpers/db");
+const {
+  createUser,
+  authHeader,
+  createAppeal,
+  storeEvidenceFixture,
+  createApp,
+} = require("../helpers/fixtures");
+
+useTestDatabase();
+
+const app = createApp({
+  "/api/admin": adminRoutes,
+  "/api/users": userRoutes,
+});
+
+const inDays = (days) =>
+  new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+
+const includesAppeal = (appeals, appeal) =>
+  appeals.some((entry) => entry._id === appeal._id.toString());
+
+const succeeded = (res) => res.status >= 200 && res.status < 300;
+
+// Every admin route that reads or changes appeals. `visible` tells from the
+// response whether the caller reached the appeal; `setup` prepares state
+// the route needs.
+const ROUTES = [
+  {
+    name: "GET /appeals",
+    send: (agent) => agent.get("/api/admin/appeals"),
+    visible: (res, { appeal }) => includesAppeal(res.body.appeals, appeal),
+  },
+  {
+    name: "GET /appeals/search",
+    send: (agent) => agent.get("/api/admin/appeals/search?status=submitted"),
+    visible: (res, { appeal }) => includesAppeal(res.body.appeals, appeal),
+  },
+  {
+    name: "GET /appeals/dashboard",
+    send: (agent) => agent.get("/api/admin/appeals/dashboard"),
+    visible: (res, { appeal }) =>
+      res.body.total === 1 && includesAppeal(res.body.recentAppeals, appeal),
+  },
+  {
+    name: "GET /appeals/deadlines",
+    send: (agent) => agent.get("/api/admin/appeals/deadlines"),
+    visible: (res) => res.body.total === 1,
+  },
+  {
+    name: "GET /reports/appeals",
+    send: (agent) => agent.get("/api/admin/reports/appeals"),
+    visible: (res) => res.body.total === 1,
+  },
+  {
+    name: "GET /reports/comprehensive",
+    send: (agent) => agent.get("/api/admin/reports/comprehensive"),
+    visible: (res) => res.body.total === 1,
+  },
+  {
+    name: "GET /reports/export-csv",
+    send: (agent) => agent.get("/api/admin/reports/export-csv"),
+    visible: (res, { appeal }) => res.text.includes(appeal.appealId),
+  },
+  {
+    name: "GET /appeals/:id",
+    send: (agent, { appeal }) => agent.get(`/api/admin/appeals/${appeal._id}`),
+  },
+  {
+    name: "GET /appeals/:id/evidence/:filename/download",
+    send: (agent, { appeal }) =>
+      agent.get(
+        `/api/admin/appeals/${appeal._id}/evidence/${appeal.evidence[0].filename}/download`
+      ),
+    visible: (res) => res.status === 200 && res.text === "evidence contents",
+  },
+  {
+    name: "GET /appeals/:id/evidence/:filename/thumbnail",
+    send: (agent, { appeal }) =>
+      agent.get(
+        `/api/admin/appeals/${appeal._id}/evidence/${appeal.evidence[0].filename}/thumbnail`
+      ),
+  },
+  {
+    name: "GET /appeals/:id/evidence/bundle",
+    send: (agent, { appeal }) =>
+      agent.get(`/api/admin/appeals/${appeal._id}/evidence/bundle`),
+  },
+  {
+    name: "PUT /appeals/:id/assign",
+    send: (agent, { appeal }) =>
+      agent
+        .put(`/api/admin/appeals/${appeal._id}/assign`)
+        .send({ priority: "high" }),
+  },
+  {
+    name: "PUT /appeals/:id/priority",
+    send: (agent, { appeal }) =>
+      agent
+        .put(`/api/admin/appeals/${appeal._id}/priority`)
+        .send({ priority: "urgent" }),
+  },
+  {
+    name: "PUT /appeals/:id/status",
+    send: (agent, { appeal }) =>
+      agent
+        .put(`/api/admin/appeals/${appeal._id}/status`)
+        .send({ status: "under review" }),
+  },
+  {
+    name: "PUT /appeals/:id/panel",
+    send: (agent, { appeal, reviewers }) =>
+      agent.put(`/api/admin/appeals/${appeal._id}/panel`).send({
+        members: reviewers.map((reviewer) => reviewer._id.toString()),
+        chair: reviewers[0]._id.toString(),
+      }),
+  },
+  {
+    name: "DELETE /appeals/:id/panel",
+    setup: ({ appeal, reviewers }) =>
+      Appeal.updateOne(
+        { _id: appeal._id },
+        {
+          panel: {
+            members: reviewers.map((reviewer) => reviewer._id),
+            chair: reviewers[0]._id,
+          },
+          assignedReviewer: reviewers[0]._id,
+        }
+      ),
+    send: (agent, { appeal }) =>
+      agent.delete(`/api/admin/appeals/${appeal._id}/panel`),
+  },
+  {
+    name: "POST /appeals/:id/notes",
+    send: (agent, { appeal }) =>
+      agent
+        .post(`/api/admin/appeals/${appeal._id}/notes`)
+        .send({ content: "Spoke to the module leader" }),
+  },
+  {
+    name: "DELETE /appeals/:id/notes/:noteId",
+    send: (agent, { appeal }) =>
+      agent.delete(
+        `/api/admin/appeals/${appeal._id}/notes/${appeal.notes[0]._id}`
+      ),
+  },
+  {
+    name: "POST /appeals/:id/information-requests",
+    send: (agent, { appeal }) =>
+      agent
+        .post(`/api/admin/appeals/${appeal._id}/information-requests`)
+        .send({ items: ["A copy of the medical note"], dueDate: inDays(7) }),
+  },
+  {
+    name: "PUT /appeals/:id/information-requests/:requestId/cancel",
+    setup: async (fixture) => {
+      const appeal = await Appeal.findById(fixture.appeal._id);
+      const { request } = appeal.requestInformation({
+        items: ["A copy of the medical note"],
+        dueDate: new Date(inDays(7)),
+        requestedBy: fixture.lawAdmin._id,
+        role: "admin",
+      });
+      await appeal.save();
+      fixture.requestId = request._id;
+    },
+    send: (agent, { appeal, requestId }) =>
+      agent.put(
+        `/api/admin/appeals/${appeal._id}/information-requests/${requestId}/cancel`
+      ),
+  },
+  {
+    name: "PUT /appeals/:id/deadline",
+    send: (agent, { appeal }) =>
+      agent
+        .put(`/api/admin/appeals/${appeal._id}/deadline`)
+        .send({ deadline: inDays(14) }),
+  },
+  {
+    name: "DELETE /appeals/:id/deadline",
+    send: (agent, { appeal }) =>
+      agent.delete(`/api/admin/appeals/${appeal._id}/deadline`),
+  },
+  {
+    name: "PUT /appeals/bulk-deadlines",
+    send: (agent, { appeal }) =>
+      agent
+        .put("/api/admin/appeals/bulk-deadlines")
+        .send({ appealIds: [appeal._id.toString()], deadline: inDays(14) }),
+    visible: (res) => res.body.successful === 1,
+  },
+  {
+    name: "POST /appeals/bulk-assign",
+    send: (agent, { appeal }) =>
+      agent
+        .post("/api/admin/appeals/bulk-assign")
+        .send({ appealIds: [appeal._id.toString()], priority: "high" }),
+    visible: (res) => res.body.results.length === 1,
+  },
+  {
+    name: "PUT /appeals/:id/legal-hold",
+    send: (agent, { appeal }) =>
+      agent
+        .put(`/api/admin/appeals/${appeal._id}/legal-hold`)
+        .send({ reason: "Pending litigation" }),
+  },
+  {
+    name: "DELETE /appeals/:id/legal-hold",
+    setup: ({ appeal }) =>
+      Appeal.updateOne(
+        { _id: appeal._id },
+        { legalHold: { active: true, reason: "Pending litigation" } }
+      ),
+    send: (agent, { appeal }) =>
+      agent.delete(`/api/admin/appeals/${appeal._id}/legal-hold`),
+  },
+];
+
+let fixture;
+
+beforeEach(async () => {
+  const student = await createUser({ department: "Law" });
+  const lawAdmin = await createUser({ role: "admin", department: "Law" });
+  const engineeringAdmin = await createUser({
+    role: "admin",
+    department: "Engineering",
+  });
+  const institutionAdmin = await createUser({
+    role: "admin",
+    department: "Engineering",
+    institutionWide: true,
+  });
+  const reviewers = [
+    await createUser({ role: "reviewer" }),
+    await createUser({ role: "reviewer" }),
+    await createUser({ role: "reviewer" }),
+  ];
+
+  const appeal = await createAppeal(student, {
+    deadline: inDays(3),
+    evidence: [await storeEvidenceFixture(student, { thumbnail: true })],
+    notes: [{ content: "Checked the transcript", author: lawAdmin._id }],
+  });
+
+  fixture = {
+    appeal,
+    reviewers,
+    lawAdmin,
+    engineeringAdmin,
+    institutionAdmin,
+  };
+});
+
+const call = async (route, user) =>
+  route
+    .send(request(app), fixture)
+    .set("Authorization", await authHeader(user));
+
+const reached = (route, res) =>
+  succeeded(res) && (!route.visible || route.visible(res, fixture));
+
+describe.each(ROUTES)("$name", (route) => {
+  beforeEach(async () => {
+    if (route.setup) await route.setup(fixture);
+  });
+
+  it("reaches an appeal of the admin's department", async () => {
+    const res = await call(route, fixture.lawAdmin);
+
+    expect(res.status).toBeLessThan(300);
+    expect(reached(route, res)).toBe(true);
+  });
+
+  it("neither shows nor changes another department's appeal", async () => {
+    const before = await Appeal.findById(fixture.appeal._id).lean();
+
+    const res = await call(route, fixture.engineeringAdmin);
+
+    expect([200, 404]).toContain(res.status);
+    expect(reached(route, res)).toBe(false);
+    const after = await Appeal.findById(fixture.appeal._id).lean();
+    expect(after.updatedAt).toEqual(before.updatedAt);
+  });
+
+  it("reaches any department's appeal as an institution-wide admin", async () => {
+    const res = await call(route, fixture.institutionAdmin);
+
+    expect(res.status).toBeLessThan(300);
+    expect(reached(route, res)).toBe(true);
+  });
+});
+
+describe("department matching", () => {
+  it("ignores case and surrounding spaces", async () => {
+    fixture.lawAdmin.department = "  law ";
+    await fixture.lawAdmin.save();
+
+    const res = await call(ROUTES[0], fixture.lawAdmin);
+
+    expect(includesAppeal(res.body.appeals, fixture.appeal)).toBe(true);
+  });
+
+  it("shows no appeals to a scoped user without a department", async () => {
+    await User.updateOne(
+      { _id: fixture.lawAdmin._id },
+      { $unset: { department: "" } }
+    );
+
+    const res = await call(ROUTES[0], fixture.lawAdmin);
+
+    expect(res.body.appeals).toEqual([]);
+  });
+});
+
+// A custom role with reports but no appeal access of its own.
+describe("report-only roles", () => {
+  const REPORT_ROUTES = [
+    ...ROUTES.filter((route) => route.name.startsWith("GET /reports/")),
+    {
+      name: "GET /api/users/stats/overview",
+      send: (agent) => agent.get("/api/users/stats/overview"),
+      visible: (res) => res.body.appeals.total === 1,
+    },
+  ];
+
+  const reportViewer = (department) =>
+    createUser({ role: "registry", department });
+
+  beforeEach(async () => {
+    await Role.create({
+      name: "registry",
+      label: "Registry",
+      permissions: ["report.view", "report.export"],
+    });
+    clearRoleCache();
+  });
+
+  it.each(REPORT_ROUTES)(
+    "$name counts only the role's department",
+    async (route) => {
+      const law = await call(route, await reportViewer("Law"));
+      const engineering = await call(route, await reportViewer("Engineering"));
+
+      expect(reached(route, law)).toBe(true);
+      expect(engineering.status).toBe(200);
+      expect(reached(route, engineering)).toBe(false);
+    }
+  );
+});
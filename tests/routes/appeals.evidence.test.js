@@ -0,0 +1,65 @@
+const request = require("supertest");
+const fs = require("fs-extra");
+const Appeal = require("../../models/Appeal");
+const appealRoutes = require("../../routes/appeals");
+const { useTestDatabase } = require("../helpers/db");
+const {
+  createUser,
+  authHeader,
+  createAppeal,
+  storeEvidenceFixture,
+  createApp,
+} = require("../helpers/fixtures");
+
+useTestDatabase();
+
+const app = createApp({ "/api/appeals": appealRoutes });
+
+let owner;
+let appeal;
+
+beforeEach(async () => {
+  owner = await createUser({ department: "Law" });
+  appeal = await createAppeal(owner);
+});
+
+const upload = async (user, name = "letter.txt") =>
+  request(app)
+    .post(`/api/appeals/${appeal._id}/evidence`)
+    .set("Authorization", await authHeader(user))
+    .attach("evidence", Buffer.from("a GP letter"), name);
+
+describe("POST /appeals/:id/evidence", () => {
+  it("refuses another student's appeal before writing the upload", async () => {
+    const other = await createUser({ department: "Law" });
+    const header = await authHeader(other);
+    // multer's disk storage prepares its directory for every file it writes.
+    const ensureDir = jest.spyOn(fs, "ensureDirSync");
+
+    const res = await request(app)
+      .post(`/api/appeals/${appeal._id}/evidence`)
+      .set("Authorization", header)
+      .attach("evidence", Buffer.from("a GP letter"), "letter.txt");
+    const calls = ensureDir.mock.calls.length;
+    ensureDir.mockRestore();
+
+    expect(res.status).toBe(404);
+    expect(calls).toBe(0);
+  });
+
+  it("keeps concurrent uploads within the file cap", async () => {
+    for (let index = 0; index < 19; index += 1) {
+      appeal.evidence.push(await storeEvidenceFixture(owner));
+    }
+    await appeal.save();
+
+    const responses = await Promise.all([
+      upload(owner, "first.txt"),
+      upload(owner, "second.txt"),
+    ]);
+
+    expect(responses.map((res) => res.status).sort()).toEqual([200, 409]);
+    const updated = await Appeal.findById(appeal._id);
+    expect(updated.evidence).toHaveLength(20);
+  });
+});
@@ -0,0 +1,47 @@
+const request = require("supertest");
+const Appeal = require("../../models/Appeal");
+const appealRoutes = require("../../routes/appeals");
+const {
+  expireOverdueInformationRequests,
+} = require("../../jobs/informationRequests");
+const { useTestDatabase } = require("../helpers/db");
+const {
+  createUser,
+  authHeader,
+  createAppeal,
+  createApp,
+} = require("../helpers/fixtures");
+
+useTestDatabase();
+
+const app = createApp({ "/api/appeals": appealRoutes });
+
+describe("POST /appeals/:id/withdraw", () => {
+  it("cancels the appeal's open information requests", async () => {
+    const student = await createUser({ department: "Law" });
+    const admin = await createUser({ role: "admin", department: "Law" });
+    const appeal = await createAppeal(student);
+    appeal.requestInformation({
+      items: ["A copy of the medical note"],
+      dueDate: new Date(Date.now() + 60 * 1000),
+      requestedBy: admin._id,
+      role: "admin",
+    });
+    await appeal.save();
+
+    const res = await request(app)
+      .post(`/api/appeals/${appeal._id}/withdraw`)
+      .set("Authorization", await authHeader(student))
+      .send({ reason: "Resolved with my tutor", confirm: true });
+
+    expect(res.status).toBe(200);
+    const withdrawn = await Appeal.findById(appeal._id);
+    expect(withdrawn.status).toBe("withdrawn");
+    expect(withdrawn.informationRequests[0].status).toBe("cancelled");
+
+    // Past its due date, the request no longer triggers the expiry job.
+    expect(
+      await expireOverdueInformationRequests(new Date(Date.now() + 120 * 1000))
+    ).toBe(0);
+  });
+});
@@ -0,0 +1,47 @@
+const request = require("supertest");
+const User = require("../../models/User");
+const authRoutes = require("../../routes/auth");
+const { updateSecuritySettings } = require("../../utils/securitySettings");
+const { useTestDatabase } = require("../helpers/db");
+const { createUser, createApp } = require("../helpers/fixtures");
+
+useTestDatabase();
+
+const app = createApp({ "/api/auth": authRoutes });
+
+let user;
+let token;
+
+beforeEach(async () => {
+  user = await createUser({ role: "reviewer" });
+  token = user.createPasswordResetToken();
+  await user.save();
+});
+
+afterEach(() => updateSecuritySettings({ localPasswordDisabledRoles: [] }));
+
+const reset = () =>
+  request(app)
+    .post("/api/auth/reset-password")
+    .send({ token, password: "new-password" });
+
+describe("POST /reset-password", () => {
+  it("keeps the token when the role may not use a password", async () => {
+    await updateSecuritySettings({ localPasswordDisabledRoles: ["reviewer"] });
+
+    const refused = await reset();
+    expect(refused.status).toBe(403);
+
+    await updateSecuritySettings({ localPasswordDisabledRoles: [] });
+    const res = await reset();
+    expect(res.status).toBe(200);
+
+    const updated = await User.findById(user._id).select("+password");
+    expect(await updated.comparePassword("new-password")).toBe(true);
+  });
+
+  it("accepts a token only once", async () => {
+    expect((await reset()).status).toBe(200);
+    expect((await reset()).status).toBe(400);
+  });
+});
@@ -0,0 +1,107 @@
+const request = require("supertest");
+const downloadRoutes = require("../../routes/downloads");
+const { useTestDatabase } = require("../helpers/db");
+const {
+  createUser,
+  authHeader,
+  createAppeal,
+  storeEvidenceFixture,
+  createApp,
+} = require("../helpers/fixtures");
+
+useTestDatabase();
+
+const app = createApp({ "/api/downloads": downloadRoutes });
+
+let appeal;
+let lawAdmin;
+
+beforeEach(async () => {
+  const student = await createUser({ department: "Law" });
+  lawAdmin = await createUser({ role: "admin", department: "Law" });
+  appeal = await createAppeal(student, {
+    evidence: [await storeEvidenceFixture(student)],
+  });
+});
+
+const createLink = async (user, fields = {}) =>
+  request(app)
+    .post("/api/downloads/links")
+    .set("Authorization", await authHeader(user))
+    .send({
+      appealId: appeal._id.toString(),
+      filename: appeal.evidence[0].filename,
+      ...fields,
+    });
+
+const linkPath = (res) => new URL(res.body.url).pathname;
+
+describe("department scope", () => {
+  it("lets an admin download their department's evidence", async () => {
+    const link = await createLink(lawAdmin);
+    expect(link.status).toBe(201);
+
+    const res = await request(app).get(linkPath(link));
+
+    expect(res.status).toBe(200);
+    expect(res.text).toBe("evidence contents");
+  });
+
+  it("refuses a link for another department's appeal", async () => {
+    const engineeringAdmin = await createUser({
+      role: "admin",
+      department: "Engineering",
+    });
+
+    const link = await createLink(engineeringAdmin);
+
+    expect(link.status).toBe(404);
+  });
+
+  it("stops a link once its user moves to another department", async () => {
+    const link = await createLink(lawAdmin);
+    lawAdmin.department = "Engineering";
+    await lawAdmin.save();
+
+    const res = await request(app).get(linkPath(link));
+
+    expect(res.status).toBe(404);
+  });
+
+  it("lets an institution-wide admin download any department's evidence", async () => {
+    const institutionAdmin = await createUser({
+      role: "admin",
+      department: "Engineering",
+      institutionWide: true,
+    });
+
+    const link = await createLink(institutionAdmin);
+    const res = await request(app).get(linkPath(link));
+
+    expect(res.status).toBe(200);
+  });
+});
+
+describe("one-time links", () => {
+  it("can be used for one complete download", async () => {
+    const link = await createLink(lawAdmin, { oneTime: true });
+
+    const first = await request(app).get(linkPath(link));
+    const second = await request(app).get(linkPath(link));
+
+    expect(first.status).toBe(200);
+    expect(second.status).toBe(410);
+  });
+
+  it("refuse range requests without being used up", async () => {
+    const link = await createLink(lawAdmin, { oneTime: true });
+
+    const ranged = await request(app)
+      .get(linkPath(link))
+      .set("Range", "bytes=0-3");
+    const full = await request(app).get(linkPath(link));
+
+    expect(ranged.status).toBe(400);
+    expect(full.status).toBe(200);
+  });
+});
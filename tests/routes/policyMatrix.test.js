@@ -0,0 +1,468 @@
+const request = require("supertest");
+const Role = require("../../models/Role");
+const appealRoutes = require("../../routes/appeals");
+const adminRoutes = require("../../routes/admin");
+const reviewerRoutes = require("../../routes/reviewer");
+const userRoutes = require("../../routes/users");
+const { clearRoleCache } = require("../../utils/permissions");
+const {
+  canViewAppeal,
+  canEditAppeal,
+  canDownloadEvidence,
+} = require("../../utils/policy");
+const { useTestDatabase } = require("../helpers/db");
+const {
+  createUser,
+  authHeader,
+  createAppeal,
+  storeEvidenceFixture,
+  createApp,
+} = require("../helpers/fixtures");
+
+useTestDatabase();
+
+const app = createApp({
+  "/api/appeals": appealRoutes,
+  "/api/admin": adminRoutes,
+  "/api/reviewer": reviewerRoutes,
+  "/api/users": userRoutes,
+});
+
+const inDays = (days) =>
+  new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+
+const includesAppeal = (appeals, appeal) =>
+  appeals.some((entry) => entry._id === appeal._id.toString());
+
+// A custom role that may view any appeal in its department, add notes and
+// see the students behind them, but not assign, change status, deadlines or
+// legal holds.
+const CASEWORKER = {
+  name: "caseworker",
+  label: "Caseworker",
+  permissions: ["appeal.view.any", "appeal.note", "user.view"],
+};
+
+// Each route with the expected result for every user: "allow" is any 2xx
+// that reached the appeal, a number is the refusal status. `visible` tells
+// from a 2xx response whether the appeal was included.
+const ALL_STAFF_DENIED = {
+  assignedReviewer: 403,
+  otherReviewer: 403,
+  panelMember: 403,
+  admin: 403,
+  caseworker: 403,
+};
+
+const STUDENT_ROUTES = [
+  {
+    name: "GET /appeals",
+    send: (agent) => agent.get("/api/appeals"),
+    visible: (res, { appeal }) => includesAppeal(res.body.appeals, appeal),
+    expected: { owner: "allow", otherStudent: 200, ...ALL_STAFF_DENIED },
+  },
+  {
+    name: "GET /appeals/dashboard",
+    send: (agent) => agent.get("/api/appeals/dashboard"),
+    visible: (res, { appeal }) =>
+      includesAppeal(res.body.recentAppeals, appeal),
+    expected: { owner: "allow", otherStudent: 200, ...ALL_STAFF_DENIED },
+  },
+  {
+    name: "GET /appeals/drafts/:id",
+    send: (agent, { draft }) => agent.get(`/api/appeals/drafts/${draft._id}`),
+    expected: { owner: "allow", otherStudent: 404, ...ALL_STAFF_DENIED },
+  },
+  {
+    name: "GET /appeals/:id",
+    send: (agent, { appeal }) => agent.get(`/api/appeals/${appeal._id}`),
+    expected: { owner: "allow", otherStudent: 404, ...ALL_STAFF_DENIED },
+  },
+  {
+    name: "GET /appeals/:id/evidence/:filename/download",
+    send: (agent, { appeal }) =>
+      agent.get(
+        `/api/appeals/${appeal._id}/evidence/${appeal.evidence[0].filename}/download`
+      ),
+    expected: { owner: "allow", otherStudent: 404, ...ALL_STAFF_DENIED },
+  },
+  {
+    name: "GET /appeals/:id/evidence/:filename/download (internal)",
+    send: (agent, { appeal }) =>
+      agent.get(
+        `/api/appeals/${appeal._id}/evidence/${appeal.evidence[1].filename}/download`
+      ),
+    expected: { owner: 404, otherStudent: 404, ...ALL_STAFF_DENIED },
+  },
+  {
+    name: "POST /appeals/:id/notes",
+    send: (agent, { appeal }) =>
+      agent
+        .post(`/api/appeals/${appeal._id}/notes`)
+        .send({ content: "My GP letter is attached" }),
+    expected: { owner: "allow", otherStudent: 404, ...ALL_STAFF_DENIED },
+  },
+  {
+    name: "POST /appeals/:id/evidence",
+    send: (agent, { appeal }) =>
+      agent
+        .post(`/api/appeals/${appeal._id}/evidence`)
+        .attach("evidence", Buffer.from("a GP letter"), "letter.txt"),
+    expected: { owner: "allow", otherStudent: 404, ...ALL_STAFF_DENIED },
+  },
+  {
+    name: "POST /appeals/:id/information-requests/:requestId/items/:itemId/respond",
+    send: (agent, { appeal, informationRequest }) =>
+      agent
+        .post(
+          `/api/appeals/${appeal._id}/information-requests/${informationRequest._id}/items/${informationRequest.items[0]._id}/respond`
+        )
+        .send({ response: "The note is from my GP" }),
+    expected: { owner: "allow", otherStudent: 404, ...ALL_STAFF_DENIED },
+  },
+  {
+    name: "POST /appeals/:id/withdraw",
+    send: (agent, { appeal }) =>
+      agent
+        .post(`/api/appeals/${appeal._id}/withdraw`)
+        .send({ reason: "Resolved with my tutor", confirm: true }),
+    expected: { owner: "allow", otherStudent: 404, ...ALL_STAFF_DENIED },
+  },
+];
+
+const ALL_STUDENTS_DENIED = { owner: 403, otherStudent: 403 };
+const REVIEWERS_DENIED = {
+  assignedReviewer: 403,
+  otherReviewer: 403,
+  panelMember: 403,
+};
+
+const ADMIN_ROUTES = [
+  {
+    name: "GET /admin/appeals/:id",
+    send: (agent, { appeal }) => agent.get(`/api/admin/appeals/${appeal._id}`),
+    expected: {
+      ...ALL_STUDENTS_DENIED,
+      ...REVIEWERS_DENIED,
+      admin: "allow",
+      caseworker: "allow",
+    },
+  },
+  {
+    name: "GET /admin/appeals/:id (draft)",
+    send: (agent, { draft }) => agent.get(`/api/admin/appeals/${draft._id}`),
+    expected: {
+      ...ALL_STUDENTS_DENIED,
+      ...REVIEWERS_DENIED,
+      admin: 404,
+      caseworker: 404,
+    },
+  },
+  {
+    name: "GET /admin/appeals/:id/evidence/:filename/download (internal)",
+    send: (agent, { appeal }) =>
+      agent.get(
+        `/api/admin/appeals/${appeal._id}/evidence/${appeal.evidence[1].filename}/download`
+      ),
+    expected: {
+      ...ALL_STUDENTS_DENIED,
+      ...REVIEWERS_DENIED,
+      admin: "allow",
+      caseworker: "allow",
+    },
+  },
+  {
+    name: "GET /admin/appeals/:id/evidence/bundle",
+    send: (agent, { appeal }) =>
+      agent.get(`/api/admin/appeals/${appeal._id}/evidence/bundle`),
+    expected: {
+      ...ALL_STUDENTS_DENIED,
+      ...REVIEWERS_DENIED,
+      admin: "allow",
+      caseworker: "allow",
+    },
+  },
+  {
+    name: "POST /admin/appeals/:id/notes",
+    send: (agent, { appeal }) =>
+      agent
+        .post(`/api/admin/appeals/${appeal._id}/notes`)
+        .send({ content: "Spoke to the module leader" }),
+    expected: {
+      ...ALL_STUDENTS_DENIED,
+      ...REVIEWERS_DENIED,
+      admin: "allow",
+      caseworker: "allow",
+    },
+  },
+  {
+    name: "PUT /admin/appeals/:id/assign",
+    send: (agent, { appeal }) =>
+      agent
+        .put(`/api/admin/appeals/${appeal._id}/assign`)
+        .send({ priority: "high" }),
+    expected: {
+      ...ALL_STUDENTS_DENIED,
+      ...REVIEWERS_DENIED,
+      admin: "allow",
+      caseworker: 403,
+    },
+  },
+  {
+    name: "PUT /admin/appeals/:id/status",
+    send: (agent, { appeal }) =>
+      agent
+        .put(`/api/admin/appeals/${appeal._id}/status`)
+        .send({ status: "under review" }),
+    expected: {
+      ...ALL_STUDENTS_DENIED,
+      ...REVIEWERS_DENIED,
+      admin: "allow",
+      caseworker: 403,
+    },
+  },
+  {
+    name: "PUT /admin/appeals/:id/deadline",
+    send: (agent, { appeal }) =>
+      agent
+        .put(`/api/admin/appeals/${appeal._id}/deadline`)
+        .send({ deadline: inDays(14) }),
+    expected: {
+      ...ALL_STUDENTS_DENIED,
+      ...REVIEWERS_DENIED,
+      admin: "allow",
+      caseworker: 403,
+    },
+  },
+  {
+    name: "PUT /admin/appeals/:id/legal-hold",
+    send: (agent, { appeal }) =>
+      agent
+        .put(`/api/admin/appeals/${appeal._id}/legal-hold`)
+        .send({ reason: "Pending litigation" }),
+    expected: {
+      ...ALL_STUDENTS_DENIED,
+      ...REVIEWERS_DENIED,
+      admin: "allow",
+      caseworker: 403,
+    },
+  },
+  {
+    name: "POST /admin/appeals/:id/information-requests",
+    send: (agent, { appeal }) =>
+      agent
+        .post(`/api/admin/appeals/${appeal._id}/information-requests`)
+        .send({ items: ["A copy of the medical note"], dueDate: inDays(7) }),
+    expected: {
+      ...ALL_STUDENTS_DENIED,
+      ...REVIEWERS_DENIED,
+      admin: "allow",
+      caseworker: 403,
+    },
+  },
+];
+
+// The assigned reviewer chairs the appeal's panel. The panel member sits,
+// not as chair, on another appeal's panel only.
+const REVIEWER_ROUTES = [
+  {
+    name: "POST /reviewer/appeals/:id/notes",
+    send: (agent, { appeal }) =>
+      agent
+        .post(`/api/reviewer/appeals/${appeal._id}/notes`)
+        .send({ content: "Checked the medical note" }),
+  },
+  {
+    name: "PUT /reviewer/appeals/:id/status",
+    send: (agent, { appeal }) =>
+      agent
+        .put(`/api/reviewer/appeals/${appeal._id}/status`)
+        .send({ status: "under review" }),
+  },
+  {
+    name: "PUT /reviewer/appeals/:id/recommendation",
+    send: (agent, { appeal }) =>
+      agent
+        .put(`/api/reviewer/appeals/${appeal._id}/recommendation`)
+        .send({ outcome: "upheld", rationale: "The evidence is convincing" }),
+  },
+].map((route) => ({
+  ...route,
+  expected: {
+    ...ALL_STUDENTS_DENIED,
+    assignedReviewer: "allow",
+    otherReviewer: 403,
+    panelMember: 403,
+    admin: 403,
+    caseworker: 403,
+  },
+}));
+
+// The caseworker from another department holds user.view too, but none of
+// the owner's appeals are in its scope.
+const USER_ROUTES = [
+  {
+    name: "GET /users/:id",
+    send: (agent, { users }) => agent.get(`/api/users/${users.owner._id}`),
+    expected: {
+      owner: "allow",
+      otherStudent: 403,
+      assignedReviewer: "allow",
+      otherReviewer: 403,
+      panelMember: 403,
+      admin: "allow",
+      caseworker: "allow",
+      otherCaseworker: 403,
+    },
+  },
+  {
+    name: "GET /users/:id/appeals",
+    send: (agent, { users }) =>
+      agent.get(`/api/users/${users.owner._id}/appeals`),
+    visible: (res, { appeal }) => includesAppeal(res.body.appeals, appeal),
+    expected: {
+      owner: "allow",
+      otherStudent: 403,
+      assignedReviewer: "allow",
+      otherReviewer: 403,
+      panelMember: 403,
+      admin: "allow",
+      caseworker: "allow",
+      otherCaseworker: 403,
+    },
+  },
+];
+
+let fixture;
+
+beforeEach(async () => {
+  await Role.create(CASEWORKER);
+  clearRoleCache();
+
+  const owner = await createUser({ department: "Law" });
+  const otherStudent = await createUser({ department: "Law" });
+  const admin = await createUser({ role: "admin", department: "Law" });
+  const assignedReviewer = await createUser({ role: "reviewer" });
+  const otherReviewer = await createUser({ role: "reviewer" });
+  const panelMember = await createUser({ role: "reviewer" });
+  const panelPeer = await createUser({ role: "reviewer" });
+
+  await createAppeal(otherStudent, {
+    assignedReviewer: otherReviewer._id,
+    panel: {
+      members: [otherReviewer._id, panelMember._id],
+      chair: otherReviewer._id,
+    },
+  });
+  const appeal = await createAppeal(owner, {
+    assignedReviewer: assignedReviewer._id,
+    panel: {
+      members: [assignedReviewer._id, panelPeer._id],
+      chair: assignedReviewer._id,
+    },
+    evidence: [
+      await storeEvidenceFixture(owner),
+      await storeEvidenceFixture(admin, { visibility: "internal" }),
+    ],
+  });
+  const { request: informationRequest } = appeal.requestInformation({
+    items: ["A copy of the medical note"],
+    dueDate: new Date(inDays(7)),
+    requestedBy: admin._id,
+    role: "admin",
+  });
+  await appeal.save();
+
+  fixture = {
+    appeal,
+    informationRequest,
+    draft: await createAppeal(owner, { status: "draft" }),
+    users: {
+      owner,
+      otherStudent,
+      assignedReviewer,
+      otherReviewer,
+      panelMember,
+      admin,
+      caseworker: await createUser({ role: "caseworker", department: "Law" }),
+      otherCaseworker: await createUser({
+        role: "caseworker",
+        department: "Engineering",
+      }),
+    },
+  };
+});
+
+const reached = (route, res) =>
+  res.status >= 200 &&
+  res.status < 300 &&
+  (!route.visible || route.visible(res, fixture));
+
+describe.each([
+  ...STUDENT_ROUTES,
+  ...ADMIN_ROUTES,
+  ...REVIEWER_ROUTES,
+  ...USER_ROUTES,
+])("$name", (route) => {
+  it.each(Object.entries(route.expected))("%s: %s", async (user, expected) => {
+    const res = await route
+      .send(request(app), fixture)
+      .set("Authorization", await authHeader(fixture.users[user]));
+
+    if (expected === "allow") {
+      expect(res.status).toBeLessThan(300);
+      expect(reached(route, res)).toBe(true);
+    } else {
+      expect(res.status).toBe(expected);
+      expect(reached(route, res)).toBe(false);
+    }
+  });
+});
+
+describe("policy functions", () => {
+  it("lets only the owner and the appeal's staff view it", async () => {
+    const { appeal, users } = fixture;
+    const results = {};
+    for (const [name, user] of Object.entries(users)) {
+      results[name] = await canViewAppeal(user, appeal);
+    }
+
+    expect(results).toEqual({
+      owner: true,
+      otherStudent: false,
+      assignedReviewer: true,
+      otherReviewer: false,
+      panelMember: false,
+      admin: true,
+      caseworker: true,
+      otherCaseworker: false,
+    });
+  });
+
+  it("requires the named permission for staff edits", async () => {
+    const { appeal, users } = fixture;
+
+    expect(await canEditAppeal(users.caseworker, appeal, "appeal.note")).toBe(
+      true
+    );
+    expect(
+      await canEditAppeal(users.caseworker, appeal, "appeal.legal-hold")
+    ).toBe(false);
+    expect(await canEditAppeal(users.admin, appeal)).toBe(false);
+    expect(await canEditAppeal(users.owner, appeal)).toBe(true);
+    expect(await canEditAppeal(users.owner, appeal, "appeal.note")).toBe(false);
+  });
+
+  it("hides internal evidence from students only", async () => {
+    const { appeal, users } = fixture;
+    const [shared, internal] = appeal.evidence;
+
+    expect(await canDownloadEvidence(users.owner, appeal, shared)).toBe(true);
+    expect(await canDownloadEvidence(users.owner, appeal, internal)).toBe(
+      false
+    );
+    expect(
+      await canDownloadEvidence(users.assignedReviewer, appeal, internal)
+    ).toBe(true);
+  });
+});
@@ -0,0 +1,102 @@
+const request = require("supertest");
+const Role = require("../../models/Role");
+const authRoutes = require("../../routes/auth");
+const downloadRoutes = require("../../routes/downloads");
+const userRoutes = require("../../routes/users");
+const { updateSecuritySettings } = require("../../utils/securitySettings");
+const { useTestDatabase } = require("../helpers/db");
+const {
+  createUser,
+  authHeader,
+  createAppeal,
+  storeEvidenceFixture,
+  createApp,
+} = require("../helpers/fixtures");
+
+useTestDatabase();
+
+const app = createApp({
+  "/api/auth": authRoutes,
+  "/api/downloads": downloadRoutes,
+  "/api/users": userRoutes,
+});
+
+let student;
+let admin;
+let appeal;
+
+beforeEach(async () => {
+  student = await createUser({ department: "Law" });
+  admin = await createUser({ role: "admin", department: "Law" });
+  appeal = await createAppeal(student, {
+    evidence: [await storeEvidenceFixture(student)],
+  });
+});
+
+afterEach(() => updateSecuritySettings({ requireStaffTwoFactor: false }));
+
+const createLink = async (user) =>
+  request(app)
+    .post("/api/downloads/links")
+    .set("Authorization", await authHeader(user))
+    .send({
+      appealId: appeal._id.toString(),
+      filename: appeal.evidence[0].filename,
+    });
+
+const get = async (user, path) =>
+  request(app)
+    .get(path)
+    .set("Authorization", await authHeader(user));
+
+describe("required two-factor enrolment", () => {
+  it("refuses staff routes outside /api/auth until enrolment", async () => {
+    await updateSecuritySettings({ requireStaffTwoFactor: true });
+
+    const responses = [
+      await createLink(admin),
+      await get(admin, `/api/users/${student._id}`),
+      await get(admin, `/api/users/${student._id}/appeals`),
+    ];
+
+    responses.forEach((res) => {
+      expect(res.status).toBe(403);
+      expect(res.body.twoFactorEnrolmentRequired).toBe(true);
+    });
+    expect((await get(admin, "/api/auth/2fa")).status).toBe(200);
+  });
+
+  it("refuses a download link created before the policy changed", async () => {
+    const link = await createLink(admin);
+    expect(link.status).toBe(201);
+    await updateSecuritySettings({ requireStaffTwoFactor: true });
+
+    const res = await request(app).get(new URL(link.body.url).pathname);
+
+    expect(res.status).toBe(403);
+    expect(res.body.twoFactorEnrolmentRequired).toBe(true);
+  });
+
+  it("reports two-factor as required for custom staff roles", async () => {
+    await Role.create({
+      name: "registry",
+      label: "Registry",
+      permissions: ["report.view"],
+    });
+    const registry = await createUser({ role: "registry" });
+    await updateSecuritySettings({ requireStaffTwoFactor: true });
+
+    const res = await get(registry, "/api/auth/2fa");
+
+    expect(res.status).toBe(200);
+    expect(res.body.required).toBe(true);
+  });
+
+  it("leaves students alone", async () => {
+    await updateSecuritySettings({ requireStaffTwoFactor: true });
+
+    const res = await get(student, `/api/users/${student._id}`);
+
+    expect(res.status).toBe(200);
+  });
+});
@@ -0,0 +1,14 @@
+const os = require("os");
+const path = require("path");
+const fs = require("fs-extra");
+
+// Runs before each test file, before any app module is loaded.
+process.env.JWT_SECRET = "test-jwt-secret";
+process.env.UPLOAD_DIR = fs.mkdtempSync(
+  path.join(os.tmpdir(), "appeal-uploads-")
+);
+
+// The routes log every request step; errors are still printed.
+jest.spyOn(console, "log").mockImplementation(() => {});
+
+afterAll(() => fs.remove(process.env.UPLOAD_DIR));
@@ -0,0 +1,18 @@
+const { csvRow } = require("../../utils/csv");
+
+describe("csvRow", () => {
+  it("quotes every cell and doubles embedded quotes", () => {
+    expect(csvRow(["a", 'say "hi"', 3])).toBe('"a","say ""hi""","3"');
+  });
+
+  it("writes missing values as empty cells and keeps zero", () => {
+    expect(csvRow([null, undefined, 0])).toBe('"","","0"');
+  });
+
+  it.each(['=HYPERLINK("x")', "+1", "-1+2", "@SUM(A1)", "\tcmd"])(
+    "turns %j into text rather than a formula",
+    (value) => {
+      expect(csvRow([value])).toBe(`"'${value.replace(/"/g, '""')}"`);
+    }
+  );
+});
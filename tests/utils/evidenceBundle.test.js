@@ -0,0 +1,71 @@
+const path = require("path");
+const { Writable } = require("stream");
+const fs = require("fs-extra");
+const { getStorage } = require("../../storage");
+const { streamEvidenceBundle } = require("../../utils/evidenceBundle");
+
+// Collects the ZIP like an Express response would send it.
+const createResponse = () => {
+  const res = new Writable({
+    write(chunk, encoding, callback) {
+      res.body.push(chunk);
+      callback();
+    },
+  });
+  res.body = [];
+  res.setHeader = () => {};
+  return res;
+};
+
+const storeFiles = (count) =>
+  Promise.all(
+    Array.from({ length: count }, async (_, index) => {
+      const filename = `bundle-${index}.txt`;
+      await fs.outputFile(
+        path.join(process.env.UPLOAD_DIR, filename),
+        `contents of file ${index}`
+      );
+      return {
+        filename,
+        originalName: `file-${index}.txt`,
+        scanStatus: "clean",
+      };
+    })
+  );
+
+describe("streamEvidenceBundle", () => {
+  it("opens one stored file at a time", async () => {
+    const storage = getStorage();
+    const getStream = storage.getStream.bind(storage);
+    let open = 0;
+    let mostOpen = 0;
+    const spy = jest
+      .spyOn(storage, "getStream")
+      .mockImplementation(async (...args) => {
+        const stream = await getStream(...args);
+        open += 1;
+        mostOpen = Math.max(mostOpen, open);
+        stream.on("close", () => {
+          open -= 1;
+        });
+        return stream;
+      });
+
+    const res = createResponse();
+    const finished = new Promise((resolve) => res.on("finish", resolve));
+    await streamEvidenceBundle(
+      res,
+      { appealId: "APL-2025-0001" },
+      await storeFiles(5)
+    );
+    await finished;
+    const opened = spy.mock.calls.length;
+    spy.mockRestore();
+
+    expect(opened).toBe(5);
+    expect(mostOpen).toBe(1);
+    // A ZIP ends with its end of central directory record.
+    const zip = Buffer.concat(res.body);
+    expect(zip.includes(Buffer.from([0x50, 0x4b, 0x05, 0x06]))).toBe(true);
+  });
+});
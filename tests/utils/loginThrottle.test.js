@@ -0,0 +1,66 @@
+const LoginThrottle = require("../../models/LoginThrottle");
+const {
+  beginLoginAttempt,
+  releaseLoginAttempt,
+} = require("../../utils/loginThrottle");
+const { useTestDatabase } = require("../helpers/db");
+
+useTestDatabase();
+
+const email = "student@example.com";
+const ipAddress = "127.0.0.1";
+
+const failures = async (key) => (await LoginThrottle.findOne({ key })).failures;
+
+describe("beginLoginAttempt", () => {
+  it("lets only one of several parallel attempts past the free ones", async () => {
+    await LoginThrottle.create({
+      key: `account:${email}`,
+      kind: "account",
+      identifier: email,
+      failures: 3,
+      lastFailureAt: new Date(Date.now() - 60 * 1000),
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    });
+
+    // Every attempt reads the counters before any of them is counted.
+    const original = LoginThrottle.find;
+    let release;
+    const allRead = new Promise((resolve) => {
+      release = resolve;
+    });
+    let reads = 0;
+    const spy = jest
+      .spyOn(LoginThrottle, "find")
+      .mockImplementation(function (...args) {
+        return original.apply(this, args).then((throttles) => {
+          reads += 1;
+          if (reads === 3) release();
+          return allRead.then(() => throttles);
+        });
+      });
+
+    const results = await Promise.all(
+      [1, 2, 3].map(() => beginLoginAttempt(email, ipAddress))
+    );
+    spy.mockRestore();
+
+    expect(results.filter((result) => result.allowed)).toHaveLength(1);
+    expect(
+      results.find((result) => !result.allowed).retryAfter
+    ).toBeGreaterThan(0);
+    expect(await failures(`account:${email}`)).toBe(6);
+  });
+
+  it("counts an attempt until it is released", async () => {
+    expect(await beginLoginAttempt(email, ipAddress)).toEqual({
+      allowed: true,
+    });
+    expect(await failures(`account:${email}`)).toBe(1);
+    expect(await failures(`ip:${ipAddress}`)).toBe(1);
+
+    await releaseLoginAttempt(email, ipAddress);
+    expect(await failures(`account:${email}`)).toBe(0);
+    expect(await failures(`ip:${ipAddress}`)).toBe(0);
+  });
+});
@@ -0,0 +1,80 @@
+const Role = require("../../models/Role");
+const User = require("../../models/User");
+const { findOrProvisionUser } = require("../../utils/oidc");
+const { useTestDatabase } = require("../helpers/db");
+const { createUser } = require("../helpers/fixtures");
+
+useTestDatabase();
+
+const config = { jitProvisioning: true, defaultRole: "student" };
+
+const profileFor = (user, fields = {}) => ({
+  issuer: "https://idp.example.com",
+  subject: `subject-${user._id}`,
+  email: user.email,
+  emailVerified: true,
+  ...fields,
+});
+
+beforeEach(() => Role.syncBuiltIns());
+
+describe("findOrProvisionUser", () => {
+  it("links a student account by email", async () => {
+    const student = await createUser();
+
+    const user = await findOrProvisionUser(profileFor(student), config);
+
+    expect(user._id).toEqual(student._id);
+    expect(user.oidc.subject).toBe(`subject-${student._id}`);
+  });
+
+  it("links a staff account only once an admin has allowed it", async () => {
+    const reviewer = await createUser({ role: "reviewer" });
+
+    await expect(
+      findOrProvisionUser(profileFor(reviewer), config)
+    ).rejects.toMatchObject({ code: "OIDC_PROVISIONING" });
+
+    await User.updateOne(
+      { _id: reviewer._id },
+      { oidc: { linkAllowedAt: new Date() } }
+    );
+    const user = await findOrProvisionUser(profileFor(reviewer), config);
+
+    expect(user.oidc.subject).toBe(`subject-${reviewer._id}`);
+    expect(user.oidc.linkAllowedAt).toBeUndefined();
+  });
+
+  it.each([
+    ["student", "reviewer"],
+    ["reviewer", "student"],
+  ])("refuses to move a %s account to %s", async (from, to) => {
+    const existing = await createUser({
+      role: from,
+      oidc: { linkAllowedAt: new Date() },
+    });
+
+    await expect(
+      findOrProvisionUser(
+        profileFor(existing, { role: to, studentId: "S-idp" }),
+        config
+      )
+    ).rejects.toMatchObject({ code: "OIDC_PROVISIONING" });
+    expect((await User.findById(existing._id)).role).toBe(from);
+  });
+
+  it("applies a role change between staff roles", async () => {
+    const reviewer = await createUser({
+      role: "reviewer",
+      department: "Law",
+      oidc: { linkAllowedAt: new Date() },
+    });
+
+    const user = await findOrProvisionUser(
+      profileFor(reviewer, { role: "admin" }),
+      config
+    );
+
+    expect(user.role).toBe("admin");
+  });
+});
@@ -0,0 +1,163 @@
+const mongoose = require("mongoose");
+const Appeal = require("../../models/Appeal");
+const { MAJORITY_RULES, panelOutcome } = require("../../utils/panels");
+
+const memberIds = (count) =>
+  Array.from({ length: count }, () => new mongoose.Types.ObjectId());
+
+// An unsaved appeal with a panel of `members` and their recommendations,
+// given in member order; null leaves a member without one.
+const appealWithPanel = (members, outcomes) =>
+  new Appeal({
+    panel: {
+      members,
+      chair: members[0],
+      recommendations: outcomes
+        .map((outcome, index) => ({ reviewer: members[index], outcome }))
+        .filter(({ outcome }) => outcome),
+    },
+  });
+
+const settings = (fields) => ({ quorum: 3, majority: "simple", ...fields });
+
+describe("MAJORITY_RULES", () => {
+  it.each([
+    ["simple", 2, 3, true],
+    ["simple", 1, 2, false],
+    ["simple", 2, 4, false],
+    ["two-thirds", 2, 3, true],
+    ["two-thirds", 3, 5, false],
+    ["two-thirds", 4, 6, true],
+    ["unanimous", 3, 3, true],
+    ["unanimous", 2, 3, false],
+  ])("%s: %i of %i votes carries: %s", (rule, votes, recorded, carries) => {
+    expect(MAJORITY_RULES[rule](votes, recorded)).toBe(carries);
+  });
+});
+
+describe("panelOutcome", () => {
+  it("returns null for an appeal without a panel", () => {
+    expect(panelOutcome(new Appeal({}), settings())).toBeNull();
+  });
+
+  describe("with a 2-of-3 split", () => {
+    const members = memberIds(3);
+    const appeal = appealWithPanel(members, ["upheld", "upheld", "rejected"]);
+
+    it.each([
+      ["simple", "upheld"],
+      ["two-thirds", "upheld"],
+      ["unanimous", null],
+    ])("under %s majority gives %s", (majority, outcome) => {
+      const result = panelOutcome(appeal, settings({ majority }));
+
+      expect(result).toMatchObject({
+        members: 3,
+        recorded: 3,
+        quorumReached: true,
+        tally: { upheld: 2, rejected: 1 },
+        outcome,
+      });
+    });
+  });
+
+  it("has no outcome when every member votes differently", () => {
+    const appeal = appealWithPanel(memberIds(3), [
+      "upheld",
+      "partially upheld",
+      "rejected",
+    ]);
+
+    expect(panelOutcome(appeal, settings()).outcome).toBeNull();
+  });
+
+  it("waits for the quorum before giving an outcome", () => {
+    const appeal = appealWithPanel(memberIds(3), ["upheld", "upheld", null]);
+
+    expect(panelOutcome(appeal, settings())).toMatchObject({
+      recorded: 2,
+      quorumReached: false,
+      outcome: null,
+    });
+    expect(panelOutcome(appeal, settings({ quorum: 2 })).outcome).toBe(
+      "upheld"
+    );
+  });
+
+  describe("after a member who voted is removed", () => {
+    // Panels of four with the last member removed after voting.
+    const withoutLastMember = (outcomes) => {
+      const members = memberIds(4);
+      const appeal = appealWithPanel(members, outcomes);
+      appeal.panel.members.pull(members[3]);
+      return appeal;
+    };
+
+    it("ignores their recommendation", () => {
+      const appeal = withoutLastMember([
+        "rejected",
+        "rejected",
+        "upheld",
+        "upheld",
+      ]);
+
+      expect(panelOutcome(appeal, settings())).toMatchObject({
+        members: 3,
+        recorded: 3,
+        tally: { rejected: 2, upheld: 1 },
+        outcome: "rejected",
+      });
+    });
+
+    it("does not count it towards the quorum", () => {
+      const appeal = withoutLastMember(["upheld", "upheld", null, "upheld"]);
+
+      expect(panelOutcome(appeal, settings())).toMatchObject({
+        members: 3,
+        recorded: 2,
+        quorumReached: false,
+        outcome: null,
+      });
+    });
+  });
+
+  describe("with a quorum larger than the panel", () => {
+    const members = memberIds(3);
+
+    it("caps the quorum at the panel's size", () => {
+      const appeal = appealWithPanel(members, ["upheld", "upheld", "upheld"]);
+
+      expect(panelOutcome(appeal, settings({ quorum: 5 }))).toMatchObject({
+        quorum: 3,
+        quorumReached: true,
+        outcome: "upheld",
+      });
+    });
+
+    it("needs every member's recommendation", () => {
+      const appeal = appealWithPanel(members, ["upheld", "upheld", null]);
+
+      expect(panelOutcome(appeal, settings({ quorum: 5 }))).toMatchObject({
+        quorum: 3,
+        quorumReached: false,
+        outcome: null,
+      });
+    });
+  });
+
+  it("accepts populated members and reviewers", () => {
+    const members = memberIds(3);
+    const appeal = appealWithPanel(members, ["upheld", "upheld", "rejected"]);
+    const populated = {
+      hasPanel: () => true,
+      panel: {
+        members: members.map((_id) => ({ _id, firstName: "Test" })),
+        recommendations: appeal.panel.recommendations.map(
+          ({ reviewer, outcome }) => ({ reviewer: { _id: reviewer }, outcome })
+        ),
+      },
+    };
+
+    expect(panelOutcome(populated, settings()).outcome).toBe("upheld");
+  });
+});
@@ -0,0 +1,95 @@
+const net = require("net");
+
+const DEFAULT_CHUNK_SIZE = 64 * 1024;
+
+const clamdConfig = (env = process.env) => ({
+  host: env.CLAMD_HOST || "127.0.0.1",
+  port: parseInt(env.CLAMD_PORT, 10) || 3310,
+  socketPath: env.CLAMD_SOCKET || undefined,
+  timeout: parseInt(env.CLAMD_TIMEOUT_MS, 10) || 30000,
+});
+
+// Parses a clamd reply such as "stream: OK", "stream: Eicar-Test-Signature
+// FOUND" or "INSTREAM size limit exceeded. ERROR".
+const parseReply = (reply) => {
+  const text = reply.replace(/\0/g, "").trim();
+
+  if (/:\s*OK$/.test(text)) {
+    return { status: "clean" };
+  }
+
+  const found = text.match(/:\s*(.+)\s+FOUND$/);
+  if (found) {
+    return { status: "infected", signature: found[1] };
+  }
+
+  throw new Error(`clamd error: ${text || "empty reply"}`);
+};
+
+// Sends a readable stream to clamd with the INSTREAM command: each chunk is
+// prefixed with its length as a 4-byte big-endian integer and the stream is
+// terminated by a zero-length chunk.
+const scanStream = (stream, options = clamdConfig()) =>
+  new Promise((resolve, reject) => {
+    const socket = options.socketPath
+      ? net.createConnection({ path: options.socketPath })
+      : net.createConnection({ host: options.host, port: options.port });
+    const replies = [];
+    let settled = false;
+
+    const finish = (error, result) => {
+      if (settled) return;
+      settled = true;
+      socket.destroy();
+      if (typeof stream.destroy === "function") stream.destroy();
+      error ? reject(error) : resolve(result);
+    };
+
+    socket.setTimeout(options.timeout, () =>
+      finish(new Error("clamd connection timed out"))
+    );
+    const finishWithReply = () => {
+      try {
+        finish(null, parseReply(Buffer.concat(replies).toString("utf8")));
+      } catch (error) {
+        finish(error);
+      }
+    };
+
+    // clamd may reply and close the connection before the whole stream has
+    // been written, e.g. when its size limit is exceeded.
+    socket.on("error", (error) =>
+      replies.length > 0 ? finishWithReply() : finish(error)
+    );
+    socket.on("data", (data) => replies.push(data));
+    socket.on("end", finishWithReply);
+
+    socket.on("connect", async () => {
+      try {
+        socket.write("zINSTREAM\0");
+
+        for await (const data of stream) {
+          const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data);
+          for (
+            let offset = 0;
+            offset < buffer.length;
+            offset += DEFAULT_CHUNK_SIZE
+          ) {
+            const chunk = buffer.subarray(offset, offset + DEFAULT_CHUNK_SIZE);
+            const size = Buffer.alloc(4);
+            size.writeUInt32BE(chunk.length, 0);
+            socket.write(size);
+            if (!socket.write(chunk)) {
+              await new Promise((done) => socket.once("drain", done));
+            }
+          }
+        }
+
+        socket.write(Buffer.alloc(4));
+      } catch (error) {
+        replies.length > 0 ? finishWithReply() : finish(error);
+      }
+    });
+  });
+
+module.exports = { clamdConfig, parseReply, scanStream };
@@ -0,0 +1,16 @@
+// Spreadsheet apps run cells that start with one of these as formulas, so
+// user-supplied text such as file names could execute on export. Such cells
+// get a leading quote, which makes them plain text.
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const csvCell = (field) => {
+  const value = String(field ?? "");
+  const safe = FORMULA_PREFIX.test(value) ? `'${value}` : value;
+  return `"${safe.replace(/"/g, '""')}"`;
+};
+
+const csvRow = (fields) => fields.map(csvCell).join(",");
+
+module.exports = {
+  csvRow,
+};
@@ -0,0 +1,93 @@
+const { AsyncLocalStorage } = require("async_hooks");
+const { hasPermission } = require("./permissions");
+
+// Staff only see appeals from their own department unless their account is
+// flagged institution-wide. The scope is set once per request by
+// scopeToDepartment and applied to every Appeal query made while handling
+// it by the plugin below, so routes cannot forget it.
+const scopeStorage = new AsyncLocalStorage();
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Departments are free text, so matching ignores case and outer spaces. A
+// scoped user without a department matches no appeals.
+const departmentFilter = (department) => ({
+  department: department
+    ? new RegExp(`^\\s*${escapeRegex(department.trim())}\\s*$`, "i")
+    : { $in: [] },
+});
+
+const sameDepartment = (a, b) =>
+  Boolean(a && b) && a.trim().toLowerCase() === b.trim().toLowerCase();
+
+// Every staff user is scoped unless their account is institution-wide, so
+// a role granting only reports sees its own department's figures too.
+// Students only ever see their own appeals.
+const isDepartmentScoped = (user) =>
+  Boolean(user) && user.role !== "student" && !user.institutionWide;
+
+// Appeals a user reviews, alone or on a panel, stay in reach whatever their
+// department.
+const scopeFilter = async (user) => {
+  const filter = departmentFilter(user.department);
+  if (!(await hasPermission(user, "appeal.view.assigned"))) return filter;
+  return {
+    $or: [
+      filter,
+      { assignedReviewer: user._id },
+      { "panel.members": user._id },
+    ],
+  };
+};
+
+const scopeToDepartment = async (req, res, next) => {
+  if (!isDepartmentScoped(req.user)) return next();
+
+  let scope;
+  try {
+    scope = await scopeFilter(req.user);
+  } catch (error) {
+    return res.status(500).json({ message: "Server error." });
+  }
+
+  scopeStorage.run(scope, next);
+};
+
+// For checks outside a scoped request, e.g. signed download links.
+const appealInScope = async (user, appeal) =>
+  !isDepartmentScoped(user) ||
+  sameDepartment(user.department, appeal.department);
+
+const QUERY_HOOKS = [
+  "countDocuments",
+  "deleteMany",
+  "deleteOne",
+  "distinct",
+  "find",
+  "findOne",
+  "findOneAndDelete",
+  "findOneAndReplace",
+  "findOneAndUpdate",
+  "replaceOne",
+  "updateMany",
+  "updateOne",
+];
+
+const departmentScopePlugin = (schema) => {
+  schema.pre(QUERY_HOOKS, function () {
+    const scope = scopeStorage.getStore();
+    if (scope) this.setQuery({ $and: [this.getQuery(), scope] });
+  });
+
+  schema.pre("aggregate", function () {
+    const scope = scopeStorage.getStore();
+    if (scope) this.pipeline().unshift({ $match: scope });
+  });
+};
+
+module.exports = {
+  scopeToDepartment,
+  appealInScope,
+  departmentScopePlugin,
+  sameDepartment,
+};
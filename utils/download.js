@@ -0,0 +1,186 @@
+const { getStorage } = require("../storage");
+
+const INLINE_TYPES = [
+  "application/pdf",
+  "image/jpeg",
+  "image/png",
+  "image/gif",
+];
+
+// Builds a Content-Disposition header with an ASCII fallback filename and
+// the full name in RFC 5987 encoding for clients that support it.
+const contentDisposition = (type, filename) => {
+  const fallback = filename.replace(/[^\x20-\x7e]|["\\]/g, "_");
+  const encoded = encodeURIComponent(filename).replace(
+    /['()*]/g,
+    (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`
+  );
+
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+};
+
+const evidenceETag = (evidenceFile, storedFile) =>
+  evidenceFile.checksum
+    ? `"${evidenceFile.checksum}"`
+    : `W/"${storedFile.size.toString(16)}-${new Date(
+        storedFile.lastModified
+      ).getTime()}"`;
+
+const etagMatches = (header, etag) =>
+  header
+    .split(",")
+    .map((value) => value.trim().replace(/^W\//, ""))
+    .some((value) => value === "*" || value === etag.replace(/^W\//, ""));
+
+// Only a single byte range is supported; requests for several ranges get the
+// whole file, which RFC 9110 allows. Returns null when there is no usable
+// Range header and { unsatisfiable: true } when it is outside the file.
+const parseRange = (header, size) => {
+  const match = /^bytes=(\d*)-(\d*)$/.exec((header || "").trim());
+  if (!match || (match[1] === "" && match[2] === "")) return null;
+
+  let start;
+  let end;
+
+  if (match[1] === "") {
+    const suffix = parseInt(match[2], 10);
+    if (suffix === 0) return { unsatisfiable: true };
+    start = Math.max(size - suffix, 0);
+    end = size - 1;
+  } else {
+    start = parseInt(match[1], 10);
+    end =
+      match[2] === "" ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+  }
+
+  if (start >= size || start > end) return { unsatisfiable: true };
+
+  return { start, end };
+};
+
+const isFresh = (req, etag, lastModified) => {
+  const ifNoneMatch = req.headers["if-none-match"];
+  if (ifNoneMatch) return etagMatches(ifNoneMatch, etag);
+
+  const ifModifiedSince = Date.parse(req.headers["if-modified-since"]);
+  return (
+    !Number.isNaN(ifModifiedSince) &&
+    Math.floor(lastModified.getTime() / 1000) <=
+      Math.floor(ifModifiedSince / 1000)
+  );
+};
+
+// If-Range lets a client resume only while the file is unchanged.
+const rangeStillValid = (req, etag, lastModified) => {
+  const ifRange = req.headers["if-range"];
+  if (!ifRange) return true;
+  if (ifRange.startsWith('"') || ifRange.startsWith("W/")) {
+    return !etag.startsWith("W/") && ifRange === etag;
+  }
+  return lastModified.toUTCString() === new Date(ifRange).toUTCString();
+};
+
+// Serves an evidence file from the configured store. Handles conditional
+// requests (ETag / Last-Modified), single byte ranges and HEAD, and shows
+// PDFs and images inline when requested with ?inline=true or options.inline.
+const sendEvidenceFile = async (req, res, evidenceFile, options = {}) => {
+  const storage = getStorage();
+  const storedFile = await storage.stat(evidenceFile.filename);
+
+  if (!storedFile) {
+    return res.status(404).json({ message: "File not found on server" });
+  }
+
+  const { size } = storedFile;
+  const lastModified = new Date(
+    storedFile.lastModified || evidenceFile.uploadedAt || Date.now()
+  );
+  const etag = evidenceETag(evidenceFile, { size, lastModified });
+  const mimeType = evidenceFile.mimeType || "application/octet-stream";
+  const inline =
+    (options.inline || req.query.inline === "true") &&
+    INLINE_TYPES.includes(mimeType);
+
+  res.setHeader("ETag", etag);
+  res.setHeader("Last-Modified", lastModified.toUTCString());
+  res.setHeader("Cache-Control", "private, no-cache");
+  res.setHeader("Accept-Ranges", "bytes");
+  res.setHeader("X-Content-Type-Options", "nosniff");
+
+  if (isFresh(req, etag, lastModified)) {
+    return res.status(304).end();
+  }
+
+  const range =
+    req.headers.range && rangeStillValid(req, etag, lastModified)
+      ? parseRange(req.headers.range, size)
+      : null;
+
+  if (range && range.unsatisfiable) {
+    res.setHeader("Content-Range", `bytes */${size}`);
+    return res.status(416).end();
+  }
+
+  res.setHeader("Content-Type", mimeType);
+  res.setHeader(
+    "Content-Disposition",
+    contentDisposition(
+      inline ? "inline" : "attachment",
+      evidenceFile.originalName || evidenceFile.filename
+    )
+  );
+
+  if (range) {
+    res.status(206);
+    res.setHeader("Content-Range", `bytes ${range.start}-${range.end}/${size}`);
+    res.setHeader("Content-Length", range.end - range.start + 1);
+  } else {
+    res.setHeader("Content-Length", size);
+  }
+
+  if (req.method === "HEAD" || size === 0) {
+    return res.end();
+  }
+
+  const fileStream = await storage.getStream(
+    evidenceFile.filename,
+    range ? { start: range.start, end: range.end } : {}
+  );
+
+  fileStream.on("error", (error) => {
+    console.error("Evidence stream error:", error);
+    res.destroy(error);
+  });
+  fileStream.pipe(res);
+};
+
+// Serves the preview generated for an image. It goes through the same
+// conditional and range handling as the original file.
+const sendEvidenceThumbnail = (req, res, evidenceFile) => {
+  if (!evidenceFile.thumbnail) {
+    return res
+      .status(404)
+      .json({ message: "No thumbnail available for this file" });
+  }
+
+  const name = evidenceFile.originalName || evidenceFile.filename;
+
+  return sendEvidenceFile(
+    req,
+    res,
+    {
+      filename: evidenceFile.thumbnail,
+      originalName: `${name.replace(/\.[^.]*$/, "")}-thumbnail.jpg`,
+      mimeType: "image/jpeg",
+      uploadedAt: evidenceFile.uploadedAt,
+    },
+    { inline: true }
+  );
+};
+
+module.exports = {
+  contentDisposition,
+  parseRange,
+  sendEvidenceFile,
+  sendEvidenceThumbnail,
+};
@@ -0,0 +1,139 @@
+const crypto = require("crypto");
+const fs = require("fs-extra");
+const { getStorage } = require("../storage");
+const { evidenceStorageKey } = require("./evidenceScan");
+const { PROCESSED_IMAGE_TYPES, createThumbnail } = require("./images");
+
+const checksumStream = (stream) =>
+  new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha256");
+    stream
+      .on("error", reject)
+      .on("data", (chunk) => hash.update(chunk))
+      .on("end", () => resolve(hash.digest("hex")));
+  });
+
+const checksumFile = (filePath) =>
+  checksumStream(fs.createReadStream(filePath));
+
+const thumbnailKey = (filename) => `thumbnails/${filename}.jpg`;
+
+// A missing thumbnail only means no preview, so failures are logged and the
+// upload carries on without one.
+const storeThumbnail = async (file) => {
+  try {
+    const thumbnailPath = await createThumbnail(file.path);
+    const key = thumbnailKey(file.filename);
+    await getStorage().storeFile(key, thumbnailPath, {
+      contentType: "image/jpeg",
+    });
+    return key;
+  } catch (error) {
+    console.error(`Thumbnail error (${file.filename}):`, error.message);
+    await fs.remove(`${file.path}.thumb.jpg`);
+    return undefined;
+  }
+};
+
+const storeEvidenceFile = async (file, { user, ...metadata }) => {
+  const entry = {
+    filename: file.filename,
+    originalName: file.originalname,
+    fileSize: file.size,
+    mimeType: file.detectedMimeType || file.mimetype,
+    checksum: await checksumFile(file.path),
+    uploadedBy: user._id,
+    uploadedByRole: user.role,
+    uploadedAt: new Date(),
+  };
+
+  Object.keys(metadata).forEach((key) => {
+    if (metadata[key] !== undefined && metadata[key] !== "") {
+      entry[key] = metadata[key];
+    }
+  });
+
+  if (PROCESSED_IMAGE_TYPES.includes(entry.mimeType)) {
+    entry.thumbnail = await storeThumbnail(file);
+  }
+
+  try {
+    await getStorage().storeFile(file.filename, file.path, {
+      contentType: entry.mimeType,
+    });
+  } catch (error) {
+    if (entry.thumbnail) {
+      await getStorage()
+        .remove(entry.thumbnail)
+        .catch(() => {});
+    }
+    throw error;
+  }
+
+  return entry;
+};
+
+const removeEvidenceFile = async (entry) => {
+  await getStorage().remove(evidenceStorageKey(entry));
+  if (entry.thumbnail) {
+    await getStorage().remove(entry.thumbnail);
+  }
+};
+
+const removeEvidence = (entries = []) =>
+  Promise.all(entries.map(removeEvidenceFile));
+
+// For stored files that never made it onto a saved appeal, e.g. because the
+// save failed. Runs while handling another error, so failures are only
+// logged.
+const discardEvidence = async (entries = []) => {
+  const results = await Promise.allSettled(entries.map(removeEvidenceFile));
+  results.forEach((result, index) => {
+    if (result.status === "rejected") {
+      console.error(
+        `Evidence cleanup error (${entries[index].filename}):`,
+        result.reason.message
+      );
+    }
+  });
+};
+
+// Stores every file or none: if one fails, the ones already stored are
+// removed again before the error is rethrown.
+const storeEvidence = async (files = [], provenance) => {
+  const results = await Promise.allSettled(
+    files.map((file) => storeEvidenceFile(file, provenance))
+  );
+
+  const failed = results.find((result) => result.status === "rejected");
+  if (failed) {
+    await discardEvidence(
+      results
+        .filter((result) => result.status === "fulfilled")
+        .map((result) => result.value)
+    );
+    throw failed.reason;
+  }
+
+  return results.map((result) => result.value);
+};
+
+// Saves an appeal that new evidence was just added to. If the save fails the
+// stored files are removed, since no appeal refers to them.
+const saveWithEvidence = async (appeal, entries) => {
+  try {
+    await appeal.save();
+  } catch (error) {
+    await discardEvidence(entries);
+    throw error;
+  }
+};
+
+module.exports = {
+  checksumStream,
+  checksumFile,
+  storeEvidence,
+  removeEvidenceFile,
+  removeEvidence,
+  saveWithEvidence,
+};
@@ -0,0 +1,179 @@
+const path = require("path");
+const archiver = require("archiver");
+const { getStorage } = require("../storage");
+const { csvRow } = require("./csv");
+
+const MANIFEST_NAME = "manifest.csv";
+
+const MANIFEST_HEADERS = [
+  "File in Bundle",
+  "Original Name",
+  "Category",
+  "Description",
+  "Uploaded By",
+  "Uploader Role",
+  "Uploaded At",
+  "File Size (bytes)",
+  "SHA-256",
+  "Included",
+];
+
+// Accepts ?files=a.pdf,b.png or repeated ?files= parameters. Returns the
+// matching evidence entries, or every entry when no selection is given.
+const selectBundleEntries = (evidence, files) => {
+  const requested = []
+    .concat(files || [])
+    .flatMap((value) => String(value).split(","))
+    .map((value) => value.trim())
+    .filter(Boolean);
+
+  if (requested.length === 0) {
+    return { entries: evidence, missing: [] };
+  }
+
+  const entries = evidence.filter(
+    (file) =>
+      requested.includes(file.filename) || requested.includes(file.originalName)
+  );
+  const missing = requested.filter(
+    (name) =>
+      !evidence.some(
+        (file) => file.filename === name || file.originalName === name
+      )
+  );
+
+  return { entries, missing };
+};
+
+const safeFileName = (name) =>
+  path
+    .basename(String(name || ""))
+    .replace(/[\\/:*?"<>|\x00-\x1f]/g, "_")
+    .trim() || "file";
+
+// Gives every file a unique name in the archive: "letter.pdf",
+// "letter (2).pdf", ... Comparison ignores case so the bundle also extracts
+// cleanly on case-insensitive file systems.
+const uniqueBundleNames = (entries) => {
+  const used = new Set([MANIFEST_NAME]);
+
+  return entries.map((entry) => {
+    const name = safeFileName(entry.originalName || entry.filename);
+    const extension = path.extname(name);
+    const base = name.slice(0, name.length - extension.length);
+
+    let candidate = name;
+    for (let copy = 2; used.has(candidate.toLowerCase()); copy += 1) {
+      candidate = `${base} (${copy})${extension}`;
+    }
+
+    used.add(candidate.toLowerCase());
+    return candidate;
+  });
+};
+
+const uploaderName = (entry) => {
+  const uploader = entry.uploadedBy;
+  if (uploader && uploader.firstName) {
+    return `${uploader.firstName} ${uploader.lastName} <${uploader.email}>`;
+  }
+  return uploader ? uploader.toString() : "";
+};
+
+// Resolves once archiver has consumed the entry, so only one stored file is
+// open at a time however large the bundle. Rejects if the archive fails or
+// the client goes away first.
+const appendEntry = (archive, res, source, data) =>
+  new Promise((resolve, reject) => {
+    const settle = (error) => {
+      archive.off("entry", onEntry);
+      archive.off("error", settle);
+      res.off("close", onClose);
+      if (error) {
+        source.destroy();
+        reject(error);
+      } else {
+        resolve();
+      }
+    };
+    const onEntry = () => settle();
+    const onClose = () =>
+      settle(new Error("Connection closed before the bundle was sent"));
+
+    archive.on("entry", onEntry);
+    archive.on("error", settle);
+    res.on("close", onClose);
+    archive.append(source, data);
+  });
+
+// Streams a ZIP of the given evidence entries, followed by a manifest.csv
+// describing each file. Files that have not passed the malware scan or are
+// missing from the store are listed in the manifest but not included.
+const streamEvidenceBundle = async (res, appeal, entries) => {
+  const storage = getStorage();
+  const names = uniqueBundleNames(entries);
+
+  const included = await Promise.all(
+    entries.map(async (entry) => {
+      if (entry.scanStatus !== "clean") {
+        return `no (malware scan ${entry.scanStatus})`;
+      }
+      return (await storage.stat(entry.filename))
+        ? "yes"
+        : "no (file not found on server)";
+    })
+  );
+
+  const archive = archiver("zip", { zlib: { level: 6 } });
+
+  archive.on("warning", (error) =>
+    console.error("Evidence bundle warning:", error)
+  );
+  archive.on("error", (error) => {
+    console.error("Evidence bundle error:", error);
+    res.destroy(error);
+  });
+
+  res.setHeader("Content-Type", "application/zip");
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="${appeal.appealId || appeal._id}-evidence.zip"`
+  );
+  archive.pipe(res);
+
+  const manifest = [csvRow(MANIFEST_HEADERS)];
+
+  for (const [index, entry] of entries.entries()) {
+    if (included[index] === "yes") {
+      await appendEntry(archive, res, await storage.getStream(entry.filename), {
+        name: names[index],
+        date: entry.uploadedAt || undefined,
+      });
+    }
+
+    manifest.push(
+      csvRow([
+        included[index] === "yes" ? names[index] : "",
+        entry.originalName || entry.filename,
+        entry.category,
+        entry.description,
+        uploaderName(entry),
+        entry.uploadedByRole,
+        entry.uploadedAt ? new Date(entry.uploadedAt).toISOString() : "",
+        entry.fileSize,
+        entry.checksum,
+        included[index],
+      ])
+    );
+  }
+
+  archive.append(manifest.join("\n"), { name: MANIFEST_NAME });
+
+  await archive.finalize();
+};
+
+module.exports = {
+  selectBundleEntries,
+  uniqueBundleNames,
+  streamEvidenceBundle,
+};
@@ -0,0 +1,161 @@
+const Appeal = require("../models/Appeal");
+const Notification = require("../models/Notification");
+const { getStorage } = require("../storage");
+const { scanStream } = require("./clamd");
+
+const QUARANTINE_PREFIX = "quarantine/";
+const SCANNED_STATUSES = ["clean", "infected"];
+
+// Evidence ids currently being scanned by this process, so the queued scan
+// after an upload and the periodic sweep never scan the same file twice.
+const inFlight = new Set();
+
+const evidenceStorageKey = (entry) =>
+  entry.scanStatus === "infected"
+    ? `${QUARANTINE_PREFIX}${entry.filename}`
+    : entry.filename;
+
+const scanBlockMessage = (entry) =>
+  entry.scanStatus === "infected"
+    ? "This file failed the malware scan and has been quarantined"
+    : "This file is waiting for a malware scan and cannot be downloaded yet";
+
+const unscannedEntry = (entry) => ({
+  _id: entry._id,
+  scanStatus: { $nin: SCANNED_STATUSES },
+});
+
+const scanEvidenceEntry = async (appeal, entry) => {
+  const storage = getStorage();
+  const filter = {
+    _id: appeal._id,
+    evidence: { $elemMatch: unscannedEntry(entry) },
+  };
+
+  let result;
+  try {
+    result = await scanStream(await storage.getStream(entry.filename));
+  } catch (error) {
+    await Appeal.updateOne(filter, {
+      $set: { "evidence.$.scanError": error.message },
+    });
+    throw error;
+  }
+
+  const unsetFields = { "evidence.$.scanError": "" };
+
+  if (result.status === "infected") {
+    await storage.move(entry.filename, `${QUARANTINE_PREFIX}${entry.filename}`);
+    if (entry.thumbnail) {
+      await storage.remove(entry.thumbnail);
+      unsetFields["evidence.$.thumbnail"] = "";
+    }
+  }
+
+  const name = entry.originalName || entry.filename;
+
+  const scanFields = {
+    "evidence.$.scanStatus": result.status,
+    "evidence.$.scannedAt": new Date(),
+  };
+  if (result.signature) {
+    scanFields["evidence.$.scanSignature"] = result.signature;
+  }
+
+  await Appeal.updateOne(filter, {
+    $set: scanFields,
+    $unset: unsetFields,
+    $push: {
+      timeline:
+        result.status === "infected"
+          ? {
+              action: "Evidence quarantined",
+              description: `Malware scan detected ${result.signature} in ${name}; the file has been quarantined`,
+            }
+          : {
+              action: "Evidence scanned",
+              description: `Malware scan found no threats in ${name}`,
+            },
+    },
+  });
+
+  if (result.status === "infected") {
+    await Notification.notifyUsers(
+      [entry.uploadedBy, ...appeal.reviewers(), appeal.assignedAdmin],
+      {
+        appeal: appeal._id,
+        type: "evidence_quarantined",
+        message: `${name} on appeal ${
+          appeal.appealId || "draft"
+        } failed the malware scan and has been quarantined`,
+      }
+    );
+  }
+
+  return result;
+};
+
+// Scans every evidence file on the appeal that has not been scanned yet.
+// Failures are left pending (with scanError set) for the next sweep.
+const scanAppealEvidence = async (appealId) => {
+  const appeal = await Appeal.findById(appealId);
+  const report = { scanned: 0, infected: 0, failed: 0 };
+
+  if (!appeal) return report;
+
+  for (const entry of appeal.evidence) {
+    const id = entry._id.toString();
+    if (SCANNED_STATUSES.includes(entry.scanStatus) || inFlight.has(id)) {
+      continue;
+    }
+
+    inFlight.add(id);
+    try {
+      const result = await scanEvidenceEntry(appeal, entry);
+      report.scanned += 1;
+      if (result.status === "infected") report.infected += 1;
+    } catch (error) {
+      report.failed += 1;
+      console.error(`Evidence scan error (${entry.filename}):`, error.message);
+    } finally {
+      inFlight.delete(id);
+    }
+  }
+
+  return report;
+};
+
+const queueEvidenceScan = (appealId) => {
+  setImmediate(() =>
+    scanAppealEvidence(appealId).catch((error) =>
+      console.error("Evidence scan error:", error)
+    )
+  );
+};
+
+const scanPendingEvidence = async () => {
+  const totals = { appeals: 0, scanned: 0, infected: 0, failed: 0 };
+  const appeals = await Appeal.find(
+    { evidence: { $elemMatch: { scanStatus: { $nin: SCANNED_STATUSES } } } },
+    { _id: 1 }
+  );
+
+  for (const { _id } of appeals) {
+    const report = await scanAppealEvidence(_id);
+    totals.appeals += 1;
+    totals.scanned += report.scanned;
+    totals.infected += report.infected;
+    totals.failed += report.failed;
+  }
+
+  return totals;
+};
+
+module.exports = {
+  QUARANTINE_PREFIX,
+  evidenceStorageKey,
+  scanBlockMessage,
+  scanAppealEvidence,
+  queueEvidenceScan,
+  scanPendingEvidence,
+};
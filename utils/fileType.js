@@ -0,0 +1,137 @@
+const fs = require("fs-extra");
+const path = require("path");
+
+const SNIFF_BYTES = 4100;
+const ZIP_TAIL_BYTES = 64 * 1024;
+
+const DOCX_MIME_TYPE =
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document";
+
+// Accepted evidence types and the extensions each may be uploaded with
+const ALLOWED_FILE_TYPES = {
+  "image/jpeg": [".jpg", ".jpeg"],
+  "image/png": [".png"],
+  "image/gif": [".gif"],
+  "application/pdf": [".pdf"],
+  "application/msword": [".doc"],
+  [DOCX_MIME_TYPE]: [".docx"],
+  "text/plain": [".txt"],
+};
+
+const SIGNATURES = [
+  { mimeType: "application/pdf", bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] },
+  {
+    mimeType: "image/png",
+    bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a],
+  },
+  { mimeType: "image/jpeg", bytes: [0xff, 0xd8, 0xff] },
+  { mimeType: "image/gif", bytes: [0x47, 0x49, 0x46, 0x38, 0x37, 0x61] },
+  { mimeType: "image/gif", bytes: [0x47, 0x49, 0x46, 0x38, 0x39, 0x61] },
+  {
+    mimeType: "application/msword",
+    bytes: [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1],
+  },
+  { mimeType: DOCX_MIME_TYPE, bytes: [0x50, 0x4b, 0x03, 0x04] },
+];
+
+const matches = (buffer, bytes) =>
+  buffer.length >= bytes.length &&
+  bytes.every((byte, index) => buffer[index] === byte);
+
+const TEXT_BOMS = [
+  [0xef, 0xbb, 0xbf],
+  [0xff, 0xfe],
+  [0xfe, 0xff],
+];
+
+// The sniffed buffer may end part-way through a multi-byte character, so it
+// is decoded in streaming mode, which holds back an incomplete trailing
+// sequence instead of reporting it as invalid.
+const looksLikeText = (buffer) => {
+  if (TEXT_BOMS.some((bom) => matches(buffer, bom))) return true;
+  if (buffer.includes(0x00)) return false;
+  try {
+    new TextDecoder("utf-8", { fatal: true }).decode(buffer, { stream: true });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const detectMimeType = (buffer) => {
+  const signature = SIGNATURES.find(({ bytes }) => matches(buffer, bytes));
+  if (signature) return signature.mimeType;
+
+  if (buffer.length > 0 && looksLikeText(buffer)) return "text/plain";
+
+  return null;
+};
+
+const readBytes = async (filePath, length, position) => {
+  const handle = await fs.open(filePath, "r");
+  try {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await fs.read(handle, buffer, 0, length, position);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await fs.close(handle);
+  }
+};
+
+// Any ZIP archive starts with "PK", so a .docx is only accepted when the
+// archive's central directory lists the main Word document part.
+const isWordArchive = async (filePath) => {
+  const { size } = await fs.stat(filePath);
+  const length = Math.min(size, ZIP_TAIL_BYTES);
+  const tail = await readBytes(filePath, length, size - length);
+  return tail.includes("word/document.xml");
+};
+
+const detectFileType = async (filePath) => {
+  const mimeType = detectMimeType(await readBytes(filePath, SNIFF_BYTES, 0));
+
+  if (mimeType === DOCX_MIME_TYPE && !(await isWordArchive(filePath))) {
+    return "application/zip";
+  }
+
+  return mimeType;
+};
+
+// Compares the sniffed content type with the declared type and extension.
+// Returns the detected type, or the reason the file was rejected.
+const verifyUploadedFile = async (file) => {
+  const detectedType = await detectFileType(file.path);
+  const extension = path.extname(file.originalname).toLowerCase();
+
+  if (!detectedType || !ALLOWED_FILE_TYPES[detectedType]) {
+    return {
+      error: `File content${
+        detectedType ? ` (${detectedType})` : ""
+      } is not an allowed file type`,
+    };
+  }
+
+  if (file.mimetype !== detectedType) {
+    return {
+      error: `Declared type ${file.mimetype} does not match file content (${detectedType})`,
+    };
+  }
+
+  if (!ALLOWED_FILE_TYPES[detectedType].includes(extension)) {
+    return {
+      error: `Extension "${
+        extension || "(none)"
+      }" does not match file content (${detectedType})`,
+    };
+  }
+
+  return { mimeType: detectedType };
+};
+
+module.exports = {
+  ALLOWED_FILE_TYPES,
+  SNIFF_BYTES,
+  detectMimeType,
+  detectFileType,
+  verifyUploadedFile,
+};
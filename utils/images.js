@@ -0,0 +1,49 @@
+const fs = require("fs-extra");
+const sharp = require("sharp");
+
+const PROCESSED_IMAGE_TYPES = ["image/jpeg", "image/png"];
+const THUMBNAIL_SIZE = parseInt(process.env.THUMBNAIL_SIZE, 10) || 320;
+
+// Re-encodes the image in place without its EXIF, XMP and GPS metadata.
+// The EXIF orientation is applied to the pixels first so photos taken on a
+// phone keep the right way up, and the colour profile is kept.
+const stripImageMetadata = async (filePath, mimeType) => {
+  const outputPath = `${filePath}.stripped`;
+  const image = sharp(filePath).rotate().keepIccProfile();
+
+  try {
+    await (mimeType === "image/png"
+      ? image.png()
+      : image.jpeg({ quality: 90, mozjpeg: true })
+    ).toFile(outputPath);
+  } catch (error) {
+    await fs.remove(outputPath);
+    throw error;
+  }
+
+  await fs.move(outputPath, filePath, { overwrite: true });
+};
+
+// Writes a JPEG thumbnail that fits in THUMBNAIL_SIZE x THUMBNAIL_SIZE next
+// to the source file and returns its path.
+const createThumbnail = async (filePath) => {
+  const thumbnailPath = `${filePath}.thumb.jpg`;
+
+  await sharp(filePath)
+    .rotate()
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, {
+      fit: "inside",
+      withoutEnlargement: true,
+    })
+    .flatten({ background: "#ffffff" })
+    .jpeg({ quality: 80 })
+    .toFile(thumbnailPath);
+
+  return thumbnailPath;
+};
+
+module.exports = {
+  PROCESSED_IMAGE_TYPES,
+  stripImageMetadata,
+  createThumbnail,
+};
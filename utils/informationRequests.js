@@ -0,0 +1,123 @@
+const { body, validationResult } = require("express-validator");
+const Notification = require("../models/Notification");
+
+// Route handlers shared by the admin and reviewer information request
+// routes. `loadAppeal(req, res)` resolves to the appeal the caller may act
+// on, or sends the error response itself and resolves to null.
+
+const informationRequestValidators = [
+  body("items")
+    .isArray({ min: 1 })
+    .withMessage("At least one information item is required"),
+  body("items.*")
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage("Information items must be non-empty text"),
+  body("dueDate")
+    .isISO8601()
+    .withMessage("Valid due date is required")
+    .custom((value) => new Date(value) > new Date())
+    .withMessage("Due date must be in the future"),
+];
+
+// `role` is the workflow role used for the status transition.
+const createInformationRequest =
+  ({ role, loadAppeal }) =>
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const appeal = await loadAppeal(req, res);
+      if (!appeal) return;
+
+      const { items, dueDate } = req.body;
+
+      const { transition, request } = appeal.requestInformation({
+        items,
+        dueDate: new Date(dueDate),
+        requestedBy: req.user._id,
+        role,
+      });
+
+      if (transition && !transition.allowed) {
+        return res
+          .status(409)
+          .json({ message: "Illegal status transition", transition });
+      }
+
+      appeal.timeline.push({
+        action: "Information requested",
+        description: `${
+          items.length
+        } item(s) of further information requested by ${role}: ${
+          req.user.firstName
+        } ${req.user.lastName} - Due ${request.dueDate.toLocaleDateString()}`,
+        performedBy: req.user._id,
+      });
+
+      await appeal.save();
+
+      await Notification.notifyUsers([appeal.student], {
+        appeal: appeal._id,
+        type: "information_requested",
+        message: `Further information has been requested for appeal ${appeal.appealId}`,
+      });
+
+      res.status(201).json({
+        message: "Information request created successfully",
+        informationRequest: request,
+        status: appeal.status,
+      });
+    } catch (error) {
+      console.error("Create information request error:", error);
+      res
+        .status(500)
+        .json({ message: "Server error while requesting information" });
+    }
+  };
+
+const cancelInformationRequest =
+  ({ loadAppeal }) =>
+  async (req, res) => {
+    try {
+      const appeal = await loadAppeal(req, res);
+      if (!appeal) return;
+
+      const request = appeal.informationRequests.id(req.params.requestId);
+      if (!request) {
+        return res
+          .status(404)
+          .json({ message: "Information request not found" });
+      }
+
+      if (request.status !== "open") {
+        return res.status(409).json({
+          message: `Information request is already ${request.status}`,
+        });
+      }
+
+      appeal.closeInformationRequest(request, "cancelled", req.user._id);
+      await appeal.save();
+
+      res.json({
+        message: "Information request cancelled successfully",
+        informationRequest: request,
+        status: appeal.status,
+      });
+    } catch (error) {
+      console.error("Cancel information request error:", error);
+      res
+        .status(500)
+        .json({ message: "Server error while cancelling information request" });
+    }
+  };
+
+module.exports = {
+  informationRequestValidators,
+  createInformationRequest,
+  cancelInformationRequest,
+};
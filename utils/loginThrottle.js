@@ -0,0 +1,187 @@
+const LoginThrottle = require("../models/LoginThrottle");
+
+const envInt = (name, fallback) => parseInt(process.env[name], 10) || fallback;
+
+// After `freeAttempts` failures each further attempt must wait twice as long
+// as the previous one (1s, 2s, 4s, ... up to MAX_DELAY_SECONDS); after
+// `lockoutAfter` failures the key is locked for LOCKOUT_MINUTES.
+const LIMITS = {
+  account: {
+    freeAttempts: envInt("LOGIN_ACCOUNT_FREE_ATTEMPTS", 3),
+    lockoutAfter: envInt("LOGIN_ACCOUNT_LOCKOUT_AFTER", 10),
+  },
+  ip: {
+    freeAttempts: envInt("LOGIN_IP_FREE_ATTEMPTS", 20),
+    lockoutAfter: envInt("LOGIN_IP_LOCKOUT_AFTER", 100),
+  },
+};
+const MAX_DELAY_SECONDS = 60;
+const LOCKOUT_MINUTES = envInt("LOGIN_LOCKOUT_MINUTES", 15);
+const FAILURE_WINDOW_MINUTES = envInt("LOGIN_FAILURE_WINDOW_MINUTES", 60);
+
+const throttleKeys = (email, ipAddress) => [
+  { key: `account:${email}`, kind: "account", identifier: email },
+  { key: `ip:${ipAddress}`, kind: "ip", identifier: ipAddress },
+];
+
+const delaySeconds = (kind, failures) => {
+  const extra = failures - LIMITS[kind].freeAttempts;
+  return extra < 0 ? 0 : Math.min(2 ** extra, MAX_DELAY_SECONDS);
+};
+
+// When the next attempt is allowed for a counter, or null if it is now.
+const blockedUntil = (throttle, now = new Date()) => {
+  if (!throttle || throttle.expiresAt <= now) return null;
+
+  if (throttle.lockedUntil && throttle.lockedUntil > now) {
+    return throttle.lockedUntil;
+  }
+
+  const delay = delaySeconds(throttle.kind, throttle.failures);
+  const nextAttemptAt = new Date(
+    throttle.lastFailureAt.getTime() + delay * 1000
+  );
+  return delay > 0 && nextAttemptAt > now ? nextAttemptAt : null;
+};
+
+// Seconds until the latest of the counters' waits or lockouts is over, or 0
+// when an attempt is allowed now.
+const retryAfterSeconds = (throttles, now = new Date()) => {
+  const until = throttles
+    .map((throttle) => blockedUntil(throttle, now))
+    .filter(Boolean)
+    .sort((a, b) => b - a)[0];
+  return until ? Math.max(1, Math.ceil((until - now) / 1000)) : 0;
+};
+
+// Counts a failure against both keys and returns the counters afterwards.
+const countLoginAttempt = (email, ipAddress) => {
+  const now = new Date();
+  const lockedUntil = new Date(now.getTime() + LOCKOUT_MINUTES * 60 * 1000);
+  const expiresAt = new Date(
+    Math.max(
+      now.getTime() + FAILURE_WINDOW_MINUTES * 60 * 1000,
+      lockedUntil.getTime()
+    )
+  );
+
+  // A pipeline update so the counter restarts atomically once the previous
+  // window has expired.
+  return Promise.all(
+    throttleKeys(email, ipAddress).map(({ key, kind, identifier }) =>
+      LoginThrottle.findOneAndUpdate(
+        { key },
+        [
+          {
+            $set: {
+              failures: {
+                $cond: [
+                  { $gt: ["$expiresAt", now] },
+                  { $add: ["$failures", 1] },
+                  1,
+                ],
+              },
+            },
+          },
+          {
+            $set: {
+              kind,
+              identifier,
+              lastFailureAt: now,
+              expiresAt,
+              lockedUntil: {
+                $cond: [
+                  { $gte: ["$failures", LIMITS[kind].lockoutAfter] },
+                  lockedUntil,
+                  "$lockedUntil",
+                ],
+              },
+            },
+          },
+        ],
+        { upsert: true, new: true }
+      )
+    )
+  );
+};
+
+// Counts the attempt as a failure before the password or code is checked,
+// so parallel requests cannot all get in on the same count. Returns
+// { allowed: true } or { allowed: false, retryAfter } in seconds. Call
+// releaseLoginAttempt once the credentials turn out to be right.
+const beginLoginAttempt = async (email, ipAddress) => {
+  const now = new Date();
+  const previous = await LoginThrottle.find({
+    key: { $in: throttleKeys(email, ipAddress).map((entry) => entry.key) },
+  });
+
+  const retryAfter = retryAfterSeconds(previous, now);
+  if (retryAfter) return { allowed: false, retryAfter };
+
+  // A count higher than the one read above means another attempt was
+  // counted in between. It takes the turn, and this one has to wait.
+  const counters = await countLoginAttempt(email, ipAddress);
+  const overtaken = counters.some((counter) => {
+    const before = previous.find((throttle) => throttle.key === counter.key);
+    const expected = before && before.expiresAt > now ? before.failures + 1 : 1;
+    return (
+      counter.failures > expected &&
+      counter.failures > LIMITS[counter.kind].freeAttempts
+    );
+  });
+  if (!overtaken) return { allowed: true };
+
+  return {
+    allowed: false,
+    retryAfter: Math.max(1, retryAfterSeconds(counters)),
+  };
+};
+
+// Takes back the failure counted by beginLoginAttempt, including a lockout
+// it started.
+const releaseLoginAttempt = (email, ipAddress) =>
+  Promise.all(
+    throttleKeys(email, ipAddress).map(({ key, kind }) =>
+      LoginThrottle.updateOne({ key, failures: { $gt: 0 } }, [
+        { $set: { failures: { $subtract: ["$failures", 1] } } },
+        {
+          $set: {
+            lockedUntil: {
+              $cond: [
+                { $gte: ["$failures", LIMITS[kind].lockoutAfter] },
+                "$lockedUntil",
+                null,
+              ],
+            },
+          },
+        },
+      ])
+    )
+  );
+
+// A successful login clears the account counter. The IP counter is left to
+// expire, so an attacker cannot reset it by logging in to their own account.
+const recordLoginSuccess = (email) =>
+  LoginThrottle.deleteOne({ key: `account:${email}` });
+
+const describeThrottle = (throttle, now = new Date()) => {
+  const until = blockedUntil(throttle, now);
+  const locked = Boolean(throttle.lockedUntil && throttle.lockedUntil > now);
+  return {
+    _id: throttle._id,
+    kind: throttle.kind,
+    identifier: throttle.identifier,
+    failures: throttle.failures,
+    lastFailureAt: throttle.lastFailureAt,
+    locked,
+    lockedUntil: locked ? throttle.lockedUntil : null,
+    retryAfter: until ? Math.ceil((until - now) / 1000) : 0,
+  };
+};
+
+module.exports = {
+  beginLoginAttempt,
+  releaseLoginAttempt,
+  recordLoginSuccess,
+  describeThrottle,
+};
@@ -0,0 +1,99 @@
+const nodemailer = require("nodemailer");
+
+let transport = null;
+
+const NOT_CONFIGURED =
+  "No mail transport configured: set SMTP_HOST, or MAIL_TRANSPORT=log to print messages to the console";
+
+// MAIL_TRANSPORT selects how mail is delivered:
+//   smtp - an SMTP server, e.g. a local catcher such as Mailpit on port 1025
+//          (the default when SMTP_HOST is set)
+//   log  - print messages, including their links, to the console
+// Any nodemailer-compatible transport can also be installed with
+// setMailTransport().
+const mailTransportDriver = (env = process.env) =>
+  env.MAIL_TRANSPORT || (env.SMTP_HOST ? "smtp" : null);
+
+const createTransport = (env = process.env) => {
+  const driver = mailTransportDriver(env);
+
+  if (!driver) {
+    throw new Error(NOT_CONFIGURED);
+  }
+
+  if (driver === "smtp") {
+    return nodemailer.createTransport({
+      host: env.SMTP_HOST || "127.0.0.1",
+      port: parseInt(env.SMTP_PORT, 10) || 587,
+      secure: env.SMTP_SECURE === "true",
+      auth: env.SMTP_USER
+        ? { user: env.SMTP_USER, pass: env.SMTP_PASS }
+        : undefined,
+    });
+  }
+
+  if (driver === "log") {
+    return nodemailer.createTransport({ jsonTransport: true });
+  }
+
+  throw new Error(`Unknown MAIL_TRANSPORT "${driver}"`);
+};
+
+const getMailTransport = () => {
+  if (!transport) transport = createTransport();
+  return transport;
+};
+
+const setMailTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+// Run at startup. Without a mail transport the server refuses to start in
+// production; elsewhere it starts, and sending mail fails.
+const verifyMailTransport = (env = process.env) => {
+  if (transport || mailTransportDriver(env)) return;
+
+  if (env.NODE_ENV === "production") {
+    throw new Error(NOT_CONFIGURED);
+  }
+  console.warn(`${NOT_CONFIGURED}. Emails will not be sent.`);
+};
+
+const sendMail = async ({ to, subject, text, html }) => {
+  const mailTransport = getMailTransport();
+  const info = await mailTransport.sendMail({
+    from:
+      process.env.MAIL_FROM || "Student Appeal Manager <no-reply@localhost>",
+    to,
+    subject,
+    text,
+    html,
+  });
+
+  if (
+    mailTransport.transporter &&
+    mailTransport.transporter.name === "JSONTransport"
+  ) {
+    console.log(`Mail to ${to}: ${subject}\n${text}`);
+  }
+
+  return info;
+};
+
+// Builds a link into the web client, e.g. for password reset emails.
+const appUrl = (pathname, query = {}) => {
+  const url = new URL(pathname, process.env.APP_URL || "http://localhost:3000");
+  Object.entries(query).forEach(([key, value]) =>
+    url.searchParams.set(key, value)
+  );
+  return url.toString();
+};
+
+module.exports = {
+  createTransport,
+  getMailTransport,
+  setMailTransport,
+  verifyMailTransport,
+  sendMail,
+  appUrl,
+};
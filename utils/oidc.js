@@ -0,0 +1,250 @@
+const { Issuer, generators } = require("openid-client");
+const User = require("../models/User");
+const Role = require("../models/Role");
+const Session = require("../models/Session");
+const { randomToken } = require("./tokens");
+
+// "uni-admin:admin,uni-staff:reviewer,student:student" -> ordered pairs.
+// The first entry whose IdP value the user has decides the role. Users
+// without a mapped value keep their current role; new users get the
+// default role. Custom roles can be mapped too, see models/Role.js.
+const parseRoleMap = (value) =>
+  value
+    .split(",")
+    .map((entry) => entry.split(":").map((part) => part.trim()))
+    .filter(([claimValue, role]) => claimValue && role);
+
+// Everything comes from the environment; see env.example. Claim names may be
+// dotted paths into nested claims, e.g. "realm_access.roles".
+const oidcConfig = (env = process.env) => {
+  if (!env.OIDC_ISSUER || !env.OIDC_CLIENT_ID) return null;
+
+  const apiUrl = (
+    env.API_PUBLIC_URL || `http://localhost:${env.PORT || 5000}`
+  ).replace(/\/$/, "");
+
+  return {
+    issuer: env.OIDC_ISSUER,
+    clientId: env.OIDC_CLIENT_ID,
+    clientSecret: env.OIDC_CLIENT_SECRET,
+    redirectUri: env.OIDC_REDIRECT_URI || `${apiUrl}/api/auth/oidc/callback`,
+    scopes: env.OIDC_SCOPES || "openid email profile",
+    providerName: env.OIDC_PROVIDER_NAME || "University login",
+    jitProvisioning: env.OIDC_JIT_PROVISIONING !== "false",
+    defaultRole: env.OIDC_DEFAULT_ROLE || "student",
+    roleMap: parseRoleMap(env.OIDC_ROLE_MAP || ""),
+    claims: {
+      email: env.OIDC_CLAIM_EMAIL || "email",
+      firstName: env.OIDC_CLAIM_FIRST_NAME || "given_name",
+      lastName: env.OIDC_CLAIM_LAST_NAME || "family_name",
+      studentId: env.OIDC_CLAIM_STUDENT_ID || "student_id",
+      department: env.OIDC_CLAIM_DEPARTMENT || "department",
+      role: env.OIDC_CLAIM_ROLE || "roles",
+    },
+  };
+};
+
+let clientPromise = null;
+
+// Discovery runs once; a failed discovery is retried on the next login.
+const getOidcClient = () => {
+  const config = oidcConfig();
+  if (!config) return null;
+
+  if (!clientPromise) {
+    clientPromise = Issuer.discover(config.issuer)
+      .then(
+        (issuer) =>
+          new issuer.Client({
+            client_id: config.clientId,
+            client_secret: config.clientSecret,
+            redirect_uris: [config.redirectUri],
+            response_types: ["code"],
+            token_endpoint_auth_method: config.clientSecret
+              ? "client_secret_basic"
+              : "none",
+          })
+      )
+      .catch((error) => {
+        clientPromise = null;
+        throw error;
+      });
+  }
+
+  return clientPromise;
+};
+
+const claimValue = (claims, path) =>
+  path
+    .split(".")
+    .reduce(
+      (value, key) =>
+        value !== undefined && value !== null ? value[key] : undefined,
+      claims
+    );
+
+const claimString = (claims, path) => {
+  const value = claimValue(claims, path);
+  const first = Array.isArray(value) ? value[0] : value;
+  return first === undefined || first === null ? undefined : String(first);
+};
+
+const mapRole = (claims, config) => {
+  const values = [].concat(claimValue(claims, config.claims.role) || []);
+  const match = config.roleMap.find(([idpValue]) =>
+    values.map(String).includes(idpValue)
+  );
+  return match ? match[1] : undefined;
+};
+
+// Translates ID token / userinfo claims into User fields.
+const mapClaims = (claims, config = oidcConfig()) => ({
+  issuer: config.issuer,
+  subject: claims.sub,
+  email: (claimString(claims, config.claims.email) || "").toLowerCase(),
+  // Accounts are linked by email, so a missing claim counts as unverified.
+  emailVerified: claims.email_verified === true,
+  firstName: claimString(claims, config.claims.firstName),
+  lastName: claimString(claims, config.claims.lastName),
+  studentId: claimString(claims, config.claims.studentId),
+  department: claimString(claims, config.claims.department),
+  role: mapRole(claims, config),
+});
+
+const provisioningError = (message) =>
+  Object.assign(new Error(message), { code: "OIDC_PROVISIONING" });
+
+// Finds the user linked to the IdP subject, links an existing account with
+// the same email, or creates one (just-in-time provisioning). Staff accounts
+// are only linked once an admin has allowed it. Profile fields and the mapped
+// role are refreshed from the IdP on every login; a changed role signs the
+// user out of their other sessions. Like admin role changes, the IdP cannot
+// move an account between student and staff.
+const findOrProvisionUser = async (profile, config = oidcConfig()) => {
+  if (!profile.subject || !profile.email) {
+    throw provisioningError("The identity provider did not return an email");
+  }
+  if (!profile.emailVerified) {
+    throw provisioningError(
+      "The identity provider has not verified this email address"
+    );
+  }
+  if (profile.role && !(await Role.exists({ name: profile.role }))) {
+    throw provisioningError(`The mapped role "${profile.role}" does not exist`);
+  }
+
+  let user = await User.findOne({
+    "oidc.issuer": profile.issuer,
+    "oidc.subject": profile.subject,
+  });
+  if (!user) {
+    user = await User.findOne({ email: profile.email });
+    if (
+      user &&
+      user.role !== "student" &&
+      !(user.oidc && (user.oidc.subject || user.oidc.linkAllowedAt))
+    ) {
+      throw provisioningError(
+        "This staff account has not been enabled for single sign-on. Please ask an administrator."
+      );
+    }
+  }
+
+  if (!user) {
+    if (!config.jitProvisioning) {
+      throw provisioningError("No account exists for this user");
+    }
+
+    const role = profile.role || config.defaultRole;
+    if (!(await Role.exists({ name: role }))) {
+      throw provisioningError("No role is mapped for this account");
+    }
+
+    user = new User({
+      email: profile.email,
+      role,
+      // Random and never disclosed: the account can only sign in through
+      // the IdP unless a password is set via password reset.
+      password: randomToken(),
+      emailVerifiedAt: new Date(),
+    });
+  } else if (
+    user.oidc &&
+    user.oidc.subject &&
+    (user.oidc.subject !== profile.subject ||
+      user.oidc.issuer !== profile.issuer)
+  ) {
+    throw provisioningError(
+      "This account is linked to a different identity provider user"
+    );
+  }
+
+  if (!user.isActive) {
+    throw provisioningError("Account is deactivated");
+  }
+
+  if (
+    !user.isNew &&
+    profile.role &&
+    (profile.role === "student") !== (user.role === "student")
+  ) {
+    throw provisioningError(
+      "The identity provider's role would move this account between student and staff. Please ask an administrator."
+    );
+  }
+
+  user.email = profile.email;
+  user.emailVerified = true;
+  if (!user.emailVerifiedAt) user.emailVerifiedAt = new Date();
+  if (profile.firstName) user.firstName = profile.firstName;
+  if (profile.lastName) user.lastName = profile.lastName;
+  const previousRole = user.isNew ? null : user.role;
+  if (profile.role) user.role = profile.role;
+  if (user.role === "student" && profile.studentId) {
+    user.studentId = profile.studentId;
+  }
+  if (profile.department) user.department = profile.department;
+
+  if (!user.oidc || !user.oidc.subject) {
+    user.oidc = {
+      issuer: profile.issuer,
+      subject: profile.subject,
+      linkedAt: new Date(),
+    };
+  }
+
+  const validationError = user.validateSync();
+  if (validationError) {
+    throw provisioningError(
+      `The identity provider did not supply required details: ${Object.keys(
+        validationError.errors
+      ).join(", ")}`
+    );
+  }
+
+  try {
+    await user.save();
+  } catch (error) {
+    if (error.code === 11000) {
+      throw provisioningError(
+        "The student ID or email from the identity provider belongs to another account"
+      );
+    }
+    throw error;
+  }
+
+  // Sessions carry the permissions of the old role until they are refreshed.
+  if (previousRole && previousRole !== user.role) {
+    await Session.revokeForUser(user._id, "role changed");
+  }
+
+  return user;
+};
+
+module.exports = {
+  oidcConfig,
+  getOidcClient,
+  generators,
+  mapClaims,
+  findOrProvisionUser,
+};
@@ -0,0 +1,92 @@
+const Setting = require("../models/Setting");
+
+const PANEL_SETTINGS_KEY = "panel";
+
+// Share of the recorded recommendations an outcome needs to carry the panel.
+const MAJORITY_RULES = {
+  simple: (votes, recorded) => votes * 2 > recorded,
+  "two-thirds": (votes, recorded) => votes * 3 >= recorded * 2,
+  unanimous: (votes, recorded) => votes === recorded,
+};
+
+// Members can record or change recommendations until the decision is made.
+const RECOMMENDATION_STATUSES = [
+  "submitted",
+  "under review",
+  "awaiting information",
+];
+
+const DEFAULT_PANEL_SETTINGS = {
+  minimumSize: 3,
+  // Recommendations needed before the panel has an outcome. Capped at the
+  // panel's size, so a larger quorum means "every member".
+  quorum: 3,
+  majority: "simple",
+  // Appeal types that must be decided by a panel rather than one reviewer.
+  requiredForAppealTypes: ["Academic Judgment"],
+};
+
+const getPanelSettings = async () => ({
+  ...DEFAULT_PANEL_SETTINGS,
+  ...(await Setting.getValue(PANEL_SETTINGS_KEY, {})),
+});
+
+const updatePanelSettings = async (changes, userId) => {
+  const value = { ...(await getPanelSettings()), ...changes };
+  await Setting.setValue(PANEL_SETTINGS_KEY, value, userId);
+  return value;
+};
+
+const panelRequired = (appeal, settings) =>
+  settings.requiredForAppealTypes.includes(appeal.appealType);
+
+// Tallies the recommendations of current panel members. `outcome` is null
+// until the quorum is reached, and stays null if no outcome has the
+// required majority.
+const panelOutcome = (appeal, settings) => {
+  if (!appeal.hasPanel()) return null;
+
+  const members = appeal.panel.members.map((member) =>
+    (member._id || member).toString()
+  );
+  const recommendations = appeal.panel.recommendations.filter(
+    (recommendation) =>
+      members.includes(
+        (recommendation.reviewer._id || recommendation.reviewer).toString()
+      )
+  );
+
+  const tally = {};
+  recommendations.forEach(({ outcome }) => {
+    tally[outcome] = (tally[outcome] || 0) + 1;
+  });
+
+  const recorded = recommendations.length;
+  const quorum = Math.min(settings.quorum, members.length);
+  const quorumReached = recorded >= quorum;
+  const hasMajority = MAJORITY_RULES[settings.majority];
+
+  const outcome = quorumReached
+    ? Object.keys(tally).find((key) => hasMajority(tally[key], recorded)) ||
+      null
+    : null;
+
+  return {
+    members: members.length,
+    recorded,
+    quorum,
+    quorumReached,
+    majority: settings.majority,
+    tally,
+    outcome,
+  };
+};
+
+module.exports = {
+  MAJORITY_RULES,
+  RECOMMENDATION_STATUSES,
+  getPanelSettings,
+  updatePanelSettings,
+  panelRequired,
+  panelOutcome,
+};
@@ -0,0 +1,101 @@
+const PERMISSIONS = {
+  "appeal.view.any": "View all appeals, appeal dashboards and search",
+  "appeal.view.assigned": "Review appeals assigned to you",
+  "appeal.assign": "Assign appeals to staff and set their priority",
+  "appeal.status.update": "Change the status of appeals",
+  "appeal.request-information": "Request further information from students",
+  "appeal.note": "Add internal notes and delete your own",
+  "appeal.note.delete": "Delete internal notes written by others",
+  "appeal.evidence.upload": "Upload evidence to appeals",
+  "appeal.decide": "Record decisions on appeals",
+  "appeal.deadline.manage": "Set and remove appeal deadlines",
+  "appeal.legal-hold": "Place and release legal holds",
+  "evidence.retention": "View the evidence retention report",
+  "report.view": "View reports and statistics",
+  "report.export": "Export reports as CSV",
+  "user.view": "View user profiles and the staff directory",
+  "user.manage": "Manage user accounts, invitations and login lockouts",
+  "role.manage": "Create and edit roles",
+  "settings.manage": "Change security settings",
+};
+
+// Built-in roles are defined here rather than by admins, so upgrades can add
+// permissions to them. Custom roles are stored in the Role collection.
+const BUILT_IN_ROLES = {
+  student: {
+    label: "Student",
+    description: "Submits and follows their own appeals",
+    permissions: [],
+  },
+  reviewer: {
+    label: "Reviewer",
+    description: "Reviews and decides the appeals assigned to them",
+    permissions: [
+      "appeal.view.assigned",
+      "appeal.status.update",
+      "appeal.request-information",
+      "appeal.note",
+      "appeal.evidence.upload",
+      "appeal.decide",
+      "user.view",
+    ],
+  },
+  admin: {
+    label: "Administrator",
+    description: "Manages appeals, users and system settings",
+    permissions: Object.keys(PERMISSIONS).filter(
+      (permission) =>
+        ![
+          "appeal.view.assigned",
+          "appeal.evidence.upload",
+          "appeal.decide",
+        ].includes(permission)
+    ),
+  },
+};
+
+// Resolved on every staff request, so roles are cached briefly like the
+// security settings. Changes made through this process apply immediately.
+const CACHE_MS = 30 * 1000;
+let cached = null;
+
+const loadRolePermissions = async () => {
+  if (cached && cached.expiresAt > Date.now()) return cached.value;
+
+  // Required lazily: models/Role.js uses the catalogue above.
+  const Role = require("../models/Role");
+  const roles = await Role.find().select("name permissions").lean();
+
+  const value = new Map(roles.map((role) => [role.name, role.permissions]));
+  Object.entries(BUILT_IN_ROLES).forEach(([name, role]) =>
+    value.set(name, role.permissions)
+  );
+
+  cached = { value, expiresAt: Date.now() + CACHE_MS };
+  return value;
+};
+
+const clearRoleCache = () => {
+  cached = null;
+};
+
+const permissionsForRole = async (roleName) =>
+  (await loadRolePermissions()).get(roleName) || [];
+
+const hasPermission = async (user, permission) =>
+  (await permissionsForRole(user.role)).includes(permission);
+
+// Role names for queries such as "everyone who can review appeals".
+const rolesWithPermission = async (permission) =>
+  [...(await loadRolePermissions()).entries()]
+    .filter(([, permissions]) => permissions.includes(permission))
+    .map(([name]) => name);
+
+module.exports = {
+  PERMISSIONS,
+  BUILT_IN_ROLES,
+  permissionsForRole,
+  hasPermission,
+  rolesWithPermission,
+  clearRoleCache,
+};
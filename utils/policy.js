@@ -0,0 +1,131 @@
+const Appeal = require("../models/Appeal");
+const { permissionsForRole } = require("./permissions");
+const { appealInScope } = require("./departmentScope");
+
+// Resource-level authorization. Route middleware (requirePermission) decides
+// whether a role may perform an action at all; these functions decide which
+// appeals and users it may perform it on. Routes call them instead of
+// comparing ids themselves, so the rules live in one place.
+
+// Works whether or not the reference has been populated.
+const idOf = (ref) => (ref && ref._id ? ref._id : ref);
+const sameId = (a, b) =>
+  Boolean(a && b) && idOf(a).toString() === idOf(b).toString();
+
+const isPanelMember = (user, appeal) =>
+  Boolean(appeal.panel) &&
+  appeal.panel.members.some((member) => sameId(member, user._id));
+
+// The assigned reviewer and, when the appeal has a panel, its members.
+const reviewsAppeal = (user, appeal) =>
+  sameId(appeal.assignedReviewer, user._id) || isPanelMember(user, appeal);
+
+// `permission` is optional: when given, the user's role must also grant it.
+const grants = async (user, permission) =>
+  !permission || (await permissionsForRole(user.role)).includes(permission);
+
+// Students see their own appeals, drafts included. Staff never see drafts:
+// with appeal.view.any they see every appeal in their department scope,
+// with appeal.view.assigned only the appeals they review, alone or on a
+// panel.
+const canViewAppeal = async (user, appeal) => {
+  if (user.role === "student") return sameId(appeal.student, user._id);
+  if (appeal.status === "draft") return false;
+
+  const permissions = await permissionsForRole(user.role);
+  if (
+    permissions.includes("appeal.view.any") &&
+    (await appealInScope(user, appeal))
+  ) {
+    return true;
+  }
+  return (
+    permissions.includes("appeal.view.assigned") && reviewsAppeal(user, appeal)
+  );
+};
+
+// `permission` names the change, e.g. "appeal.note". Students change only
+// their own appeals and hold no permissions; whether the change is allowed
+// in the appeal's current state is left to the status transition table.
+const canEditAppeal = async (user, appeal, permission) => {
+  if (!(await canViewAppeal(user, appeal))) return false;
+  if (user.role === "student") return !permission;
+  return Boolean(permission) && grants(user, permission);
+};
+
+// The reviewer routes act only on appeals the user reviews, even when their
+// role can also view other appeals.
+const canReviewAppeal = async (user, appeal, permission) =>
+  appeal.status !== "draft" &&
+  reviewsAppeal(user, appeal) &&
+  (await grants(user, "appeal.view.assigned")) &&
+  grants(user, permission);
+
+// Only panel members record recommendations, and only the chair records
+// the panel's decision.
+const canRecommend = async (user, appeal) =>
+  isPanelMember(user, appeal) && canReviewAppeal(user, appeal, "appeal.decide");
+
+const canChairPanel = async (user, appeal) =>
+  isPanelMember(user, appeal) &&
+  sameId(appeal.panel.chair, user._id) &&
+  canReviewAppeal(user, appeal, "appeal.decide");
+
+// Evidence marked internal is hidden from students.
+const canDownloadEvidence = async (user, appeal, evidenceFile) =>
+  (await canViewAppeal(user, appeal)) &&
+  (user.role !== "student" || evidenceFile.visibility !== "internal");
+
+// Authors may delete their own notes; anyone else needs appeal.note.delete.
+const canDeleteNote = async (user, appeal, note) =>
+  (await canEditAppeal(user, appeal, "appeal.note")) &&
+  (sameId(note.author, user._id) || grants(user, "appeal.note.delete"));
+
+// Restricts an Appeal query to the appeals `user` may see, or returns null
+// when they may see none. Department scoping is added to the query by the
+// Appeal model on scoped routes, see utils/departmentScope.js.
+const visibleAppealsQuery = async (user, query = {}) => {
+  if (user.role === "student") {
+    return { $and: [query, { student: user._id }] };
+  }
+
+  const permissions = await permissionsForRole(user.role);
+  if (permissions.includes("appeal.view.any")) {
+    return Appeal.excludeDrafts(query);
+  }
+  if (permissions.includes("appeal.view.assigned")) {
+    return Appeal.excludeDrafts({
+      $and: [query, Appeal.reviewedBy(user._id)],
+    });
+  }
+  return null;
+};
+
+// Everyone may see their own profile and user managers every profile. With
+// user.view, staff see other staff (the staff directory) and the students
+// whose appeals they can view.
+const canViewUser = async (viewer, target) => {
+  if (sameId(viewer._id, target._id)) return true;
+  if (await grants(viewer, "user.manage")) return true;
+  if (!(await grants(viewer, "user.view"))) return false;
+  if (target.role !== "student") return true;
+
+  const query = await visibleAppealsQuery(viewer, { student: target._id });
+  return Boolean(query && (await Appeal.exists(query)));
+};
+
+const canEditUser = async (viewer, target) =>
+  sameId(viewer._id, target._id) || grants(viewer, "user.manage");
+
+module.exports = {
+  canViewAppeal,
+  canEditAppeal,
+  canReviewAppeal,
+  canRecommend,
+  canChairPanel,
+  canDownloadEvidence,
+  canDeleteNote,
+  visibleAppealsQuery,
+  canViewUser,
+  canEditUser,
+};
@@ -0,0 +1,61 @@
+const Setting = require("../models/Setting");
+
+const SECURITY_SETTINGS_KEY = "security";
+
+const DEFAULT_SECURITY_SETTINGS = {
+  requireStaffTwoFactor: false,
+  // Roles that must sign in through single sign-on (OIDC).
+  localPasswordDisabledRoles: [],
+};
+
+// Checked on every staff request, so the value is cached briefly. Changes
+// made through this process take effect immediately; other instances pick
+// them up within CACHE_MS.
+const CACHE_MS = 30 * 1000;
+let cached = null;
+
+const getSecuritySettings = async () => {
+  if (cached && cached.expiresAt > Date.now()) return cached.value;
+
+  const stored = await Setting.getValue(SECURITY_SETTINGS_KEY, {});
+  const value = { ...DEFAULT_SECURITY_SETTINGS, ...stored };
+  cached = { value, expiresAt: Date.now() + CACHE_MS };
+  return value;
+};
+
+const updateSecuritySettings = async (changes, userId) => {
+  const value = { ...(await getSecuritySettings()), ...changes };
+  await Setting.setValue(SECURITY_SETTINGS_KEY, value, userId);
+  cached = { value, expiresAt: Date.now() + CACHE_MS };
+  return value;
+};
+
+const TWO_FACTOR_ENROLMENT_MESSAGE =
+  "Two-factor authentication is required for your account. Please enrol before continuing.";
+
+// True when the policy requires two-factor authentication for the user,
+// enrolled or not. Every role other than student is a staff role.
+const twoFactorRequired = (user, settings) =>
+  settings.requireStaffTwoFactor && user.role !== "student";
+
+// True when the user must enrol in two-factor authentication before using
+// staff routes.
+const twoFactorEnrolmentRequired = async (user) => {
+  if (user.role === "student") return false;
+  if (user.twoFactor && user.twoFactor.enabled) return false;
+  return twoFactorRequired(user, await getSecuritySettings());
+};
+
+const localPasswordAllowed = async (user) => {
+  const settings = await getSecuritySettings();
+  return !settings.localPasswordDisabledRoles.includes(user.role);
+};
+
+module.exports = {
+  getSecuritySettings,
+  updateSecuritySettings,
+  twoFactorRequired,
+  twoFactorEnrolmentRequired,
+  localPasswordAllowed,
+  TWO_FACTOR_ENROLMENT_MESSAGE,
+};
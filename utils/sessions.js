@@ -0,0 +1,112 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const Session = require("../models/Session");
+const { randomToken, hashToken } = require("./tokens");
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_DAYS =
+  parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+// Several tabs may refresh at the same moment with the same token. Within
+// this window a stale token is only rejected; after it, presenting a
+// rotated-out token is treated as theft and ends the session.
+const REFRESH_REUSE_GRACE_MS = 10 * 1000;
+
+const clientInfo = (req) => ({
+  userAgent: (req.get("user-agent") || "").slice(0, 512),
+  ipAddress: req.ip,
+});
+
+const sessionError = (message) =>
+  Object.assign(new Error(message), { code: "INVALID_REFRESH_TOKEN" });
+
+// Refresh tokens are "<session id>.<secret>"; only a hash of the secret is
+// stored.
+const issueTokens = (userId, session, secret) => {
+  const token = jwt.sign(
+    { userId, sid: session._id.toString() },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL, jwtid: crypto.randomUUID() }
+  );
+
+  return {
+    token,
+    tokenExpiresAt: new Date(jwt.decode(token).exp * 1000),
+    refreshToken: `${session._id}.${secret}`,
+    refreshTokenExpiresAt: session.expiresAt,
+  };
+};
+
+const createSession = async (user, req) => {
+  const secret = randomToken();
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(secret),
+    expiresAt: new Date(
+      Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000
+    ),
+    ...clientInfo(req),
+  });
+
+  return issueTokens(user._id, session, secret);
+};
+
+// Exchanges a refresh token for a new access token and a new refresh token.
+// Throws an error with code INVALID_REFRESH_TOKEN when it cannot be used.
+const rotateSession = async (refreshToken, req) => {
+  const [sessionId, secret] = String(refreshToken || "").split(".");
+  if (!secret || !/^[a-f0-9]{24}$/.test(sessionId)) {
+    throw sessionError("Invalid refresh token");
+  }
+
+  const now = new Date();
+  const presentedHash = hashToken(secret);
+  const nextSecret = randomToken();
+
+  const session = await Session.findOneAndUpdate(
+    {
+      _id: sessionId,
+      refreshTokenHash: presentedHash,
+      revokedAt: null,
+      expiresAt: { $gt: now },
+    },
+    {
+      refreshTokenHash: hashToken(nextSecret),
+      previousRefreshTokenHash: presentedHash,
+      rotatedAt: now,
+      lastUsedAt: now,
+      ...clientInfo(req),
+    },
+    { new: true }
+  );
+
+  if (session) {
+    return { session, tokens: issueTokens(session.user, session, nextSecret) };
+  }
+
+  const reused = await Session.findOne({
+    _id: sessionId,
+    previousRefreshTokenHash: presentedHash,
+    revokedAt: null,
+  });
+
+  if (reused && now - reused.rotatedAt > REFRESH_REUSE_GRACE_MS) {
+    reused.revokedAt = now;
+    reused.revokedReason = "refresh token reuse";
+    await reused.save();
+  }
+
+  throw sessionError("Invalid or expired refresh token");
+};
+
+const revokeSession = (sessionId, reason) =>
+  Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+
+module.exports = {
+  createSession,
+  rotateSession,
+  revokeSession,
+};
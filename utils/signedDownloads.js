@@ -0,0 +1,90 @@
+const crypto = require("crypto");
+
+const DEFAULT_TTL_SECONDS =
+  parseInt(process.env.DOWNLOAD_LINK_TTL_SECONDS, 10) || 300;
+const MAX_TTL_SECONDS =
+  parseInt(process.env.DOWNLOAD_LINK_MAX_TTL_SECONDS, 10) || 3600;
+
+const signingSecret = () => {
+  const secret = process.env.DOWNLOAD_LINK_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error("DOWNLOAD_LINK_SECRET or JWT_SECRET must be set");
+  }
+  return secret;
+};
+
+const sign = (payload) =>
+  crypto
+    .createHmac("sha256", signingSecret())
+    .update(payload)
+    .digest("base64url");
+
+// A token is "<payload>.<signature>", where the payload is base64url JSON
+// naming the appeal, the evidence file, the user it was issued to, the
+// expiry time and, for one-time links, a random nonce.
+const createDownloadToken = ({
+  appealId,
+  filename,
+  userId,
+  expiresIn = DEFAULT_TTL_SECONDS,
+  oneTime = false,
+}) => {
+  const ttl = Math.min(
+    Math.max(parseInt(expiresIn, 10) || 0, 1),
+    MAX_TTL_SECONDS
+  );
+  const expiresAt = new Date(Date.now() + ttl * 1000);
+
+  const payload = Buffer.from(
+    JSON.stringify({
+      a: appealId.toString(),
+      f: filename,
+      u: userId.toString(),
+      e: Math.floor(expiresAt.getTime() / 1000),
+      ...(oneTime && { n: crypto.randomBytes(16).toString("hex") }),
+    })
+  ).toString("base64url");
+
+  return { token: `${payload}.${sign(payload)}`, expiresAt };
+};
+
+// Returns the decoded claims, or throws with a `code` of INVALID_SIGNATURE
+// or EXPIRED.
+const verifyDownloadToken = (token) => {
+  const [payload, signature, extra] = String(token).split(".");
+  const expected = sign(payload || "");
+
+  if (
+    extra !== undefined ||
+    !signature ||
+    signature.length !== expected.length ||
+    !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+  ) {
+    throw Object.assign(new Error("Invalid download link"), {
+      code: "INVALID_SIGNATURE",
+    });
+  }
+
+  const claims = JSON.parse(Buffer.from(payload, "base64url").toString());
+
+  if (claims.e * 1000 < Date.now()) {
+    throw Object.assign(new Error("Download link has expired"), {
+      code: "EXPIRED",
+    });
+  }
+
+  return {
+    appealId: claims.a,
+    filename: claims.f,
+    userId: claims.u,
+    expiresAt: new Date(claims.e * 1000),
+    nonce: claims.n,
+  };
+};
+
+module.exports = {
+  DEFAULT_TTL_SECONDS,
+  MAX_TTL_SECONDS,
+  createDownloadToken,
+  verifyDownloadToken,
+};
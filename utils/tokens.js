@@ -0,0 +1,13 @@
+const crypto = require("crypto");
+
+// Random secrets handed to users (reset links, invitations, refresh tokens).
+// Only their SHA-256 hash is ever stored.
+const randomToken = () => crypto.randomBytes(32).toString("base64url");
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(String(token)).digest("hex");
+
+module.exports = {
+  randomToken,
+  hashToken,
+};